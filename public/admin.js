@@ -76,10 +76,26 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (targetTab === 'users') {
                 loadUsers();
+            } else if (targetTab === 'applications') {
+                loadApplications();
             } else if (targetTab === 'invites') {
                 loadInviteCodes();
             } else if (targetTab === 'servers') {
                 loadServers();
+            } else if (targetTab === 'oauth') {
+                loadOAuthProviders();
+            } else if (targetTab === 'ip-policy') {
+                loadIpPolicy();
+            } else if (targetTab === 'email-policy') {
+                loadEmailPolicy();
+            } else if (targetTab === 'email-templates') {
+                loadEmailTemplates();
+            } else if (targetTab === 'mail-queue') {
+                loadMailQueue(1);
+            } else if (targetTab === 'accounts') {
+                loadAdminAccounts();
+            } else if (targetTab === 'audit') {
+                loadAuditLog(1);
             }
         });
     });
@@ -115,6 +131,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 count: parseInt(formData.get('count')),
                 maxUses: parseInt(formData.get('maxUses')),
                 expiresAt: formData.get('expiresAt') || null,
+                serverId: formData.get('serverId') ? Number(formData.get('serverId')) : null,
             };
 
             try {
@@ -234,6 +251,11 @@ document.addEventListener('DOMContentLoaded', () => {
             if (Number.isNaN(data.storageCheckIntervalMinutes)) {
                 data.storageCheckIntervalMinutes = null;
             }
+            data.assignmentWeight = data.assignmentWeight === '' ? null : Number(data.assignmentWeight);
+            if (Number.isNaN(data.assignmentWeight)) {
+                data.assignmentWeight = null;
+            }
+            data.maxUsers = data.maxUsers === '' ? null : Number(data.maxUsers);
 
             try {
                 const response = await fetch('/api/admin/servers', {
@@ -295,10 +317,9 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // 加载数据
+    // 加载数据（按当前管理员的权限显示标签页并加载第一个可用的标签页）
     loadStats();
-    loadUsers();
-    loadInviteCodes();
+    loadCurrentAdmin();
 
     // Initialization for edit features
     const editServerForm = document.getElementById('edit-server-form');
@@ -311,7 +332,10 @@ document.addEventListener('DOMContentLoaded', () => {
             const data = Object.fromEntries(formData.entries());
             const id = data.id;
 
-            // 如果密码为空，则从提交数据中移除，避免被置空
+            // 如果账号或密码为空，则从提交数据中移除，避免被置空
+            if (!data.admin_username) {
+                delete data.admin_username;
+            }
             if (!data.admin_password) {
                 delete data.admin_password;
             }
@@ -329,6 +353,11 @@ document.addEventListener('DOMContentLoaded', () => {
             if (Number.isNaN(data.storageCheckIntervalMinutes)) {
                 data.storageCheckIntervalMinutes = null;
             }
+            data.assignmentWeight = data.assignmentWeight === '' ? null : Number(data.assignmentWeight);
+            if (Number.isNaN(data.assignmentWeight)) {
+                data.assignmentWeight = null;
+            }
+            data.maxUsers = data.maxUsers === '' ? null : Number(data.maxUsers);
 
             try {
                 const response = await fetch(`/api/admin/servers/${id}`, {
@@ -357,6 +386,17 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // 点击模态框外部关闭
+    const serverHealthModal = document.getElementById('server-health-modal');
+    if (serverHealthModal) {
+        serverHealthModal.addEventListener('click', (e) => {
+            if (e.target === serverHealthModal) {
+                closeServerHealthModal();
+            }
+        });
+        document.getElementById('server-health-hours').addEventListener('change', () => loadServerHealth());
+        document.getElementById('server-health-check-btn').addEventListener('click', () => runServerHealthCheck());
+    }
+
     const editServerModal = document.getElementById('edit-server-modal');
     if (editServerModal) {
         editServerModal.addEventListener('click', (e) => {
@@ -366,6 +406,19 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    const migrateUserModal = document.getElementById('migrate-user-modal');
+    if (migrateUserModal) {
+        migrateUserModal.addEventListener('click', (e) => {
+            if (e.target === migrateUserModal) {
+                closeMigrateUserModal();
+            }
+        });
+        document.getElementById('migrate-user-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await migrateUser(e.target);
+        });
+    }
+
     const syncUsersBtn = document.getElementById('sync-users-btn');
     if (syncUsersBtn) {
         syncUsersBtn.addEventListener('click', async () => {
@@ -373,7 +426,130 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    loadUsersSyncServers();
+    const rotateMasterKeyBtn = document.getElementById('rotate-master-key-btn');
+    if (rotateMasterKeyBtn) {
+        rotateMasterKeyBtn.addEventListener('click', async () => {
+            await rotateMasterKey();
+        });
+    }
+
+    // 登录提供商表单
+    const oauthProviderForm = document.getElementById('oauth-provider-form');
+    if (oauthProviderForm) {
+        oauthProviderForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await saveOAuthProvider();
+        });
+    }
+
+    const discoverOAuthBtn = document.getElementById('discover-oauth-btn');
+    if (discoverOAuthBtn) {
+        discoverOAuthBtn.addEventListener('click', async () => {
+            await discoverOAuthProvider();
+        });
+    }
+
+    const cancelOAuthEditBtn = document.getElementById('cancel-oauth-edit-btn');
+    if (cancelOAuthEditBtn) {
+        cancelOAuthEditBtn.addEventListener('click', () => {
+            resetOAuthProviderForm();
+        });
+    }
+
+    // IP 策略
+    const ipRuleForm = document.getElementById('ip-rule-form');
+    if (ipRuleForm) {
+        ipRuleForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await createIpRule();
+        });
+    }
+
+    const ipTestForm = document.getElementById('ip-test-form');
+    if (ipTestForm) {
+        ipTestForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await testIpPolicy();
+        });
+    }
+
+    // 邮箱域名策略
+    const emailDomainRuleForm = document.getElementById('email-domain-rule-form');
+    if (emailDomainRuleForm) {
+        emailDomainRuleForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await createEmailDomainRule();
+        });
+    }
+
+    const emailTestForm = document.getElementById('email-test-form');
+    if (emailTestForm) {
+        emailTestForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await testEmailPolicy();
+        });
+    }
+
+    // 邮件模板
+    const emailTemplateForm = document.getElementById('email-template-form');
+    if (emailTemplateForm) {
+        emailTemplateForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await saveEmailTemplate();
+        });
+        emailTemplateForm.template.addEventListener('change', () => loadEmailTemplateSource());
+        emailTemplateForm.locale.addEventListener('change', () => loadEmailTemplateSource());
+    }
+
+    // 注册审核
+    const applicationsStatusSelect = document.getElementById('applications-status-select');
+    if (applicationsStatusSelect) {
+        applicationsStatusSelect.addEventListener('change', () => loadApplications());
+    }
+
+    // 邮件队列
+    const mailQueueStatusSelect = document.getElementById('mail-queue-status-select');
+    if (mailQueueStatusSelect) {
+        mailQueueStatusSelect.addEventListener('change', () => loadMailQueue(1));
+    }
+
+    // 管理员账号
+    const createAdminForm = document.getElementById('create-admin-form');
+    if (createAdminForm) {
+        createAdminForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await createAdminAccount();
+        });
+    }
+
+    // 审计日志
+    const auditFilterForm = document.getElementById('audit-filter-form');
+    if (auditFilterForm) {
+        auditFilterForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadAuditLog(1);
+        });
+    }
+
+    const twoFactorBtn = document.getElementById('two-factor-btn');
+    if (twoFactorBtn) {
+        twoFactorBtn.addEventListener('click', () => openTwoFactorModal());
+    }
+
+    const twoFactorEnableForm = document.getElementById('two-factor-enable-form');
+    if (twoFactorEnableForm) {
+        twoFactorEnableForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await enableTwoFactor();
+        });
+    }
+
+    const changeAdminPasswordBtn = document.getElementById('change-admin-password-btn');
+    if (changeAdminPasswordBtn) {
+        changeAdminPasswordBtn.addEventListener('click', async () => {
+            await changeOwnAdminPassword();
+        });
+    }
 });
 
 async function loadServers() {
@@ -390,11 +566,30 @@ async function loadServers() {
         // 保存服务器列表到全局变量，供编辑功能使用
         window.currentServers = result.servers;
 
+        const assignmentSummary = document.getElementById('server-assignment-summary');
+        if (assignmentSummary && result.assignment) {
+            const { mode, modeName, strategyName } = result.assignment;
+            assignmentSummary.textContent = mode === 'manual'
+                ? `选服方式：${modeName}（SERVER_ASSIGNMENT_MODE）`
+                : `选服方式：${modeName}，分配策略：${strategyName}（SERVER_ASSIGNMENT_MODE / SERVER_ASSIGNMENT_STRATEGY）；权重为 0 的服务器不参与自动分配`;
+        }
+
+        renderServerWaitlist(result.waitlist);
+
+        const healthSummary = document.getElementById('server-health-summary');
+        if (healthSummary && result.healthMonitor) {
+            const monitor = result.healthMonitor;
+            window.serverHealthStatuses = monitor.statuses;
+            healthSummary.textContent = monitor.enabled
+                ? `健康检查：每 ${monitor.intervalMinutes} 分钟检查一次，连续失败 ${monitor.failureThreshold} 次的服务器从选服列表中隐藏，恢复后自动重新显示；检查记录保留 ${monitor.retentionDays} 天。`
+                : '健康检查已关闭（SERVER_HEALTH_CHECK_INTERVAL=0），可以在「健康」中手动检查。';
+        }
+
         const tbody = document.getElementById('servers-tbody');
         if (!tbody) return;
 
         if (result.servers.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="12" style="text-align: center;">暂无服务器</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="14" style="text-align: center;">暂无服务器</td></tr>';
             return;
         }
 
@@ -407,12 +602,17 @@ async function loadServers() {
                 <td>${server.provider || '-'}</td>
                 <td>${server.maintainer || '-'}</td>
                 <td>${server.storageLimitValue ? `${server.storageLimitValue}${String(server.storageLimitUnit || 'MB').toUpperCase()}` : '-'}</td>
-                <td>${typeof server.registeredUserCount === 'number' ? server.registeredUserCount : '-'}</td>
+                <td>
+                    ${typeof server.registeredUserCount === 'number' ? server.registeredUserCount : '-'}${server.maxUsers ? ` / ${server.maxUsers}` : ''}
+                    ${server.isFull ? '<span class="badge badge-warning">已满</span>' : ''}
+                </td>
+                <td>${server.assignmentWeight ?? 1}</td>
                 <td>
                     <span class="badge ${server.isActive ? 'badge-success' : 'badge-error'}">
                         ${server.isActive ? '在线' : '禁用'}
                     </span>
                 </td>
+                <td>${renderHealthBadge(server.health)}</td>
                 <td>
                     <span class="badge ${server.registrationPaused ? 'badge-warning' : 'badge-success'}">
                         ${server.registrationPaused ? '暂停注册' : '允许注册'}
@@ -429,6 +629,7 @@ async function loadServers() {
                         `<button class="action-btn btn-success" onclick="toggleRegistration(${server.id}, false)" style="margin-right: 0.5rem;">恢复注册</button>` :
                         `<button class="action-btn btn-warning" onclick="toggleRegistration(${server.id}, true)" style="margin-right: 0.5rem; background: rgba(255, 193, 7, 0.2); color: #ffc107; border-color: #ffc107;">暂停注册</button>`
                     }
+                    <button class="action-btn" onclick="openServerHealthModal(${server.id})" style="margin-right: 0.5rem;">健康</button>
                     <button class="action-btn btn-danger" onclick="deleteServer(${server.id})">删除</button>
                 </td>
             </tr>
@@ -438,6 +639,125 @@ async function loadServers() {
     }
 }
 
+function renderHealthBadge(health) {
+    const status = health?.status || 'unknown';
+    const names = window.serverHealthStatuses || {};
+    const badgeClass = { healthy: 'badge-success', failing: 'badge-warning', down: 'badge-error' }[status] || 'badge-manual';
+    const latency = status === 'healthy' && typeof health.latencyMs === 'number' ? ` ${health.latencyMs}ms` : '';
+    const title = health?.message ? ` title="${escapeAttr(health.message)}"` : '';
+    return `<span class="badge ${badgeClass}"${title}>${names[status] || status}${latency}</span>`;
+}
+
+let healthModalServerId = null;
+
+async function openServerHealthModal(id) {
+    const server = (window.currentServers || []).find(item => item.id === id);
+    healthModalServerId = id;
+    document.getElementById('server-health-title').textContent = `健康状态 - ${server ? server.name : `#${id}`}`;
+    document.getElementById('server-health-modal').classList.add('active');
+    await loadServerHealth();
+}
+
+function closeServerHealthModal() {
+    healthModalServerId = null;
+    document.getElementById('server-health-modal').classList.remove('active');
+}
+
+async function loadServerHealth() {
+    if (healthModalServerId === null) return;
+    const hours = document.getElementById('server-health-hours').value;
+    const stats = document.getElementById('server-health-stats');
+    const timeline = document.getElementById('server-health-timeline');
+    const tbody = document.getElementById('server-health-tbody');
+
+    try {
+        const response = await fetch(`/api/admin/servers/${healthModalServerId}/health?hours=${encodeURIComponent(hours)}`, {
+            headers: { accept: 'application/json' },
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            stats.textContent = result.message || '加载健康状态失败';
+            return;
+        }
+
+        const { health, history } = result;
+        stats.innerHTML = `
+            当前状态：${renderHealthBadge(health)}
+            ${health.lastCheckedAt ? `，最近检查 ${formatDate(health.lastCheckedAt)}` : ''}
+            ${health.consecutiveFailures ? `，连续失败 ${health.consecutiveFailures} 次` : ''}
+            <br>可用率：${history.uptimePercent === null ? '-' : `${history.uptimePercent}%`}
+            ，平均延迟：${history.averageLatencyMs === null ? '-' : `${history.averageLatencyMs}ms`}
+            ，检查次数：${history.checks.length}
+        `;
+
+        timeline.innerHTML = history.checks.length
+            ? history.checks.map(check => `<span class="${check.ok ? '' : 'failed'}" title="${escapeAttr(`${formatDate(check.checkedAt)} ${check.ok ? `正常 ${check.latencyMs}ms` : check.message || '失败'}`)}"></span>`).join('')
+            : '';
+
+        const recent = [...history.checks].reverse().slice(0, 50);
+        tbody.innerHTML = recent.length
+            ? recent.map(check => `
+                <tr>
+                    <td>${formatDate(check.checkedAt)}</td>
+                    <td><span class="badge ${check.ok ? 'badge-success' : 'badge-error'}">${check.ok ? '正常' : '失败'}</span></td>
+                    <td>${check.probe?.ok ? `${check.probe.status ?? '-'}，${check.probe.latencyMs}ms` : '失败'}</td>
+                    <td>${check.auth ? (check.auth.ok ? `${check.auth.latencyMs}ms` : '失败') : '未检查'}</td>
+                    <td>${check.message ? escapeAttr(check.message) : '-'}</td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="5" style="text-align: center;">暂无检查记录</td></tr>';
+    } catch (error) {
+        stats.textContent = '加载健康状态失败';
+    }
+}
+
+async function runServerHealthCheck() {
+    if (healthModalServerId === null) return;
+    const button = document.getElementById('server-health-check-btn');
+    button.disabled = true;
+    button.textContent = '检查中...';
+    try {
+        const response = await fetch(`/api/admin/servers/${healthModalServerId}/health-check`, {
+            method: 'POST',
+            headers: { accept: 'application/json' },
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            alert(result.message || '检查失败');
+        }
+        await loadServerHealth();
+        await loadServers();
+    } catch (error) {
+        alert('检查失败');
+    } finally {
+        button.disabled = false;
+        button.textContent = '立即检查';
+    }
+}
+
+function renderServerWaitlist(waitlist) {
+    const summary = document.getElementById('server-waitlist-summary');
+    const tbody = document.getElementById('server-waitlist-tbody');
+    if (!summary || !tbody || !waitlist) return;
+
+    summary.textContent = `所有服务器都已满时用户可以加入候补名单；有名额空出时按顺序保留给排在最前的用户 ${waitlist.offerHours} 小时（WAITLIST_OFFER_HOURS），并发送邮件通知。`;
+    if (waitlist.entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">暂无候补用户</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = waitlist.entries.map(entry => `
+        <tr>
+            <td>${entry.position ?? '-'}</td>
+            <td>${escapeAttr(entry.handle)}</td>
+            <td>${formatDate(entry.joinedAt)}</td>
+            <td>${entry.offer
+                ? `${escapeAttr(entry.offer.serverName || `#${entry.offer.serverId}`)}，保留至 ${formatDate(entry.offer.expiresAt)}`
+                : '排队中'}</td>
+        </tr>
+    `).join('');
+}
+
 async function toggleServer(id, isActive) {
     if (!confirm(`确定要${isActive ? '启用' : '禁用'}该服务器吗？`)) return;
 
@@ -581,6 +901,11 @@ async function loadUsers() {
             const hasServer = !!user.serverId;
             const changeBtn = `<button class="action-btn" ${hasServer ? '' : 'disabled'} onclick="changeUserPassword('${safeHandleAttr}', ${hasServer ? Number(user.serverId) : 'null'})">改密</button>`;
             const deleteBtn = `<button class="action-btn btn-danger" ${hasServer ? '' : 'disabled'} onclick="deleteRemoteUser('${safeHandleAttr}', ${hasServer ? Number(user.serverId) : 'null'})">删除</button>`;
+            const migrateBtn = `<button class="action-btn" ${hasServer ? '' : 'disabled'} onclick="openMigrateUserModal('${safeHandleAttr}', ${hasServer ? Number(user.serverId) : 'null'})">迁移</button>`;
+            // 旧版第三方用户没有记录第三方身份，核实后由管理员绑定
+            const linkBtn = user.needsIdentityLink
+                ? `<button class="action-btn" onclick="linkUserIdentity('${safeHandleAttr}', '${escapeAttr(user.registrationMethod)}')">绑定身份</button>`
+                : '';
             return `
             <tr>
                 <td>${user.id || '-'}</td>
@@ -591,7 +916,7 @@ async function loadUsers() {
                 <td>${user.inviteCode || '-'}</td>
                 <td>${formatIP(user.ip)}</td>
                 <td>${formatDate(user.registeredAt)}</td>
-                <td>${changeBtn} ${deleteBtn}</td>
+                <td>${changeBtn} ${migrateBtn} ${linkBtn} ${deleteBtn}</td>
             </tr>
         `;
         }).join('');
@@ -658,6 +983,29 @@ async function syncUsersFromServers() {
     }
 }
 
+async function rotateMasterKey() {
+    if (!confirm('确定要轮换主密钥吗？所有服务器的管理员凭据将用新密钥重新加密，旧密钥随即失效，请在完成后备份新的密钥文件。')) return;
+
+    setStatus('正在轮换主密钥...', false);
+
+    try {
+        const response = await fetch('/api/admin/security/rotate-master-key', {
+            method: 'POST',
+            headers: { accept: 'application/json' },
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '主密钥轮换失败', true);
+            return;
+        }
+
+        setStatus(`主密钥轮换完成：重新加密 ${result.servers} 个服务器、${result.oauthProviders} 个登录提供商、${result.admins} 个管理员两步验证密钥，新密钥指纹 ${result.keyId}`, false);
+    } catch (error) {
+        setStatus('主密钥轮换失败，请稍后再试', true);
+    }
+}
+
 async function deleteRemoteUser(handle, serverId) {
     if (!serverId) {
         setStatus('该用户未绑定服务器，无法删除', true);
@@ -723,6 +1071,138 @@ async function changeUserPassword(handle, serverId) {
     }
 }
 
+async function linkUserIdentity(handle, registrationMethod) {
+    const provider = String(registrationMethod || '').replace('oauth:', '');
+    const providerUserId = prompt(`请输入用户 ${handle} 的 ${provider} 用户 ID（用户尝试第三方登录后，可在审计日志「第三方登录」的拒绝记录中查到）：`);
+    if (!providerUserId || !providerUserId.trim()) return;
+
+    if (!confirm(`确认将 ${provider} 用户 ID ${providerUserId.trim()} 绑定到用户 ${handle}？绑定后该第三方账号可以直接登录此用户，请先核实身份。`)) return;
+
+    try {
+        const response = await fetch('/api/admin/users/link-identity', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ handle, providerUserId: providerUserId.trim() }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '绑定失败', true);
+            return;
+        }
+
+        setStatus(`已为用户 ${handle} 绑定 ${result.providerName || provider} 账号`, false);
+        loadUsers();
+    } catch (error) {
+        setStatus('绑定失败，请稍后再试', true);
+    }
+}
+
+async function openMigrateUserModal(handle, serverId) {
+    if (!serverId) {
+        setStatus('该用户未绑定服务器，无法迁移', true);
+        return;
+    }
+
+    const form = document.getElementById('migrate-user-form');
+    form.reset();
+    form.elements['handle'].value = handle;
+    document.getElementById('migrate-user-title').textContent = `迁移用户 - ${handle}`;
+    document.getElementById('migrate-user-result').textContent = '';
+    document.getElementById('migrate-user-submit').disabled = false;
+
+    const select = document.getElementById('migrate-user-server');
+    select.innerHTML = '<option value="">正在加载服务器...</option>';
+    document.getElementById('migrate-user-modal').classList.add('active');
+
+    try {
+        const response = await fetch('/api/admin/servers', {
+            headers: { accept: 'application/json' },
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            select.innerHTML = '<option value="">加载服务器失败</option>';
+            return;
+        }
+
+        const targets = result.servers.filter(server => server.isActive && Number(server.id) !== serverId);
+        select.innerHTML = targets.length
+            ? targets.map(server => {
+                const notes = [
+                    server.registrationPaused ? '暂停注册' : '',
+                    server.isFull ? '已满' : '',
+                    server.health?.status === 'down' ? '不可用' : '',
+                ].filter(Boolean).join('，');
+                return `<option value="${escapeAttr(server.id)}">${escapeHtml(server.name || `服务器 ${server.id}`)}${notes ? `（${notes}）` : ''}</option>`;
+            }).join('')
+            : '<option value="">没有其他启用的服务器</option>';
+    } catch (error) {
+        select.innerHTML = '<option value="">加载服务器失败</option>';
+    }
+}
+
+function closeMigrateUserModal() {
+    document.getElementById('migrate-user-modal').classList.remove('active');
+}
+
+async function migrateUser(form) {
+    const handle = form.elements['handle'].value;
+    const serverId = Number(form.elements['serverId'].value);
+    const resultText = document.getElementById('migrate-user-result');
+    const submitBtn = document.getElementById('migrate-user-submit');
+    if (!serverId) {
+        resultText.textContent = '请选择目标服务器';
+        return;
+    }
+
+    const sourceAction = form.elements['sourceAction'].value;
+    const confirmText = sourceAction === 'delete'
+        ? `确定要迁移用户 ${handle} 吗？迁移完成后将删除原服务器上的账户与数据目录。`
+        : `确定要迁移用户 ${handle} 吗？迁移完成后将停用原服务器上的账户。`;
+    if (!confirm(confirmText)) return;
+
+    submitBtn.disabled = true;
+    resultText.textContent = '正在迁移，请勿关闭页面...';
+
+    try {
+        const response = await fetch('/api/admin/users/migrate', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({
+                handle,
+                serverId,
+                newPassword: form.elements['newPassword'].value.trim(),
+                sourceAction,
+                transferData: form.elements['transferData'].checked,
+            }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            resultText.textContent = result.message || '迁移失败';
+            submitBtn.disabled = false;
+            return;
+        }
+
+        const sourceText = result.source.ok
+            ? ''
+            : `，但处理原账户失败（${result.source.message}），请手动处理`;
+        resultText.textContent = `已迁移到 ${result.serverName}（${result.transferName}）${sourceText}`
+            + (result.password ? `。新密码：${result.password}（只显示这一次，请转告用户）` : '');
+        setStatus(`已迁移用户 ${handle}`, false);
+        loadUsers();
+    } catch (error) {
+        resultText.textContent = '迁移失败，请稍后再试';
+        submitBtn.disabled = false;
+    }
+}
+
 function renderUsersPagination(pagination) {
     const { page, limit, total, totalPages } = pagination;
     const paginationDiv = document.getElementById('users-pagination');
@@ -821,6 +1301,19 @@ async function loadInviteCodes() {
             return;
         }
 
+        // 创建邀请码时可指定的服务器
+        const inviteServerSelect = document.getElementById('invite-server-select');
+        if (inviteServerSelect && Array.isArray(result.servers)) {
+            const selected = inviteServerSelect.value;
+            inviteServerSelect.innerHTML = '<option value="">不指定</option>' + result.servers
+                .map(server => `<option value="${server.id}">${escapeAttr(server.name)}</option>`)
+                .join('');
+            inviteServerSelect.value = selected;
+            inviteServerSelect.title = result.assignment?.strategy === 'invite-pinned'
+                ? ''
+                : '当前分配策略不是 invite-pinned，指定的服务器暂不生效';
+        }
+
         // 更新删除按钮的显示状态
         const deleteAllBtn = document.getElementById('delete-all-btn');
         const deleteUsedBtn = document.getElementById('delete-used-btn');
@@ -840,7 +1333,7 @@ async function loadInviteCodes() {
                 loadInviteCodes();
                 return;
             }
-            tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">暂无邀请码</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="9" style="text-align: center;">暂无邀请码</td></tr>';
             if (deleteAllBtn) deleteAllBtn.style.display = 'none';
             const deleteUsedBtn = document.getElementById('delete-used-btn');
             if (deleteUsedBtn) deleteUsedBtn.style.display = 'none';
@@ -892,12 +1385,14 @@ async function loadInviteCodes() {
                     <td>${code.usedCount || 0}</td>
                     <td>${code.maxUses || 1}</td>
                     <td>${formatDate(code.expiresAt)}</td>
+                    <td>${code.serverName ? escapeHtml(code.serverName) : '-'}</td>
                     <td>${formatDate(code.createdAt)}</td>
                     <td>
                         ${code.isActive ? 
                             `<button class="action-btn btn-danger" onclick="toggleInviteCode('${safeCodeAttr}', false)">禁用</button>` :
                             `<button class="action-btn btn-success" onclick="toggleInviteCode('${safeCodeAttr}', true)">启用</button>`
                         }
+                        <button class="action-btn" onclick="sendInviteCode('${safeCodeAttr}')">发送</button>
                         <button class="action-btn btn-danger" onclick="deleteInviteCode('${safeCodeAttr}')">删除</button>
                     </td>
                 </tr>
@@ -1008,6 +1503,33 @@ async function toggleInviteCode(code, isActive) {
     }
 }
 
+async function sendInviteCode(code) {
+    const email = prompt(`请输入接收邀请码 ${code} 的邮箱地址：`);
+    if (!email || !email.trim()) return;
+    const locale = confirm('使用英文邮件？（取消则使用中文）') ? 'en' : 'zh-CN';
+
+    try {
+        const response = await fetch(`/api/admin/invite-codes/${encodeURIComponent(code)}/send`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ email: email.trim(), locale }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '发送失败', true);
+            return;
+        }
+
+        setStatus(result.message || '邀请已发送', false);
+    } catch (error) {
+        setStatus('发送失败，请稍后再试', true);
+    }
+}
+
 async function deleteInviteCode(code) {
     if (!confirm(`确定要删除邀请码 ${code} 吗？此操作不可恢复！`)) {
         return;
@@ -1223,7 +1745,7 @@ async function editServer(id) {
     if (modal) modal.classList.add('active');
 
     try {
-        // 从 API 获取完整的服务器信息（包括管理员账号密码）
+        // 从 API 获取服务器信息（不包含管理员账号密码）
         const response = await fetch(`/api/admin/servers/${id}`, {
             headers: { accept: 'application/json' },
         });
@@ -1248,8 +1770,9 @@ async function editServer(id) {
         form.elements['id'].value = server.id;
         form.elements['name'].value = server.name || '';
         form.elements['url'].value = server.url || '';
-        form.elements['admin_username'].value = server.admin_username || '';
-        form.elements['admin_password'].value = ''; // 不显示密码，只有在修改时才填写
+        // 管理员凭据加密保存且不会返回，只有在修改时才填写
+        form.elements['admin_username'].value = '';
+        form.elements['admin_password'].value = '';
         form.elements['description'].value = server.description || '';
         form.elements['provider'].value = server.provider || '';
         form.elements['maintainer'].value = server.maintainer || '';
@@ -1259,6 +1782,8 @@ async function editServer(id) {
         form.elements['storageLimitUnit'].value = (server.storageLimitUnit || 'mb').toLowerCase();
         form.elements['localDataRoot'].value = server.localDataRoot || '';
         form.elements['storageCheckIntervalMinutes'].value = server.storageCheckIntervalMinutes ?? '';
+        form.elements['assignmentWeight'].value = server.assignmentWeight ?? 1;
+        form.elements['maxUsers'].value = server.maxUsers ?? '';
         
         // 设置注册暂停状态（如果有复选框）
         const registrationPausedInput = form.elements['registrationPaused'];
@@ -1276,4 +1801,1515 @@ async function editServer(id) {
 function closeEditModal() {
     const modal = document.getElementById('edit-server-modal');
     if (modal) modal.classList.remove('active');
-}
\ No newline at end of file
+}
+
+// ==================== 登录提供商 ====================
+
+const OAUTH_SOURCE_LABELS = {
+    builtin: '内置',
+    config: '环境变量',
+    admin: '后台添加',
+};
+
+async function loadOAuthProviders() {
+    try {
+        const response = await fetch('/api/admin/oauth-providers', {
+            headers: { accept: 'application/json' },
+        });
+
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success) return;
+
+        window.currentOAuthProviders = result.providers;
+
+        const tbody = document.getElementById('oauth-providers-tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = result.providers.map(provider => `
+            <tr>
+                <td>${escapeHtml(provider.id)}</td>
+                <td>${escapeHtml(provider.name)}</td>
+                <td>${provider.type === 'oidc' ? 'OIDC' : 'OAuth2'}${provider.pkce ? ' + PKCE' : ''}</td>
+                <td>${OAUTH_SOURCE_LABELS[provider.source] || provider.source}</td>
+                <td>
+                    <span class="badge ${provider.enabled ? 'badge-success' : 'badge-error'}">
+                        ${provider.enabled ? '已启用' : '未启用'}
+                    </span>
+                </td>
+                <td><code>${escapeHtml(provider.callbackUrl)}</code></td>
+                <td>
+                    ${provider.editable ? `
+                        <button class="action-btn btn-success" onclick="editOAuthProvider('${escapeAttr(provider.id)}')" style="margin-right: 0.5rem; background: rgba(59, 130, 246, 0.2); color: #3b82f6; border-color: #3b82f6;">编辑</button>
+                        ${provider.enabled ?
+                            `<button class="action-btn btn-danger" onclick="toggleOAuthProvider('${escapeAttr(provider.id)}', false)">停用</button>` :
+                            `<button class="action-btn btn-success" onclick="toggleOAuthProvider('${escapeAttr(provider.id)}', true)">启用</button>`
+                        }
+                        <button class="action-btn btn-danger" onclick="deleteOAuthProvider('${escapeAttr(provider.id)}')">删除</button>
+                    ` : '<span style="color: rgba(240, 244, 255, 0.5);">通过环境变量配置</span>'}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('加载登录提供商失败:', error);
+    }
+}
+
+function readOAuthProviderForm(form) {
+    const formData = new FormData(form);
+    const text = (name) => String(formData.get(name) || '').trim();
+    return {
+        id: text('id'),
+        name: text('name'),
+        type: text('type'),
+        issuer: text('issuer'),
+        clientId: text('clientId'),
+        clientSecret: text('clientSecret'),
+        scope: text('scope'),
+        authUrl: text('authUrl'),
+        tokenUrl: text('tokenUrl'),
+        userInfoUrl: text('userInfoUrl'),
+        claims: {
+            id: text('claimId'),
+            username: text('claimUsername'),
+            displayName: text('claimDisplayName'),
+            email: text('claimEmail'),
+        },
+        pkce: form.elements['pkce'].checked,
+        enabled: form.elements['enabled'].checked,
+    };
+}
+
+async function saveOAuthProvider() {
+    const form = document.getElementById('oauth-provider-form');
+    if (!form) return;
+    setStatus('');
+
+    const editingId = form.elements['editingId'].value;
+    const data = readOAuthProviderForm(form);
+
+    try {
+        const response = await fetch(editingId ? `/api/admin/oauth-providers/${encodeURIComponent(editingId)}` : '/api/admin/oauth-providers', {
+            method: editingId ? 'PUT' : 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify(data),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '保存失败', true);
+            return;
+        }
+
+        setStatus(`登录提供商已保存，请在提供商处登记回调地址 ${result.provider.callbackUrl}`, false);
+        resetOAuthProviderForm();
+        loadOAuthProviders();
+    } catch (error) {
+        setStatus('保存失败，请稍后再试', true);
+    }
+}
+
+async function discoverOAuthProvider() {
+    const form = document.getElementById('oauth-provider-form');
+    if (!form) return;
+
+    const issuer = String(form.elements['issuer'].value || '').trim();
+    if (!issuer) {
+        setStatus('请先填写签发者地址', true);
+        return;
+    }
+
+    setStatus('正在读取发现文档...', false);
+    try {
+        const response = await fetch('/api/admin/oauth-providers/discover', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ issuer }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '自动发现失败', true);
+            return;
+        }
+
+        const pkceText = result.pkceSupported === false ? '，不支持 PKCE S256' : '';
+        setStatus(`自动发现成功：授权地址 ${result.authUrl}，令牌地址 ${result.tokenUrl}${pkceText}`, false);
+    } catch (error) {
+        setStatus('自动发现失败，请稍后再试', true);
+    }
+}
+
+function editOAuthProvider(id) {
+    const provider = (window.currentOAuthProviders || []).find(item => item.id === id);
+    const form = document.getElementById('oauth-provider-form');
+    if (!provider || !form) return;
+
+    form.elements['editingId'].value = provider.id;
+    form.elements['id'].value = provider.id;
+    form.elements['id'].readOnly = true;
+    form.elements['name'].value = provider.name || '';
+    form.elements['type'].value = provider.type || 'oidc';
+    form.elements['issuer'].value = provider.issuer || '';
+    form.elements['clientId'].value = provider.clientId || '';
+    // 客户端密钥加密保存且不会返回，只有在修改时才填写
+    form.elements['clientSecret'].value = '';
+    form.elements['scope'].value = provider.scope || '';
+    form.elements['authUrl'].value = provider.authUrl || '';
+    form.elements['tokenUrl'].value = provider.tokenUrl || '';
+    form.elements['userInfoUrl'].value = provider.userInfoUrl || '';
+    form.elements['claimId'].value = provider.claims?.id || '';
+    form.elements['claimUsername'].value = provider.claims?.username || '';
+    form.elements['claimDisplayName'].value = provider.claims?.displayName || '';
+    form.elements['claimEmail'].value = provider.claims?.email || '';
+    form.elements['pkce'].checked = provider.pkce !== false;
+    form.elements['enabled'].checked = provider.enabled !== false;
+
+    document.getElementById('oauth-provider-form-title').textContent = `编辑登录提供商 ${provider.id}`;
+    document.getElementById('oauth-provider-submit').textContent = '保存更改';
+    document.getElementById('cancel-oauth-edit-btn').style.display = '';
+    form.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetOAuthProviderForm() {
+    const form = document.getElementById('oauth-provider-form');
+    if (!form) return;
+
+    form.reset();
+    form.elements['editingId'].value = '';
+    form.elements['id'].readOnly = false;
+    document.getElementById('oauth-provider-form-title').textContent = '添加登录提供商';
+    document.getElementById('oauth-provider-submit').textContent = '添加提供商';
+    document.getElementById('cancel-oauth-edit-btn').style.display = 'none';
+}
+
+async function toggleOAuthProvider(id, enabled) {
+    if (!confirm(`确定要${enabled ? '启用' : '停用'}该登录提供商吗？${enabled ? '' : '停用后登录页不再显示该按钮，已绑定的用户也无法用它登录。'}`)) return;
+
+    try {
+        const response = await fetch(`/api/admin/oauth-providers/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ enabled }),
+        });
+
+        if (response.ok) {
+            loadOAuthProviders();
+        } else {
+            const data = await response.json();
+            setStatus(data.message || '操作失败', true);
+        }
+    } catch (error) {
+        setStatus('操作失败', true);
+    }
+}
+
+async function deleteOAuthProvider(id) {
+    if (!confirm('确定要删除该登录提供商吗？已绑定的第三方身份会保留，重新添加相同 ID 的提供商后可继续登录。')) return;
+
+    try {
+        const response = await fetch(`/api/admin/oauth-providers/${encodeURIComponent(id)}`, {
+            method: 'DELETE',
+        });
+
+        if (response.ok) {
+            loadOAuthProviders();
+            setStatus('登录提供商已删除', false);
+        } else {
+            const data = await response.json();
+            setStatus(data.message || '删除失败', true);
+        }
+    } catch (error) {
+        setStatus('删除失败', true);
+    }
+}
+
+// ==================== IP 策略 ====================
+
+let ipRuleTypes = {};
+
+/**
+ * 描述决定注册结果的 IP 规则
+ */
+function describeIpRule(rule) {
+    if (!rule) return '未命中任何规则';
+    const name = ipRuleTypes[rule.type] || rule.type;
+    const parts = [name];
+    if (rule.cidr) parts.push(rule.cidr);
+    if (rule.limit) {
+        const windowText = rule.windowHours ? `${rule.windowHours} 小时内` : '';
+        parts.push(`${windowText}已注册 ${rule.count} 个 / 上限 ${rule.limit} 个`);
+    }
+    if (rule.note) parts.push(`备注：${rule.note}`);
+    return parts.join('，');
+}
+
+async function loadIpPolicy() {
+    try {
+        const response = await fetch('/api/admin/ip-rules', {
+            headers: { accept: 'application/json' },
+        });
+
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success) return;
+
+        ipRuleTypes = result.ruleTypes || {};
+
+        const { policy } = result;
+        const summary = document.getElementById('ip-policy-summary');
+        if (summary) {
+            if (!policy.enabled) {
+                summary.textContent = '注册上限未启用（ENABLE_IP_LIMIT=false），只按名单拦截。';
+            } else {
+                const windowText = policy.windowHours ? `${policy.windowHours} 小时内` : '不限时间';
+                const subnetText = policy.maxPerSubnet > 0
+                    ? `同一网段（IPv4 /${policy.ipv4SubnetPrefix}、IPv6 /${policy.ipv6SubnetPrefix}）最多 ${policy.maxPerSubnet} 个`
+                    : '不限制网段';
+                const ipText = policy.maxPerIp > 0 ? `每个 IP 最多 ${policy.maxPerIp} 个` : '不限制单个 IP';
+                summary.textContent = `统计范围：${windowText}；${ipText}；${subnetText}。`;
+            }
+        }
+
+        const rulesTbody = document.getElementById('ip-rules-tbody');
+        if (rulesTbody) {
+            rulesTbody.innerHTML = result.rules.length === 0
+                ? '<tr><td colspan="6" style="text-align: center;">暂无名单规则</td></tr>'
+                : result.rules.map(rule => `
+                    <tr>
+                        <td><code>${escapeHtml(rule.cidr)}</code></td>
+                        <td>
+                            <span class="badge ${rule.action === 'deny' ? 'badge-error' : 'badge-success'}">
+                                ${rule.action === 'deny' ? '禁止' : '允许'}
+                            </span>
+                        </td>
+                        <td>${escapeHtml(rule.note || '-')}</td>
+                        <td>${escapeHtml(rule.createdBy || '-')}</td>
+                        <td>${formatDate(rule.createdAt)}</td>
+                        <td>
+                            <button class="action-btn btn-danger" onclick="deleteIpRule('${escapeAttr(rule.cidr)}')">删除</button>
+                        </td>
+                    </tr>
+                `).join('');
+        }
+
+        const blocksTbody = document.getElementById('ip-blocks-tbody');
+        if (blocksTbody) {
+            blocksTbody.innerHTML = result.blocks.length === 0
+                ? '<tr><td colspan="5" style="text-align: center;">暂无拦截记录</td></tr>'
+                : result.blocks.map(block => `
+                    <tr>
+                        <td>${formatDate(block.createdAt)}</td>
+                        <td>${block.action === 'user.oauth.register' ? '第三方登录' : '手动注册'}</td>
+                        <td>${escapeHtml(block.actor || '-')}</td>
+                        <td>${escapeHtml(formatIP(block.ip))}</td>
+                        <td>${escapeHtml(describeIpRule(block.rule))}</td>
+                    </tr>
+                `).join('');
+        }
+    } catch (error) {
+        console.error('加载 IP 策略失败:', error);
+    }
+}
+
+async function createIpRule() {
+    const form = document.getElementById('ip-rule-form');
+    if (!form) return;
+    setStatus('');
+
+    const formData = new FormData(form);
+    try {
+        const response = await fetch('/api/admin/ip-rules', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({
+                cidr: String(formData.get('cidr') || '').trim(),
+                action: formData.get('action'),
+                note: String(formData.get('note') || '').trim(),
+            }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '添加失败', true);
+            return;
+        }
+
+        setStatus(`已添加规则 ${result.rule.cidr}`, false);
+        form.reset();
+        loadIpPolicy();
+    } catch (error) {
+        setStatus('添加失败，请稍后再试', true);
+    }
+}
+
+async function deleteIpRule(cidr) {
+    if (!confirm(`确定要删除规则 ${cidr} 吗？`)) return;
+
+    try {
+        const response = await fetch(`/api/admin/ip-rules/${encodeURIComponent(cidr)}`, {
+            method: 'DELETE',
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '删除失败', true);
+            return;
+        }
+
+        setStatus(`规则 ${cidr} 已删除`, false);
+        loadIpPolicy();
+    } catch (error) {
+        setStatus('删除失败', true);
+    }
+}
+
+async function testIpPolicy() {
+    const form = document.getElementById('ip-test-form');
+    const output = document.getElementById('ip-test-result');
+    if (!form || !output) return;
+
+    const ip = String(new FormData(form).get('ip') || '').trim();
+    try {
+        const response = await fetch('/api/admin/ip-rules/test', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ ip }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            output.textContent = result.message || '检查失败';
+            return;
+        }
+
+        const { decision } = result;
+        output.textContent = `${result.ip}：${decision.allowed ? '允许注册' : '拒绝注册'}（${describeIpRule(decision.rule)}）`;
+    } catch (error) {
+        output.textContent = '检查失败，请稍后再试';
+    }
+}
+
+// ==================== 邮箱域名策略 ====================
+
+let emailRuleTypes = {};
+
+/**
+ * 描述决定邮箱能否注册的规则
+ */
+function describeEmailRule(rule) {
+    if (!rule) return '未命中任何规则';
+    const parts = [emailRuleTypes[rule.type] || rule.type];
+    if (rule.domain) parts.push(rule.domain);
+    if (rule.note) parts.push(`备注：${rule.note}`);
+    return parts.join('，');
+}
+
+async function loadEmailPolicy() {
+    try {
+        const response = await fetch('/api/admin/email-domain-rules', {
+            headers: { accept: 'application/json' },
+        });
+
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success) return;
+
+        emailRuleTypes = result.ruleTypes || {};
+
+        const { policy } = result;
+        const summary = document.getElementById('email-policy-summary');
+        if (summary) {
+            const modeText = policy.mode === 'allowlist'
+                ? '仅允许名单中的域名注册'
+                : '除禁止名单外的域名都可以注册';
+            const disposableText = policy.blockDisposable
+                ? `拒绝内置列表中的 ${policy.disposableDomainCount} 个临时邮箱域名`
+                : '不拦截临时邮箱';
+            summary.textContent = `当前模式：${result.modes[policy.mode] || policy.mode}（${modeText}）；${disposableText}。`;
+        }
+
+        const rulesTbody = document.getElementById('email-domain-rules-tbody');
+        if (rulesTbody) {
+            rulesTbody.innerHTML = result.rules.length === 0
+                ? '<tr><td colspan="6" style="text-align: center;">暂无名单规则</td></tr>'
+                : result.rules.map(rule => `
+                    <tr>
+                        <td><code>${escapeHtml(rule.domain)}</code></td>
+                        <td>
+                            <span class="badge ${rule.action === 'deny' ? 'badge-error' : 'badge-success'}">
+                                ${rule.action === 'deny' ? '禁止' : '允许'}
+                            </span>
+                        </td>
+                        <td>${escapeHtml(rule.note || '-')}</td>
+                        <td>${escapeHtml(rule.createdBy || '-')}</td>
+                        <td>${formatDate(rule.createdAt)}</td>
+                        <td>
+                            <button class="action-btn btn-danger" onclick="deleteEmailDomainRule('${escapeAttr(rule.domain)}')">删除</button>
+                        </td>
+                    </tr>
+                `).join('');
+        }
+
+        const blocksTbody = document.getElementById('email-blocks-tbody');
+        if (blocksTbody) {
+            const actionNames = {
+                'user.email-code.send': '发送验证码',
+                'user.register': '手动注册',
+                'user.oauth.register': '第三方登录',
+            };
+            blocksTbody.innerHTML = result.blocks.length === 0
+                ? '<tr><td colspan="5" style="text-align: center;">暂无拦截记录</td></tr>'
+                : result.blocks.map(block => `
+                    <tr>
+                        <td>${formatDate(block.createdAt)}</td>
+                        <td>${escapeHtml(actionNames[block.action] || block.action)}</td>
+                        <td>${escapeHtml(block.actor || '-')}</td>
+                        <td>${escapeHtml(block.email || '-')}</td>
+                        <td>${escapeHtml(describeEmailRule(block.rule))}</td>
+                    </tr>
+                `).join('');
+        }
+    } catch (error) {
+        console.error('加载邮箱域名策略失败:', error);
+    }
+}
+
+async function createEmailDomainRule() {
+    const form = document.getElementById('email-domain-rule-form');
+    if (!form) return;
+    setStatus('');
+
+    const formData = new FormData(form);
+    try {
+        const response = await fetch('/api/admin/email-domain-rules', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({
+                domain: String(formData.get('domain') || '').trim(),
+                action: formData.get('action'),
+                note: String(formData.get('note') || '').trim(),
+            }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '添加失败', true);
+            return;
+        }
+
+        setStatus(`已添加规则 ${result.rule.domain}`, false);
+        form.reset();
+        loadEmailPolicy();
+    } catch (error) {
+        setStatus('添加失败，请稍后再试', true);
+    }
+}
+
+async function deleteEmailDomainRule(domain) {
+    if (!confirm(`确定要删除规则 ${domain} 吗？`)) return;
+
+    try {
+        const response = await fetch(`/api/admin/email-domain-rules/${encodeURIComponent(domain)}`, {
+            method: 'DELETE',
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '删除失败', true);
+            return;
+        }
+
+        setStatus(`规则 ${domain} 已删除`, false);
+        loadEmailPolicy();
+    } catch (error) {
+        setStatus('删除失败', true);
+    }
+}
+
+async function testEmailPolicy() {
+    const form = document.getElementById('email-test-form');
+    const output = document.getElementById('email-test-result');
+    if (!form || !output) return;
+
+    const email = String(new FormData(form).get('email') || '').trim();
+    try {
+        const response = await fetch('/api/admin/email-domain-rules/test', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ email }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            output.textContent = result.message || '检查失败';
+            return;
+        }
+
+        const { decision } = result;
+        const usedText = result.used ? `，已被注册（查重形式 ${result.canonical}）` : '';
+        output.textContent = `${result.email}：${decision.allowed ? '允许注册' : '拒绝注册'}（${describeEmailRule(decision.rule)}）${usedText}`;
+    } catch (error) {
+        output.textContent = '检查失败，请稍后再试';
+    }
+}
+
+// ==================== 邮件模板 ====================
+
+let emailTemplates = [];
+
+async function loadEmailTemplates() {
+    const form = document.getElementById('email-template-form');
+    if (!form) return;
+
+    try {
+        const response = await fetch('/api/admin/email-templates', {
+            headers: { accept: 'application/json' },
+        });
+
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success) return;
+
+        emailTemplates = result.templates;
+        const selectedName = form.template.value;
+        const selectedLocale = form.locale.value || result.defaultLocale;
+        form.template.innerHTML = emailTemplates.map(template => {
+            const overridden = template.overriddenLocales.length ? '（已修改）' : '';
+            return `<option value="${escapeAttr(template.id)}">${escapeHtml(template.name)}${overridden}</option>`;
+        }).join('');
+        form.locale.innerHTML = Object.entries(result.locales)
+            .map(([locale, label]) => `<option value="${escapeAttr(locale)}">${escapeHtml(label)}</option>`)
+            .join('');
+        if (selectedName) form.template.value = selectedName;
+        form.locale.value = selectedLocale;
+
+        await loadEmailTemplateSource();
+    } catch (error) {
+        console.error('加载邮件模板失败:', error);
+    }
+}
+
+function getEmailTemplatePath() {
+    const form = document.getElementById('email-template-form');
+    return `/api/admin/email-templates/${encodeURIComponent(form.template.value)}/${encodeURIComponent(form.locale.value)}`;
+}
+
+function renderEmailTemplateSource(source) {
+    const form = document.getElementById('email-template-form');
+    const template = emailTemplates.find(item => item.id === form.template.value);
+    form.html.value = source.html || '';
+    form.text.value = source.text || '';
+    document.getElementById('email-template-text-field').style.display = template?.htmlOnly ? 'none' : '';
+    document.getElementById('email-template-reset-btn').style.display =
+        source.overridden.html || source.overridden.text ? '' : 'none';
+
+    const variables = document.getElementById('email-template-variables');
+    if (variables && template) {
+        const status = source.overridden.html || source.overridden.text ? '当前语言已修改' : '当前语言使用内置模板';
+        variables.textContent = `可用变量：${template.variables.map(name => `{{${name}}}`).join('、')}；${status}`;
+    }
+}
+
+async function loadEmailTemplateSource() {
+    const form = document.getElementById('email-template-form');
+    if (!form || !form.template.value) return;
+
+    try {
+        const response = await fetch(getEmailTemplatePath(), {
+            headers: { accept: 'application/json' },
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '读取模板失败', true);
+            return;
+        }
+
+        renderEmailTemplateSource(result);
+        await previewEmailTemplate();
+    } catch (error) {
+        setStatus('读取模板失败', true);
+    }
+}
+
+function readEmailTemplateDraft() {
+    const form = document.getElementById('email-template-form');
+    const template = emailTemplates.find(item => item.id === form.template.value);
+    return template?.htmlOnly ? { html: form.html.value } : { html: form.html.value, text: form.text.value };
+}
+
+async function previewEmailTemplate() {
+    const frame = document.getElementById('email-template-preview');
+    const subject = document.getElementById('email-template-preview-subject');
+    const text = document.getElementById('email-template-preview-text');
+    if (!frame) return;
+
+    try {
+        const response = await fetch(`${getEmailTemplatePath()}/preview`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify(readEmailTemplateDraft()),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '预览失败', true);
+            return;
+        }
+
+        const { preview } = result;
+        frame.srcdoc = preview.html;
+        if (subject) subject.textContent = `标题：${preview.subject}`;
+        if (text) text.textContent = preview.text;
+    } catch (error) {
+        setStatus('预览失败', true);
+    }
+}
+
+async function saveEmailTemplate() {
+    setStatus('');
+    try {
+        const response = await fetch(getEmailTemplatePath(), {
+            method: 'PUT',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify(readEmailTemplateDraft()),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '保存失败', true);
+            return;
+        }
+
+        setStatus('模板已保存', false);
+        await loadEmailTemplates();
+    } catch (error) {
+        setStatus('保存失败，请稍后再试', true);
+    }
+}
+
+async function resetEmailTemplate() {
+    if (!confirm('确定要放弃修改、恢复为内置模板吗？')) return;
+
+    try {
+        const response = await fetch(getEmailTemplatePath(), {
+            method: 'DELETE',
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '恢复失败', true);
+            return;
+        }
+
+        setStatus('已恢复为内置模板', false);
+        await loadEmailTemplates();
+    } catch (error) {
+        setStatus('恢复失败', true);
+    }
+}
+
+// ==================== 注册审核 ====================
+
+async function loadApplications() {
+    const select = document.getElementById('applications-status-select');
+    const status = select ? select.value : 'pending_approval';
+
+    try {
+        const response = await fetch(`/api/admin/applications?status=${encodeURIComponent(status)}`, {
+            headers: { accept: 'application/json' },
+        });
+
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success) return;
+
+        const summary = document.getElementById('applications-summary');
+        if (summary) {
+            const counts = Object.entries(result.statuses)
+                .map(([value, label]) => `${label} ${result.counts[value] || 0}`)
+                .join('，');
+            summary.textContent = `注册审核：${result.enabled ? '已开启' : '未开启'}；${counts}。`;
+        }
+
+        const tbody = document.getElementById('applications-tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = result.applications.length === 0
+            ? '<tr><td colspan="8" style="text-align: center;">暂无申请</td></tr>'
+            : result.applications.map(item => {
+                const application = item.application;
+                const answers = application?.submittedAt
+                    ? (application.answers.length
+                        ? application.answers.map(answer => `<div><strong>${escapeHtml(answer.label)}：</strong>${escapeHtml(answer.answer || '-')}</div>`).join('')
+                        : '-')
+                    : '<span style="color: rgba(240, 244, 255, 0.6);">尚未填写申请表</span>';
+                const reviewText = item.status === 'rejected' && application?.reason
+                    ? `<div style="color: rgba(240, 244, 255, 0.6); margin-top: 0.25rem;">原因：${escapeHtml(application.reason)}（${escapeHtml(application.reviewedBy || '-')}）</div>`
+                    : '';
+                return `
+                    <tr>
+                        <td><strong>${escapeHtml(item.handle)}</strong></td>
+                        <td>${escapeHtml(item.name || '-')}</td>
+                        <td>${escapeHtml(item.email || '-')}</td>
+                        <td>${escapeHtml(item.registrationMethod)}</td>
+                        <td style="max-width: 360px; white-space: pre-wrap;">${answers}</td>
+                        <td>
+                            <span class="badge ${item.status === 'rejected' ? 'badge-error' : 'badge-warning'}">${escapeHtml(result.statuses[item.status] || item.status)}</span>
+                            ${reviewText}
+                        </td>
+                        <td>${formatDate(application?.submittedAt || item.registeredAt)}</td>
+                        <td>
+                            ${item.status === 'pending_approval' ? `
+                                <button class="action-btn" onclick="reviewApplication('${escapeAttr(item.handle)}', 'approve')">通过</button>
+                                <button class="action-btn btn-danger" onclick="reviewApplication('${escapeAttr(item.handle)}', 'reject')">拒绝</button>
+                            ` : '-'}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+    } catch (error) {
+        console.error('加载注册申请失败:', error);
+    }
+}
+
+async function reviewApplication(handle, decision) {
+    let reason = '';
+    if (decision === 'reject') {
+        reason = prompt(`请输入拒绝 ${handle} 的原因（会发送给用户）：`);
+        if (reason === null) return;
+        if (!reason.trim()) {
+            setStatus('请填写拒绝原因', true);
+            return;
+        }
+    } else if (!confirm(`确定通过 ${handle} 的注册申请吗？`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/admin/applications/${encodeURIComponent(handle)}/${decision}`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ reason }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '操作失败', true);
+            return;
+        }
+
+        setStatus(result.message, false);
+        loadApplications();
+    } catch (error) {
+        setStatus('操作失败', true);
+    }
+}
+
+// ==================== 邮件队列 ====================
+
+let mailQueuePage = 1;
+
+async function loadMailQueue(page = mailQueuePage) {
+    const select = document.getElementById('mail-queue-status-select');
+    const status = select ? select.value : '';
+    mailQueuePage = page;
+
+    try {
+        const params = new URLSearchParams({ page: String(page), limit: '20' });
+        if (status) params.set('status', status);
+        const response = await fetch(`/api/admin/mail-queue?${params}`, {
+            headers: { accept: 'application/json' },
+        });
+
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success) return;
+
+        const { queue, statuses } = result;
+        if (select && select.options.length <= 1) {
+            select.innerHTML = '<option value="">全部</option>' + Object.entries(statuses)
+                .map(([value, label]) => `<option value="${escapeAttr(value)}">${escapeHtml(label)}</option>`)
+                .join('');
+            select.value = status;
+        }
+
+        const summary = document.getElementById('mail-queue-summary');
+        if (summary) {
+            const transport = queue.transport;
+            const transportText = transport.outboxDir
+                ? `${transport.name}（保存到 ${transport.outboxDir}${transport.sinkPort ? `，监听端口 ${transport.sinkPort}` : ''}）`
+                : transport.name;
+            const counts = Object.entries(statuses)
+                .map(([value, label]) => `${label} ${queue.counts[value] || 0}`)
+                .join('，');
+            summary.textContent = `发送方式：${transportText}${transport.configured ? '' : '（未配置）'}；${counts}；`
+                + `最多尝试 ${queue.maxAttempts} 次，首次重试间隔 ${queue.retryBaseSeconds} 秒，`
+                + `已发送记录${queue.retentionDays ? `保留 ${queue.retentionDays} 天` : '永久保留'}。`;
+        }
+
+        const badgeClasses = {
+            pending: 'badge-warning',
+            sending: 'badge-warning',
+            sent: 'badge-success',
+            failed: 'badge-error',
+        };
+        const tbody = document.getElementById('mail-queue-tbody');
+        if (tbody) {
+            tbody.innerHTML = result.mails.length === 0
+                ? '<tr><td colspan="9" style="text-align: center;">暂无邮件</td></tr>'
+                : result.mails.map(mail => `
+                    <tr>
+                        <td>${mail.id}</td>
+                        <td>${escapeHtml(mail.to)}</td>
+                        <td>${escapeHtml(mail.subject || mail.template)}</td>
+                        <td><span class="badge ${badgeClasses[mail.status] || ''}">${escapeHtml(statuses[mail.status] || mail.status)}</span></td>
+                        <td>${mail.attempts}</td>
+                        <td>${escapeHtml(mail.lastError || '-')}</td>
+                        <td>${formatDate(mail.createdAt)}</td>
+                        <td>${mail.status === 'sent' ? formatDate(mail.sentAt) : formatDate(mail.nextAttemptAt)}</td>
+                        <td>
+                            ${mail.status === 'failed' && !mail.contentRemoved
+                                ? `<button class="action-btn" onclick="retryMail(${mail.id})">重新发送</button>`
+                                : ''}
+                            ${mail.status !== 'sending'
+                                ? `<button class="action-btn btn-danger" onclick="deleteMail(${mail.id})">删除</button>`
+                                : ''}
+                        </td>
+                    </tr>
+                `).join('');
+        }
+
+        renderMailQueuePagination(result.pagination);
+    } catch (error) {
+        console.error('加载邮件队列失败:', error);
+    }
+}
+
+function renderMailQueuePagination({ page, limit, total, totalPages }) {
+    const paginationDiv = document.getElementById('mail-queue-pagination');
+    const infoDiv = document.getElementById('mail-queue-pagination-info');
+    if (!paginationDiv || !infoDiv) return;
+
+    infoDiv.textContent = total > 0
+        ? `显示 ${(page - 1) * limit + 1}-${Math.min(page * limit, total)} 条，共 ${total} 条`
+        : '共 0 条';
+
+    if (totalPages <= 1) {
+        paginationDiv.innerHTML = '';
+        return;
+    }
+    paginationDiv.innerHTML = `
+        <button class="pagination-btn" ${page === 1 ? 'disabled' : ''} onclick="loadMailQueue(${page - 1})">上一页</button>
+        <span style="padding: 0 0.5rem;">${page} / ${totalPages}</span>
+        <button class="pagination-btn" ${page === totalPages ? 'disabled' : ''} onclick="loadMailQueue(${page + 1})">下一页</button>
+    `;
+}
+
+async function retryMail(id) {
+    try {
+        const response = await fetch(`/api/admin/mail-queue/${id}/retry`, {
+            method: 'POST',
+            headers: { accept: 'application/json' },
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '重新发送失败', true);
+            return;
+        }
+
+        setStatus(`邮件 #${id} 已重新加入发送队列`, false);
+        loadMailQueue();
+    } catch (error) {
+        setStatus('重新发送失败', true);
+    }
+}
+
+async function deleteMail(id) {
+    if (!confirm(`确定要删除邮件 #${id} 吗？`)) return;
+
+    try {
+        const response = await fetch(`/api/admin/mail-queue/${id}`, {
+            method: 'DELETE',
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '删除失败', true);
+            return;
+        }
+
+        setStatus(`邮件 #${id} 已删除`, false);
+        loadMailQueue();
+    } catch (error) {
+        setStatus('删除失败', true);
+    }
+}
+
+// ==================== 管理员账号 ====================
+
+async function loadCurrentAdmin() {
+    try {
+        const response = await fetch('/api/admin/me', {
+            headers: { accept: 'application/json' },
+        });
+
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success) return;
+
+        window.currentAdmin = result.admin;
+        const permissions = new Set(result.permissions);
+
+        const identity = document.getElementById('admin-identity');
+        if (identity) {
+            identity.textContent = `${result.admin.username}（${result.admin.roleName}）`;
+        }
+
+        // 必须启用两步验证但尚未绑定：隐藏全部管理功能，直接进入绑定流程
+        if (result.admin.twoFactorRequired && !result.admin.twoFactorEnabled) {
+            document.querySelectorAll('[data-permission]').forEach(element => {
+                element.style.display = 'none';
+            });
+            document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+            setStatus('请先绑定两步验证后再使用管理功能', true);
+            openTwoFactorModal();
+            return;
+        }
+
+        // 隐藏当前角色无权使用的标签页与按钮
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.style.display = permissions.has(element.dataset.permission) ? '' : 'none';
+        });
+
+        const firstTab = [...document.querySelectorAll('.tab')].find(tab => permissions.has(tab.dataset.permission));
+        if (firstTab) {
+            firstTab.click();
+        } else {
+            document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+        }
+
+        if (permissions.has('servers:manage')) {
+            loadUsersSyncServers();
+        }
+    } catch (error) {
+        console.error('加载管理员信息失败:', error);
+    }
+}
+
+async function loadAdminAccounts() {
+    try {
+        const response = await fetch('/api/admin/accounts', {
+            headers: { accept: 'application/json' },
+        });
+
+        if (!response.ok) return;
+
+        const result = await response.json();
+        if (!result.success) return;
+
+        const roleSelect = document.getElementById('admin-role-select');
+        if (roleSelect && roleSelect.options.length === 0) {
+            roleSelect.innerHTML = result.roles.map(role =>
+                `<option value="${escapeAttr(role.id)}">${escapeHtml(role.name)}</option>`
+            ).join('');
+            roleSelect.value = 'operator';
+        }
+
+        const roleOptions = (selected) => result.roles.map(role =>
+            `<option value="${escapeAttr(role.id)}" ${role.id === selected ? 'selected' : ''}>${escapeHtml(role.name)}</option>`
+        ).join('');
+
+        const tbody = document.getElementById('accounts-tbody');
+        if (!tbody) return;
+
+        const currentUsername = window.currentAdmin?.username;
+        tbody.innerHTML = result.accounts.map(account => {
+            const isSelf = account.username === currentUsername;
+            const username = escapeAttr(account.username);
+            return `
+                <tr>
+                    <td>${escapeHtml(account.username)}${isSelf ? '（我）' : ''}</td>
+                    <td>
+                        ${isSelf ? escapeHtml(account.roleName) : `<select onchange="updateAdminAccount('${username}', { role: this.value })">${roleOptions(account.role)}</select>`}
+                    </td>
+                    <td>
+                        <span class="badge ${account.disabled ? 'badge-error' : 'badge-success'}">
+                            ${account.disabled ? '已停用' : '正常'}
+                        </span>
+                    </td>
+                    <td>
+                        ${account.twoFactorEnabled ?
+                            `<span class="badge badge-success">已启用</span>` :
+                            `<span class="badge ${account.twoFactorRequired ? 'badge-error' : 'badge-warning'}">${account.twoFactorRequired ? '未绑定（必须）' : '未启用'}</span>`
+                        }
+                    </td>
+                    <td>${account.lastLoginAt ? `${formatDate(account.lastLoginAt)}<br><small>${escapeHtml(account.lastLoginIp || '')}</small>` : '-'}</td>
+                    <td>${formatDate(account.createdAt)}</td>
+                    <td>
+                        ${isSelf ? '-' : `
+                            <button class="action-btn" onclick="resetAdminAccountPassword('${username}')" style="margin-right: 0.5rem;">重置密码</button>
+                            ${account.twoFactorEnabled ? `<button class="action-btn" onclick="resetAdminTwoFactor('${username}')" style="margin-right: 0.5rem;">重置两步验证</button>` : ''}
+                            ${account.disabled ?
+                                `<button class="action-btn btn-success" onclick="updateAdminAccount('${username}', { disabled: false })">启用</button>` :
+                                `<button class="action-btn btn-danger" onclick="updateAdminAccount('${username}', { disabled: true })">停用</button>`
+                            }
+                            <button class="action-btn btn-danger" onclick="deleteAdminAccount('${username}')">删除</button>
+                        `}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('加载管理员账号失败:', error);
+    }
+}
+
+async function createAdminAccount() {
+    const form = document.getElementById('create-admin-form');
+    if (!form) return;
+    setStatus('');
+
+    const formData = new FormData(form);
+    const data = {
+        username: String(formData.get('username') || '').trim(),
+        password: formData.get('password'),
+        role: formData.get('role'),
+    };
+
+    try {
+        const response = await fetch('/api/admin/accounts', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify(data),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '添加失败', true);
+            return;
+        }
+
+        setStatus(`管理员 ${result.account.username} 已添加`, false);
+        form.reset();
+        document.getElementById('admin-role-select').value = 'operator';
+        loadAdminAccounts();
+    } catch (error) {
+        setStatus('添加失败，请稍后再试', true);
+    }
+}
+
+async function updateAdminAccount(username, updates) {
+    if (updates.disabled === true && !confirm(`确定要停用管理员 ${username} 吗？停用后该账号将立即退出登录。`)) {
+        loadAdminAccounts();
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/admin/accounts/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify(updates),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '操作失败', true);
+        } else {
+            setStatus(`管理员 ${username} 已更新`, false);
+        }
+        loadAdminAccounts();
+    } catch (error) {
+        setStatus('操作失败', true);
+    }
+}
+
+async function resetAdminAccountPassword(username) {
+    const password = prompt(`请输入管理员 ${username} 的新密码（至少 10 个字符）：`);
+    if (!password) return;
+
+    await updateAdminAccount(username, { password });
+}
+
+async function resetAdminTwoFactor(username) {
+    if (!confirm(`确定要重置管理员 ${username} 的两步验证吗？对方需要重新绑定验证器。`)) return;
+
+    await updateAdminAccount(username, { resetTwoFactor: true });
+}
+
+async function deleteAdminAccount(username) {
+    if (!confirm(`确定要删除管理员 ${username} 吗？此操作不可恢复！`)) return;
+
+    try {
+        const response = await fetch(`/api/admin/accounts/${encodeURIComponent(username)}`, {
+            method: 'DELETE',
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '删除失败', true);
+            return;
+        }
+
+        setStatus(`管理员 ${username} 已删除`, false);
+        loadAdminAccounts();
+    } catch (error) {
+        setStatus('删除失败', true);
+    }
+}
+
+async function changeOwnAdminPassword() {
+    const currentPassword = prompt('请输入当前密码：');
+    if (!currentPassword) return;
+    const newPassword = prompt('请输入新密码（至少 10 个字符）：');
+    if (!newPassword) return;
+    if (prompt('请再次输入新密码：') !== newPassword) {
+        setStatus('两次输入的密码不一致', true);
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/admin/me/password', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ currentPassword, newPassword }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '修改密码失败', true);
+            return;
+        }
+
+        setStatus(result.message || '密码已修改', false);
+    } catch (error) {
+        setStatus('修改密码失败，请稍后再试', true);
+    }
+}
+
+// ==================== 两步验证 ====================
+
+// 两步验证状态发生变化后，关闭窗口时重新加载权限
+let twoFactorChanged = false;
+
+function showTwoFactorView(view) {
+    ['overview', 'setup', 'recovery'].forEach(name => {
+        const element = document.getElementById(`two-factor-${name}`);
+        if (element) element.style.display = name === view ? '' : 'none';
+    });
+}
+
+function openTwoFactorModal() {
+    const admin = window.currentAdmin;
+    if (!admin) return;
+
+    const notice = document.getElementById('two-factor-required-notice');
+    if (notice) notice.style.display = admin.twoFactorRequired && !admin.twoFactorEnabled ? '' : 'none';
+
+    const state = document.getElementById('two-factor-state');
+    if (state) {
+        state.textContent = admin.twoFactorEnabled
+            ? `已启用两步验证（启用于 ${formatDate(admin.totpEnabledAt)}），剩余恢复码 ${admin.recoveryCodesRemaining} 个。`
+            : '尚未启用两步验证。启用后登录时除密码外还需输入验证器中的验证码。';
+    }
+    document.getElementById('two-factor-setup-btn').style.display = admin.twoFactorEnabled ? 'none' : '';
+    document.getElementById('two-factor-regenerate-btn').style.display = admin.twoFactorEnabled ? '' : 'none';
+    document.getElementById('two-factor-disable-btn').style.display = admin.twoFactorEnabled && !admin.twoFactorRequired ? '' : 'none';
+
+    showTwoFactorView('overview');
+    document.getElementById('two-factor-modal').classList.add('active');
+}
+
+function closeTwoFactorModal() {
+    document.getElementById('two-factor-modal').classList.remove('active');
+    document.getElementById('recovery-codes-list').innerHTML = '';
+    if (twoFactorChanged) {
+        twoFactorChanged = false;
+        setStatus('');
+        loadCurrentAdmin();
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('recovery-codes-list').innerHTML = codes.map(code => `<span>${escapeHtml(code)}</span>`).join('');
+    showTwoFactorView('recovery');
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const response = await fetch('/api/admin/me/2fa/setup', {
+            method: 'POST',
+            headers: { accept: 'application/json' },
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            alert(result.message || '生成两步验证密钥失败');
+            return;
+        }
+
+        document.getElementById('two-factor-qr').src = result.qrCode;
+        document.getElementById('two-factor-secret').textContent = result.secret;
+        document.getElementById('two-factor-enable-form').reset();
+        showTwoFactorView('setup');
+    } catch (error) {
+        alert('生成两步验证密钥失败，请稍后再试');
+    }
+}
+
+async function enableTwoFactor() {
+    const form = document.getElementById('two-factor-enable-form');
+    const code = String(new FormData(form).get('code') || '').trim();
+
+    try {
+        const response = await fetch('/api/admin/me/2fa/enable', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ code }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            alert(result.message || '绑定失败');
+            return;
+        }
+
+        window.currentAdmin = result.admin;
+        twoFactorChanged = true;
+        showRecoveryCodes(result.recoveryCodes);
+    } catch (error) {
+        alert('绑定失败，请稍后再试');
+    }
+}
+
+async function regenerateRecoveryCodes() {
+    const code = prompt('请输入验证器中的验证码以重新生成恢复码（旧恢复码将全部作废）：');
+    if (!code) return;
+
+    try {
+        const response = await fetch('/api/admin/me/2fa/recovery-codes', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ code: code.trim() }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            alert(result.message || '生成恢复码失败');
+            return;
+        }
+
+        twoFactorChanged = true;
+        showRecoveryCodes(result.recoveryCodes);
+    } catch (error) {
+        alert('生成恢复码失败，请稍后再试');
+    }
+}
+
+async function disableTwoFactor() {
+    const currentPassword = prompt('请输入当前密码：');
+    if (!currentPassword) return;
+    const code = prompt('请输入验证器中的验证码或一个恢复码：');
+    if (!code) return;
+
+    try {
+        const response = await fetch('/api/admin/me/2fa/disable', {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                accept: 'application/json',
+            },
+            body: JSON.stringify({ currentPassword, code: code.trim() }),
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            alert(result.message || '关闭两步验证失败');
+            return;
+        }
+
+        window.currentAdmin = result.admin;
+        twoFactorChanged = true;
+        closeTwoFactorModal();
+        setStatus('两步验证已关闭', false);
+    } catch (error) {
+        alert('关闭两步验证失败，请稍后再试');
+    }
+}
+
+// ==================== 审计日志 ====================
+
+/**
+ * 把筛选表单转换为查询参数（时间转换为 ISO 格式）
+ */
+function getAuditQueryParams() {
+    const params = new URLSearchParams();
+    const form = document.getElementById('audit-filter-form');
+    if (!form) return params;
+
+    const formData = new FormData(form);
+    for (const [key, value] of formData.entries()) {
+        const text = String(value).trim();
+        if (!text) continue;
+        if (key === 'from' || key === 'to') {
+            const time = new Date(text);
+            if (!Number.isNaN(time.getTime())) {
+                params.set(key, time.toISOString());
+            }
+        } else {
+            params.set(key, text);
+        }
+    }
+    return params;
+}
+
+function fillAuditSelect(select, options) {
+    if (!select || select.options.length > 1) return;
+    select.insertAdjacentHTML('beforeend', Object.entries(options).map(([value, name]) =>
+        `<option value="${escapeAttr(value)}">${escapeHtml(name)}</option>`
+    ).join(''));
+}
+
+function formatAuditDetail(event) {
+    const parts = [];
+    if (event.message) {
+        parts.push(escapeHtml(event.message));
+    }
+    if (event.changes) {
+        const changes = Object.entries(event.changes).map(([field, change]) =>
+            `${escapeHtml(field)}: ${escapeHtml(JSON.stringify(change.before))} → ${escapeHtml(JSON.stringify(change.after))}`
+        );
+        parts.push(changes.join('<br>'));
+    }
+    if (event.detail) {
+        parts.push(`<small>${escapeHtml(JSON.stringify(event.detail))}</small>`);
+    }
+    return parts.length > 0 ? parts.join('<br>') : '-';
+}
+
+async function loadAuditLog(page = 1) {
+    try {
+        const params = getAuditQueryParams();
+        params.set('page', page);
+        params.set('limit', 50);
+
+        const response = await fetch(`/api/admin/audit-log?${params}`, {
+            headers: { accept: 'application/json' },
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            setStatus(result.message || '加载审计日志失败', true);
+            return;
+        }
+
+        fillAuditSelect(document.getElementById('audit-action-select'), result.actions);
+        fillAuditSelect(document.getElementById('audit-result-select'), result.results);
+
+        const tbody = document.getElementById('audit-tbody');
+        if (!tbody) return;
+
+        if (result.events.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">暂无审计记录</td></tr>';
+        } else {
+            const resultBadges = { success: 'badge-success', failure: 'badge-error', denied: 'badge-warning' };
+            tbody.innerHTML = result.events.map(event => `
+                <tr>
+                    <td>${formatDate(event.createdAt)}</td>
+                    <td>${escapeHtml(event.actionName)}<br><small>${escapeHtml(event.action)}</small></td>
+                    <td><span class="badge ${resultBadges[event.result] || 'badge-warning'}">${escapeHtml(event.resultName)}</span></td>
+                    <td>${escapeHtml(event.actor || '-')}<br><small>${escapeHtml(event.actorType)}</small></td>
+                    <td>${escapeHtml(event.ip || '-')}</td>
+                    <td>${event.target ? `${escapeHtml(event.target)}<br><small>${escapeHtml(event.targetType || '')}</small>` : '-'}</td>
+                    <td style="max-width: 420px; word-break: break-all;">${formatAuditDetail(event)}</td>
+                </tr>
+            `).join('');
+        }
+
+        renderAuditPagination(result.pagination);
+    } catch (error) {
+        console.error('加载审计日志失败:', error);
+    }
+}
+
+function renderAuditPagination({ page, limit, total, totalPages }) {
+    const paginationDiv = document.getElementById('audit-pagination');
+    const infoDiv = document.getElementById('audit-pagination-info');
+    if (!paginationDiv || !infoDiv) return;
+
+    infoDiv.textContent = total > 0
+        ? `显示 ${(page - 1) * limit + 1}-${Math.min(page * limit, total)} 条，共 ${total} 条`
+        : '共 0 条';
+
+    if (totalPages <= 1) {
+        paginationDiv.innerHTML = '';
+        return;
+    }
+    paginationDiv.innerHTML = `
+        <button class="pagination-btn" ${page === 1 ? 'disabled' : ''} onclick="loadAuditLog(${page - 1})">上一页</button>
+        <span style="padding: 0 0.5rem;">${page} / ${totalPages}</span>
+        <button class="pagination-btn" ${page === totalPages ? 'disabled' : ''} onclick="loadAuditLog(${page + 1})">下一页</button>
+    `;
+}
+
+function resetAuditFilters() {
+    const form = document.getElementById('audit-filter-form');
+    if (form) form.reset();
+    loadAuditLog(1);
+}
+
+function exportAuditLog(format) {
+    const params = getAuditQueryParams();
+    params.set('format', format);
+    window.location.href = `/api/admin/audit-log/export?${params}`;
+}
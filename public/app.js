@@ -35,6 +35,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const loginLinkElement = document.getElementById('login-link');
     const form = formElement instanceof HTMLFormElement ? formElement : null;
     const loginLink = loginLinkElement instanceof HTMLAnchorElement ? loginLinkElement : null;
+    const registerCaptchaImage = document.getElementById('register-captcha-image');
+    const registerCaptcha = new CaptchaWidget({
+        image: registerCaptchaImage,
+        answer: form?.querySelector('input[name="captchaAnswer"]') ?? null,
+    });
     
     // 检查注册配置（邀请码、邮箱验证等）
     checkRegistrationConfig();
@@ -175,6 +180,23 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        // 注册审核的申请表
+        const applicationFields = document.getElementById('application-fields');
+        let application;
+        if (applicationFields && applicationFields.style.display !== 'none') {
+            application = {};
+            for (const input of applicationFields.querySelectorAll('input, textarea')) {
+                const answer = input.value.trim();
+                if (input.required && !answer) {
+                    const label = input.closest('label')?.dataset.label || '申请信息';
+                    setStatus(`请填写：${label}`, true);
+                    input.focus();
+                    return;
+                }
+                application[input.name.replace(/^application\./, '')] = answer;
+            }
+        }
+
         const requestBody = {
             name: payload.name,
             handle: payload.handle,
@@ -182,9 +204,12 @@ document.addEventListener('DOMContentLoaded', () => {
             inviteCode: payload.inviteCode,
             email: payload.email,
             emailCode: payload.emailCode,
+            application,
         };
 
         try {
+            Object.assign(requestBody, await registerCaptcha.collect());
+
             const response = await fetch('/register', {
                 method: 'POST',
                 headers: {
@@ -199,6 +224,8 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!response.ok || !data.success) {
                 const message = data?.message ? String(data.message) : `注册失败（HTTP ${response.status}）`;
                 setStatus(message, true);
+                // 人机验证令牌已被使用，重新获取
+                refreshRegisterCaptcha();
                 return;
             }
 
@@ -501,7 +528,51 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // 检查注册配置（邀请码、邮箱验证等）
+    // 刷新注册表单中的人机验证题
+    async function refreshRegisterCaptcha() {
+        try {
+            await registerCaptcha.refresh();
+        } catch (error) {
+            console.error('获取人机验证失败:', error);
+        }
+    }
+
+    if (registerCaptchaImage) {
+        registerCaptchaImage.addEventListener('click', refreshRegisterCaptcha);
+    }
+
+    // 生成申请表输入框（问题由管理员配置，统一按纯文本插入）
+    function renderApplicationFields(container, questions) {
+        container.innerHTML = '';
+        for (const question of questions) {
+            const label = document.createElement('label');
+            label.className = 'field';
+            label.dataset.label = question.label;
+
+            const title = document.createElement('span');
+            title.textContent = question.label;
+            if (question.required) {
+                const mark = document.createElement('span');
+                mark.style.color = 'var(--error)';
+                mark.textContent = ' *';
+                title.appendChild(mark);
+            }
+
+            const input = document.createElement(question.type === 'textarea' ? 'textarea' : 'input');
+            if (input instanceof HTMLInputElement) {
+                input.type = 'text';
+            }
+            input.name = `application.${question.id}`;
+            input.maxLength = question.maxLength;
+            input.placeholder = question.placeholder || '';
+            input.required = question.required;
+
+            label.append(title, input);
+            container.appendChild(label);
+        }
+    }
+
+    // 检查注册配置（邀请码、邮箱验证、人机验证等）
     async function checkRegistrationConfig() {
         try {
             const response = await fetch('/api/config', { headers: { accept: 'application/json' } });
@@ -527,6 +598,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     inviteCodeInput.required = false;
                     inviteCodeInput.removeAttribute('required');
                 }
+
+                // 邀请邮件中的链接带有邀请码（/register?invite=CODE），自动填入
+                const invitedCode = new URLSearchParams(window.location.search).get('invite');
+                if (invitedCode && data.requireInviteCode) {
+                    inviteCodeInput.value = invitedCode.trim().toUpperCase();
+                }
             }
             
             // 邮箱验证配置
@@ -553,6 +630,22 @@ document.addEventListener('DOMContentLoaded', () => {
                     emailCodeInput.removeAttribute('required');
                 }
             }
+
+            // 注册审核：按配置生成申请表问题
+            const applicationFields = document.getElementById('application-fields');
+            if (applicationFields && data.approval?.enabled && data.approval.questions.length) {
+                renderApplicationFields(applicationFields, data.approval.questions);
+                applicationFields.style.display = 'grid';
+            }
+
+            // 人机验证配置（仅工作量证明时不需要用户作答，无需显示）
+            const captchaField = document.getElementById('register-captcha-field');
+            if (data.captcha?.enabled) {
+                if (captchaField && data.captcha.type !== 'off') {
+                    captchaField.style.display = 'grid';
+                }
+                await refreshRegisterCaptcha();
+            }
         } catch (error) {
             console.error('检查注册配置失败:', error);
         }
@@ -563,7 +656,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const sendCodeBtn = document.getElementById('send-code-btn');
         const emailInput = document.querySelector('input[name="email"]');
         const captchaModal = document.getElementById('captcha-modal');
-        const captchaQuestion = document.getElementById('captcha-question');
+        const captchaImage = document.getElementById('captcha-image');
         const captchaAnswer = document.getElementById('captcha-answer');
         const captchaError = document.getElementById('captcha-error');
         const captchaRefresh = document.getElementById('captcha-refresh');
@@ -575,7 +668,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         let countdown = 0;
         let countdownTimer = null;
-        let currentCaptcha = null;
+        const modalCaptcha = new CaptchaWidget({ image: captchaImage, answer: captchaAnswer });
         
         function updateButtonState() {
             if (countdown > 0) {
@@ -610,44 +703,21 @@ document.addEventListener('DOMContentLoaded', () => {
             }, 1000);
         }
         
-        // 生成简单的数学验证题
-        function generateCaptcha() {
-            const operators = ['+', '-', '×'];
-            const operator = operators[Math.floor(Math.random() * operators.length)];
-            let num1, num2, answer;
-            
-            switch (operator) {
-                case '+':
-                    num1 = Math.floor(Math.random() * 50) + 1;
-                    num2 = Math.floor(Math.random() * 50) + 1;
-                    answer = num1 + num2;
-                    break;
-                case '-':
-                    num1 = Math.floor(Math.random() * 50) + 20;
-                    num2 = Math.floor(Math.random() * 20) + 1;
-                    answer = num1 - num2;
-                    break;
-                case '×':
-                    num1 = Math.floor(Math.random() * 9) + 2;
-                    num2 = Math.floor(Math.random() * 9) + 2;
-                    answer = num1 * num2;
-                    break;
-            }
-            
-            return {
-                question: `${num1} ${operator} ${num2} = ?`,
-                answer: answer
-            };
-        }
-        
-        // 显示验证码弹窗
-        function showCaptchaModal() {
-            if (!captchaModal || !captchaQuestion || !captchaAnswer) return;
+        // 显示人机验证弹窗（仅工作量证明时不需要作答，直接发送）
+        async function showCaptchaModal() {
+            if (!captchaModal || !captchaAnswer) return;
             
-            currentCaptcha = generateCaptcha();
-            captchaQuestion.textContent = currentCaptcha.question;
-            captchaAnswer.value = '';
             captchaError.textContent = '';
+            try {
+                const needsAnswer = await modalCaptcha.refresh();
+                if (!needsAnswer) {
+                    await sendEmailCode();
+                    return;
+                }
+            } catch (error) {
+                setStatus(error.message || '获取人机验证失败，请稍后重试', true);
+                return;
+            }
             captchaModal.style.display = 'flex';
             
             setTimeout(() => captchaAnswer.focus(), 100);
@@ -658,32 +728,30 @@ document.addEventListener('DOMContentLoaded', () => {
             if (captchaModal) {
                 captchaModal.style.display = 'none';
             }
-            currentCaptcha = null;
         }
         
-        // 验证答案并发送邮件验证码
-        async function verifyCaptchaAndSendCode() {
-            if (!currentCaptcha) return;
-            
-            const userAnswer = parseInt(captchaAnswer.value.trim(), 10);
-            
-            if (isNaN(userAnswer)) {
-                captchaError.textContent = '请输入数字答案';
-                captchaAnswer.focus();
-                return;
+        // 换一道题
+        async function refreshModalCaptcha() {
+            captchaError.textContent = '';
+            try {
+                await modalCaptcha.refresh();
+            } catch (error) {
+                captchaError.textContent = error.message || '获取人机验证失败';
             }
-            
-            if (userAnswer !== currentCaptcha.answer) {
-                captchaError.textContent = '答案错误，请重试';
-                captchaAnswer.value = '';
+            captchaAnswer.focus();
+        }
+        
+        // 提交人机验证并发送邮件验证码（答案由服务端校验）
+        async function sendEmailCode() {
+            let captchaFields;
+            try {
+                captchaFields = await modalCaptcha.collect();
+            } catch (error) {
+                captchaError.textContent = error.message;
                 captchaAnswer.focus();
-                // 换一道题
-                currentCaptcha = generateCaptcha();
-                captchaQuestion.textContent = currentCaptcha.question;
                 return;
             }
             
-            // 答案正确，隐藏弹窗并发送验证码
             hideCaptchaModal();
             
             const email = emailInput.value.trim();
@@ -699,7 +767,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         'Content-Type': 'application/json',
                         'Accept': 'application/json',
                     },
-                    body: JSON.stringify({ email }),
+                    body: JSON.stringify({ email, ...captchaFields }),
                 });
                 
                 const data = await response.json();
@@ -748,18 +816,15 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // 刷新验证题
         if (captchaRefresh) {
-            captchaRefresh.addEventListener('click', () => {
-                currentCaptcha = generateCaptcha();
-                captchaQuestion.textContent = currentCaptcha.question;
-                captchaAnswer.value = '';
-                captchaError.textContent = '';
-                captchaAnswer.focus();
-            });
+            captchaRefresh.addEventListener('click', refreshModalCaptcha);
+        }
+        if (captchaImage) {
+            captchaImage.addEventListener('click', refreshModalCaptcha);
         }
         
         // 提交验证
         if (captchaSubmit) {
-            captchaSubmit.addEventListener('click', verifyCaptchaAndSendCode);
+            captchaSubmit.addEventListener('click', sendEmailCode);
         }
         
         // 回车提交
@@ -767,7 +832,7 @@ document.addEventListener('DOMContentLoaded', () => {
             captchaAnswer.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') {
                     e.preventDefault();
-                    verifyCaptchaAndSendCode();
+                    sendEmailCode();
                 }
             });
         }
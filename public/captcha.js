@@ -0,0 +1,110 @@
+/**
+ * 服务端人机验证（注册页与第三方登录补充信息页共用）
+ * 题目图片与令牌由 /api/captcha 下发，令牌只能使用一次；启用工作量证明时在后台计算。
+ */
+
+/**
+ * 摘要是否以指定数量的 0 比特开头
+ */
+function captchaHasLeadingZeroBits(digest, bits) {
+    let remaining = bits;
+    for (const byte of digest) {
+        if (remaining <= 0) return true;
+        if (remaining >= 8) {
+            if (byte !== 0) return false;
+            remaining -= 8;
+        } else {
+            return (byte >> (8 - remaining)) === 0;
+        }
+    }
+    return remaining <= 0;
+}
+
+/**
+ * 计算工作量证明：寻找 nonce 使 sha256(`${challenge}:${nonce}`) 以 difficulty 个 0 比特开头
+ */
+async function solveProofOfWork(challenge, difficulty) {
+    if (!window.crypto?.subtle) {
+        throw new Error('当前页面不是安全连接（HTTPS），无法完成人机验证，请联系管理员');
+    }
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce += 1) {
+        const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+        if (captchaHasLeadingZeroBits(new Uint8Array(digest), difficulty)) {
+            return String(nonce);
+        }
+    }
+}
+
+class CaptchaWidget {
+    /**
+     * @param {object} elements
+     * @param {HTMLImageElement|null} elements.image - 题目图片
+     * @param {HTMLInputElement|null} elements.answer - 答案输入框
+     */
+    constructor({ image, answer }) {
+        this.image = image;
+        this.answer = answer;
+        this.token = null;
+        this.hasQuestion = false;
+        this.powTask = null;
+    }
+
+    /**
+     * 获取新的验证题
+     * @returns {Promise<boolean>} 是否需要用户回答（仅工作量证明时为 false）
+     */
+    async refresh() {
+        this.token = null;
+        this.powTask = null;
+        if (this.answer) this.answer.value = '';
+
+        const response = await fetch('/api/captcha', { headers: { accept: 'application/json' } });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || '获取人机验证失败');
+        }
+        if (!data.enabled) {
+            this.hasQuestion = false;
+            return false;
+        }
+
+        this.token = data.token;
+        this.hasQuestion = Boolean(data.image);
+        if (this.image) {
+            this.image.src = data.image || '';
+            this.image.style.display = data.image ? '' : 'none';
+        }
+        if (data.pow) {
+            this.powTask = solveProofOfWork(data.pow.challenge, data.pow.difficulty);
+            // 避免未等待时出现未处理的 Promise 拒绝，错误在 collect() 中抛出
+            this.powTask.catch(() => {});
+        }
+        return this.hasQuestion;
+    }
+
+    /**
+     * 收集提交给服务端的验证字段（等待工作量证明完成）
+     * @returns {Promise<{ captchaToken: string, captchaAnswer: string, captchaNonce: string }>}
+     */
+    async collect() {
+        if (!this.token) {
+            await this.refresh();
+        }
+        const answer = this.answer ? this.answer.value.trim() : '';
+        if (this.hasQuestion && !answer) {
+            throw new Error('请输入人机验证答案');
+        }
+        const nonce = this.powTask ? await this.powTask : '';
+        const fields = {
+            captchaToken: this.token || '',
+            captchaAnswer: answer,
+            captchaNonce: nonce,
+        };
+        // 令牌只能使用一次，提交后需要重新获取
+        this.token = null;
+        return fields;
+    }
+}
+
+window.CaptchaWidget = CaptchaWidget;
@@ -18,6 +18,70 @@ document.addEventListener('DOMContentLoaded', () => {
 
     if (!form) return;
 
+    setupMagicLinkLogin();
+
+    // 邮箱服务已配置时，可以切换为邮箱链接登录（不需要密码）
+    async function setupMagicLinkLogin() {
+        const magicForm = document.getElementById('magic-link-form');
+        const toggle = document.getElementById('magic-link-toggle');
+        const switchLink = document.getElementById('magic-link-switch');
+        if (!magicForm || !toggle || !switchLink) return;
+
+        try {
+            const response = await fetch('/api/config', {
+                headers: { accept: 'application/json' },
+            });
+            if (!response.ok) return;
+            const data = await response.json();
+            if (!data.magicLinkLogin) return;
+        } catch (error) {
+            return;
+        }
+
+        toggle.style.display = '';
+        switchLink.addEventListener('click', (event) => {
+            event.preventDefault();
+            setStatus('');
+            const useMagicLink = magicForm.style.display === 'none';
+            magicForm.style.display = useMagicLink ? '' : 'none';
+            form.style.display = useMagicLink ? 'none' : '';
+            switchLink.textContent = useMagicLink ? '使用用户标识和密码登录' : '使用邮箱链接登录';
+        });
+
+        magicForm.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            setStatus('');
+
+            const email = String(new FormData(magicForm).get('email') || '').trim();
+            if (!email) {
+                setStatus('请输入邮箱。', true);
+                return;
+            }
+
+            try {
+                const response = await fetch('/api/login/magic-link', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json',
+                    },
+                    body: JSON.stringify({ email }),
+                });
+                const data = await response.json();
+
+                if (!response.ok || !data.success) {
+                    setStatus(data.message || '发送失败', true);
+                    return;
+                }
+
+                setStatus(data.message, false);
+                magicForm.reset();
+            } catch (error) {
+                setStatus('发生系统错误，请稍后重试。', true);
+            }
+        });
+    }
+
     // 加载 OAuth 提供商
     async function loadOAuthProviders() {
         try {
@@ -1,9 +1,201 @@
+import { DataStore } from './dataStore.js';
+import { hashPassword, passwordFingerprint, verifyUserPassword } from './passwordService.js';
+import { getCredentialVault } from './serverCredentials.js';
+import { findRecoveryCode, verifyTotp } from './totpService.js';
+
+// 旧版本的默认管理员密码，任何管理员账号都不允许继续使用
+export const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
+const MIN_ADMIN_PASSWORD_LENGTH = 10;
+
+export const ADMIN_USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+
+// 密码验证通过后，等待输入两步验证码的有效期
+const PENDING_TWO_FACTOR_TTL = 5 * 60 * 1000;
+
+/**
+ * 管理员权限
+ */
+export const PERMISSIONS = {
+    STATS_READ: 'stats:read',
+    USERS_MANAGE: 'users:manage',
+    SERVERS_MANAGE: 'servers:manage',
+    INVITES_MANAGE: 'invites:manage',
+    OAUTH_MANAGE: 'oauth:manage',
+    SECURITY_MANAGE: 'security:manage',
+    ADMINS_MANAGE: 'admins:manage',
+    AUDIT_READ: 'audit:read',
+};
+
+/**
+ * 管理员角色及其拥有的权限
+ * - owner：全部权限，包括管理员账号、登录提供商、主密钥与审计日志
+ * - operator：管理服务器与用户
+ * - invite-manager：只能管理邀请码
+ */
+export const ADMIN_ROLES = {
+    owner: {
+        name: '所有者',
+        permissions: Object.values(PERMISSIONS),
+    },
+    operator: {
+        name: '运维',
+        permissions: [PERMISSIONS.STATS_READ, PERMISSIONS.USERS_MANAGE, PERMISSIONS.SERVERS_MANAGE],
+    },
+    'invite-manager': {
+        name: '邀请码管理员',
+        permissions: [PERMISSIONS.STATS_READ, PERMISSIONS.INVITES_MANAGE],
+    },
+};
+
+/**
+ * 角色是否拥有指定权限
+ */
+export function hasPermission(role, permission) {
+    return Boolean(ADMIN_ROLES[role]?.permissions.includes(permission));
+}
+
+/**
+ * 管理员是否已启用两步验证
+ */
+export function isTwoFactorEnabled(admin) {
+    return Boolean(admin?.totpEnabledAt && admin?.totpSecret);
+}
+
+/**
+ * 管理员是否必须启用两步验证（REQUIRE_ADMIN_2FA 开启且拥有服务器管理权限）
+ */
+export function isTwoFactorRequired(config, admin) {
+    return Boolean(config?.requireAdminTwoFactor) && hasPermission(admin?.role, PERMISSIONS.SERVERS_MANAGE);
+}
+
+/**
+ * 校验管理员的第二步验证：TOTP 验证码或一次性恢复码
+ * 通过后记录已使用的时间步（防止同一验证码重放）或作废已使用的恢复码。
+ * @returns {{ valid: boolean, method?: 'totp'|'recovery', recoveryCodesRemaining?: number }}
+ */
+export function verifyAdminSecondFactor(admin, code) {
+    if (!isTwoFactorEnabled(admin) || typeof code !== 'string' || !code.trim()) {
+        return { valid: false };
+    }
+
+    const secret = getCredentialVault().decrypt(admin.totpSecret);
+    const step = verifyTotp(secret, code, { lastStep: admin.totpLastStep ?? null });
+    if (step !== null) {
+        DataStore.updateAdmin(admin.username, { totpLastStep: step });
+        return { valid: true, method: 'totp', recoveryCodesRemaining: admin.recoveryCodes?.length || 0 };
+    }
+
+    const index = findRecoveryCode(admin.recoveryCodes, code);
+    if (index !== -1) {
+        const recoveryCodes = admin.recoveryCodes.filter((_hash, i) => i !== index);
+        DataStore.updateAdmin(admin.username, { recoveryCodes });
+        return { valid: true, method: 'recovery', recoveryCodesRemaining: recoveryCodes.length };
+    }
+
+    return { valid: false };
+}
+
+/**
+ * 密码验证通过、等待两步验证的登录状态
+ */
+export function startPendingTwoFactor(req, admin) {
+    req.session.pendingAdminLogin = {
+        username: admin.username,
+        passwordFingerprint: passwordFingerprint(admin),
+        expiresAt: Date.now() + PENDING_TWO_FACTOR_TTL,
+    };
+}
+
+/**
+ * 读取等待两步验证的管理员账号（过期、账号变化或未启用两步验证时返回 null）
+ */
+export function getPendingTwoFactorAdmin(req) {
+    const pending = req.session?.pendingAdminLogin;
+    if (!pending || pending.expiresAt < Date.now()) {
+        return null;
+    }
+
+    const admin = DataStore.getAdmin(pending.username);
+    if (!admin || admin.disabled || !ADMIN_ROLES[admin.role] || !isTwoFactorEnabled(admin)) {
+        return null;
+    }
+    if (pending.passwordFingerprint !== passwordFingerprint(admin)) {
+        return null;
+    }
+    return admin;
+}
+
+/**
+ * 校验管理员密码强度
+ * @returns {string|null} 不合格时返回错误信息
+ */
+export function validateAdminPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return `管理员密码至少需要 ${MIN_ADMIN_PASSWORD_LENGTH} 个字符`;
+    }
+    if (password.length > 128) {
+        return '管理员密码过长（最多 128 个字符）';
+    }
+    if (password === DEFAULT_ADMIN_PASSWORD) {
+        return '不能使用默认密码';
+    }
+    return null;
+}
+
+/**
+ * 会话中记录的管理员登录状态
+ * 同时记录密码指纹：密码被修改后，旧会话自动失效。
+ */
+export function startAdminSession(req, admin) {
+    req.session.adminUsername = admin.username;
+    req.session.adminPasswordFingerprint = passwordFingerprint(admin);
+}
+
+/**
+ * 读取当前会话对应的管理员账号（账号被删除、停用或修改密码后返回 null）
+ */
+export function getSessionAdmin(req) {
+    const username = req.session?.adminUsername;
+    if (!username) {
+        return null;
+    }
+
+    const admin = DataStore.getAdmin(username);
+    if (!admin || admin.disabled || !ADMIN_ROLES[admin.role]) {
+        return null;
+    }
+    if (req.session.adminPasswordFingerprint !== passwordFingerprint(admin)) {
+        return null;
+    }
+    return admin;
+}
+
 /**
  * 管理员认证中间件
+ * @param {object} config
+ * @param {string|null} permission - 路由需要的权限；为空时任何已登录的管理员都可访问
  */
-export function requireAdminAuth(config) {
+export function requireAdminAuth(config, permission = null) {
     return (req, res, next) => {
-        if (req.session && req.session.isAdmin) {
+        const admin = getSessionAdmin(req);
+        if (admin) {
+            if (permission && !hasPermission(admin.role, permission)) {
+                return res.status(403).json({
+                    success: false,
+                    message: '当前管理员角色无权执行此操作',
+                    permission,
+                });
+            }
+            // 必须启用两步验证的管理员在绑定前只能访问自己的账号设置
+            if (permission && isTwoFactorRequired(config, admin) && !isTwoFactorEnabled(admin)) {
+                return res.status(403).json({
+                    success: false,
+                    message: '请先绑定两步验证后再使用管理功能',
+                    twoFactorRequired: true,
+                });
+            }
+            req.admin = admin;
             return next();
         }
 
@@ -22,9 +214,58 @@ export function requireAdminAuth(config) {
 }
 
 /**
- * 管理员登录验证
+ * 校验管理员用户名与密码
+ * @returns {Promise<object|null>} 校验通过时返回管理员账号
  */
-export function verifyAdminPassword(password, correctPassword) {
-    return password === correctPassword;
+export async function authenticateAdmin(username, password) {
+    const admin = typeof username === 'string' ? DataStore.getAdmin(username.trim()) : null;
+    // 账号不存在时也执行一次哈希校验，避免通过响应时间枚举管理员
+    const { valid } = await verifyUserPassword(password, admin);
+    if (!valid || admin.disabled || !ADMIN_ROLES[admin.role]) {
+        return null;
+    }
+    return admin;
 }
 
+/**
+ * 启动时初始化管理员账号
+ * 没有任何管理员时，用 ADMIN_USERNAME / ADMIN_PANEL_PASSWORD 创建第一个所有者账号；
+ * 未设置密码、仍为默认密码或强度不足时拒绝启动。已有账号使用默认密码时同样拒绝启动。
+ */
+export async function bootstrapAdminAccounts(config) {
+    const admins = DataStore.getAdmins();
+
+    if (admins.length === 0) {
+        const username = config.adminBootstrapUsername || 'admin';
+        if (!ADMIN_USERNAME_PATTERN.test(username)) {
+            throw new Error('ADMIN_USERNAME 只能包含字母、数字、_ . -，长度 3-32 个字符');
+        }
+
+        const password = config.adminPanelPassword;
+        if (!password) {
+            throw new Error('尚未创建管理员账号：请设置 ADMIN_PANEL_PASSWORD（首个所有者账号的初始密码）后再启动');
+        }
+        const passwordError = validateAdminPassword(password);
+        if (passwordError) {
+            throw new Error(`ADMIN_PANEL_PASSWORD 不可用：${passwordError}，请修改后再启动`);
+        }
+
+        DataStore.addAdmin({
+            username,
+            role: 'owner',
+            passwordHash: await hashPassword(password),
+        });
+        console.info(`[管理员账号] 已创建所有者账号 ${username}，之后可在管理员面板中添加其他管理员；ADMIN_PANEL_PASSWORD 不再生效，可从配置中删除`);
+        return;
+    }
+
+    for (const admin of admins) {
+        if (!admin.disabled && (await verifyUserPassword(DEFAULT_ADMIN_PASSWORD, admin)).valid) {
+            throw new Error(`管理员 ${admin.username} 仍在使用默认密码，请运行 npm run admin:reset-password -- ${admin.username} 修改密码后再启动`);
+        }
+    }
+
+    if (!admins.some(admin => admin.role === 'owner' && !admin.disabled)) {
+        console.warn('[管理员账号] 当前没有可用的所有者账号，请运行 npm run admin:reset-password 恢复');
+    }
+}
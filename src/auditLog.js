@@ -0,0 +1,184 @@
+import { DataStore } from './dataStore.js';
+
+/**
+ * 审计事件类型及其显示名称
+ * 类型按「主体.对象.操作」分组，查询时可按前缀筛选（例如 admin.server 匹配所有服务器操作）。
+ */
+export const AUDIT_ACTIONS = {
+    'user.register': '用户注册',
+    'user.application.submit': '提交注册申请',
+    'user.login': '用户登录',
+    'user.login.magic-link-request': '申请邮箱登录链接',
+    'user.email-code.send': '发送邮箱验证码',
+    'user.password.change': '用户修改密码',
+    'user.password.reset-request': '申请重置密码',
+    'user.password.reset': '通过邮件重置密码',
+    'user.bind-server': '用户绑定服务器',
+    'user.waitlist.join': '加入候补名单',
+    'user.waitlist.leave': '退出候补名单',
+    'user.migrate': '迁移到其他服务器',
+    'user.migrate.progress': '迁移进度',
+    'user.migrate.rollback': '回滚迁移',
+    'user.backup.download': '下载备份',
+    'user.backup.apply': '恢复备份',
+    'user.oauth.register': '第三方登录注册',
+    'user.oauth.login': '第三方登录',
+    'user.oauth.link': '绑定第三方账号',
+    'user.oauth.unlink': '解绑第三方账号',
+    'admin.login': '管理员登录',
+    'admin.logout': '管理员登出',
+    'admin.me.password': '管理员修改自己的密码',
+    'admin.me.2fa.enable': '启用两步验证',
+    'admin.me.2fa.disable': '关闭两步验证',
+    'admin.me.2fa.recovery-codes': '重新生成恢复码',
+    'admin.account.create': '添加管理员',
+    'admin.account.update': '更新管理员',
+    'admin.account.delete': '删除管理员',
+    'admin.user.sync': '同步远端用户',
+    'admin.user.delete-remote': '删除远端用户',
+    'admin.user.change-password-remote': '修改远端用户密码',
+    'admin.user.migrate': '迁移用户到其他服务器',
+    'admin.user.migrate.progress': '用户迁移进度',
+    'admin.user.migrate.rollback': '回滚用户迁移',
+    'admin.user.link-identity': '为用户绑定第三方账号',
+    'admin.application.approve': '通过注册申请',
+    'admin.application.reject': '拒绝注册申请',
+    'admin.server.create': '添加服务器',
+    'admin.server.update': '更新服务器',
+    'admin.server.delete': '删除服务器',
+    'admin.security.rotate-master-key': '轮换主密钥',
+    'admin.oauth-provider.create': '添加登录提供商',
+    'admin.oauth-provider.update': '更新登录提供商',
+    'admin.oauth-provider.delete': '删除登录提供商',
+    'admin.invite.create': '创建邀请码',
+    'admin.invite.update': '启用/禁用邀请码',
+    'admin.invite.delete': '删除邀请码',
+    'admin.invite.send': '发送邀请邮件',
+    'admin.ip-rule.create': '添加 IP 名单规则',
+    'admin.ip-rule.delete': '删除 IP 名单规则',
+    'admin.email-domain.create': '添加邮箱域名规则',
+    'admin.email-domain.delete': '删除邮箱域名规则',
+    'admin.email-template.update': '修改邮件模板',
+    'admin.email-template.reset': '恢复默认邮件模板',
+    'admin.mail.retry': '重新发送邮件',
+    'admin.mail.delete': '删除队列中的邮件',
+    'admin.audit.export': '导出审计日志',
+};
+
+export const AUDIT_RESULTS = {
+    success: '成功',
+    failure: '失败',
+    denied: '拒绝',
+};
+
+// 这些字段只记录“发生了变化”，不写入审计日志
+const SENSITIVE_FIELDS = new Set([
+    'password',
+    'passwordHash',
+    'admin_username',
+    'admin_password',
+    'clientSecret',
+    'totpSecret',
+    'totpLastStep',
+    'recoveryCodes',
+]);
+
+const REDACTED = '[已隐藏]';
+
+// 只用于记录时间的字段，不计入变更
+const IGNORED_DIFF_FIELDS = new Set(['updatedAt']);
+
+/**
+ * 计算两个记录之间的变更（敏感字段只标记为已修改）
+ * @returns {Record<string, { before: any, after: any }>|null} 没有变化时返回 null
+ */
+export function diffRecords(before = {}, after = {}) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        if (IGNORED_DIFF_FIELDS.has(key)) continue;
+        const previous = before?.[key];
+        const next = after?.[key];
+        if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+        changes[key] = SENSITIVE_FIELDS.has(key)
+            ? { before: previous == null ? null : REDACTED, after: next == null ? null : REDACTED }
+            : { before: previous ?? null, after: next ?? null };
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * 记录一条审计事件
+ * 写入失败只输出错误日志，不影响业务请求。
+ * @param {object} event
+ * @param {string} event.action - 事件类型，见 AUDIT_ACTIONS
+ * @param {'admin'|'user'|'anonymous'|'system'} event.actorType
+ * @param {string|null} event.actor - 管理员用户名或门户用户名
+ * @param {string} [event.ip]
+ * @param {'user'|'server'|'admin'|'invite'|'oauth-provider'|'ip-rule'|'email-domain'|'email-template'|'mail'|null} [event.targetType]
+ * @param {string|number|null} [event.target]
+ * @param {object|null} [event.changes] - diffRecords 的结果
+ * @param {'success'|'failure'|'denied'} [event.result]
+ * @param {string} [event.message] - 简要说明（失败原因等）
+ * @param {object} [event.detail] - 其他上下文
+ */
+export function recordAuditEvent(event) {
+    const record = {
+        action: event.action,
+        actorType: event.actorType || 'anonymous',
+        actor: event.actor ?? null,
+        ip: event.ip || null,
+        targetType: event.targetType || null,
+        target: event.target == null ? null : String(event.target),
+        result: event.result || 'success',
+        message: event.message || null,
+        changes: event.changes || null,
+        detail: event.detail || null,
+    };
+
+    const summary = `[审计] ${record.action} ${record.result}，操作者 ${record.actor || record.actorType}，IP ${record.ip || '-'}`
+        + `${record.target ? `，对象 ${record.targetType || ''} ${record.target}` : ''}${record.message ? `，${record.message}` : ''}`;
+    if (record.result === 'success') {
+        console.info(summary);
+    } else {
+        console.warn(summary);
+    }
+
+    try {
+        return DataStore.addAuditEvent(record);
+    } catch (error) {
+        console.error('[审计] 写入审计日志失败:', error?.message || error);
+        return null;
+    }
+}
+
+/**
+ * 审计事件的接口表示（附带显示名称）
+ */
+export function describeAuditEvent(event) {
+    return {
+        ...event,
+        actionName: AUDIT_ACTIONS[event.action] || event.action,
+        resultName: AUDIT_RESULTS[event.result] || event.result,
+    };
+}
+
+export const AUDIT_CSV_COLUMNS = ['id', 'createdAt', 'action', 'actionName', 'result', 'actorType', 'actor', 'ip', 'targetType', 'target', 'message', 'changes', 'detail'];
+
+function escapeCsvValue(value) {
+    if (value == null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // 防止在电子表格中被当作公式执行
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 将审计事件转换为一行 CSV
+ */
+export function toAuditCsvLine(event) {
+    const described = describeAuditEvent(event);
+    return AUDIT_CSV_COLUMNS.map(column => escapeCsvValue(described[column])).join(',');
+}
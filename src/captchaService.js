@@ -0,0 +1,280 @@
+import crypto from 'node:crypto';
+
+// 验证题有效期
+const CHALLENGE_TTL = 5 * 60 * 1000;
+
+// 每个会话最多同时保留的验证题数量（注册表单与发送验证码弹窗各需要一题）
+const MAX_CHALLENGES_PER_SESSION = 5;
+
+const TEXT_CAPTCHA_LENGTH = 5;
+// 去掉容易混淆的字符（0/O、1/I/L、2/Z、5/S、8/B）
+const TEXT_CAPTCHA_ALPHABET = 'ACDEFGHJKMNPRTUVWXY345679';
+
+export const CAPTCHA_TYPES = ['math', 'text', 'off'];
+
+// 工作量证明难度上限（前导零比特数），过高会让浏览器长时间无响应
+const MAX_POW_DIFFICULTY = 24;
+
+// 5×7 点阵字体，验证码在服务端绘制为图形，页面中不出现题目文本
+const GLYPHS = {
+    '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+    '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+    '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+    '3': ['11110', '00001', '00001', '01110', '00001', '00001', '11110'],
+    '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+    '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+    '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+    '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+    '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+    A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+    C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+    D: ['11100', '10010', '10001', '10001', '10001', '10010', '11100'],
+    E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+    F: ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+    G: ['01110', '10001', '10000', '10111', '10001', '10001', '01111'],
+    H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+    J: ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+    K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+    M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+    N: ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+    P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+    R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+    T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+    U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+    V: ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+    W: ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+    X: ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+    Y: ['10001', '10001', '01010', '00100', '00100', '00100', '00100'],
+    '+': ['00000', '00100', '00100', '11111', '00100', '00100', '00000'],
+    '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+    '×': ['00000', '10001', '01010', '00100', '01010', '10001', '00000'],
+    '=': ['00000', '00000', '11111', '00000', '11111', '00000', '00000'],
+    '?': ['01110', '10001', '00001', '00010', '00100', '00000', '00100'],
+};
+
+const CELL_SIZE = 4;
+const GLYPH_ADVANCE = 30;
+const IMAGE_HEIGHT = 56;
+const GLYPH_COLORS = ['#4f46e5', '#0f766e', '#b45309', '#be123c', '#1d4ed8', '#7e22ce'];
+
+function randomInt(min, max) {
+    return crypto.randomInt(min, max + 1);
+}
+
+function pick(list) {
+    return list[crypto.randomInt(list.length)];
+}
+
+/**
+ * 生成算术题（与旧版前端题型一致）
+ */
+function generateMathQuestion() {
+    const operator = pick(['+', '-', '×']);
+    let left;
+    let right;
+    let answer;
+    switch (operator) {
+        case '+':
+            left = randomInt(1, 50);
+            right = randomInt(1, 50);
+            answer = left + right;
+            break;
+        case '-':
+            left = randomInt(20, 69);
+            right = randomInt(1, 20);
+            answer = left - right;
+            break;
+        default:
+            left = randomInt(2, 10);
+            right = randomInt(2, 10);
+            answer = left * right;
+            break;
+    }
+    return { text: `${left}${operator}${right}=?`, answer: String(answer) };
+}
+
+function generateTextQuestion() {
+    let text = '';
+    for (let i = 0; i < TEXT_CAPTCHA_LENGTH; i++) {
+        text += pick([...TEXT_CAPTCHA_ALPHABET]);
+    }
+    return { text, answer: text };
+}
+
+/**
+ * 把题目绘制为 SVG 图片：逐字符随机旋转、偏移与着色，并叠加干扰线和噪点
+ * @returns {string} data URL
+ */
+export function renderCaptchaImage(text) {
+    const width = text.length * GLYPH_ADVANCE + 20;
+    const parts = [];
+
+    for (let i = 0; i < 6; i++) {
+        const x1 = randomInt(0, width);
+        const y1 = randomInt(0, IMAGE_HEIGHT);
+        const x2 = randomInt(0, width);
+        const y2 = randomInt(0, IMAGE_HEIGHT);
+        parts.push(`<path d="M${randomInt(0, 10)} ${randomInt(5, IMAGE_HEIGHT - 5)} Q${x1} ${y1} ${x2} ${y2} T${width - randomInt(0, 10)} ${randomInt(5, IMAGE_HEIGHT - 5)}" stroke="${pick(GLYPH_COLORS)}" stroke-width="${randomInt(1, 2)}" fill="none" opacity="0.6"/>`);
+    }
+
+    [...text].forEach((char, index) => {
+        const rows = GLYPHS[char];
+        if (!rows) return;
+        const originX = 12 + index * GLYPH_ADVANCE + randomInt(-2, 2);
+        const originY = 12 + randomInt(-4, 4);
+        const centerX = originX + 2.5 * CELL_SIZE;
+        const centerY = originY + 3.5 * CELL_SIZE;
+        const rects = [];
+        rows.forEach((row, y) => {
+            [...row].forEach((bit, x) => {
+                if (bit === '1') {
+                    rects.push(`<rect x="${originX + x * CELL_SIZE}" y="${originY + y * CELL_SIZE}" width="${CELL_SIZE}" height="${CELL_SIZE}"/>`);
+                }
+            });
+        });
+        parts.push(`<g fill="${pick(GLYPH_COLORS)}" transform="rotate(${randomInt(-20, 20)} ${centerX} ${centerY}) translate(${centerX} ${centerY}) skewX(${randomInt(-10, 10)}) translate(${-centerX} ${-centerY})">${rects.join('')}</g>`);
+    });
+
+    for (let i = 0; i < 40; i++) {
+        parts.push(`<circle cx="${randomInt(0, width)}" cy="${randomInt(0, IMAGE_HEIGHT)}" r="1" fill="${pick(GLYPH_COLORS)}" opacity="0.7"/>`);
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${IMAGE_HEIGHT}" viewBox="0 0 ${width} ${IMAGE_HEIGHT}"><rect width="100%" height="100%" fill="#f8fafc"/>${parts.join('')}</svg>`;
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+/**
+ * 摘要是否以指定数量的 0 比特开头
+ */
+export function hasLeadingZeroBits(digest, bits) {
+    let remaining = bits;
+    for (const byte of digest) {
+        if (remaining <= 0) return true;
+        if (remaining >= 8) {
+            if (byte !== 0) return false;
+            remaining -= 8;
+        } else {
+            return (byte >> (8 - remaining)) === 0;
+        }
+    }
+    return remaining <= 0;
+}
+
+/**
+ * 校验工作量证明：sha256(`${challenge}:${nonce}`) 需要以 difficulty 个 0 比特开头
+ */
+export function verifyProofOfWork(challenge, nonce, difficulty) {
+    if (typeof nonce !== 'string' || !/^\d{1,16}$/.test(nonce)) {
+        return false;
+    }
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    return hasLeadingZeroBits(digest, difficulty);
+}
+
+function normalizeAnswer(answer) {
+    return String(answer ?? '').trim().toUpperCase().replace(/\s/g, '');
+}
+
+/**
+ * 人机验证服务
+ * 验证题由服务端生成并保存在会话中，每个令牌只能使用一次（无论校验是否通过），
+ * 因此脚本必须先从同一会话获取题目才能调用发送验证码与注册接口。
+ */
+export class CaptchaService {
+    constructor(config) {
+        this.config = config;
+        this.type = CAPTCHA_TYPES.includes(config.captchaType) ? config.captchaType : 'math';
+        this.powDifficulty = Math.min(Math.max(Number(config.captchaPowDifficulty) || 0, 0), MAX_POW_DIFFICULTY);
+    }
+
+    /**
+     * 是否启用了人机验证（图形题或工作量证明任一启用即可）
+     */
+    isEnabled() {
+        return this.type !== 'off' || this.powDifficulty > 0;
+    }
+
+    /**
+     * 前端展示所需的配置
+     */
+    describe() {
+        return {
+            enabled: this.isEnabled(),
+            type: this.type,
+            powDifficulty: this.powDifficulty,
+        };
+    }
+
+    /**
+     * 清理会话中已过期的验证题
+     */
+    pruneChallenges(session) {
+        const now = Date.now();
+        const challenges = (session.captchaChallenges || []).filter(challenge => challenge.expiresAt > now);
+        session.captchaChallenges = challenges;
+        return challenges;
+    }
+
+    /**
+     * 生成新的验证题并保存到会话
+     * @returns {{ token: string, image: string|null, pow: { challenge: string, difficulty: number }|null, expiresIn: number }}
+     */
+    issue(session) {
+        const challenges = this.pruneChallenges(session);
+        const question = this.type === 'text'
+            ? generateTextQuestion()
+            : (this.type === 'math' ? generateMathQuestion() : null);
+        const pow = this.powDifficulty > 0
+            ? { challenge: crypto.randomBytes(16).toString('hex'), difficulty: this.powDifficulty }
+            : null;
+
+        const token = crypto.randomBytes(16).toString('hex');
+        challenges.push({
+            token,
+            answer: question ? normalizeAnswer(question.answer) : null,
+            pow,
+            expiresAt: Date.now() + CHALLENGE_TTL,
+        });
+        session.captchaChallenges = challenges.slice(-MAX_CHALLENGES_PER_SESSION);
+
+        return {
+            token,
+            image: question ? renderCaptchaImage(question.text) : null,
+            pow,
+            expiresIn: CHALLENGE_TTL / 1000,
+        };
+    }
+
+    /**
+     * 校验并作废验证题
+     * @param {object} session
+     * @param {{ captchaToken?: string, captchaAnswer?: string, captchaNonce?: string }} input
+     * @returns {{ valid: boolean, message?: string }}
+     */
+    verify(session, { captchaToken, captchaAnswer, captchaNonce } = {}) {
+        if (!this.isEnabled()) {
+            return { valid: true };
+        }
+        if (typeof captchaToken !== 'string' || !captchaToken) {
+            return { valid: false, message: '请先完成人机验证' };
+        }
+
+        const challenges = this.pruneChallenges(session);
+        const index = challenges.findIndex(challenge => challenge.token === captchaToken);
+        if (index === -1) {
+            return { valid: false, message: '人机验证已过期，请重新验证' };
+        }
+        // 无论结果如何都作废该题，防止对同一题反复尝试
+        const [challenge] = challenges.splice(index, 1);
+        session.captchaChallenges = challenges;
+
+        if (challenge.answer !== null && normalizeAnswer(captchaAnswer) !== challenge.answer) {
+            return { valid: false, message: '人机验证答案错误，请重试' };
+        }
+        if (challenge.pow && !verifyProofOfWork(challenge.pow.challenge, captchaNonce, challenge.pow.difficulty)) {
+            return { valid: false, message: '人机验证未通过，请重试' };
+        }
+        return { valid: true };
+    }
+}
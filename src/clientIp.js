@@ -0,0 +1,160 @@
+import net from 'node:net';
+
+// 可以在 TRUSTED_PROXIES 中使用的地址段别名
+const PROXY_ALIASES = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+// Cloudflare 回源地址段（https://www.cloudflare.com/ips/）
+export const CLOUDFLARE_RANGES = [
+    '173.245.48.0/20',
+    '103.21.244.0/22',
+    '103.22.200.0/22',
+    '103.31.4.0/22',
+    '141.101.64.0/18',
+    '108.162.192.0/18',
+    '190.93.240.0/20',
+    '188.114.96.0/20',
+    '197.234.240.0/22',
+    '198.41.128.0/17',
+    '162.158.0.0/15',
+    '104.16.0.0/13',
+    '104.24.0.0/14',
+    '172.64.0.0/13',
+    '131.0.72.0/22',
+    '2400:cb00::/32',
+    '2606:4700::/32',
+    '2803:f800::/32',
+    '2405:b500::/32',
+    '2405:8100::/32',
+    '2a06:98c0::/29',
+    '2c0f:f248::/32',
+];
+
+/**
+ * 规范化 IP 地址：去掉端口、方括号与 IPv4 映射前缀（::ffff:1.2.3.4）
+ * @returns {string|null} 不是合法 IP 时返回 null
+ */
+export function normalizeIp(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    let address = value.trim();
+    const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+    if (bracketed) {
+        address = bracketed[1];
+    } else if (/^[\d.]+:\d+$/.test(address)) {
+        address = address.slice(0, address.lastIndexOf(':'));
+    }
+    address = address.replace(/%.*$/, '');
+    if (/^::ffff:[\d.]+$/i.test(address)) {
+        address = address.slice(7);
+    }
+    const family = net.isIP(address);
+    if (family === 0) {
+        return null;
+    }
+    return family === 6 ? address.toLowerCase() : address;
+}
+
+/**
+ * 是否为本机回环地址
+ */
+export function isLoopbackIp(ip) {
+    const address = normalizeIp(ip);
+    return Boolean(address) && (address === '::1' || address.startsWith('127.'));
+}
+
+/**
+ * 把地址段列表转换为 BlockList（单个 IP 视为 /32 或 /128）
+ */
+function buildBlockList(entries, label) {
+    const list = new net.BlockList();
+    for (const entry of entries) {
+        const [rawAddress, rawPrefix] = entry.split('/');
+        const address = normalizeIp(rawAddress);
+        if (!address) {
+            throw new Error(`${label} 中的地址不合法: ${entry}`);
+        }
+        const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+        const maxPrefix = type === 'ipv6' ? 128 : 32;
+        const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+        if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+            throw new Error(`${label} 中的地址段前缀不合法: ${entry}`);
+        }
+        list.addSubnet(address, prefix, type);
+    }
+    return list;
+}
+
+function matches(list, ip) {
+    return list.check(ip, net.isIP(ip) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * 客户端 IP 解析器
+ *
+ * 只有直接连接本服务的地址是可信的。从连接地址开始沿 X-Forwarded-For 向左回溯：
+ * 当前地址属于受信任代理（TRUSTED_PROXIES）或还在 TRUSTED_PROXY_HOPS 层以内时继续回溯，
+ * 遇到第一个不受信任的地址即为客户端 IP。回溯经过 Cloudflare 节点（TRUST_CLOUDFLARE）时
+ * 直接采用 CF-Connecting-IP。这样客户端自己伪造的 X-Forwarded-For 只会出现在链的最左侧，不会被采用。
+ */
+export class ClientIpResolver {
+    constructor(config = {}) {
+        const entries = (config.trustedProxies || [])
+            .flatMap(entry => PROXY_ALIASES[entry.toLowerCase()] || [entry]);
+        this.trustedProxies = buildBlockList(entries, 'TRUSTED_PROXIES');
+        this.trustCloudflare = Boolean(config.trustCloudflare);
+        this.cloudflareRanges = buildBlockList(CLOUDFLARE_RANGES, 'Cloudflare 地址段');
+        this.proxyHops = Math.max(Number(config.trustedProxyHops) || 0, 0);
+    }
+
+    #isTrusted(ip) {
+        return matches(this.trustedProxies, ip) || (this.trustCloudflare && matches(this.cloudflareRanges, ip));
+    }
+
+    /**
+     * 解析请求的客户端 IP
+     * @returns {{ ip: string, source: 'socket'|'x-forwarded-for'|'cf-connecting-ip', chain: string[] }}
+     *          chain 为从客户端到本服务依次经过的地址（X-Forwarded-For + 连接地址）
+     */
+    resolve(req) {
+        const socketIp = normalizeIp(req.socket?.remoteAddress || '');
+        if (!socketIp) {
+            return { ip: 'unknown', source: 'socket', chain: [] };
+        }
+
+        const header = req.headers['x-forwarded-for'];
+        const forwarded = (Array.isArray(header) ? header.join(',') : header || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+        const chain = [...forwarded, socketIp];
+
+        let index = chain.length - 1;
+        for (let hops = 0; ; hops += 1) {
+            const current = normalizeIp(chain[index]);
+            if (!current) {
+                // 链中出现了无法解析的地址，采用最后一个可信位置转发来的地址
+                return { ip: normalizeIp(chain[index + 1]) || socketIp, source: 'x-forwarded-for', chain };
+            }
+            if (!(hops < this.proxyHops || this.#isTrusted(current))) {
+                break;
+            }
+            if (this.trustCloudflare && matches(this.cloudflareRanges, current)) {
+                const cfIp = normalizeIp(req.headers['cf-connecting-ip'] || '');
+                if (cfIp) {
+                    return { ip: cfIp, source: 'cf-connecting-ip', chain };
+                }
+            }
+            if (index === 0) {
+                break;
+            }
+            index -= 1;
+        }
+
+        const ip = normalizeIp(chain[index]);
+        return { ip, source: index === chain.length - 1 ? 'socket' : 'x-forwarded-for', chain };
+    }
+}
@@ -16,12 +16,31 @@ function parseBoolean(value) {
 }
 
 // 管理员面板配置（可选）
-const ADMIN_PANEL_PASSWORD = process.env.ADMIN_PANEL_PASSWORD || 'admin123';
+// ADMIN_USERNAME / ADMIN_PANEL_PASSWORD 仅用于首次启动时创建所有者账号，之后在管理员面板中管理账号
+const ADMIN_USERNAME = (process.env.ADMIN_USERNAME || 'admin').trim();
+const ADMIN_PANEL_PASSWORD = process.env.ADMIN_PANEL_PASSWORD || '';
 const REQUIRE_INVITE_CODE = parseBoolean(process.env.REQUIRE_INVITE_CODE);
+// 注册审核：开启后新用户需要管理员审核通过才能选择服务器，申请表问题为 JSON 数组
+const REQUIRE_APPROVAL = parseBoolean(process.env.REQUIRE_APPROVAL);
+const APPROVAL_QUESTIONS = (process.env.APPROVAL_QUESTIONS || '').trim();
+// 选服方式：manual（用户自选，默认）、auto（系统分配）或 suggest（系统推荐），以及系统分配 / 推荐使用的策略
+const SERVER_ASSIGNMENT_MODE = (process.env.SERVER_ASSIGNMENT_MODE || 'manual').trim().toLowerCase();
+const SERVER_ASSIGNMENT_STRATEGY = (process.env.SERVER_ASSIGNMENT_STRATEGY || 'least-users').trim().toLowerCase();
+// 服务器满员时的候补名单：空出名额后为排在最前的用户保留的小时数
+const WAITLIST_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS || '48', 10);
+// 用户迁移：开启后已注册的用户可以在选服页面自行迁移到其他服务器（管理员迁移不受此开关限制）
+const USER_MIGRATION_SELF_SERVICE = parseBoolean(process.env.USER_MIGRATION_SELF_SERVICE);
+// 服务器健康检查：检查间隔（分钟，0 表示关闭）、连续失败多少次后从选服列表隐藏、单次请求超时（秒）与检查记录保留天数
+const SERVER_HEALTH_CHECK_INTERVAL = parseInt(process.env.SERVER_HEALTH_CHECK_INTERVAL || '5', 10);
+const SERVER_HEALTH_FAILURE_THRESHOLD = parseInt(process.env.SERVER_HEALTH_FAILURE_THRESHOLD || '3', 10);
+const SERVER_HEALTH_TIMEOUT = parseInt(process.env.SERVER_HEALTH_TIMEOUT || '10', 10);
+const SERVER_HEALTH_RETENTION_DAYS = parseInt(process.env.SERVER_HEALTH_RETENTION_DAYS || '7', 10);
 const ADMIN_LOGIN_PATH = process.env.ADMIN_LOGIN_PATH || '/admin/login';
 const ADMIN_PANEL_PATH = process.env.ADMIN_PANEL_PATH || '/admin';
 const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS || '5', 10);
 const LOGIN_LOCKOUT_TIME = parseInt(process.env.LOGIN_LOCKOUT_TIME || '15', 10) * 60 * 1000; // 转换为毫秒
+// 开启后，拥有服务器管理权限的管理员必须绑定两步验证（TOTP）才能使用管理功能
+const REQUIRE_ADMIN_2FA = parseBoolean(process.env.REQUIRE_ADMIN_2FA);
 
 // 邮箱验证配置
 const REQUIRE_EMAIL_VERIFICATION = parseBoolean(process.env.REQUIRE_EMAIL_VERIFICATION);
@@ -32,9 +51,56 @@ const SMTP_USER = process.env.SMTP_USER || '';
 const SMTP_PASS = process.env.SMTP_PASS || '';
 const SMTP_FROM = process.env.SMTP_FROM || '';
 const SITE_NAME = process.env.SITE_NAME || 'TavernRegister';
+// 邮件发送方式：smtp（默认）、file（写入 .eml 文件）或 sink（进程内 SMTP 收件箱），后两者只用于离线测试
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'smtp').trim().toLowerCase();
+const MAIL_OUTBOX_DIR = (process.env.MAIL_OUTBOX_DIR || '').trim();
+const MAIL_SINK_PORT = parseInt(process.env.MAIL_SINK_PORT || '2525', 10);
+// 发送队列：最多尝试次数、首次重试间隔（秒，之后每次翻倍）与已发送记录的保留天数（0 表示永久保留）
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS || '6', 10);
+const MAIL_RETRY_BASE_SECONDS = parseInt(process.env.MAIL_RETRY_BASE_SECONDS || '30', 10);
+const MAIL_RETENTION_DAYS = parseInt(process.env.MAIL_RETENTION_DAYS || '7', 10);
+// 邮箱域名策略：open（默认，除禁止名单外都可以）或 allowlist（只允许名单中的域名），以及是否拒绝内置列表中的临时邮箱
+const EMAIL_DOMAIN_MODE = (process.env.EMAIL_DOMAIN_MODE || 'open').trim().toLowerCase();
+const BLOCK_DISPOSABLE_EMAIL = process.env.BLOCK_DISPOSABLE_EMAIL !== 'false'; // 默认为 true
+// 邮件模板：默认语言（无法从浏览器语言判断时使用）与管理员覆盖模板的保存目录（默认 data/email-templates）
+const EMAIL_DEFAULT_LOCALE = (process.env.EMAIL_DEFAULT_LOCALE || 'zh-CN').trim();
+const EMAIL_TEMPLATES_DIR = (process.env.EMAIL_TEMPLATES_DIR || '').trim();
+// 存储空间使用达到限额的百分比时发送提醒邮件（0 表示不提醒）
+const QUOTA_WARNING_PERCENT = parseInt(process.env.QUOTA_WARNING_PERCENT || '80', 10);
 
-// IP 注册限制配置
+// IP 注册限制配置：每个 IP / 每个网段在时间窗口内最多注册的账号数（0 表示不限制；窗口为 0 表示不限时间）
 const ENABLE_IP_LIMIT = parseBoolean(process.env.ENABLE_IP_LIMIT);
+const IP_LIMIT_MAX_PER_IP = parseInt(process.env.IP_LIMIT_MAX_PER_IP || '1', 10);
+const IP_LIMIT_MAX_PER_SUBNET = parseInt(process.env.IP_LIMIT_MAX_PER_SUBNET || '0', 10);
+const IP_LIMIT_WINDOW_HOURS = parseInt(process.env.IP_LIMIT_WINDOW_HOURS || '0', 10);
+const IP_LIMIT_IPV4_SUBNET_PREFIX = parseInt(process.env.IP_LIMIT_IPV4_SUBNET_PREFIX || '24', 10);
+const IP_LIMIT_IPV6_SUBNET_PREFIX = parseInt(process.env.IP_LIMIT_IPV6_SUBNET_PREFIX || '64', 10);
+
+// 客户端 IP 解析：受信任的反向代理（IP、CIDR 或 loopback / private 别名，逗号分隔）、
+// 是否信任 Cloudflare 的 CF-Connecting-IP，以及固定经过的代理层数
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXIES ?? 'loopback')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+const TRUST_CLOUDFLARE = parseBoolean(process.env.TRUST_CLOUDFLARE);
+const TRUSTED_PROXY_HOPS = parseInt(process.env.TRUSTED_PROXY_HOPS || '0', 10);
+
+// 人机验证配置：math（算术题，默认）、text（字符验证码）或 off；工作量证明难度为 0 表示不启用
+const CAPTCHA_TYPE = (process.env.CAPTCHA_TYPE || 'math').trim().toLowerCase();
+const CAPTCHA_POW_DIFFICULTY = parseInt(process.env.CAPTCHA_POW_DIFFICULTY || '0', 10);
+
+// 限流配置：计数存储（memory / file / sqlite / redis，留空时跟随数据存储后端）与按路由覆盖的策略（JSON）
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || '').trim().toLowerCase();
+const RATE_LIMIT_REDIS_URL = (process.env.RATE_LIMIT_REDIS_URL || '').trim();
+const RATE_LIMIT_POLICIES = (process.env.RATE_LIMIT_POLICIES || '').trim();
+
+// 数据存储配置：sqlite（默认）或 json
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sqlite').trim().toLowerCase();
+const SQLITE_PATH = (process.env.SQLITE_PATH || '').trim();
+
+// 服务器凭据加密主密钥：优先读取环境变量，否则使用密钥文件（默认 data/master.key）
+const CREDENTIALS_MASTER_KEY = (process.env.CREDENTIALS_MASTER_KEY || '').trim();
+const CREDENTIALS_KEY_FILE = (process.env.CREDENTIALS_KEY_FILE || '').trim();
 
 // OAuth 配置是可选的
 const OPTIONAL_OAUTH_ENV = [
@@ -49,6 +115,56 @@ const OPTIONAL_OAUTH_ENV = [
     'LINUXDO_USERINFO_URL',
 ];
 
+// 通用 OIDC / OAuth2 提供商：OAUTH_PROVIDERS 列出 id，每个提供商使用 OAUTH_<ID>_* 变量配置
+const OAUTH_PROVIDER_ENV_FIELDS = {
+    NAME: 'name',
+    TYPE: 'type',
+    ISSUER: 'issuer',
+    AUTH_URL: 'authUrl',
+    TOKEN_URL: 'tokenUrl',
+    USERINFO_URL: 'userInfoUrl',
+    CLIENT_ID: 'clientId',
+    CLIENT_SECRET: 'clientSecret',
+    SCOPE: 'scope',
+    PKCE: 'pkce',
+};
+
+const OAUTH_PROVIDER_CLAIM_ENV_FIELDS = {
+    CLAIM_ID: 'id',
+    CLAIM_USERNAME: 'username',
+    CLAIM_DISPLAY_NAME: 'displayName',
+    CLAIM_EMAIL: 'email',
+};
+
+/**
+ * 读取环境变量中声明的通用登录提供商（校验在 OAuthService 中完成）
+ * @returns {Array<object>}
+ */
+function parseOAuthProviders() {
+    const ids = (process.env.OAUTH_PROVIDERS || '')
+        .split(',')
+        .map(id => id.trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(ids)].map((id) => {
+        const prefix = `OAUTH_${id.toUpperCase().replace(/-/g, '_')}_`;
+        const declaration = { id, claims: {} };
+        for (const [suffix, field] of Object.entries(OAUTH_PROVIDER_ENV_FIELDS)) {
+            const value = process.env[prefix + suffix];
+            if (value && value.trim()) {
+                declaration[field] = value.trim();
+            }
+        }
+        for (const [suffix, field] of Object.entries(OAUTH_PROVIDER_CLAIM_ENV_FIELDS)) {
+            const value = process.env[prefix + suffix];
+            if (value && value.trim()) {
+                declaration.claims[field] = value.trim();
+            }
+        }
+        return declaration;
+    });
+}
+
 export function loadConfig() {
     // 端口配置（仍然必填且需要合法）
     const port = Number.parseInt(process.env.PORT ?? '3070', 10);
@@ -95,6 +211,41 @@ export function loadConfig() {
         discord: parseBoolean(process.env.ENABLE_DISCORD_OAUTH),
         linuxdo: parseBoolean(process.env.ENABLE_LINUXDO_OAUTH),
     };
+    const oauthProviders = parseOAuthProviders();
+
+    let rateLimitPolicies = {};
+    if (RATE_LIMIT_POLICIES) {
+        try {
+            rateLimitPolicies = JSON.parse(RATE_LIMIT_POLICIES);
+        } catch (error) {
+            throw new Error('RATE_LIMIT_POLICIES 必须是合法的 JSON，例如 {"register":[{"by":"ip","limit":5,"windowSeconds":3600}]}');
+        }
+    }
+
+    let approvalQuestions = [];
+    if (APPROVAL_QUESTIONS) {
+        try {
+            approvalQuestions = JSON.parse(APPROVAL_QUESTIONS);
+        } catch (error) {
+            throw new Error('APPROVAL_QUESTIONS 必须是合法的 JSON，例如 [{"id":"reason","label":"为什么想加入？","type":"textarea"}]');
+        }
+    }
+
+    if (!['manual', 'auto', 'suggest'].includes(SERVER_ASSIGNMENT_MODE)) {
+        throw new Error('SERVER_ASSIGNMENT_MODE 必须是 manual、auto 或 suggest');
+    }
+
+    if (!['least-users', 'weighted', 'round-robin', 'least-storage', 'invite-pinned'].includes(SERVER_ASSIGNMENT_STRATEGY)) {
+        throw new Error('SERVER_ASSIGNMENT_STRATEGY 必须是 least-users、weighted、round-robin、least-storage 或 invite-pinned');
+    }
+
+    if (!['open', 'allowlist'].includes(EMAIL_DOMAIN_MODE)) {
+        throw new Error('EMAIL_DOMAIN_MODE 必须是 open 或 allowlist');
+    }
+
+    if (!['smtp', 'file', 'sink'].includes(MAIL_TRANSPORT)) {
+        throw new Error('MAIL_TRANSPORT 必须是 smtp、file 或 sink');
+    }
 
     // 获取基础 URL（用于 OAuth 回调）
     const baseRegisterUrl = process.env.REGISTER_BASE_URL || `http://localhost:${port}`;
@@ -106,13 +257,26 @@ export function loadConfig() {
         baseRegisterUrl,
         adminHandle: adminHandleEnv.trim(),
         adminPassword: adminPasswordEnv,
+        adminBootstrapUsername: ADMIN_USERNAME,
         adminPanelPassword: ADMIN_PANEL_PASSWORD,
         requireInviteCode: REQUIRE_INVITE_CODE,
+        requireApproval: REQUIRE_APPROVAL,
+        approvalQuestions,
+        serverAssignmentMode: SERVER_ASSIGNMENT_MODE,
+        serverAssignmentStrategy: SERVER_ASSIGNMENT_STRATEGY,
+        waitlistOfferHours: WAITLIST_OFFER_HOURS,
+        userMigrationSelfService: USER_MIGRATION_SELF_SERVICE,
+        serverHealthCheckInterval: SERVER_HEALTH_CHECK_INTERVAL,
+        serverHealthFailureThreshold: SERVER_HEALTH_FAILURE_THRESHOLD,
+        serverHealthTimeout: SERVER_HEALTH_TIMEOUT,
+        serverHealthRetentionDays: SERVER_HEALTH_RETENTION_DAYS,
         adminLoginPath: ADMIN_LOGIN_PATH,
         adminPanelPath: ADMIN_PANEL_PATH,
         maxLoginAttempts: MAX_LOGIN_ATTEMPTS,
         loginLockoutTime: LOGIN_LOCKOUT_TIME,
+        requireAdminTwoFactor: REQUIRE_ADMIN_2FA,
         oauthEnabled,
+        oauthProviders,
         // 邮箱验证配置
         requireEmailVerification: REQUIRE_EMAIL_VERIFICATION,
         smtpHost: SMTP_HOST,
@@ -122,8 +286,41 @@ export function loadConfig() {
         smtpPass: SMTP_PASS,
         smtpFrom: SMTP_FROM,
         siteName: SITE_NAME,
+        mailTransport: MAIL_TRANSPORT,
+        mailOutboxDir: MAIL_OUTBOX_DIR,
+        mailSinkPort: MAIL_SINK_PORT,
+        mailMaxAttempts: MAIL_MAX_ATTEMPTS,
+        mailRetryBaseSeconds: MAIL_RETRY_BASE_SECONDS,
+        mailRetentionDays: MAIL_RETENTION_DAYS,
+        emailDomainMode: EMAIL_DOMAIN_MODE,
+        blockDisposableEmail: BLOCK_DISPOSABLE_EMAIL,
+        emailDefaultLocale: EMAIL_DEFAULT_LOCALE,
+        emailTemplatesDir: EMAIL_TEMPLATES_DIR,
+        quotaWarningPercent: QUOTA_WARNING_PERCENT,
         // IP 限制配置
         enableIpLimit: ENABLE_IP_LIMIT,
+        ipLimitMaxPerIp: IP_LIMIT_MAX_PER_IP,
+        ipLimitMaxPerSubnet: IP_LIMIT_MAX_PER_SUBNET,
+        ipLimitWindowHours: IP_LIMIT_WINDOW_HOURS,
+        ipLimitIpv4SubnetPrefix: IP_LIMIT_IPV4_SUBNET_PREFIX,
+        ipLimitIpv6SubnetPrefix: IP_LIMIT_IPV6_SUBNET_PREFIX,
+        // 客户端 IP 解析配置
+        trustedProxies: TRUSTED_PROXIES,
+        trustCloudflare: TRUST_CLOUDFLARE,
+        trustedProxyHops: TRUSTED_PROXY_HOPS,
+        // 人机验证配置
+        captchaType: CAPTCHA_TYPE,
+        captchaPowDifficulty: CAPTCHA_POW_DIFFICULTY,
+        // 限流配置
+        rateLimitStore: RATE_LIMIT_STORE,
+        rateLimitRedisUrl: RATE_LIMIT_REDIS_URL,
+        rateLimitPolicies,
+        // 数据存储配置
+        storageBackend: STORAGE_BACKEND,
+        sqlitePath: SQLITE_PATH,
+        // 服务器凭据加密配置
+        credentialsMasterKey: CREDENTIALS_MASTER_KEY,
+        credentialsKeyFile: CREDENTIALS_KEY_FILE,
         ...oauthConfig,
     };
 }
@@ -1,103 +1,134 @@
-import fs from 'node:fs';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { loadConfig } from './config.js';
+import { createStorageAdapter } from './storage/index.js';
+import { canonicalizeEmail, getCanonicalEmailDomains } from './emailAddress.js';
+import { getCredentialVault, sealSecretFields, sealServerCredentials, discardPendingMasterKey } from './serverCredentials.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+let adapter = null;
 
-const DATA_DIR = path.join(__dirname, '../data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const INVITE_CODES_FILE = path.join(DATA_DIR, 'invite-codes.json');
-const SERVERS_FILE = path.join(DATA_DIR, 'servers.json');
+// 登录提供商记录中需要加密保存的字段
+const OAUTH_PROVIDER_SECRET_FIELDS = ['clientSecret'];
+// 管理员账号中需要加密保存的字段（两步验证密钥）
+const ADMIN_SECRET_FIELDS = ['totpSecret'];
 
-// 确保数据目录存在
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+/**
+ * 获取当前存储适配器（首次调用时按配置创建）
+ */
+function getAdapter() {
+    if (!adapter) {
+        adapter = createStorageAdapter(loadConfig());
+        // 旧数据中的明文凭据（或未完成轮换的密文）统一用当前主密钥加密
+        const { servers, oauthProviders, admins } = resealStoredCredentials(adapter, getCredentialVault());
+        if (servers > 0 || oauthProviders > 0 || admins > 0) {
+            console.info(`[凭据加密] 已用当前主密钥加密 ${servers} 个服务器的管理员凭据、${oauthProviders} 个登录提供商的客户端密钥、${admins} 个管理员的两步验证密钥`);
+        }
+        discardPendingMasterKey(loadConfig());
+    }
+    return adapter;
 }
 
 /**
- * 读取 JSON 文件
+ * 在一个事务中用指定保险箱的主密钥重新加密所有服务器凭据、登录提供商密钥与管理员两步验证密钥
+ * @returns {{ servers: number, oauthProviders: number, admins: number }} 发生变更的记录数量
  */
-function readJsonFile(filePath, defaultValue = []) {
-    try {
-        if (!fs.existsSync(filePath)) {
-            return defaultValue;
+function resealStoredCredentials(store, vault) {
+    return store.transaction(() => {
+        const counts = { servers: 0, oauthProviders: 0, admins: 0 };
+        for (const server of store.listServers()) {
+            const updates = vault.resealFields(server);
+            if (updates) {
+                store.updateServer(server.id, updates);
+                counts.servers += 1;
+            }
         }
-        const content = fs.readFileSync(filePath, 'utf-8');
-        return JSON.parse(content);
-    } catch (error) {
-        console.error(`读取文件失败 ${filePath}:`, error);
-        return defaultValue;
-    }
+        for (const provider of store.listOAuthProviders()) {
+            const updates = vault.resealFields(provider, OAUTH_PROVIDER_SECRET_FIELDS);
+            if (updates) {
+                store.updateOAuthProvider(provider.id, updates);
+                counts.oauthProviders += 1;
+            }
+        }
+        for (const admin of store.listAdmins()) {
+            const updates = vault.resealFields(admin, ADMIN_SECRET_FIELDS);
+            if (updates) {
+                store.updateAdmin(admin.username, updates);
+                counts.admins += 1;
+            }
+        }
+        return counts;
+    });
 }
 
 /**
- * 写入 JSON 文件
+ * 兼容旧数据：为缺少字段的服务器记录补齐默认值
  */
-function writeJsonFile(filePath, data) {
-    try {
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
-        return true;
-    } catch (error) {
-        console.error(`写入文件失败 ${filePath}:`, error);
-        return false;
-    }
+function normalizeServer(server) {
+    return {
+        ...server,
+        registrationPaused: server.registrationPaused === true,
+        localDataRoot: server.localDataRoot || '',
+        storageLimitValue: server.storageLimitValue ?? null,
+        storageLimitUnit: server.storageLimitUnit || 'mb',
+        storageLimitBytes: server.storageLimitBytes ?? null,
+        storageCheckIntervalMinutes: server.storageCheckIntervalMinutes ?? 5,
+        assignmentWeight: server.assignmentWeight ?? 1,
+        maxUsers: server.maxUsers ?? null,
+    };
 }
 
 export class DataStore {
+    /**
+     * 替换存储适配器（用于迁移脚本或切换后端）
+     */
+    static useAdapter(nextAdapter) {
+        if (adapter && adapter !== nextAdapter) {
+            adapter.close();
+        }
+        adapter = nextAdapter;
+    }
+
     /**
      * 记录注册用户
      */
     static recordUser(userInfo) {
-        const users = readJsonFile(USERS_FILE, []);
-        const record = {
+        return getAdapter().insertUser({
             ...userInfo,
             registeredAt: new Date().toISOString(),
-            id: users.length + 1,
-            registrationStatus: userInfo.registrationStatus || 'pending_selection', // pending_selection, active
+            registrationStatus: userInfo.registrationStatus || 'pending_selection', // pending_approval, rejected, pending_selection, active
             serverId: userInfo.serverId || null,
-        };
-        users.push(record);
-        writeJsonFile(USERS_FILE, users);
-        return record;
+        });
     }
 
     /**
      * 更新用户状态
      */
     static updateUser(handle, updates) {
-        const users = readJsonFile(USERS_FILE, []);
-        const userIndex = users.findIndex(u => u.handle === handle);
-        if (userIndex === -1) return null;
-
-        users[userIndex] = { ...users[userIndex], ...updates };
-        writeJsonFile(USERS_FILE, users);
-        return users[userIndex];
+        return getAdapter().updateUser(handle, updates);
     }
 
     /**
      * 删除用户
      */
     static deleteUser(handle) {
-        const users = readJsonFile(USERS_FILE, []);
-        const filtered = users.filter(u => u.handle !== handle);
-        writeJsonFile(USERS_FILE, filtered);
-        return filtered.length < users.length;
+        const store = getAdapter();
+        return store.transaction(() => {
+            store.deleteIdentitiesByUser(handle);
+            return store.deleteUser(handle);
+        });
     }
 
     /**
      * 获取所有注册用户
      */
     static getUsers() {
-        return readJsonFile(USERS_FILE, []);
+        return getAdapter().listUsers();
     }
 
     /**
      * 根据用户名获取用户
      */
     static getUserByHandle(handle) {
-        const users = readJsonFile(USERS_FILE, []);
-        return users.find(u => u.handle === handle);
+        if (!handle) return null;
+        return getAdapter().getUserByHandle(handle);
     }
 
     /**
@@ -106,8 +137,7 @@ export class DataStore {
     static getUserByEmail(email) {
         if (!email) return null;
         const normalizedEmail = email.toLowerCase().trim();
-        const users = readJsonFile(USERS_FILE, []);
-        return users.find(u => u.email && u.email.toLowerCase().trim() === normalizedEmail);
+        return getAdapter().getUserByEmail(normalizedEmail);
     }
 
     /**
@@ -115,48 +145,61 @@ export class DataStore {
      */
     static getUsersByIp(ip) {
         if (!ip) return [];
-        const users = readJsonFile(USERS_FILE, []);
-        return users.filter(u => u.ip === ip);
+        return getAdapter().getUsersByIp(ip);
     }
 
     /**
-     * 检查 IP 是否已注册过（排除 pending 状态）
+     * 获取绑定到指定服务器的用户
      */
-    static hasIpRegistered(ip) {
-        if (!ip || ip === 'unknown' || ip === '127.0.0.1' || ip === '::1') {
-            // 本地环境不限制
-            return false;
-        }
-        const users = this.getUsersByIp(ip);
-        // 只检查已激活的用户
-        return users.some(u => u.registrationStatus === 'active');
+    static getUsersByServerId(serverId) {
+        if (serverId == null) return [];
+        return getAdapter().getUsersByServerId(serverId);
+    }
+
+    /**
+     * 统计每个服务器的已注册用户数
+     * @returns {Map<number, number>} serverId -> 用户数
+     */
+    static countUsersByServer() {
+        return getAdapter().countUsersByServer();
     }
 
     /**
      * 检查邮箱是否已被使用
+     * 按规范形式查重，例如 a.b+x@gmail.com 与已注册的 ab@gmail.com 视为同一邮箱
      */
     static isEmailUsed(email) {
-        const user = this.getUserByEmail(email);
-        return !!user;
+        if (this.getUserByEmail(email)) {
+            return true;
+        }
+        const canonical = canonicalizeEmail(email);
+        if (!canonical) {
+            return false;
+        }
+        return getCanonicalEmailDomains(email).some(domain => getAdapter()
+            .getUsersByEmailDomain(domain)
+            .some(user => canonicalizeEmail(user.email) === canonical));
     }
 
     /**
      * 添加服务器
      */
     static addServer(serverInfo) {
-        const servers = readJsonFile(SERVERS_FILE, []);
-        const newServer = {
-            id: servers.length > 0 ? Math.max(...servers.map(s => s.id)) + 1 : 1,
-            // 基础信息
+        return getAdapter().insertServer({
+            // 基础信息（管理员凭据加密保存）
             name: serverInfo.name,
             url: serverInfo.url,
-            admin_username: serverInfo.admin_username,
-            admin_password: serverInfo.admin_password,
+            ...sealServerCredentials({
+                admin_username: serverInfo.admin_username,
+                admin_password: serverInfo.admin_password,
+            }),
             localDataRoot: serverInfo.localDataRoot || '',
             storageLimitValue: serverInfo.storageLimitValue ?? null,
             storageLimitUnit: serverInfo.storageLimitUnit || 'mb',
             storageLimitBytes: serverInfo.storageLimitBytes ?? null,
             storageCheckIntervalMinutes: serverInfo.storageCheckIntervalMinutes ?? 5,
+            assignmentWeight: serverInfo.assignmentWeight ?? 1,        // 自动分配权重，0 表示不参与自动分配
+            maxUsers: serverInfo.maxUsers ?? null,                     // 用户容量上限，null 表示不限
             // 展示信息（可选）
             description: serverInfo.description || '',      // 服务器描述
             provider: serverInfo.provider || '',          // 服务器提供方
@@ -166,91 +209,65 @@ export class DataStore {
             createdAt: new Date().toISOString(),
             isActive: true,
             registrationPaused: false,                     // 是否暂停注册
-        };
-        servers.push(newServer);
-        writeJsonFile(SERVERS_FILE, servers);
-        return newServer;
+        });
     }
 
     /**
      * 获取所有服务器
      */
     static getServers() {
-        const servers = readJsonFile(SERVERS_FILE, []);
-        // 兼容旧数据：为没有 registrationPaused 字段的服务器设置默认值
-        return servers.map(s => ({
-            ...s,
-            registrationPaused: s.registrationPaused === true,
-            localDataRoot: s.localDataRoot || '',
-            storageLimitValue: s.storageLimitValue ?? null,
-            storageLimitUnit: s.storageLimitUnit || 'mb',
-            storageLimitBytes: s.storageLimitBytes ?? null,
-            storageCheckIntervalMinutes: s.storageCheckIntervalMinutes ?? 5,
-        }));
+        return getAdapter().listServers().map(normalizeServer);
     }
 
     /**
      * 获取可用服务器
      */
     static getActiveServers() {
-        const servers = readJsonFile(SERVERS_FILE, []);
-        // 兼容旧数据：为没有 registrationPaused 字段的服务器设置默认值
-        return servers.filter(s => s.isActive).map(s => ({
-            ...s,
-            registrationPaused: s.registrationPaused === true,
-        }));
+        return getAdapter().listServers().filter(s => s.isActive).map(normalizeServer);
     }
 
     /**
      * 根据 ID 获取服务器
      */
     static getServerById(id) {
-        const servers = readJsonFile(SERVERS_FILE, []);
-        const targetId = Number(id);
-        const server = servers.find(s => Number(s.id) === targetId);
-        // 兼容旧数据：为没有 registrationPaused 字段的服务器设置默认值
-        return server ? {
-            ...server,
-            registrationPaused: server.registrationPaused === true,
-            localDataRoot: server.localDataRoot || '',
-            storageLimitValue: server.storageLimitValue ?? null,
-            storageLimitUnit: server.storageLimitUnit || 'mb',
-            storageLimitBytes: server.storageLimitBytes ?? null,
-            storageCheckIntervalMinutes: server.storageCheckIntervalMinutes ?? 5,
-        } : null;
+        const server = getAdapter().getServerById(id);
+        return server ? normalizeServer(server) : null;
     }
 
     /**
      * 更新服务器
      */
     static updateServer(id, updates) {
-        const servers = readJsonFile(SERVERS_FILE, []);
-        const targetId = Number(id);
-        const index = servers.findIndex(s => Number(s.id) === targetId);
-        if (index === -1) return null;
+        return getAdapter().updateServer(id, sealServerCredentials(updates));
+    }
 
-        servers[index] = { ...servers[index], ...updates };
-        writeJsonFile(SERVERS_FILE, servers);
-        return servers[index];
+    /**
+     * 用新的保险箱重新加密所有服务器凭据与登录提供商密钥（主密钥轮换）
+     * @returns {{ servers: number, oauthProviders: number }} 重新加密的记录数量
+     */
+    static resealCredentials(vault) {
+        return resealStoredCredentials(getAdapter(), vault);
     }
 
     /**
      * 删除服务器
      */
     static deleteServer(id) {
-        const servers = readJsonFile(SERVERS_FILE, []);
-        const targetId = Number(id);
-        const filtered = servers.filter(s => Number(s.id) !== targetId);
-        writeJsonFile(SERVERS_FILE, filtered);
-        return filtered.length < servers.length;
+        return getAdapter().deleteServer(id);
+    }
+
+    /**
+     * 根据邀请码获取记录
+     */
+    static getInviteCode(code) {
+        return getAdapter().getInviteCode(code);
     }
 
     /**
      * 添加邀请码
      */
-    static addInviteCode(code, createdBy = 'admin', maxUses = 1, expiresAt = null) {
-        const codes = readJsonFile(INVITE_CODES_FILE, []);
-        const inviteCode = {
+    static addInviteCode(code, createdBy = 'admin', maxUses = 1, expiresAt = null, serverId = null) {
+        return getAdapter().insertInviteCode({
             code,
             createdBy,
             createdAt: new Date().toISOString(),
@@ -258,20 +275,17 @@ export class DataStore {
             usedCount: 0,
             expiresAt,
             isActive: true,
-        };
-        codes.push(inviteCode);
-        writeJsonFile(INVITE_CODES_FILE, codes);
-        return inviteCode;
+            serverId, // 指定服务器（invite-pinned 分配策略使用）
+        });
     }
 
     /**
      * 验证邀请码
      */
     static validateInviteCode(code) {
-        const codes = readJsonFile(INVITE_CODES_FILE, []);
-        const inviteCode = codes.find(c => c.code === code && c.isActive);
+        const inviteCode = getAdapter().getInviteCode(code);
 
-        if (!inviteCode) {
+        if (!inviteCode || !inviteCode.isActive) {
             return { valid: false, message: '邀请码不存在或已失效' };
         }
 
@@ -295,59 +309,422 @@ export class DataStore {
      * 使用邀请码
      */
     static useInviteCode(code, usedBy) {
-        const codes = readJsonFile(INVITE_CODES_FILE, []);
-        const inviteCode = codes.find(c => c.code === code && c.isActive);
-
-        if (!inviteCode) {
-            return false;
-        }
+        const store = getAdapter();
+        return store.transaction(() => {
+            // 在事务内重新检查，避免并发请求超出使用次数
+            const { valid, inviteCode } = this.validateInviteCode(code);
+            if (!valid) {
+                return false;
+            }
 
-        inviteCode.usedCount += 1;
-        if (!inviteCode.usedBy) {
-            inviteCode.usedBy = [];
-        }
-        inviteCode.usedBy.push({
-            handle: usedBy,
-            usedAt: new Date().toISOString(),
+            const usedCount = inviteCode.usedCount + 1;
+            store.updateInviteCode(code, {
+                usedCount,
+                usedBy: [
+                    ...(inviteCode.usedBy || []),
+                    { handle: usedBy, usedAt: new Date().toISOString() },
+                ],
+                // 如果达到最大使用次数，禁用邀请码
+                isActive: usedCount < inviteCode.maxUses,
+            });
+            return true;
         });
+    }
 
-        // 如果达到最大使用次数，禁用邀请码
-        if (inviteCode.usedCount >= inviteCode.maxUses) {
-            inviteCode.isActive = false;
-        }
+    /**
+     * 使用邀请码创建用户：核验邀请码、创建用户与使用邀请码在同一事务中完成，邀请码不可用时不创建用户
+     * @param {string} code
+     * @param {() => object} createUser 在事务内创建用户（同步），返回新用户
+     * @returns {{ user?: object, message?: string }}
+     */
+    static recordUserWithInviteCode(code, createUser) {
+        return getAdapter().transaction(() => {
+            const validation = this.validateInviteCode(code);
+            if (!validation.valid) {
+                return { message: validation.message };
+            }
 
-        writeJsonFile(INVITE_CODES_FILE, codes);
-        return true;
+            const user = createUser();
+            this.useInviteCode(code, user.handle);
+            return { user };
+        });
     }
 
     /**
      * 获取所有邀请码
      */
     static getInviteCodes() {
-        return readJsonFile(INVITE_CODES_FILE, []);
+        return getAdapter().listInviteCodes();
     }
 
     /**
      * 删除邀请码
      */
     static deleteInviteCode(code) {
-        const codes = readJsonFile(INVITE_CODES_FILE, []);
-        const filtered = codes.filter(c => c.code !== code);
-        writeJsonFile(INVITE_CODES_FILE, filtered);
-        return filtered.length < codes.length;
+        return getAdapter().deleteInviteCode(code);
     }
 
     /**
      * 禁用/启用邀请码
      */
     static toggleInviteCode(code, isActive) {
-        const codes = readJsonFile(INVITE_CODES_FILE, []);
-        const inviteCode = codes.find(c => c.code === code);
-        if (inviteCode) {
-            inviteCode.isActive = isActive;
-            writeJsonFile(INVITE_CODES_FILE, codes);
-            return true;
-        }
-        return false;
+        return !!getAdapter().updateInviteCode(code, { isActive });
+    }
+
+    /**
+     * 根据提供商和提供商侧用户 ID 查找第三方登录身份
+     */
+    static getOAuthIdentity(provider, providerUserId) {
+        if (!provider || providerUserId == null || providerUserId === '') return null;
+        return getAdapter().getIdentity(provider, String(providerUserId));
+    }
+
+    /**
+     * 获取用户绑定的所有第三方登录身份
+     */
+    static getOAuthIdentitiesByUser(handle) {
+        if (!handle) return [];
+        return getAdapter().listIdentitiesByUser(handle);
+    }
+
+    /**
+     * 将第三方登录身份绑定到用户
+     * 同一身份只能绑定一个用户；已绑定到其他用户时抛出错误。
+     */
+    static linkOAuthIdentity({ provider, providerUserId, providerUsername, userHandle }) {
+        const store = getAdapter();
+        return store.transaction(() => {
+            const existing = store.getIdentity(provider, String(providerUserId));
+            if (existing) {
+                if (existing.userHandle !== userHandle) {
+                    throw new Error('该第三方账号已绑定到其他用户');
+                }
+                return existing;
+            }
+
+            return store.insertIdentity({
+                provider,
+                providerUserId: String(providerUserId),
+                providerUsername: providerUsername || '',
+                userHandle,
+                linkedAt: new Date().toISOString(),
+            });
+        });
+    }
+
+    /**
+     * 解除用户在指定提供商上的第三方登录身份
+     * @returns {number} 解除的身份数量
+     */
+    static unlinkOAuthIdentity(handle, provider) {
+        const store = getAdapter();
+        return store.transaction(() => {
+            let count = 0;
+            for (const identity of store.listIdentitiesByUser(handle)) {
+                if (identity.provider === provider && store.deleteIdentity(identity.provider, identity.providerUserId)) {
+                    count += 1;
+                }
+            }
+            return count;
+        });
+    }
+
+    /**
+     * 创建第三方登录用户并绑定其身份（同一事务内完成）
+     */
+    static recordOAuthUser(userInfo, identity) {
+        return getAdapter().transaction(() => {
+            const newUser = this.recordUser(userInfo);
+            this.linkOAuthIdentity({ ...identity, userHandle: newUser.handle });
+            return newUser;
+        });
+    }
+
+    /**
+     * 获取后台添加的登录提供商（客户端密钥保持加密）
+     */
+    static getOAuthProviders() {
+        return getAdapter().listOAuthProviders();
+    }
+
+    /**
+     * 根据 id 获取后台添加的登录提供商
+     */
+    static getOAuthProvider(id) {
+        if (!id) return null;
+        return getAdapter().getOAuthProvider(id);
+    }
+
+    /**
+     * 添加登录提供商（客户端密钥加密保存）
+     */
+    static addOAuthProvider(providerInfo) {
+        const now = new Date().toISOString();
+        return getAdapter().insertOAuthProvider(sealSecretFields({
+            ...providerInfo,
+            createdAt: now,
+            updatedAt: now,
+        }, OAUTH_PROVIDER_SECRET_FIELDS));
+    }
+
+    /**
+     * 更新登录提供商
+     */
+    static updateOAuthProvider(id, updates) {
+        return getAdapter().updateOAuthProvider(id, sealSecretFields({
+            ...updates,
+            updatedAt: new Date().toISOString(),
+        }, OAUTH_PROVIDER_SECRET_FIELDS));
+    }
+
+    /**
+     * 删除登录提供商（已绑定的第三方身份保留，重新添加同 id 的提供商后可继续登录）
+     */
+    static deleteOAuthProvider(id) {
+        return getAdapter().deleteOAuthProvider(id);
+    }
+
+    /**
+     * 获取所有管理员账号
+     */
+    static getAdmins() {
+        return getAdapter().listAdmins();
+    }
+
+    /**
+     * 根据用户名获取管理员账号
+     */
+    static getAdmin(username) {
+        if (!username) return null;
+        return getAdapter().getAdmin(username);
+    }
+
+    /**
+     * 添加管理员账号（passwordHash 需由调用方生成）
+     */
+    static addAdmin(adminInfo) {
+        const now = new Date().toISOString();
+        return getAdapter().insertAdmin(sealSecretFields({
+            ...adminInfo,
+            disabled: adminInfo.disabled === true,
+            createdAt: now,
+            updatedAt: now,
+        }, ADMIN_SECRET_FIELDS));
+    }
+
+    /**
+     * 更新管理员账号（两步验证密钥会自动加密）
+     */
+    static updateAdmin(username, updates) {
+        return getAdapter().updateAdmin(username, sealSecretFields({
+            ...updates,
+            updatedAt: new Date().toISOString(),
+        }, ADMIN_SECRET_FIELDS));
+    }
+
+    /**
+     * 删除管理员账号
+     */
+    static deleteAdmin(username) {
+        return getAdapter().deleteAdmin(username);
+    }
+
+    /**
+     * 获取 IP 允许 / 禁止名单
+     */
+    static getIpRules() {
+        return getAdapter().listIpRules();
+    }
+
+    /**
+     * 根据地址段获取名单规则
+     */
+    static getIpRule(cidr) {
+        if (!cidr) return null;
+        return getAdapter().getIpRule(cidr);
+    }
+
+    /**
+     * 添加名单规则（cidr 需由调用方规范化）
+     */
+    static addIpRule(ruleInfo) {
+        return getAdapter().insertIpRule({
+            ...ruleInfo,
+            createdAt: new Date().toISOString(),
+        });
+    }
+
+    /**
+     * 删除名单规则
+     */
+    static deleteIpRule(cidr) {
+        return getAdapter().deleteIpRule(cidr);
+    }
+
+    /**
+     * 获取邮箱域名允许 / 禁止名单
+     */
+    static getEmailDomainRules() {
+        return getAdapter().listEmailDomainRules();
+    }
+
+    /**
+     * 根据域名获取名单规则
+     */
+    static getEmailDomainRule(domain) {
+        if (!domain) return null;
+        return getAdapter().getEmailDomainRule(domain);
+    }
+
+    /**
+     * 添加邮箱域名规则（domain 需由调用方规范化）
+     */
+    static addEmailDomainRule(ruleInfo) {
+        return getAdapter().insertEmailDomainRule({
+            ...ruleInfo,
+            createdAt: new Date().toISOString(),
+        });
+    }
+
+    /**
+     * 删除邮箱域名规则
+     */
+    static deleteEmailDomainRule(domain) {
+        return getAdapter().deleteEmailDomainRule(domain);
+    }
+
+    /**
+     * 获取邮箱当前的验证码记录（邮箱需由调用方规范化）
+     */
+    static getVerificationCode(email) {
+        if (!email) return null;
+        return getAdapter().getVerificationCode(email);
+    }
+
+    /**
+     * 保存验证码记录，同一邮箱只保留最新一条
+     */
+    static saveVerificationCode(record) {
+        return getAdapter().saveVerificationCode(record);
+    }
+
+    /**
+     * 删除验证码记录
+     */
+    static deleteVerificationCode(email) {
+        return getAdapter().deleteVerificationCode(email);
+    }
+
+    /**
+     * 清理已过期的验证码记录
+     * @returns {number} 清理的条数
+     */
+    static cleanupVerificationCodes(now = Date.now()) {
+        return getAdapter().deleteExpiredVerificationCodes(now);
+    }
+
+    /**
+     * 加入一封待发送的邮件
+     */
+    static addMail(record) {
+        const now = new Date().toISOString();
+        return getAdapter().insertMail({
+            createdAt: now,
+            updatedAt: now,
+            ...record,
+        });
+    }
+
+    static getMail(id) {
+        return getAdapter().getMail(id);
+    }
+
+    static updateMail(id, updates) {
+        return getAdapter().updateMail(id, { ...updates, updatedAt: new Date().toISOString() });
+    }
+
+    static deleteMail(id) {
+        return getAdapter().deleteMail(id);
+    }
+
+    /**
+     * 领取到期待发送的邮件（同时把它们标记为发送中，租约到期前不会被再次领取）
+     */
+    static claimDueMails(now, limit, leaseUntil) {
+        return getAdapter().claimDueMails(now, limit, leaseUntil);
+    }
+
+    /**
+     * 分页查询邮件（按加入队列的时间倒序）
+     * @param {{ status?: string }} filters
+     * @param {{ page?: number, limit?: number }} pagination
+     */
+    static queryMails(filters = {}, { page = 1, limit = 50 } = {}) {
+        return getAdapter().queryMails(filters, { offset: (page - 1) * limit, limit });
+    }
+
+    /**
+     * 各状态的邮件数量
+     */
+    static countMailsByStatus() {
+        return getAdapter().countMailsByStatus();
+    }
+
+    /**
+     * 清理早于指定时间发送成功的邮件记录
+     * @returns {number} 清理的条数
+     */
+    static cleanupSentMails(before) {
+        return getAdapter().deleteSentMailsBefore(before);
+    }
+
+    /**
+     * 记录一次服务器健康检查
+     */
+    static addServerHealthCheck(record) {
+        return getAdapter().insertServerHealthCheck(record);
+    }
+
+    /**
+     * 服务器的健康检查记录（按时间倒序）
+     * @param {number} serverId
+     * @param {{ since?: string, limit?: number }} [options] since 为 ISO 时间，只返回此后的记录
+     */
+    static getServerHealthChecks(serverId, options = {}) {
+        return getAdapter().listServerHealthChecks(serverId, options);
+    }
+
+    /**
+     * 清理早于指定时间的健康检查记录
+     * @returns {number} 删除的记录数量
+     */
+    static cleanupServerHealthChecks(before) {
+        return getAdapter().deleteServerHealthChecksBefore(before);
+    }
+
+    /**
+     * 追加一条审计事件（审计日志只追加，不提供修改与删除）
+     */
+    static addAuditEvent(event) {
+        return getAdapter().insertAuditEvent({
+            createdAt: new Date().toISOString(),
+            ...event,
+        });
+    }
+
+    /**
+     * 分页查询审计日志（按时间倒序）
+     * @param {object} filters - action（前缀匹配）/ actor / target / result / from / to / q（全文包含）
+     * @param {{ page?: number, limit?: number }} pagination
+     */
+    static queryAuditEvents(filters = {}, { page = 1, limit = 50 } = {}) {
+        return getAdapter().queryAuditEvents(filters, { offset: (page - 1) * limit, limit });
+    }
+
+    /**
+     * 按时间顺序逐条读取审计日志（用于导出）
+     */
+    static iterateAuditEvents(filters = {}) {
+        return getAdapter().iterateAuditEvents(filters);
     }
 }
@@ -0,0 +1,23 @@
+// 内置的一次性（临时）邮箱域名，匹配时同时包含其子域名
+// 列表只收录常见服务，可在管理员面板的邮箱域名名单中补充禁止或放行
+export const DISPOSABLE_EMAIL_DOMAINS = [
+    '0-mail.com', '027168.com', '10minutemail.co.uk', '10minutemail.com', '10minutemail.net',
+    '20minutemail.com', '33mail.com', '5ymail.com', 'anonbox.net', 'anonymbox.com',
+    'bccto.me', 'burnermail.io', 'byom.de', 'chacuo.net', 'crazymailing.com', 'deadaddress.com',
+    'discard.email', 'discardmail.com', 'discardmail.de', 'dispostable.com', 'dropmail.me', 'emailondeck.com',
+    'emailtemp.org', 'fakeinbox.com', 'fakemail.net', 'fakemailgenerator.com', 'getairmail.com',
+    'getnada.com', 'guerrillamail.biz', 'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.info',
+    'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com', 'harakirimail.com', 'inboxbear.com',
+    'inboxkitten.com', 'incognitomail.org', 'jetable.org', 'linshiyouxiang.net', 'mail-temp.com', 'mail.tm',
+    'mail7.io', 'mailcatch.com', 'maildrop.cc', 'mailexpire.com', 'mailforspam.com', 'mailinator.com',
+    'mailinator.net', 'mailinator2.com', 'mailnesia.com', 'mailnull.com', 'mailsac.com', 'mailtemp.info',
+    'meltmail.com', 'mintemail.com', 'moakt.com', 'mohmal.com', 'mt2015.com', 'mytemp.email',
+    'mytrashmail.com', 'nada.email', 'nowmymail.com', 'one-time.email', 'owlymail.com', 'pokemail.net',
+    'sharklasers.com', 'shitmail.me', 'spam4.me', 'spamavert.com', 'spambog.com', 'spambox.us',
+    'spamdecoy.net', 'spamex.com', 'spamfree24.org', 'spamgourmet.com', 'spamherelots.com', 'spamhole.com',
+    'spaml.com', 'temp-mail.io', 'temp-mail.org', 'tempail.com', 'tempemail.net', 'tempinbox.com',
+    'tempmail.dev', 'tempmail.net', 'tempmail.plus', 'tempmailaddress.com', 'tempmailo.com', 'tempr.email',
+    'throwawaymail.com', 'tmail.ws', 'tmpmail.net', 'tmpmail.org', 'trash-mail.com', 'trashmail.com',
+    'trashmail.de', 'trashmail.io', 'trashmail.me', 'trashmail.net', 'trbvm.com', 'wegwerfmail.de',
+    'wegwerfmail.net', 'yopmail.com', 'yopmail.fr', 'yopmail.net', 'zetmail.com',
+];
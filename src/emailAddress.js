@@ -0,0 +1,68 @@
+// 忽略本地部分中的点号的邮箱服务（a.b@gmail.com 与 ab@gmail.com 是同一个邮箱）
+const DOT_INSENSITIVE_DOMAINS = new Set(['gmail.com']);
+
+// 支持 + 子地址的邮箱服务（a+x@gmail.com 会投递到 a@gmail.com）
+const PLUS_ADDRESSING_DOMAINS = new Set([
+    'gmail.com',
+    'outlook.com',
+    'hotmail.com',
+    'live.com',
+    'icloud.com',
+    'me.com',
+    'protonmail.com',
+    'proton.me',
+    'fastmail.com',
+]);
+
+// 同一邮箱服务的别名域名
+const DOMAIN_ALIASES = {
+    'googlemail.com': 'gmail.com',
+};
+
+/**
+ * 取出邮箱的域名部分（小写）
+ * @returns {string|null}
+ */
+export function getEmailDomain(email) {
+    if (typeof email !== 'string') {
+        return null;
+    }
+    const normalized = email.trim().toLowerCase();
+    const at = normalized.lastIndexOf('@');
+    return at > 0 && at < normalized.length - 1 ? normalized.slice(at + 1) : null;
+}
+
+/**
+ * 规范化邮箱，用于判断两个地址是否投递到同一个邮箱
+ * 例如 A.B+x@googlemail.com 与 ab@gmail.com 的规范形式都是 ab@gmail.com。
+ * 只用于查重，保存和发送邮件时仍使用用户填写的地址。
+ * @returns {string|null}
+ */
+export function canonicalizeEmail(email) {
+    const rawDomain = getEmailDomain(email);
+    if (!rawDomain) {
+        return null;
+    }
+    const normalized = email.trim().toLowerCase();
+    const domain = DOMAIN_ALIASES[rawDomain] || rawDomain;
+    let local = normalized.slice(0, normalized.lastIndexOf('@'));
+    if (PLUS_ADDRESSING_DOMAINS.has(domain)) {
+        local = local.split('+')[0];
+    }
+    if (DOT_INSENSITIVE_DOMAINS.has(domain)) {
+        local = local.replace(/\./g, '');
+    }
+    return `${local}@${domain}`;
+}
+
+/**
+ * 规范形式可能与其他地址相同时，返回需要一起查重的域名（包括别名域名）；不做规范化的域名返回空数组
+ */
+export function getCanonicalEmailDomains(email) {
+    const rawDomain = getEmailDomain(email);
+    const domain = DOMAIN_ALIASES[rawDomain] || rawDomain;
+    if (!domain || !(PLUS_ADDRESSING_DOMAINS.has(domain) || DOT_INSENSITIVE_DOMAINS.has(domain))) {
+        return [];
+    }
+    return [domain, ...Object.keys(DOMAIN_ALIASES).filter(alias => DOMAIN_ALIASES[alias] === domain)];
+}
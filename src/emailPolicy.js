@@ -0,0 +1,128 @@
+import { DataStore } from './dataStore.js';
+import { DISPOSABLE_EMAIL_DOMAINS } from './disposableEmailDomains.js';
+import { getEmailDomain } from './emailAddress.js';
+
+export const EMAIL_DOMAIN_RULE_ACTIONS = {
+    allow: '允许',
+    deny: '禁止',
+};
+
+// 邮箱域名模式：open 为除禁止名单外都可以注册，allowlist 为只允许名单中的域名
+export const EMAIL_DOMAIN_MODES = {
+    open: '开放',
+    allowlist: '仅允许名单',
+};
+
+// 拦截或放行邮箱的规则类型及其显示名称（记录在审计日志 detail.emailRule.type 中）
+export const EMAIL_POLICY_RULE_TYPES = {
+    allowlist: '允许名单',
+    denylist: '禁止名单',
+    disposable: '临时邮箱',
+    'allowlist-only': '不在允许名单中',
+};
+
+/**
+ * 解析并规范化名单中的域名
+ * 支持完整域名（example.com）与后缀（edu、edu.cn），前导的 @、*. 与 . 会被去掉；
+ * 规则同时匹配该域名及其所有子域名。
+ * @returns {string|null}
+ */
+export function parseEmailDomainRule(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+    const domain = text.trim().toLowerCase().replace(/^@/, '').replace(/^\*?\./, '');
+    if (!domain || domain.length > 253 || !/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*$/.test(domain)) {
+        return null;
+    }
+    return domain;
+}
+
+function domainMatches(domain, ruleDomain) {
+    return domain === ruleDomain || domain.endsWith(`.${ruleDomain}`);
+}
+
+/**
+ * 邮箱域名策略
+ *
+ * 按顺序判断：管理员维护的允许 / 禁止名单（域名越具体越优先）→ 仅允许名单模式 → 内置的临时邮箱列表。
+ * 名单中明确允许的域名不受临时邮箱列表限制，便于放行被误判的域名。
+ */
+export class EmailDomainPolicy {
+    constructor(config) {
+        this.config = config;
+        this.mode = Object.hasOwn(EMAIL_DOMAIN_MODES, config.emailDomainMode) ? config.emailDomainMode : 'open';
+        this.blockDisposable = config.blockDisposableEmail !== false;
+        this.disposableDomains = new Set(DISPOSABLE_EMAIL_DOMAINS);
+    }
+
+    /**
+     * 管理员面板展示的策略配置
+     */
+    describe() {
+        return {
+            mode: this.mode,
+            blockDisposable: this.blockDisposable,
+            disposableDomainCount: this.disposableDomains.size,
+        };
+    }
+
+    #isDisposable(domain) {
+        const labels = domain.split('.');
+        for (let i = 0; i < labels.length - 1; i += 1) {
+            if (this.disposableDomains.has(labels.slice(i).join('.'))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 判断邮箱是否允许用于注册
+     * @returns {{ allowed: boolean, rule: object|null, message?: string }}
+     *          rule 为决定结果的规则（type 见 EMAIL_POLICY_RULE_TYPES），没有任何规则命中时为 null
+     */
+    evaluate(email) {
+        const domain = getEmailDomain(email);
+        if (!domain) {
+            return { allowed: false, rule: null, message: '邮箱格式不正确' };
+        }
+
+        const rules = DataStore.getEmailDomainRules();
+        const matched = rules
+            .filter(rule => domainMatches(domain, rule.domain))
+            // 域名越长越具体，优先生效
+            .sort((a, b) => b.domain.length - a.domain.length)[0];
+        if (matched?.action === 'allow') {
+            return { allowed: true, rule: { type: 'allowlist', domain: matched.domain } };
+        }
+        if (matched?.action === 'deny') {
+            return {
+                allowed: false,
+                rule: { type: 'denylist', domain: matched.domain, note: matched.note || null },
+                message: '该邮箱域名不允许注册，请使用其他邮箱',
+            };
+        }
+
+        if (this.mode === 'allowlist') {
+            const allowed = rules.filter(rule => rule.action === 'allow').map(rule => rule.domain);
+            return {
+                allowed: false,
+                rule: { type: 'allowlist-only', domain },
+                message: allowed.length > 0
+                    ? `仅支持以下域名的邮箱注册：${allowed.slice(0, 10).join('、')}${allowed.length > 10 ? ' 等' : ''}`
+                    : '当前未开放邮箱注册，请联系管理员',
+            };
+        }
+
+        if (this.blockDisposable && this.#isDisposable(domain)) {
+            return {
+                allowed: false,
+                rule: { type: 'disposable', domain },
+                message: '不支持使用临时邮箱注册，请使用常用邮箱',
+            };
+        }
+
+        return { allowed: true, rule: null };
+    }
+}
@@ -1,47 +1,44 @@
-import nodemailer from 'nodemailer';
+import crypto from 'node:crypto';
 
-// 验证码存储（内存存储，生产环境建议使用 Redis）
-const verificationCodes = new Map();
+import { DataStore } from './dataStore.js';
+import { EmailTemplateRenderer } from './emailTemplates.js';
+import { MailQueue } from './mailQueue.js';
+import { MailTransport } from './mailTransport.js';
 
 // 验证码配置
 const CODE_LENGTH = 6;
 const CODE_EXPIRE_TIME = 10 * 60 * 1000; // 10分钟
 const CODE_COOLDOWN = 60 * 1000; // 发送冷却时间 60秒
+const CODE_MAX_ATTEMPTS = 5;
 
 /**
  * 邮箱验证服务
+ *
+ * 验证码保存在数据存储中（重启后仍然有效，多个实例共享同一数据库时也能互相校验），
+ * 只保存以 codeSecret 为密钥的 HMAC，数据库泄露时无法直接读出验证码。
+ * 所有邮件都通过发送队列在后台发送，失败时自动重试。
  */
 export class EmailService {
-    constructor(config) {
-        this.config = config;
-        this.transporter = null;
-        
-        // 只有配置了邮箱服务才初始化
-        if (this.isConfigured()) {
-            this.initTransporter();
+    /**
+     * @param {object} config
+     * @param {{ codeSecret: string }} options - codeSecret 为验证码 HMAC 密钥（使用会话密钥），更换后未使用的验证码失效
+     */
+    constructor(config, { codeSecret } = {}) {
+        if (!codeSecret) {
+            throw new Error('EmailService 需要提供验证码密钥');
         }
+        this.config = config;
+        this.codeKey = `tavern-register:email-code:${codeSecret}`;
+        this.templates = new EmailTemplateRenderer(config);
+        this.transport = new MailTransport(config);
+        this.queue = new MailQueue(config, this.transport);
     }
     
     /**
      * 检查邮箱服务是否已配置
      */
     isConfigured() {
-        return !!(this.config.smtpHost && this.config.smtpUser && this.config.smtpPass);
-    }
-    
-    /**
-     * 初始化邮件传输器
-     */
-    initTransporter() {
-        this.transporter = nodemailer.createTransport({
-            host: this.config.smtpHost,
-            port: this.config.smtpPort || 465,
-            secure: this.config.smtpSecure !== false, // 默认使用 SSL
-            auth: {
-                user: this.config.smtpUser,
-                pass: this.config.smtpPass,
-            },
-        });
+        return this.transport.isConfigured();
     }
     
     /**
@@ -50,17 +47,24 @@ export class EmailService {
     generateCode() {
         let code = '';
         for (let i = 0; i < CODE_LENGTH; i++) {
-            code += Math.floor(Math.random() * 10);
+            code += crypto.randomInt(10);
         }
         return code;
     }
     
+    /**
+     * 计算验证码摘要（邮箱参与计算，同一验证码在不同邮箱下的摘要不同）
+     */
+    hashCode(normalizedEmail, code) {
+        return crypto.createHmac('sha256', this.codeKey).update(`${normalizedEmail}:${code}`).digest('base64url');
+    }
+    
     /**
      * 检查是否可以发送验证码（冷却时间检查）
      */
     canSendCode(email) {
         const normalizedEmail = email.toLowerCase().trim();
-        const existing = verificationCodes.get(normalizedEmail);
+        const existing = DataStore.getVerificationCode(normalizedEmail);
         
         if (!existing) {
             return { allowed: true };
@@ -81,10 +85,30 @@ export class EmailService {
         return { allowed: true };
     }
     
+    /**
+     * 按模板生成邮件并加入发送队列
+     * @param {string} name - 模板名称，见 EMAIL_TEMPLATES
+     * @param {string} to - 收件人
+     * @param {object} variables - 模板变量
+     * @param {{ locale?: string|null, sensitive?: boolean, expiresAt?: number|null }} [options]
+     *        locale 为邮件语言，不支持时使用 EMAIL_DEFAULT_LOCALE；含验证码或链接的邮件设置 sensitive 与过期时间
+     * @returns {Promise<object>} 队列中的邮件记录
+     */
+    async sendTemplate(name, to, variables, { locale = null, sensitive = false, expiresAt = null } = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('邮箱服务未配置，请联系管理员');
+        }
+
+        const rendered = this.templates.render(name, locale, variables);
+        return this.queue.enqueue({ template: name, to, ...rendered, sensitive, expiresAt });
+    }
+
     /**
      * 发送验证码邮件
+     * @param {string} email
+     * @param {{ locale?: string|null }} [options]
      */
-    async sendVerificationCode(email) {
+    async sendVerificationCode(email, { locale = null } = {}) {
         if (!this.isConfigured()) {
             throw new Error('邮箱服务未配置，请联系管理员');
         }
@@ -101,31 +125,25 @@ export class EmailService {
         const code = this.generateCode();
         const now = Date.now();
         
-        // 存储验证码
-        verificationCodes.set(normalizedEmail, {
-            code,
+        // 存储验证码摘要（覆盖该邮箱之前的验证码）
+        DataStore.saveVerificationCode({
+            email: normalizedEmail,
+            codeHash: this.hashCode(normalizedEmail, code),
             sentAt: now,
             expiresAt: now + CODE_EXPIRE_TIME,
             attempts: 0,
         });
         
-        // 发送邮件
-        const mailOptions = {
-            from: this.config.smtpFrom || this.config.smtpUser,
-            to: normalizedEmail,
-            subject: `【${this.config.siteName || 'TavernRegister'}】邮箱验证码`,
-            html: this.getEmailTemplate(code),
-            text: `您的验证码是：${code}，有效期10分钟。如非本人操作，请忽略此邮件。`,
-        };
-        
         try {
-            await this.transporter.sendMail(mailOptions);
-            console.info(`[邮件发送] 验证码已发送至 ${normalizedEmail}`);
+            await this.sendTemplate('verification-code', normalizedEmail, {
+                code,
+                expiresMinutes: CODE_EXPIRE_TIME / 60000,
+            }, { locale, sensitive: true, expiresAt: now + CODE_EXPIRE_TIME });
             return { success: true, message: '验证码已发送，请查收邮箱' };
         } catch (error) {
             console.error(`[邮件发送失败] ${normalizedEmail}:`, error);
-            // 发送失败时清除验证码记录
-            verificationCodes.delete(normalizedEmail);
+            // 无法加入发送队列时清除验证码记录
+            DataStore.deleteVerificationCode(normalizedEmail);
             throw new Error('验证码发送失败，请稍后重试');
         }
     }
@@ -135,7 +153,7 @@ export class EmailService {
      */
     verifyCode(email, code) {
         const normalizedEmail = email.toLowerCase().trim();
-        const stored = verificationCodes.get(normalizedEmail);
+        const stored = DataStore.getVerificationCode(normalizedEmail);
         
         if (!stored) {
             return { valid: false, message: '请先获取验证码' };
@@ -145,95 +163,81 @@ export class EmailService {
         
         // 检查是否过期
         if (now > stored.expiresAt) {
-            verificationCodes.delete(normalizedEmail);
+            DataStore.deleteVerificationCode(normalizedEmail);
             return { valid: false, message: '验证码已过期，请重新获取' };
         }
         
         // 检查尝试次数（防止暴力破解）
-        if (stored.attempts >= 5) {
-            verificationCodes.delete(normalizedEmail);
+        if (stored.attempts >= CODE_MAX_ATTEMPTS) {
+            DataStore.deleteVerificationCode(normalizedEmail);
             return { valid: false, message: '验证码尝试次数过多，请重新获取' };
         }
         
-        // 验证码比对
-        if (stored.code !== code.trim()) {
-            stored.attempts += 1;
-            return { valid: false, message: `验证码错误，剩余尝试次数：${5 - stored.attempts}` };
+        // 验证码比对（比较摘要，恒定时间）
+        const expected = Buffer.from(stored.codeHash || '');
+        const actual = Buffer.from(this.hashCode(normalizedEmail, code.trim()));
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            const attempts = stored.attempts + 1;
+            DataStore.saveVerificationCode({ ...stored, attempts });
+            return { valid: false, message: `验证码错误，剩余尝试次数：${CODE_MAX_ATTEMPTS - attempts}` };
         }
         
         // 验证成功，删除验证码
-        verificationCodes.delete(normalizedEmail);
+        DataStore.deleteVerificationCode(normalizedEmail);
         return { valid: true };
     }
     
     /**
-     * 获取邮件 HTML 模板
+     * 发送密码重置链接
+     * @param {string} email - 用户绑定的已验证邮箱
+     * @param {{ handle: string, resetUrl: string, expiresMinutes: number, locale?: string|null }} options
      */
-    getEmailTemplate(code) {
-        const siteName = this.config.siteName || 'TavernRegister';
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1">
-</head>
-<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f5;">
-    <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
-        <tr>
-            <td style="padding: 40px 30px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
-                <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: 700;">
-                    ${siteName}
-                </h1>
-                <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">
-                    邮箱验证码
-                </p>
-            </td>
-        </tr>
-        <tr>
-            <td style="padding: 40px 30px;">
-                <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-                    您好！
-                </p>
-                <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 30px 0;">
-                    您正在进行账号注册操作，以下是您的验证码：
-                </p>
-                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 12px; padding: 30px; text-align: center; margin-bottom: 30px;">
-                    <span style="font-size: 36px; font-weight: 700; letter-spacing: 8px; color: #ffffff; font-family: 'Courier New', monospace;">
-                        ${code}
-                    </span>
-                </div>
-                <p style="color: #6b7280; font-size: 14px; line-height: 1.6; margin: 0 0 10px 0;">
-                    ⏰ 验证码有效期为 <strong>10 分钟</strong>
-                </p>
-                <p style="color: #6b7280; font-size: 14px; line-height: 1.6; margin: 0;">
-                    🔒 如果这不是您的操作，请忽略此邮件
-                </p>
-            </td>
-        </tr>
-        <tr>
-            <td style="padding: 20px 30px; background-color: #f9fafb; border-top: 1px solid #e5e7eb;">
-                <p style="color: #9ca3af; font-size: 12px; line-height: 1.6; margin: 0; text-align: center;">
-                    此邮件由系统自动发送，请勿直接回复
-                </p>
-            </td>
-        </tr>
-    </table>
-</body>
-</html>
-        `;
+    async sendPasswordResetLink(email, { handle, resetUrl, expiresMinutes, locale = null }) {
+        if (!this.isConfigured()) {
+            throw new Error('邮箱服务未配置，请联系管理员');
+        }
+
+        const normalizedEmail = email.toLowerCase().trim();
+        try {
+            await this.sendTemplate('password-reset', normalizedEmail, { handle, resetUrl, expiresMinutes }, {
+                locale,
+                sensitive: true,
+                expiresAt: Date.now() + expiresMinutes * 60 * 1000,
+            });
+        } catch (error) {
+            console.error(`[邮件发送失败] ${normalizedEmail}:`, error);
+            throw new Error('重置邮件发送失败，请稍后重试');
+        }
     }
-    
+
+    /**
+     * 发送免密登录链接
+     * @param {string} email - 用户绑定的已验证邮箱
+     * @param {{ handle: string, loginUrl: string, expiresMinutes: number, locale?: string|null }} options
+     */
+    async sendMagicLink(email, { handle, loginUrl, expiresMinutes, locale = null }) {
+        if (!this.isConfigured()) {
+            throw new Error('邮箱服务未配置，请联系管理员');
+        }
+
+        const normalizedEmail = email.toLowerCase().trim();
+        try {
+            await this.sendTemplate('magic-link', normalizedEmail, { handle, loginUrl, expiresMinutes }, {
+                locale,
+                sensitive: true,
+                expiresAt: Date.now() + expiresMinutes * 60 * 1000,
+            });
+        } catch (error) {
+            console.error(`[邮件发送失败] ${normalizedEmail}:`, error);
+            throw new Error('登录邮件发送失败，请稍后重试');
+        }
+    }
+
     /**
      * 定期清理过期验证码
      */
     static cleanup() {
-        const now = Date.now();
-        for (const [email, data] of verificationCodes.entries()) {
-            if (now > data.expiresAt) {
-                verificationCodes.delete(email);
-            }
-        }
+        DataStore.cleanupVerificationCodes(Date.now());
     }
 }
 
@@ -0,0 +1,332 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 随程序发布的默认模板；管理员覆盖的模板保存在 EMAIL_TEMPLATES_DIR（默认 data/email-templates）中，目录结构相同
+export const BUNDLED_TEMPLATES_DIR = path.join(__dirname, '../templates/email');
+export const DEFAULT_OVERRIDE_DIR = path.join(__dirname, '../data/email-templates');
+
+export const EMAIL_LOCALES = {
+    'zh-CN': '简体中文',
+    en: 'English',
+};
+
+/**
+ * 邮件模板及其可用变量
+ * 所有模板都可以使用 siteName；sample 为管理员预览时使用的示例数据。
+ * layout 为所有邮件共用的 HTML 外框，通过 {{{content}}} 插入正文，只有 HTML 部分。
+ */
+export const EMAIL_TEMPLATES = {
+    layout: {
+        name: '邮件外框',
+        variables: ['siteName', 'subject', 'heading', 'content'],
+        sample: {},
+        htmlOnly: true,
+    },
+    'verification-code': {
+        name: '邮箱验证码',
+        variables: ['code', 'expiresMinutes'],
+        sample: { code: '123456', expiresMinutes: 10 },
+    },
+    'password-reset': {
+        name: '重置密码',
+        variables: ['handle', 'resetUrl', 'expiresMinutes'],
+        sample: { handle: 'alice', resetUrl: 'https://example.com/reset-password?token=example', expiresMinutes: 30 },
+    },
+    'magic-link': {
+        name: '邮箱登录链接',
+        variables: ['handle', 'loginUrl', 'expiresMinutes'],
+        sample: { handle: 'alice', loginUrl: 'https://example.com/login/magic-link?token=example', expiresMinutes: 15 },
+    },
+    welcome: {
+        name: '注册成功（绑定服务器后）',
+        variables: ['handle', 'serverName', 'loginUrl'],
+        sample: { handle: 'alice', serverName: '主服务器', loginUrl: 'https://tavern.example.com/login' },
+    },
+    'quota-warning': {
+        name: '存储空间提醒',
+        variables: ['handle', 'serverName', 'usage', 'limit', 'percent'],
+        sample: { handle: 'alice', serverName: '主服务器', usage: '460.0 MB', limit: '500.0 MB', percent: 92 },
+    },
+    'account-disabled': {
+        name: '账号已停用',
+        variables: ['handle', 'serverName', 'reason'],
+        sample: { handle: 'alice', serverName: '主服务器', reason: '存储空间已用满' },
+    },
+    'application-approved': {
+        name: '注册申请已通过',
+        variables: ['handle', 'loginUrl'],
+        sample: { handle: 'alice', loginUrl: 'https://example.com/login' },
+    },
+    'application-rejected': {
+        name: '注册申请未通过',
+        variables: ['handle', 'reason'],
+        sample: { handle: 'alice', reason: '申请信息不完整' },
+    },
+    'waitlist-slot': {
+        name: '候补名额已保留',
+        variables: ['handle', 'serverName', 'selectUrl', 'expiresHours'],
+        sample: { handle: 'alice', serverName: '主服务器', selectUrl: 'https://example.com/login', expiresHours: 48 },
+    },
+    'server-migrated': {
+        name: '账号已迁移',
+        variables: ['handle', 'fromServerName', 'serverName', 'loginUrl'],
+        sample: { handle: 'alice', fromServerName: '旧服务器', serverName: '主服务器', loginUrl: 'https://st.example.com/login' },
+    },
+    invite: {
+        name: '注册邀请',
+        variables: ['code', 'registerUrl', 'expiresText'],
+        sample: { code: 'ABCD1234', registerUrl: 'https://example.com/register?invite=ABCD1234', expiresText: '邀请码有效期至 2026-12-31' },
+    },
+};
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 替换模板变量：{{name}} 按 escape 处理（HTML 中转义），{{{name}}} 原样输出；未提供的变量替换为空字符串
+ */
+function interpolate(source, variables, escape) {
+    return source
+        .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (_match, key) => String(variables[key] ?? ''))
+        .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, key) => escape(String(variables[key] ?? '')));
+}
+
+/**
+ * 拆分纯文本模板开头的头部（Subject: / Heading:，以空行结束）与正文
+ */
+function parseTextTemplate(source) {
+    const headers = {};
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    let index = 0;
+    for (; index < lines.length; index += 1) {
+        const match = lines[index].match(/^(Subject|Heading):\s*(.*)$/i);
+        if (!match) break;
+        headers[match[1].toLowerCase()] = match[2];
+    }
+    if (index > 0 && lines[index] === '') {
+        index += 1;
+    }
+    return { subject: headers.subject || '', heading: headers.heading || '', body: lines.slice(index).join('\n') };
+}
+
+/**
+ * 从 Accept-Language 请求头中选出支持的语言
+ * @returns {string|null} 没有匹配时返回 null
+ */
+export function localeFromAcceptLanguage(header) {
+    if (typeof header !== 'string' || !header) {
+        return null;
+    }
+    const candidates = header.split(',')
+        .map((part) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1 };
+        })
+        .filter(item => item.tag && item.q > 0)
+        .sort((a, b) => b.q - a.q);
+    for (const { tag } of candidates) {
+        const locale = matchLocale(tag);
+        if (locale) {
+            return locale;
+        }
+    }
+    return null;
+}
+
+/**
+ * 把语言标签匹配到支持的语言（zh、zh-Hans、zh-TW 匹配 zh-CN，en-US 匹配 en）
+ */
+function matchLocale(tag) {
+    if (typeof tag !== 'string' || !tag) {
+        return null;
+    }
+    const lower = tag.toLowerCase();
+    const exact = Object.keys(EMAIL_LOCALES).find(locale => locale.toLowerCase() === lower);
+    if (exact) {
+        return exact;
+    }
+    const language = lower.split('-')[0];
+    return Object.keys(EMAIL_LOCALES).find(locale => locale.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * 邮件模板
+ *
+ * 每个模板由同名的 .html 与 .txt 文件组成，按语言放在不同目录中（例如 zh-CN/welcome.html）。
+ * .txt 开头的 Subject: 与 Heading: 行分别为邮件标题与外框中的副标题，空行之后为纯文本正文；
+ * .html 为正文片段，渲染后插入 layout.html。
+ * 查找顺序：覆盖目录中的指定语言 → 内置的指定语言 → 覆盖目录中的默认语言 → 内置的默认语言。
+ * 每次发送都重新读取文件，修改覆盖模板后无需重启。
+ */
+export class EmailTemplateRenderer {
+    constructor(config = {}) {
+        this.defaultLocale = matchLocale(config.emailDefaultLocale) || 'zh-CN';
+        this.overrideDir = config.emailTemplatesDir || DEFAULT_OVERRIDE_DIR;
+        this.bundledDir = BUNDLED_TEMPLATES_DIR;
+        this.siteName = config.siteName || 'TavernRegister';
+    }
+
+    /**
+     * 规范化语言，不支持的语言回退到默认语言
+     */
+    resolveLocale(locale) {
+        return matchLocale(locale) || this.defaultLocale;
+    }
+
+    #assertTemplate(name) {
+        if (!TEMPLATE_NAME_PATTERN.test(name) || !Object.hasOwn(EMAIL_TEMPLATES, name)) {
+            throw new Error(`未知的邮件模板: ${name}`);
+        }
+    }
+
+    #overridePath(locale, file) {
+        return path.join(this.overrideDir, locale, file);
+    }
+
+    #readFile(filePath) {
+        try {
+            return fs.readFileSync(filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 读取模板文件，依次尝试覆盖目录与内置目录、指定语言与默认语言
+     */
+    #readTemplateFile(locale, file) {
+        const locales = locale === this.defaultLocale ? [locale] : [locale, this.defaultLocale];
+        for (const candidate of locales) {
+            const content = this.#readFile(this.#overridePath(candidate, file))
+                ?? this.#readFile(path.join(this.bundledDir, candidate, file));
+            if (content !== null) {
+                return content;
+            }
+        }
+        throw new Error(`邮件模板文件不存在: ${file}`);
+    }
+
+    /**
+     * 渲染邮件
+     * @param {string} name - 模板名称，见 EMAIL_TEMPLATES
+     * @param {string|null} locale - 语言，不支持时使用默认语言
+     * @param {object} variables - 模板变量
+     * @param {{ html?: string, text?: string, layout?: string }} [draft] - 预览时使用的未保存内容
+     * @returns {{ locale: string, subject: string, html: string, text: string }}
+     */
+    render(name, locale, variables = {}, draft = {}) {
+        this.#assertTemplate(name);
+        if (EMAIL_TEMPLATES[name].htmlOnly) {
+            throw new Error(`模板 ${name} 不能单独发送`);
+        }
+        const resolvedLocale = this.resolveLocale(locale);
+        const values = { siteName: this.siteName, ...variables };
+
+        const textSource = draft.text ?? this.#readTemplateFile(resolvedLocale, `${name}.txt`);
+        const htmlSource = draft.html ?? this.#readTemplateFile(resolvedLocale, `${name}.html`);
+        const { subject: subjectSource, heading: headingSource, body } = parseTextTemplate(textSource);
+        const subject = interpolate(subjectSource, values, value => value).trim()
+            || `${this.siteName} ${EMAIL_TEMPLATES[name].name}`;
+        const heading = interpolate(headingSource, values, value => value).trim();
+        const content = interpolate(htmlSource, values, escapeHtml);
+        const layoutSource = draft.layout ?? this.#readTemplateFile(resolvedLocale, 'layout.html');
+        const html = interpolate(layoutSource, { ...values, subject, heading, content }, escapeHtml);
+
+        return { locale: resolvedLocale, subject, html, text: interpolate(body, values, value => value).trim() };
+    }
+
+    /**
+     * 使用示例数据渲染（管理员预览）
+     */
+    preview(name, locale, draft = {}) {
+        this.#assertTemplate(name);
+        if (name === 'layout') {
+            return this.render('verification-code', locale, EMAIL_TEMPLATES['verification-code'].sample, {
+                layout: draft.html,
+            });
+        }
+        return this.render(name, locale, EMAIL_TEMPLATES[name].sample, draft);
+    }
+
+    /**
+     * 获取模板源文件（覆盖版本优先）及是否已被覆盖
+     * @returns {{ html: string, text: string|null, overridden: { html: boolean, text: boolean } }}
+     */
+    getSource(name, locale) {
+        this.#assertTemplate(name);
+        const resolvedLocale = this.resolveLocale(locale);
+        const files = EMAIL_TEMPLATES[name].htmlOnly ? ['html'] : ['html', 'txt'];
+        const result = { html: '', text: null, overridden: { html: false, text: false } };
+        for (const ext of files) {
+            const key = ext === 'txt' ? 'text' : 'html';
+            const override = this.#readFile(this.#overridePath(resolvedLocale, `${name}.${ext}`));
+            result[key] = override ?? this.#readTemplateFile(resolvedLocale, `${name}.${ext}`);
+            result.overridden[key] = override !== null;
+        }
+        return result;
+    }
+
+    /**
+     * 列出所有模板及各语言是否已被覆盖
+     */
+    list() {
+        return Object.entries(EMAIL_TEMPLATES).map(([id, template]) => ({
+            id,
+            name: template.name,
+            variables: ['siteName', ...template.variables.filter(variable => variable !== 'siteName')],
+            htmlOnly: Boolean(template.htmlOnly),
+            overriddenLocales: Object.keys(EMAIL_LOCALES).filter(locale => ['html', 'txt']
+                .some(ext => fs.existsSync(this.#overridePath(locale, `${id}.${ext}`)))),
+        }));
+    }
+
+    /**
+     * 保存覆盖模板（只写入提供的部分）
+     */
+    saveOverride(name, locale, { html, text } = {}) {
+        this.#assertTemplate(name);
+        const resolvedLocale = this.resolveLocale(locale);
+        const dir = path.join(this.overrideDir, resolvedLocale);
+        fs.mkdirSync(dir, { recursive: true });
+        if (typeof html === 'string') {
+            fs.writeFileSync(path.join(dir, `${name}.html`), html, 'utf-8');
+        }
+        if (typeof text === 'string' && !EMAIL_TEMPLATES[name].htmlOnly) {
+            fs.writeFileSync(path.join(dir, `${name}.txt`), text, 'utf-8');
+        }
+    }
+
+    /**
+     * 删除覆盖模板，恢复为内置版本
+     * @returns {boolean} 是否存在覆盖
+     */
+    deleteOverride(name, locale) {
+        this.#assertTemplate(name);
+        const resolvedLocale = this.resolveLocale(locale);
+        let removed = false;
+        for (const ext of ['html', 'txt']) {
+            const filePath = this.#overridePath(resolvedLocale, `${name}.${ext}`);
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                removed = true;
+            }
+        }
+        return removed;
+    }
+}
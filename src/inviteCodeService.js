@@ -27,9 +27,10 @@ export class InviteCodeService {
      * @param {number} options.maxUses - 最大使用次数
      * @param {Date} options.expiresAt - 过期时间
      * @param {string} options.createdBy - 创建者
+     * @param {number|null} options.serverId - 指定服务器（可选）
      * @returns {Array}
      */
-    static createInviteCodes({ count = 1, maxUses = 1, expiresAt = null, createdBy = 'admin' }) {
+    static createInviteCodes({ count = 1, maxUses = 1, expiresAt = null, createdBy = 'admin', serverId = null }) {
         const codes = [];
         for (let i = 0; i < count; i++) {
             let code;
@@ -43,7 +44,7 @@ export class InviteCodeService {
                 }
             } while (DataStore.getInviteCodes().some(c => c.code === code));
 
-            const inviteCode = DataStore.addInviteCode(code, createdBy, maxUses, expiresAt);
+            const inviteCode = DataStore.addInviteCode(code, createdBy, maxUses, expiresAt, serverId);
             codes.push(inviteCode);
         }
         return codes;
@@ -67,5 +68,15 @@ export class InviteCodeService {
     static use(code, usedBy) {
         return DataStore.useInviteCode(code, usedBy);
     }
+
+    /**
+     * 使用邀请码注册：在同一事务中核验邀请码、创建用户并使用邀请码
+     * @param {string} code
+     * @param {() => object} createUser 创建用户（同步），返回新用户
+     * @returns {{user?: object, message?: string}} 邀请码不可用时只返回 message，不创建用户
+     */
+    static redeem(code, createUser) {
+        return DataStore.recordUserWithInviteCode(code, createUser);
+    }
 }
 
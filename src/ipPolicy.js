@@ -0,0 +1,251 @@
+import net from 'node:net';
+
+import { DataStore } from './dataStore.js';
+import { isLoopbackIp, normalizeIp } from './clientIp.js';
+
+export const IP_RULE_ACTIONS = {
+    allow: '允许',
+    deny: '禁止',
+};
+
+// 拦截或放行注册的规则类型及其显示名称（记录在审计日志 detail.ipRule.type 中）
+export const IP_POLICY_RULE_TYPES = {
+    local: '本机地址',
+    allowlist: '允许名单',
+    denylist: '禁止名单',
+    'per-ip': '单个 IP 注册上限',
+    'per-subnet': '同一网段注册上限',
+};
+
+/**
+ * 把 IP 地址转换为整数，便于按前缀比较
+ * @returns {{ bits: 32|128, value: bigint }|null}
+ */
+function parseIpValue(ip) {
+    const address = normalizeIp(ip);
+    if (!address) {
+        return null;
+    }
+    if (net.isIPv4(address)) {
+        const value = address.split('.').reduce((acc, part) => (acc << 8n) + BigInt(Number(part)), 0n);
+        return { bits: 32, value };
+    }
+
+    let text = address;
+    // 末尾内嵌的 IPv4（例如 64:ff9b::1.2.3.4）转换为两组十六进制
+    const embedded = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) {
+        const v4 = parseIpValue(embedded[1]).value;
+        text = `${text.slice(0, -embedded[1].length)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    const value = groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { bits: 128, value };
+}
+
+function formatIpValue({ bits, value }) {
+    if (bits === 32) {
+        return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+    }
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(((value >> shift) & 0xffffn).toString(16));
+    }
+    // 压缩最长的一段连续 0
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < groups.length;) {
+        if (groups[i] !== '0') {
+            i += 1;
+            continue;
+        }
+        let j = i;
+        while (j < groups.length && groups[j] === '0') j += 1;
+        if (j - i > bestLength && j - i > 1) {
+            bestStart = i;
+            bestLength = j - i;
+        }
+        i = j;
+    }
+    if (bestStart === -1) {
+        return groups.join(':');
+    }
+    return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}`;
+}
+
+function maskValue(value, bits, prefix) {
+    const hostBits = BigInt(bits - prefix);
+    return (value >> hostBits) << hostBits;
+}
+
+/**
+ * 解析并规范化地址段（单个 IP 视为 /32 或 /128），主机位清零
+ * @returns {{ cidr: string, bits: number, prefix: number, network: bigint }|null}
+ */
+export function parseCidr(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+    const [rawAddress, rawPrefix, extra] = text.trim().split('/');
+    if (extra !== undefined) {
+        return null;
+    }
+    const parsed = parseIpValue(rawAddress);
+    if (!parsed) {
+        return null;
+    }
+    const prefix = rawPrefix === undefined ? parsed.bits : Number(rawPrefix);
+    if ((rawPrefix !== undefined && !/^\d+$/.test(rawPrefix)) || prefix > parsed.bits) {
+        return null;
+    }
+    const network = maskValue(parsed.value, parsed.bits, prefix);
+    return {
+        cidr: `${formatIpValue({ bits: parsed.bits, value: network })}/${prefix}`,
+        bits: parsed.bits,
+        prefix,
+        network,
+    };
+}
+
+function cidrContains(range, parsedIp) {
+    return range.bits === parsedIp.bits && maskValue(parsedIp.value, parsedIp.bits, range.prefix) === range.network;
+}
+
+function formatWindow(windowHours) {
+    if (!windowHours) {
+        return '';
+    }
+    return windowHours % 24 === 0 ? `${windowHours / 24} 天内` : `${windowHours} 小时内`;
+}
+
+/**
+ * IP 注册策略
+ *
+ * 按顺序判断：本机地址放行 → 允许 / 禁止名单（前缀最长的规则生效）→ 单个 IP 注册上限 → 同一网段注册上限。
+ * 名单由管理员在面板中维护，始终生效；注册上限只在 ENABLE_IP_LIMIT 开启时检查，
+ * 只统计已完成注册（已绑定服务器）的账号，可以限定时间窗口。
+ */
+export class IpRegistrationPolicy {
+    constructor(config) {
+        this.config = config;
+        this.enabled = Boolean(config.enableIpLimit);
+        this.maxPerIp = Math.max(Number(config.ipLimitMaxPerIp) || 0, 0);
+        this.maxPerSubnet = Math.max(Number(config.ipLimitMaxPerSubnet) || 0, 0);
+        this.windowHours = Math.max(Number(config.ipLimitWindowHours) || 0, 0);
+        this.ipv4SubnetPrefix = Math.min(Math.max(Number(config.ipLimitIpv4SubnetPrefix) || 24, 8), 32);
+        this.ipv6SubnetPrefix = Math.min(Math.max(Number(config.ipLimitIpv6SubnetPrefix) || 64, 16), 128);
+    }
+
+    /**
+     * 管理员面板展示的策略配置
+     */
+    describe() {
+        return {
+            enabled: this.enabled,
+            maxPerIp: this.maxPerIp,
+            maxPerSubnet: this.maxPerSubnet,
+            windowHours: this.windowHours,
+            ipv4SubnetPrefix: this.ipv4SubnetPrefix,
+            ipv6SubnetPrefix: this.ipv6SubnetPrefix,
+        };
+    }
+
+    /**
+     * IP 所在的聚合网段（IPv4 默认 /24，IPv6 默认 /64）
+     */
+    subnetOf(ip) {
+        const parsed = parseIpValue(ip);
+        if (!parsed) {
+            return null;
+        }
+        const prefix = parsed.bits === 32 ? this.ipv4SubnetPrefix : this.ipv6SubnetPrefix;
+        return parseCidr(`${formatIpValue(parsed)}/${prefix}`);
+    }
+
+    /**
+     * 在时间窗口内从指定地址段完成注册的账号
+     */
+    #countRegistrations(range, now) {
+        const since = this.windowHours ? now - this.windowHours * 60 * 60 * 1000 : null;
+        return DataStore.getUsers().filter((user) => {
+            if (user.registrationStatus !== 'active' || !user.ip) {
+                return false;
+            }
+            if (since !== null && !(Date.parse(user.registeredAt) >= since)) {
+                return false;
+            }
+            const parsed = parseIpValue(user.ip);
+            return Boolean(parsed) && cidrContains(range, parsed);
+        }).length;
+    }
+
+    /**
+     * 判断 IP 是否允许注册
+     * @returns {{ allowed: boolean, rule: object|null, message?: string }}
+     *          rule 为决定结果的规则（type 见 IP_POLICY_RULE_TYPES），没有任何规则命中时为 null
+     */
+    evaluate(ip, now = Date.now()) {
+        if (!ip || ip === 'unknown' || isLoopbackIp(ip)) {
+            return { allowed: true, rule: { type: 'local' } };
+        }
+        const parsed = parseIpValue(ip);
+        if (!parsed) {
+            return { allowed: true, rule: null };
+        }
+
+        const rules = DataStore.getIpRules()
+            .map(rule => ({ rule, range: parseCidr(rule.cidr) }))
+            .filter(({ range }) => range && cidrContains(range, parsed))
+            // 范围越小越具体，优先生效
+            .sort((a, b) => b.range.prefix - a.range.prefix);
+        const matched = rules[0]?.rule;
+        if (matched?.action === 'allow') {
+            return { allowed: true, rule: { type: 'allowlist', cidr: matched.cidr } };
+        }
+        if (matched?.action === 'deny') {
+            return {
+                allowed: false,
+                rule: { type: 'denylist', cidr: matched.cidr, note: matched.note || null },
+                message: '您的 IP 地址不允许注册，如有疑问请联系管理员',
+            };
+        }
+
+        if (!this.enabled) {
+            return { allowed: true, rule: null };
+        }
+
+        const windowText = formatWindow(this.windowHours);
+        if (this.maxPerIp > 0) {
+            const range = parseCidr(formatIpValue(parsed));
+            const count = this.#countRegistrations(range, now);
+            if (count >= this.maxPerIp) {
+                return {
+                    allowed: false,
+                    rule: { type: 'per-ip', cidr: range.cidr, limit: this.maxPerIp, windowHours: this.windowHours, count },
+                    message: this.maxPerIp === 1 && !windowText
+                        ? '您的 IP 地址已注册过账号，每个 IP 只能注册一次'
+                        : `您的 IP 地址${windowText ? ` ${windowText}` : ''}已注册 ${count} 个账号，每个 IP ${windowText ? `在 ${windowText}` : ''}最多注册 ${this.maxPerIp} 个`,
+                };
+            }
+        }
+
+        if (this.maxPerSubnet > 0) {
+            const range = this.subnetOf(ip);
+            const count = this.#countRegistrations(range, now);
+            if (count >= this.maxPerSubnet) {
+                return {
+                    allowed: false,
+                    rule: { type: 'per-subnet', cidr: range.cidr, limit: this.maxPerSubnet, windowHours: this.windowHours, count },
+                    message: `您所在的网段${windowText ? ` ${windowText}` : ''}注册的账号已达上限（${this.maxPerSubnet} 个），请稍后再试或联系管理员`,
+                };
+            }
+        }
+
+        return { allowed: true, rule: null };
+    }
+}
@@ -0,0 +1,231 @@
+import { DataStore } from './dataStore.js';
+
+export const MAIL_STATUSES = {
+    pending: '等待发送',
+    sending: '发送中',
+    sent: '已发送',
+    failed: '发送失败',
+};
+
+const POLL_INTERVAL = 15 * 1000;
+const BATCH_SIZE = 10;
+// 领取后超过这个时间仍未完成（例如进程中途退出）的邮件会被重新发送
+const SEND_LEASE = 2 * 60 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+/**
+ * 邮件发送队列
+ *
+ * 邮件先写入数据存储再在后台发送，请求不等待 SMTP 服务器响应。发送失败时按指数退避重试
+ * （MAIL_RETRY_BASE_SECONDS、2 倍、4 倍……最长 1 小时），达到 MAIL_MAX_ATTEMPTS 次后标记为发送失败，
+ * 由管理员在面板中查看、重新发送或删除。
+ *
+ * 含验证码、登录或重置链接的邮件标记为 sensitive：发送成功或失败后立即清除正文，
+ * 超过 expiresAt 仍未发出的不再重试。
+ */
+export class MailQueue {
+    #timer = null;
+    #processing = null;
+
+    /**
+     * @param {object} config
+     * @param {import('./mailTransport.js').MailTransport} transport
+     */
+    constructor(config, transport) {
+        this.transport = transport;
+        this.maxAttempts = Math.max(Number(config.mailMaxAttempts) || 6, 1);
+        this.retryBaseMs = Math.max(Number(config.mailRetryBaseSeconds) || 30, 1) * 1000;
+        this.retentionDays = Math.max(Number(config.mailRetentionDays) || 0, 0);
+    }
+
+    /**
+     * 第 attempts 次失败后的重试间隔
+     */
+    retryDelay(attempts) {
+        return Math.min(this.retryBaseMs * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+    }
+
+    /**
+     * 加入队列并尽快发送
+     * @param {{ template: string, to: string, locale?: string, subject: string, html: string, text: string,
+     *           sensitive?: boolean, expiresAt?: number|null }} message
+     */
+    enqueue({ template, to, locale = null, subject, html, text, sensitive = false, expiresAt = null }) {
+        const mail = DataStore.addMail({
+            template,
+            to,
+            locale,
+            subject,
+            html,
+            text,
+            sensitive,
+            expiresAt,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            sentAt: null,
+            messageId: null,
+        });
+        this.kick();
+        return mail;
+    }
+
+    /**
+     * 立即处理一次到期的邮件（不等待下一次轮询）
+     */
+    kick() {
+        setImmediate(() => {
+            this.process().catch(error => console.error('[邮件队列] 处理失败:', error?.message || error));
+        });
+    }
+
+    /**
+     * 发送所有到期的邮件；同一时间只有一轮在执行
+     */
+    process() {
+        if (!this.#processing) {
+            this.#processing = this.#drain().finally(() => {
+                this.#processing = null;
+            });
+        }
+        return this.#processing;
+    }
+
+    async #drain() {
+        for (;;) {
+            const now = Date.now();
+            const batch = DataStore.claimDueMails(now, BATCH_SIZE, now + SEND_LEASE);
+            if (!batch.length) {
+                return;
+            }
+            for (const mail of batch) {
+                await this.#deliver(mail);
+            }
+        }
+    }
+
+    async #deliver(mail) {
+        const attempts = (mail.attempts || 0) + 1;
+        const scrub = mail.sensitive ? { html: null, text: null, contentRemoved: true } : {};
+
+        if (mail.expiresAt && Date.now() > mail.expiresAt) {
+            DataStore.updateMail(mail.id, {
+                ...scrub,
+                status: 'failed',
+                nextAttemptAt: null,
+                lastError: '邮件内容已过期，不再重试',
+            });
+            console.warn(`[邮件发送失败] #${mail.id} ${mail.to}：内容已过期，不再重试`);
+            return;
+        }
+
+        try {
+            const { messageId, location } = await this.transport.send({
+                to: mail.to,
+                subject: mail.subject,
+                html: mail.html,
+                text: mail.text,
+            });
+            DataStore.updateMail(mail.id, {
+                ...scrub,
+                status: 'sent',
+                attempts,
+                nextAttemptAt: null,
+                lastError: null,
+                sentAt: new Date().toISOString(),
+                messageId: messageId || null,
+                location: location || null,
+            });
+            console.info(`[邮件发送] #${mail.id} ${mail.template} 已发送至 ${mail.to}${location ? `（${location}）` : ''}`);
+        } catch (error) {
+            const message = error?.message || String(error);
+            if (attempts >= this.maxAttempts) {
+                DataStore.updateMail(mail.id, {
+                    ...scrub,
+                    status: 'failed',
+                    attempts,
+                    nextAttemptAt: null,
+                    lastError: message,
+                });
+                console.error(`[邮件发送失败] #${mail.id} ${mail.to} 已尝试 ${attempts} 次，放弃发送:`, message);
+                return;
+            }
+            const delay = this.retryDelay(attempts);
+            DataStore.updateMail(mail.id, {
+                status: 'pending',
+                attempts,
+                nextAttemptAt: Date.now() + delay,
+                lastError: message,
+            });
+            console.warn(`[邮件发送失败] #${mail.id} ${mail.to} 第 ${attempts} 次，${Math.round(delay / 1000)} 秒后重试:`, message);
+        }
+    }
+
+    /**
+     * 重新发送发送失败的邮件（重置尝试次数）
+     * @returns {{ mail?: object, error?: string }}
+     */
+    retry(id) {
+        const mail = DataStore.getMail(id);
+        if (!mail) {
+            return { error: '邮件不存在' };
+        }
+        if (mail.status !== 'failed') {
+            return { error: '只能重新发送发送失败的邮件' };
+        }
+        if (mail.contentRemoved) {
+            return { error: '该邮件包含验证码或登录链接，内容已清除，请让用户重新申请' };
+        }
+        const updated = DataStore.updateMail(id, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+        });
+        this.kick();
+        return { mail: updated };
+    }
+
+    /**
+     * 清理超过保留天数的已发送记录（0 表示永久保留）
+     */
+    cleanup(now = Date.now()) {
+        if (!this.retentionDays) {
+            return 0;
+        }
+        return DataStore.cleanupSentMails(new Date(now - this.retentionDays * 24 * 60 * 60 * 1000).toISOString());
+    }
+
+    /**
+     * 启动发送方式并开始定时发送到期的邮件
+     */
+    async start() {
+        await this.transport.start();
+        if (!this.#timer) {
+            this.#timer = setInterval(() => this.kick(), POLL_INTERVAL);
+            this.#timer.unref();
+        }
+        this.kick();
+    }
+
+    async stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+        await this.#processing;
+        await this.transport.stop();
+    }
+
+    /**
+     * 管理员面板展示的队列配置与各状态的邮件数量
+     */
+    describe() {
+        return {
+            transport: this.transport.describe(),
+            maxAttempts: this.maxAttempts,
+            retryBaseSeconds: this.retryBaseMs / 1000,
+            retentionDays: this.retentionDays,
+            counts: DataStore.countMailsByStatus(),
+        };
+    }
+}
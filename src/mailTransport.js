@@ -0,0 +1,122 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+import { DATA_DIR } from './storage/index.js';
+import { SmtpSink } from './smtpSink.js';
+
+export const DEFAULT_OUTBOX_DIR = path.join(DATA_DIR, 'mail-outbox');
+
+export const MAIL_TRANSPORTS = {
+    smtp: 'SMTP 服务器',
+    file: '写入 .eml 文件',
+    sink: '进程内 SMTP 收件箱',
+};
+
+/**
+ * 邮件发送方式
+ *
+ * - smtp：通过 SMTP_* 配置的服务器发送（默认）
+ * - file：不连接任何服务器，每封邮件生成 .eml 文件写入 MAIL_OUTBOX_DIR
+ * - sink：在本机 MAIL_SINK_PORT 启动一个 SMTP 收件箱，邮件经过完整的 SMTP 发送流程后同样保存到 MAIL_OUTBOX_DIR
+ *
+ * file 与 sink 只用于离线测试，邮件不会真正投递给收件人。
+ */
+export class MailTransport {
+    constructor(config) {
+        this.config = config;
+        this.type = config.mailTransport || 'smtp';
+        if (!Object.hasOwn(MAIL_TRANSPORTS, this.type)) {
+            throw new Error(`不支持的邮件发送方式: ${this.type}（可选：${Object.keys(MAIL_TRANSPORTS).join(' / ')}）`);
+        }
+        this.outboxDir = config.mailOutboxDir || DEFAULT_OUTBOX_DIR;
+        this.sink = null;
+        this.transporter = null;
+
+        if (this.type === 'smtp' && this.isConfigured()) {
+            this.transporter = nodemailer.createTransport({
+                host: config.smtpHost,
+                port: config.smtpPort || 465,
+                secure: config.smtpSecure !== false, // 默认使用 SSL
+                auth: {
+                    user: config.smtpUser,
+                    pass: config.smtpPass,
+                },
+            });
+        } else if (this.type === 'file') {
+            this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+        }
+    }
+
+    /**
+     * 是否可以发送邮件（smtp 需要配置服务器与账号，file 与 sink 始终可用）
+     */
+    isConfigured() {
+        if (this.type !== 'smtp') {
+            return true;
+        }
+        return !!(this.config.smtpHost && this.config.smtpUser && this.config.smtpPass);
+    }
+
+    /**
+     * 默认发件人
+     */
+    get from() {
+        return this.config.smtpFrom || this.config.smtpUser || `${this.config.siteName || 'TavernRegister'} <noreply@localhost>`;
+    }
+
+    /**
+     * 启动发送方式需要的资源（sink 开始监听）
+     */
+    async start() {
+        if (this.type !== 'sink' || this.sink) {
+            return;
+        }
+        this.sink = new SmtpSink({ port: this.config.mailSinkPort ?? 2525, dir: this.outboxDir });
+        const port = await this.sink.start();
+        this.transporter = nodemailer.createTransport({ host: '127.0.0.1', port, secure: false, ignoreTLS: true });
+        console.info(`[邮件] SMTP 收件箱已在 127.0.0.1:${port} 监听，邮件保存到 ${this.outboxDir}`);
+    }
+
+    async stop() {
+        if (this.sink) {
+            await this.sink.stop();
+            this.sink = null;
+        }
+        this.transporter?.close?.();
+    }
+
+    /**
+     * 发送一封邮件
+     * @param {{ to: string, subject: string, html: string, text: string }} message
+     * @returns {Promise<{ messageId: string, location?: string }>} location 为 file 方式写入的文件名
+     */
+    async send(message) {
+        if (!this.transporter) {
+            throw new Error(this.type === 'sink' ? 'SMTP 收件箱尚未启动' : '邮箱服务未配置');
+        }
+        const info = await this.transporter.sendMail({ from: this.from, ...message });
+        if (this.type !== 'file') {
+            return { messageId: info.messageId };
+        }
+
+        fs.mkdirSync(this.outboxDir, { recursive: true });
+        const safeId = String(info.messageId || Date.now()).replace(/[^\w.-]+/g, '');
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeId}.eml`;
+        fs.writeFileSync(path.join(this.outboxDir, fileName), info.message);
+        return { messageId: info.messageId, location: fileName };
+    }
+
+    /**
+     * 管理员面板展示的发送方式
+     */
+    describe() {
+        return {
+            type: this.type,
+            name: MAIL_TRANSPORTS[this.type],
+            configured: this.isConfigured(),
+            outboxDir: this.type === 'smtp' ? null : this.outboxDir,
+            sinkPort: this.sink?.port ?? null,
+        };
+    }
+}
@@ -2,130 +2,489 @@ import fetch from 'node-fetch';
 import crypto from 'node:crypto';
 import kebabCase from 'lodash.kebabcase';
 
+import { DataStore } from './dataStore.js';
+import { getCredentialVault } from './serverCredentials.js';
+
 const DEFAULT_PASSWORD = '123456';
 
-// OAuth 提供商配置
-const PROVIDERS = {
+// 提供商 id 会出现在回调地址、注册方式与按钮样式中，只允许小写字母、数字、- 和 _
+export const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export const PROVIDER_TYPES = ['oidc', 'oauth2'];
+
+// OIDC 发现文档缓存时间
+const DISCOVERY_CACHE_TTL = 60 * 60 * 1000;
+
+// 通用 OIDC 提供商的默认授权范围与声明映射
+const DEFAULT_OIDC_SCOPE = 'openid profile email';
+const DEFAULT_CLAIMS = {
+    id: 'sub',
+    username: 'preferred_username,nickname',
+    displayName: 'name,preferred_username',
+    email: 'email',
+};
+
+// 内置 OAuth 提供商配置（通过 ENABLE_<ID>_OAUTH 与 <ID>_CLIENT_ID / <ID>_CLIENT_SECRET 启用）
+const BUILTIN_PROVIDERS = {
     github: {
+        name: 'GitHub',
+        type: 'oauth2',
         authUrl: 'https://github.com/login/oauth/authorize',
         tokenUrl: 'https://github.com/login/oauth/access_token',
         userInfoUrl: 'https://api.github.com/user',
         scope: 'read:user',
+        claims: { id: 'id', username: 'login', displayName: 'name,login', email: 'email' },
     },
     discord: {
+        name: 'Discord',
+        type: 'oauth2',
         authUrl: 'https://discord.com/api/oauth2/authorize',
         tokenUrl: 'https://discord.com/api/oauth2/token',
         userInfoUrl: 'https://discord.com/api/users/@me',
         scope: 'identify',
+        claims: { id: 'id', username: 'username', displayName: 'global_name,username', email: 'email' },
     },
     linuxdo: {
+        name: 'Linux.do',
+        type: 'oauth2',
         // Linux.do 使用 connect.linux.do 域名作为 OAuth 端点
         authUrl: 'https://connect.linux.do/oauth2/authorize',
         tokenUrl: 'https://connect.linux.do/oauth2/token',
         userInfoUrl: 'https://connect.linux.do/api/user',
         scope: 'read',
+        claims: { id: 'id,user_id', username: 'username,name', displayName: 'name,username', email: 'email' },
     },
 };
 
+/**
+ * 按点分路径读取声明，例如 attributes.login
+ */
+function readClaim(data, claimPath) {
+    let value = data;
+    for (const key of claimPath.split('.')) {
+        if (value == null || typeof value !== 'object') {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * 按映射读取第一个非空声明；映射可用逗号分隔多个候选声明
+ */
+function pickClaim(data, mapping) {
+    for (const claimPath of String(mapping || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const value = readClaim(data, claimPath);
+        if (value !== undefined && value !== null && value !== '') {
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+    return null;
+}
+
+function normalizeUrl(value, fieldName) {
+    const text = String(value ?? '').trim();
+    if (!text) {
+        return '';
+    }
+    let parsed;
+    try {
+        parsed = new URL(text);
+    } catch (error) {
+        throw new Error(`${fieldName} 必须是包含协议的完整网址`);
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error(`${fieldName} 仅支持 http 或 https`);
+    }
+    return text.replace(/\/$/, '');
+}
+
+function base64UrlSha256(text) {
+    return crypto.createHash('sha256').update(text).digest('base64url');
+}
+
+/**
+ * 解析 ID Token 的声明部分
+ * ID Token 由本服务直接通过 TLS 从令牌端点取得，按 OIDC Core 3.1.3.7 可不校验签名，
+ * 但仍校验签发者、受众、有效期与 nonce。
+ */
+function decodeIdToken(idToken, { issuer, clientId, nonce }) {
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) {
+        throw new Error('ID Token 格式错误');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    } catch (error) {
+        throw new Error('ID Token 格式错误');
+    }
+
+    if (issuer && claims.iss !== issuer) {
+        throw new Error('ID Token 签发者不匹配');
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(clientId)) {
+        throw new Error('ID Token 受众不匹配');
+    }
+    if (typeof claims.exp === 'number' && claims.exp * 1000 < Date.now()) {
+        throw new Error('ID Token 已过期');
+    }
+    if (nonce && claims.nonce !== nonce) {
+        throw new Error('ID Token nonce 不匹配');
+    }
+    return claims;
+}
+
+/**
+ * 校验并标准化自定义登录提供商配置（来自环境变量或管理员面板）
+ * @param {object} input
+ * @returns {object} 标准化后的提供商配置
+ */
+export function normalizeProviderDefinition(input) {
+    const id = String(input.id ?? '').trim().toLowerCase();
+    if (!PROVIDER_ID_PATTERN.test(id)) {
+        throw new Error('提供商 ID 只能包含小写字母、数字、- 和 _，且不超过 32 个字符');
+    }
+
+    const type = String(input.type || 'oidc').trim().toLowerCase();
+    if (!PROVIDER_TYPES.includes(type)) {
+        throw new Error(`不支持的提供商类型: ${type}（可选：${PROVIDER_TYPES.join(' / ')}）`);
+    }
+
+    const name = String(input.name ?? '').trim() || id;
+    const issuer = normalizeUrl(input.issuer, '签发者地址');
+    const authUrl = normalizeUrl(input.authUrl, '授权地址');
+    const tokenUrl = normalizeUrl(input.tokenUrl, '令牌地址');
+    const userInfoUrl = normalizeUrl(input.userInfoUrl, '用户信息地址');
+
+    if (type === 'oidc' && !issuer && !(authUrl && tokenUrl)) {
+        throw new Error('OIDC 提供商需要填写签发者地址（用于自动发现），或手动填写授权地址和令牌地址');
+    }
+    if (type === 'oauth2' && !(authUrl && tokenUrl && userInfoUrl)) {
+        throw new Error('OAuth2 提供商需要填写授权地址、令牌地址和用户信息地址');
+    }
+
+    const clientId = String(input.clientId ?? '').trim();
+    if (!clientId) {
+        throw new Error('请填写客户端 ID');
+    }
+
+    const clientSecret = typeof input.clientSecret === 'string' ? input.clientSecret.trim() : '';
+    const pkce = input.pkce === undefined || input.pkce === null || input.pkce === ''
+        ? true
+        : input.pkce === true || ['true', '1', 'yes', 'on'].includes(String(input.pkce).trim().toLowerCase());
+    if (!clientSecret && !pkce) {
+        throw new Error('未启用 PKCE 的提供商必须填写客户端密钥');
+    }
+
+    const claims = {};
+    for (const [field, defaultMapping] of Object.entries(DEFAULT_CLAIMS)) {
+        const mapping = String(input.claims?.[field] ?? '').trim();
+        claims[field] = mapping || defaultMapping;
+    }
+
+    const definition = {
+        id,
+        name,
+        type,
+        issuer,
+        authUrl,
+        tokenUrl,
+        userInfoUrl,
+        clientId,
+        scope: String(input.scope ?? '').trim() || (type === 'oidc' ? DEFAULT_OIDC_SCOPE : ''),
+        pkce,
+        claims,
+        enabled: input.enabled === undefined ? true : input.enabled === true || input.enabled === 'true',
+    };
+    if (clientSecret) {
+        definition.clientSecret = clientSecret;
+    }
+    return definition;
+}
+
 export class OAuthService {
     constructor(config) {
         this.config = config;
         this.baseUrl = config.baseRegisterUrl || config.baseUrl || 'http://localhost:3070';
-        
-        // 如果配置了自定义 Linux.do 端点，覆盖默认值
+        this.discoveryCache = new Map();
+
+        // 内置提供商：如果配置了自定义 Linux.do 端点，覆盖默认值
+        this.builtinProviders = {};
+        for (const [id, preset] of Object.entries(BUILTIN_PROVIDERS)) {
+            this.builtinProviders[id] = { ...preset, id, pkce: false };
+        }
         if (config.LINUXDO_AUTH_URL) {
-            PROVIDERS.linuxdo.authUrl = config.LINUXDO_AUTH_URL;
+            this.builtinProviders.linuxdo.authUrl = config.LINUXDO_AUTH_URL;
         }
         if (config.LINUXDO_TOKEN_URL) {
-            PROVIDERS.linuxdo.tokenUrl = config.LINUXDO_TOKEN_URL;
+            this.builtinProviders.linuxdo.tokenUrl = config.LINUXDO_TOKEN_URL;
         }
         if (config.LINUXDO_USERINFO_URL) {
-            PROVIDERS.linuxdo.userInfoUrl = config.LINUXDO_USERINFO_URL;
+            this.builtinProviders.linuxdo.userInfoUrl = config.LINUXDO_USERINFO_URL;
+        }
+
+        // 环境变量声明的通用提供商（OAUTH_PROVIDERS），配置错误时启动即报错
+        this.configProviders = {};
+        for (const declaration of config.oauthProviders || []) {
+            if (BUILTIN_PROVIDERS[declaration.id]) {
+                throw new Error(`OAUTH_PROVIDERS 中的 ${declaration.id} 与内置提供商重名`);
+            }
+            try {
+                this.configProviders[declaration.id] = normalizeProviderDefinition(declaration);
+            } catch (error) {
+                throw new Error(`登录提供商 ${declaration.id} 配置错误：${error.message}`);
+            }
         }
     }
 
     /**
-     * 生成 OAuth 授权 URL
-     * @param {string} provider - OAuth 提供商名称
-     * @param {string} [requestBaseUrl] - 请求的基础 URL（可选，用于从请求中获取实际主机信息）
+     * 列出所有提供商（包括未启用的），来源依次为内置、环境变量与管理员面板
+     * @returns {Array<object>} 包含 source（builtin / config / admin）与 enabled 字段，客户端密钥保持原样
+     */
+    listProviders() {
+        const providers = [];
+
+        for (const [id, preset] of Object.entries(this.builtinProviders)) {
+            const envPrefix = id.toUpperCase();
+            const clientId = this.config[`${envPrefix}_CLIENT_ID`] || '';
+            const clientSecret = this.config[`${envPrefix}_CLIENT_SECRET`] || '';
+            providers.push({
+                ...preset,
+                clientId,
+                clientSecret,
+                source: 'builtin',
+                enabled: Boolean(this.config.oauthEnabled?.[id] && clientId && clientSecret),
+            });
+        }
+
+        for (const provider of Object.values(this.configProviders)) {
+            providers.push({ ...provider, source: 'config' });
+        }
+
+        for (const provider of DataStore.getOAuthProviders()) {
+            if (this.isReservedProviderId(provider.id)) {
+                continue;
+            }
+            providers.push({ ...provider, source: 'admin' });
+        }
+
+        return providers;
+    }
+
+    /**
+     * 内置与环境变量中声明的提供商 id 不能在管理员面板中使用
+     */
+    isReservedProviderId(id) {
+        return Boolean(this.builtinProviders[id] || this.configProviders[id]);
+    }
+
+    /**
+     * 获取已启用的提供商，未启用或不存在时返回 null
      */
-    getAuthUrl(provider, requestBaseUrl = null) {
-        const providerConfig = PROVIDERS[provider];
-        if (!providerConfig) {
-            throw new Error(`不支持的 OAuth 提供商: ${provider}`);
+    getProvider(id) {
+        if (!id || !PROVIDER_ID_PATTERN.test(id)) {
+            return null;
         }
+        const provider = this.listProviders().find(item => item.id === id);
+        return provider?.enabled ? provider : null;
+    }
+
+    /**
+     * 提供商显示名称（提供商已停用或删除时回退为 id）
+     */
+    getProviderName(id) {
+        return this.listProviders().find(item => item.id === id)?.name || id;
+    }
+
+    /**
+     * 登录页按钮使用的提供商列表
+     */
+    listEnabledProviders() {
+        return this.listProviders()
+            .filter(provider => provider.enabled)
+            .map(provider => ({
+                id: provider.id,
+                name: provider.name,
+                icon: provider.source === 'builtin' ? provider.id : provider.type,
+            }));
+    }
+
+    /**
+     * 清除发现文档缓存（提供商配置变更后调用）
+     */
+    clearDiscoveryCache(id = null) {
+        if (id) {
+            this.discoveryCache.delete(id);
+        } else {
+            this.discoveryCache.clear();
+        }
+    }
+
+    /**
+     * 读取 OIDC 发现文档（.well-known/openid-configuration）
+     * @param {string} issuer
+     */
+    async discover(issuer) {
+        const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, {
+            headers: { Accept: 'application/json' },
+        });
+        if (!response.ok) {
+            throw new Error(`读取 OIDC 发现文档失败: ${response.status}`);
+        }
+
+        const document = await response.json();
+        if (!document.authorization_endpoint || !document.token_endpoint) {
+            throw new Error('OIDC 发现文档缺少授权或令牌端点');
+        }
+        return document;
+    }
+
+    /**
+     * 解析提供商的实际端点：手动填写的地址优先，其余来自发现文档
+     */
+    async resolveEndpoints(provider) {
+        let document = null;
+        if (provider.type === 'oidc' && provider.issuer) {
+            const cached = this.discoveryCache.get(provider.id);
+            if (cached && cached.issuer === provider.issuer && cached.expiresAt > Date.now()) {
+                document = cached.document;
+            } else {
+                document = await this.discover(provider.issuer);
+                this.discoveryCache.set(provider.id, {
+                    issuer: provider.issuer,
+                    document,
+                    expiresAt: Date.now() + DISCOVERY_CACHE_TTL,
+                });
+            }
+        }
+
+        const authMethods = document?.token_endpoint_auth_methods_supported;
+        return {
+            issuer: document?.issuer || provider.issuer || null,
+            authUrl: provider.authUrl || document?.authorization_endpoint,
+            tokenUrl: provider.tokenUrl || document?.token_endpoint,
+            userInfoUrl: provider.userInfoUrl || document?.userinfo_endpoint || null,
+            // 发现文档声明不支持 client_secret_post 时改用 HTTP Basic 认证
+            useBasicAuth: Array.isArray(authMethods)
+                && !authMethods.includes('client_secret_post')
+                && authMethods.includes('client_secret_basic'),
+        };
+    }
 
-        const clientId = this.config[`${provider.toUpperCase()}_CLIENT_ID`];
-        const clientSecret = this.config[`${provider.toUpperCase()}_CLIENT_SECRET`];
+    /**
+     * 获取提供商的客户端密钥（管理员面板添加的提供商加密保存）
+     */
+    getClientSecret(provider) {
+        if (!provider.clientSecret) {
+            return '';
+        }
+        return provider.source === 'admin' ? getCredentialVault().decrypt(provider.clientSecret) : provider.clientSecret;
+    }
 
-        if (!clientId) {
-            throw new Error(`${provider} OAuth 未配置客户端 ID`);
+    #requireProvider(id) {
+        const provider = this.getProvider(id);
+        if (!provider) {
+            throw new Error(`不支持的 OAuth 提供商: ${id}`);
         }
+        return provider;
+    }
+
+    /**
+     * 生成 OAuth 授权 URL
+     * @param {string} providerId - OAuth 提供商 id
+     * @param {string} [requestBaseUrl] - 请求的基础 URL（可选，用于从请求中获取实际主机信息）
+     * @returns {Promise<{ url: string, state: string, codeVerifier: string|null, nonce: string|null }>}
+     *   codeVerifier 与 nonce 需要保存在会话中，回调时使用
+     */
+    async getAuthUrl(providerId, requestBaseUrl = null) {
+        const provider = this.#requireProvider(providerId);
+        const endpoints = await this.resolveEndpoints(provider);
 
         // 优先使用请求中的 baseUrl，否则使用配置的 baseUrl
         const baseUrl = requestBaseUrl || this.baseUrl;
 
         const state = crypto.randomBytes(32).toString('hex');
         const params = new URLSearchParams({
-            client_id: clientId,
-            redirect_uri: `${baseUrl}/oauth/callback/${provider}`,
-            scope: providerConfig.scope,
+            client_id: provider.clientId,
+            redirect_uri: `${baseUrl}/oauth/callback/${provider.id}`,
             state: state,
             response_type: 'code',
         });
+        if (provider.scope) {
+            params.set('scope', provider.scope);
+        }
+
+        let codeVerifier = null;
+        if (provider.pkce) {
+            codeVerifier = crypto.randomBytes(32).toString('base64url');
+            params.set('code_challenge', base64UrlSha256(codeVerifier));
+            params.set('code_challenge_method', 'S256');
+        }
 
-        // Discord 需要额外的参数
-        if (provider === 'discord') {
-            params.set('response_type', 'code');
+        let nonce = null;
+        if (provider.type === 'oidc') {
+            nonce = crypto.randomBytes(16).toString('hex');
+            params.set('nonce', nonce);
         }
 
+        const separator = endpoints.authUrl.includes('?') ? '&' : '?';
         return {
-            url: `${providerConfig.authUrl}?${params.toString()}`,
-            state: state,
+            url: `${endpoints.authUrl}${separator}${params.toString()}`,
+            state,
+            codeVerifier,
+            nonce,
         };
     }
 
     /**
-     * 交换授权码获取访问令牌
-     * @param {string} provider - OAuth 提供商名称
+     * 交换授权码获取令牌
+     * @param {string} providerId - OAuth 提供商 id
      * @param {string} code - 授权码
      * @param {string} [requestBaseUrl] - 请求的基础 URL（可选，用于从请求中获取实际主机信息）
+     * @param {{ codeVerifier?: string|null }} [options] - 启用 PKCE 时发起授权生成的 code_verifier
+     * @returns {Promise<{ accessToken: string, idToken: string|null }>}
      */
-    async exchangeCode(provider, code, requestBaseUrl = null) {
-        const providerConfig = PROVIDERS[provider];
-        if (!providerConfig) {
-            throw new Error(`不支持的 OAuth 提供商: ${provider}`);
-        }
-
-        const clientId = this.config[`${provider.toUpperCase()}_CLIENT_ID`];
-        const clientSecret = this.config[`${provider.toUpperCase()}_CLIENT_SECRET`];
+    async exchangeCode(providerId, code, requestBaseUrl = null, { codeVerifier = null } = {}) {
+        const provider = this.#requireProvider(providerId);
+        const endpoints = await this.resolveEndpoints(provider);
+        const clientSecret = this.getClientSecret(provider);
 
-        if (!clientId || !clientSecret) {
-            throw new Error(`${provider} OAuth 配置不完整`);
+        if (!clientSecret && !codeVerifier) {
+            throw new Error(`${provider.name} OAuth 配置不完整`);
         }
 
         // 优先使用请求中的 baseUrl，否则使用配置的 baseUrl
         const baseUrl = requestBaseUrl || this.baseUrl;
 
         const params = new URLSearchParams({
-            client_id: clientId,
-            client_secret: clientSecret,
             code: code,
-            redirect_uri: `${baseUrl}/oauth/callback/${provider}`,
+            redirect_uri: `${baseUrl}/oauth/callback/${provider.id}`,
             grant_type: 'authorization_code',
         });
+        if (codeVerifier) {
+            params.set('code_verifier', codeVerifier);
+        }
 
         const headers = {
             'Accept': 'application/json',
             'Content-Type': 'application/x-www-form-urlencoded',
         };
 
-        // GitHub 需要特殊的 Accept 头
-        if (provider === 'github') {
-            headers['Accept'] = 'application/json';
+        if (clientSecret && endpoints.useBasicAuth) {
+            const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(clientSecret)}`;
+            headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else {
+            params.set('client_id', provider.clientId);
+            if (clientSecret) {
+                params.set('client_secret', clientSecret);
+            }
         }
 
-        const response = await fetch(providerConfig.tokenUrl, {
+        const response = await fetch(endpoints.tokenUrl, {
             method: 'POST',
             headers: headers,
             body: params.toString(),
@@ -137,74 +496,70 @@ export class OAuthService {
         }
 
         const data = await response.json();
-        return data.access_token;
+        if (!data.access_token) {
+            throw new Error(`获取访问令牌失败: ${data.error_description || data.error || '响应中缺少 access_token'}`);
+        }
+        return { accessToken: data.access_token, idToken: data.id_token || null };
     }
 
     /**
      * 获取用户信息
+     * OIDC 提供商合并 ID Token 与用户信息端点返回的声明，再按声明映射取值。
+     * @param {string} providerId - OAuth 提供商 id
+     * @param {{ accessToken: string, idToken?: string|null }} tokens - exchangeCode 的返回值
+     * @param {{ nonce?: string|null }} [options] - 发起授权时生成的 nonce
      */
-    async getUserInfo(provider, accessToken) {
-        const providerConfig = PROVIDERS[provider];
-        if (!providerConfig) {
-            throw new Error(`不支持的 OAuth 提供商: ${provider}`);
-        }
-
-        const headers = {
-            'Accept': 'application/json',
-        };
+    async getUserInfo(providerId, tokens, { nonce = null } = {}) {
+        const provider = this.#requireProvider(providerId);
+        const endpoints = await this.resolveEndpoints(provider);
 
-        // 设置授权头
-        if (provider === 'github') {
-            headers['Authorization'] = `token ${accessToken}`;
-        } else if (provider === 'discord') {
-            headers['Authorization'] = `Bearer ${accessToken}`;
-        } else if (provider === 'linuxdo') {
-            headers['Authorization'] = `Bearer ${accessToken}`;
+        let claims = {};
+        if (provider.type === 'oidc' && tokens.idToken) {
+            claims = decodeIdToken(tokens.idToken, {
+                issuer: endpoints.issuer,
+                clientId: provider.clientId,
+                nonce,
+            });
         }
 
-        const response = await fetch(providerConfig.userInfoUrl, {
-            method: 'GET',
-            headers: headers,
-        });
+        if (endpoints.userInfoUrl) {
+            const response = await fetch(endpoints.userInfoUrl, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${tokens.accessToken}`,
+                },
+            });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`获取用户信息失败: ${response.status} ${errorText}`);
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`获取用户信息失败: ${response.status} ${errorText}`);
+            }
+
+            const userData = await response.json();
+            if (claims.sub && userData.sub && String(userData.sub) !== String(claims.sub)) {
+                throw new Error('用户信息与 ID Token 的 sub 不一致');
+            }
+            claims = { ...claims, ...userData };
+        } else if (!tokens.idToken) {
+            throw new Error(`${provider.name} 未返回 ID Token，且未配置用户信息地址`);
         }
 
-        const userData = await response.json();
-        return this.normalizeUserInfo(provider, userData);
+        return this.normalizeUserInfo(provider, claims);
     }
 
     /**
-     * 标准化不同提供商的用户信息
+     * 按提供商的声明映射标准化用户信息
      */
     normalizeUserInfo(provider, userData) {
-        switch (provider) {
-            case 'github':
-                return {
-                    id: String(userData.id),
-                    username: userData.login,
-                    displayName: userData.name || userData.login,
-                    email: userData.email,
-                };
-            case 'discord':
-                return {
-                    id: String(userData.id),
-                    username: userData.username,
-                    displayName: userData.global_name || userData.username,
-                    email: userData.email,
-                };
-            case 'linuxdo':
-                return {
-                    id: String(userData.id || userData.user_id),
-                    username: userData.username || userData.name,
-                    displayName: userData.name || userData.username,
-                    email: userData.email,
-                };
-            default:
-                throw new Error(`未知的提供商: ${provider}`);
-        }
+        const claims = { ...DEFAULT_CLAIMS, ...provider.claims };
+        const username = pickClaim(userData, claims.username);
+        return {
+            id: pickClaim(userData, claims.id),
+            username,
+            displayName: pickClaim(userData, claims.displayName) || username,
+            email: pickClaim(userData, claims.email),
+        };
     }
 
     /**
@@ -221,4 +576,3 @@ export class OAuthService {
         return DEFAULT_PASSWORD;
     }
 }
-
@@ -0,0 +1,103 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt 参数（N=2^14 时单次计算约几十毫秒）
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const HASH_PREFIX = 'scrypt';
+
+// 用于无效用户的占位哈希，首次使用时生成
+let dummyHash = null;
+
+/**
+ * 对密码进行 scrypt 哈希
+ * @param {string} password
+ * @returns {Promise<string>} 格式：scrypt$N$r$p$salt$hash（base64url）
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const derived = await scrypt(String(password), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+    return [
+        HASH_PREFIX,
+        SCRYPT_N,
+        SCRYPT_R,
+        SCRYPT_P,
+        salt.toString('base64url'),
+        derived.toString('base64url'),
+    ].join('$');
+}
+
+/**
+ * 判断字符串是否为本模块生成的密码哈希
+ */
+export function isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith(`${HASH_PREFIX}$`) && value.split('$').length === 6;
+}
+
+/**
+ * 以恒定时间校验密码与哈希是否匹配
+ * @param {string} password
+ * @param {string} storedHash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, storedHash) {
+    if (!isPasswordHash(storedHash)) {
+        return false;
+    }
+
+    const [, n, r, p, saltText, hashText] = storedHash.split('$');
+    const expected = Buffer.from(hashText, 'base64url');
+    const derived = await scrypt(String(password ?? ''), Buffer.from(saltText, 'base64url'), expected.length, {
+        N: Number(n),
+        r: Number(r),
+        p: Number(p),
+    });
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * 以恒定时间比较两个字符串（用于兼容旧版明文密码）
+ */
+export function safeEqual(a, b) {
+    const left = crypto.createHash('sha256').update(String(a ?? '')).digest();
+    const right = crypto.createHash('sha256').update(String(b ?? '')).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * 校验用户记录中的门户密码，兼容尚未升级的明文记录
+ * @param {string} password
+ * @param {{passwordHash?: string, password?: string}|null} user
+ * @returns {Promise<{valid: boolean, needsUpgrade: boolean}>}
+ */
+export async function verifyUserPassword(password, user) {
+    if (user?.passwordHash) {
+        return { valid: await verifyPassword(password, user.passwordHash), needsUpgrade: false };
+    }
+
+    if (typeof user?.password === 'string' && user.password) {
+        return { valid: safeEqual(password, user.password), needsUpgrade: true };
+    }
+
+    // 用户不存在或没有密码时仍执行一次哈希计算，避免通过响应时间枚举用户
+    if (!dummyHash) {
+        dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    await verifyPassword(password, await dummyHash);
+    return { valid: false, needsUpgrade: false };
+}
+
+/**
+ * 当前密码的指纹，用于让重置链接等凭证在密码变更后自动失效
+ * @param {{passwordHash?: string, password?: string}} user
+ * @returns {string}
+ */
+export function passwordFingerprint(user) {
+    const material = user?.passwordHash || user?.password || '';
+    return crypto.createHash('sha256').update(`tavern-register:password:${material}`).digest('base64url').slice(0, 16);
+}
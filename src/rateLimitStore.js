@@ -0,0 +1,303 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import Database from 'better-sqlite3';
+
+import { DATA_DIR, resolveSqlitePath } from './storage/index.js';
+
+export const RATE_LIMIT_STORES = ['memory', 'file', 'sqlite', 'redis'];
+
+// 文件存储的落盘间隔：计数先在内存中累加，定期写回文件
+const FILE_FLUSH_INTERVAL = 5 * 1000;
+
+/**
+ * 把计数桶推进到指定窗口：相邻窗口的计数转为上一窗口计数，更早的计数丢弃
+ * 每个桶只保存当前窗口与上一窗口的计数，用于滑动窗口估算。
+ */
+function advanceBucket(bucket, windowIndex) {
+    if (!bucket || bucket.window < windowIndex - 1) {
+        return { window: windowIndex, current: 0, previous: 0 };
+    }
+    if (bucket.window === windowIndex - 1) {
+        return { window: windowIndex, current: 0, previous: bucket.current };
+    }
+    return bucket;
+}
+
+/**
+ * 内存存储（进程重启后计数清零，只适合单实例或测试）
+ *
+ * 所有存储都实现同样的异步接口：
+ * - hit(key, windowMs, now)：当前窗口计数加一，返回 { current, previous }
+ * - peek(key, windowMs, now)：只读取计数
+ * - reset(key, windowMs, now)：清除计数
+ * - cleanup(now)：删除过期的桶
+ * - close()
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.buckets = new Map();
+    }
+
+    #advance(key, windowMs, now) {
+        const bucket = advanceBucket(this.buckets.get(key), Math.floor(now / windowMs));
+        bucket.expiresAt = (bucket.window + 2) * windowMs;
+        this.buckets.set(key, bucket);
+        return bucket;
+    }
+
+    async hit(key, windowMs, now) {
+        const bucket = this.#advance(key, windowMs, now);
+        bucket.current += 1;
+        this.changed();
+        return { current: bucket.current, previous: bucket.previous };
+    }
+
+    async peek(key, windowMs, now) {
+        const bucket = advanceBucket(this.buckets.get(key), Math.floor(now / windowMs));
+        return { current: bucket.current, previous: bucket.previous };
+    }
+
+    async reset(key) {
+        if (this.buckets.delete(key)) {
+            this.changed();
+        }
+    }
+
+    async cleanup(now) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.expiresAt <= now) {
+                this.buckets.delete(key);
+                this.changed();
+            }
+        }
+    }
+
+    changed() {}
+
+    close() {}
+}
+
+/**
+ * 文件存储：在内存存储的基础上定期写入 JSON 文件，重启后恢复计数
+ * 两次落盘之间崩溃最多丢失几秒内的计数。
+ */
+export class FileRateLimitStore extends MemoryRateLimitStore {
+    constructor({ filePath }) {
+        super();
+        this.filePath = filePath;
+        this.dirty = false;
+        this.#load();
+        this.timer = setInterval(() => this.flush(), FILE_FLUSH_INTERVAL);
+        this.timer.unref();
+    }
+
+    #load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            const now = Date.now();
+            for (const [key, bucket] of Object.entries(entries)) {
+                if (bucket?.expiresAt > now) {
+                    this.buckets.set(key, bucket);
+                }
+            }
+        } catch (error) {
+            // 限流计数不是关键数据，文件损坏时从零开始
+            console.warn(`[限流] 读取 ${this.filePath} 失败，计数已重置:`, error.message);
+        }
+    }
+
+    changed() {
+        this.dirty = true;
+    }
+
+    flush() {
+        if (!this.dirty) {
+            return;
+        }
+        this.dirty = false;
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.buckets)));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.dirty = true;
+            console.error('[限流] 写入计数文件失败:', error.message);
+        }
+    }
+
+    close() {
+        clearInterval(this.timer);
+        this.flush();
+    }
+}
+
+/**
+ * SQLite 存储：与数据存储使用同一个数据库文件（独立连接），每次计数都立即持久化
+ */
+export class SqliteRateLimitStore {
+    constructor({ filePath }) {
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+                key TEXT PRIMARY KEY,
+                window INTEGER NOT NULL,
+                current INTEGER NOT NULL,
+                previous INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_expires_at ON rate_limit_buckets(expires_at);
+        `);
+        this.statements = {
+            get: this.db.prepare('SELECT window, current, previous FROM rate_limit_buckets WHERE key = ?'),
+            upsert: this.db.prepare(`
+                INSERT INTO rate_limit_buckets (key, window, current, previous, expires_at)
+                VALUES (@key, @window, @current, @previous, @expiresAt)
+                ON CONFLICT(key) DO UPDATE SET window = excluded.window, current = excluded.current,
+                    previous = excluded.previous, expires_at = excluded.expires_at
+            `),
+            delete: this.db.prepare('DELETE FROM rate_limit_buckets WHERE key = ?'),
+            cleanup: this.db.prepare('DELETE FROM rate_limit_buckets WHERE expires_at <= ?'),
+        };
+        this.hitTransaction = this.db.transaction((key, windowMs, now) => {
+            const bucket = advanceBucket(this.statements.get.get(key), Math.floor(now / windowMs));
+            const next = { ...bucket, current: bucket.current + 1 };
+            this.statements.upsert.run({ key, ...next, expiresAt: (next.window + 2) * windowMs });
+            return { current: next.current, previous: next.previous };
+        });
+    }
+
+    async hit(key, windowMs, now) {
+        return this.hitTransaction.immediate(key, windowMs, now);
+    }
+
+    async peek(key, windowMs, now) {
+        const bucket = advanceBucket(this.statements.get.get(key), Math.floor(now / windowMs));
+        return { current: bucket.current, previous: bucket.previous };
+    }
+
+    async reset(key) {
+        this.statements.delete.run(key);
+    }
+
+    async cleanup(now) {
+        this.statements.cleanup.run(now);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Redis（或兼容协议的 KeyDB、Dragonfly 等）存储：多个实例共享计数
+ * 每个窗口一个计数键，过期时间为两个窗口长度，由 Redis 自动清理。
+ */
+export class RedisRateLimitStore {
+    constructor({ url, prefix = 'tavern-register:rate-limit:' }) {
+        this.url = url;
+        this.prefix = prefix;
+        this.client = null;
+        this.loading = null;
+    }
+
+    /**
+     * 创建客户端并在后台连接；断线期间命令立即失败（不排队），由限流器放行请求
+     */
+    async #connect() {
+        if (!this.loading) {
+            this.loading = import('redis').then(({ createClient }) => {
+                const client = createClient({ url: this.url, disableOfflineQueue: true });
+                let reported = false;
+                client.on('error', (error) => {
+                    // 重连期间只输出一次错误，避免刷屏
+                    if (!reported) {
+                        reported = true;
+                        console.error('[限流] Redis 连接错误:', error.message);
+                    }
+                });
+                client.on('ready', () => {
+                    reported = false;
+                });
+                client.connect().catch(() => {});
+                this.client = client;
+                return client;
+            });
+        }
+        return this.loading;
+    }
+
+    #windowKey(key, windowIndex) {
+        return `${this.prefix}${key}:${windowIndex}`;
+    }
+
+    async hit(key, windowMs, now) {
+        const client = await this.#connect();
+        const windowIndex = Math.floor(now / windowMs);
+        const currentKey = this.#windowKey(key, windowIndex);
+        const [current, , previous] = await client.multi()
+            .incr(currentKey)
+            .pExpire(currentKey, windowMs * 2)
+            .get(this.#windowKey(key, windowIndex - 1))
+            .exec();
+        return { current: Number(current) || 0, previous: Number(previous) || 0 };
+    }
+
+    async peek(key, windowMs, now) {
+        const client = await this.#connect();
+        const windowIndex = Math.floor(now / windowMs);
+        const [current, previous] = await client.mGet([
+            this.#windowKey(key, windowIndex),
+            this.#windowKey(key, windowIndex - 1),
+        ]);
+        return { current: Number(current) || 0, previous: Number(previous) || 0 };
+    }
+
+    async reset(key, windowMs, now) {
+        const client = await this.#connect();
+        const windowIndex = Math.floor(now / windowMs);
+        await client.del([this.#windowKey(key, windowIndex), this.#windowKey(key, windowIndex - 1)]);
+    }
+
+    async cleanup() {}
+
+    close() {
+        if (this.client) {
+            this.client.disconnect().catch(() => {});
+        }
+    }
+}
+
+/**
+ * 根据配置创建限流计数存储
+ * 未指定时跟随数据存储后端：sqlite 使用同一数据库文件，json 使用 data/rate-limits.json。
+ */
+export function createRateLimitStore(config = {}) {
+    const store = config.rateLimitStore || (config.storageBackend === 'json' ? 'file' : 'sqlite');
+    switch (store) {
+        case 'memory':
+            return new MemoryRateLimitStore();
+        case 'file': {
+            const dataDir = config.dataDir || DATA_DIR;
+            fs.mkdirSync(dataDir, { recursive: true });
+            return new FileRateLimitStore({ filePath: path.join(dataDir, 'rate-limits.json') });
+        }
+        case 'sqlite': {
+            const filePath = resolveSqlitePath(config);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            return new SqliteRateLimitStore({ filePath });
+        }
+        case 'redis':
+            if (!config.rateLimitRedisUrl) {
+                throw new Error('使用 Redis 限流存储时必须设置 RATE_LIMIT_REDIS_URL');
+            }
+            return new RedisRateLimitStore({ url: config.rateLimitRedisUrl });
+        default:
+            throw new Error(`不支持的限流存储: ${store}（可选：${RATE_LIMIT_STORES.join(' / ')}）`);
+    }
+}
@@ -0,0 +1,285 @@
+// 限流维度：按客户端 IP、门户用户名或邮箱计数
+export const RATE_LIMIT_KEYS = ['ip', 'handle', 'email'];
+
+/**
+ * 默认限流策略
+ * 每条规则 { by, limit, windowSeconds, failuresOnly? }：在 windowSeconds 秒的滑动窗口内最多 limit 次。
+ * failuresOnly 的规则只统计失败（例如密码错误），成功后清零，用于防止针对单个账号的暴力破解。
+ */
+export function buildDefaultRateLimitPolicies(config = {}) {
+    return {
+        // 所有公开接口的总体上限，防止脚本高频请求
+        api: [{ by: 'ip', limit: 300, windowSeconds: 60 }],
+        captcha: [{ by: 'ip', limit: 60, windowSeconds: 60 }],
+        'email-code': [
+            { by: 'ip', limit: 10, windowSeconds: 3600 },
+            { by: 'email', limit: 5, windowSeconds: 3600 },
+        ],
+        register: [{ by: 'ip', limit: 10, windowSeconds: 3600 }],
+        login: [
+            { by: 'ip', limit: 20, windowSeconds: 60 },
+            { by: 'handle', limit: 10, windowSeconds: 15 * 60, failuresOnly: true },
+        ],
+        'password-change': [{ by: 'handle', limit: 10, windowSeconds: 15 * 60, failuresOnly: true }],
+        'password-forgot': [{ by: 'ip', limit: 10, windowSeconds: 3600 }],
+        'password-reset': [{ by: 'ip', limit: 20, windowSeconds: 3600 }],
+        'magic-link': [
+            { by: 'ip', limit: 10, windowSeconds: 3600 },
+            { by: 'email', limit: 5, windowSeconds: 3600 },
+        ],
+        'magic-link-verify': [{ by: 'ip', limit: 20, windowSeconds: 3600 }],
+        oauth: [{ by: 'ip', limit: 30, windowSeconds: 60 }],
+        // 沿用 MAX_LOGIN_ATTEMPTS / LOGIN_LOCKOUT_TIME：锁定时间内最多失败这么多次
+        'admin-login': [{
+            by: 'ip',
+            limit: config.maxLoginAttempts || 5,
+            windowSeconds: Math.round((config.loginLockoutTime || 15 * 60 * 1000) / 1000),
+            failuresOnly: true,
+        }],
+    };
+}
+
+function normalizeRule(policyName, rule) {
+    const limit = Number(rule?.limit);
+    const windowSeconds = Number(rule?.windowSeconds);
+    if (!RATE_LIMIT_KEYS.includes(rule?.by)) {
+        throw new Error(`限流策略 ${policyName} 的 by 必须是 ${RATE_LIMIT_KEYS.join(' / ')} 之一`);
+    }
+    if (!Number.isInteger(limit) || limit <= 0 || !Number.isInteger(windowSeconds) || windowSeconds <= 0) {
+        throw new Error(`限流策略 ${policyName} 的 limit 与 windowSeconds 必须是正整数`);
+    }
+    return { by: rule.by, limit, windowSeconds, failuresOnly: Boolean(rule.failuresOnly) };
+}
+
+/**
+ * 合并默认策略与 RATE_LIMIT_POLICIES 中的覆盖项（覆盖项整体替换同名策略，空数组表示关闭）
+ */
+export function resolveRateLimitPolicies(config = {}) {
+    const policies = buildDefaultRateLimitPolicies(config);
+    const overrides = config.rateLimitPolicies || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('RATE_LIMIT_POLICIES 必须是以策略名为键的 JSON 对象');
+    }
+    for (const [name, rules] of Object.entries(overrides)) {
+        if (!Object.hasOwn(policies, name)) {
+            throw new Error(`未知的限流策略: ${name}（可选：${Object.keys(policies).join(' / ')}）`);
+        }
+        if (!Array.isArray(rules)) {
+            throw new Error(`限流策略 ${name} 必须是规则数组`);
+        }
+        policies[name] = rules;
+    }
+    return Object.fromEntries(Object.entries(policies).map(([name, rules]) => [
+        name,
+        rules.map(rule => normalizeRule(name, rule)),
+    ]));
+}
+
+function normalizeKeyValue(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * 按滑动窗口估算当前计数：上一窗口的计数按剩余比例折算后加上当前窗口计数
+ */
+function estimate(counts, windowMs, now) {
+    const elapsed = now % windowMs;
+    return counts.previous * (1 - elapsed / windowMs) + counts.current;
+}
+
+/**
+ * 估算还需等待多少秒，计数才会降到可以再请求一次
+ */
+function secondsUntilAvailable(counts, limit, windowMs, now) {
+    const elapsed = now % windowMs;
+    const target = limit - 1;
+    let waitMs;
+    if (counts.current > target) {
+        // 当前窗口已用满：等到下一窗口，且本窗口计数折算后降到目标以下
+        waitMs = (windowMs - elapsed) + windowMs * (1 - target / counts.current);
+    } else {
+        waitMs = windowMs * (1 - (target - counts.current) / counts.previous) - elapsed;
+    }
+    return Math.max(1, Math.ceil(waitMs / 1000));
+}
+
+/**
+ * 滑动窗口限流器
+ * 计数保存在可替换的存储中（见 rateLimitStore.js），存储出错时放行请求并输出错误日志，
+ * 避免限流存储故障导致整个站点不可用。
+ */
+export class RateLimiter {
+    constructor(store, policies) {
+        this.store = store;
+        this.policies = policies;
+    }
+
+    #rules(policyName, keys, { failuresOnly }) {
+        const rules = this.policies[policyName];
+        if (!rules) {
+            throw new Error(`未知的限流策略: ${policyName}`);
+        }
+        return rules
+            .filter(rule => rule.failuresOnly === failuresOnly || failuresOnly === null)
+            .map(rule => ({
+                ...rule,
+                windowMs: rule.windowSeconds * 1000,
+                value: normalizeKeyValue(keys[rule.by]),
+            }))
+            .filter(rule => rule.value)
+            .map(rule => ({ ...rule, key: `${policyName}:${rule.by}:${rule.windowSeconds}:${rule.value}` }));
+    }
+
+    /**
+     * 汇总各规则的结果：任一规则超限即拒绝，剩余次数取最小值
+     */
+    #summarize(results) {
+        const summary = { allowed: true, limit: null, remaining: null, reset: null, retryAfter: null };
+        for (const result of results) {
+            if (!result.allowed) {
+                summary.allowed = false;
+                summary.retryAfter = Math.max(summary.retryAfter || 0, result.retryAfter);
+            }
+            if (summary.remaining === null || result.remaining < summary.remaining) {
+                summary.limit = result.limit;
+                summary.remaining = result.remaining;
+                summary.reset = result.reset;
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * pending 为 1 时检查的是“能否再计数一次”（只统计失败的规则），为 0 时检查已计入的本次请求
+     */
+    #evaluate(rule, counts, now, pending) {
+        const used = estimate(counts, rule.windowMs, now);
+        const allowed = used + pending <= rule.limit;
+        return {
+            allowed,
+            limit: rule.limit,
+            remaining: Math.max(0, Math.floor(rule.limit - used)),
+            reset: Math.ceil((rule.windowMs - (now % rule.windowMs)) / 1000),
+            retryAfter: allowed ? null : secondsUntilAvailable(counts, rule.limit, rule.windowMs, now),
+        };
+    }
+
+    /**
+     * 请求前检查：普通规则计数一次，只统计失败的规则只检查不计数
+     * @param {string} policyName
+     * @param {{ ip?: string, handle?: string, email?: string }} keys
+     * @returns {Promise<{ allowed: boolean, limit: number|null, remaining: number|null, reset: number|null, retryAfter: number|null }>}
+     */
+    async consume(policyName, keys) {
+        const now = Date.now();
+        try {
+            const results = [];
+            for (const rule of this.#rules(policyName, keys, { failuresOnly: null })) {
+                if (rule.failuresOnly) {
+                    results.push(this.#evaluate(rule, await this.store.peek(rule.key, rule.windowMs, now), now, 1));
+                } else {
+                    results.push(this.#evaluate(rule, await this.store.hit(rule.key, rule.windowMs, now), now, 0));
+                }
+            }
+            return this.#summarize(results);
+        } catch (error) {
+            console.error(`[限流] 检查 ${policyName} 失败，已放行请求:`, error.message);
+            return this.#summarize([]);
+        }
+    }
+
+    /**
+     * 记录一次失败（只作用于 failuresOnly 规则）
+     * @returns {Promise<{ allowed: boolean, remaining: number|null, retryAfter: number|null }>}
+     *          remaining 为还可以失败的次数，allowed 为 false 表示之后的请求会被拒绝
+     */
+    async recordFailure(policyName, keys) {
+        const now = Date.now();
+        try {
+            const results = [];
+            for (const rule of this.#rules(policyName, keys, { failuresOnly: true })) {
+                results.push(this.#evaluate(rule, await this.store.hit(rule.key, rule.windowMs, now), now, 1));
+            }
+            return this.#summarize(results);
+        } catch (error) {
+            console.error(`[限流] 记录 ${policyName} 失败次数出错:`, error.message);
+            return this.#summarize([]);
+        }
+    }
+
+    /**
+     * 操作成功后清除失败计数（只作用于 failuresOnly 规则）
+     */
+    async reset(policyName, keys) {
+        const now = Date.now();
+        try {
+            for (const rule of this.#rules(policyName, keys, { failuresOnly: true })) {
+                await this.store.reset(rule.key, rule.windowMs, now);
+            }
+        } catch (error) {
+            console.error(`[限流] 清除 ${policyName} 失败计数出错:`, error.message);
+        }
+    }
+
+    async cleanup() {
+        try {
+            await this.store.cleanup(Date.now());
+        } catch (error) {
+            console.error('[限流] 清理过期计数失败:', error.message);
+        }
+    }
+
+    close() {
+        this.store.close();
+    }
+}
+
+/**
+ * 写入标准限流响应头（RateLimit-* 与被拒绝时的 Retry-After）
+ */
+export function setRateLimitHeaders(res, result) {
+    if (result.limit !== null) {
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(result.reset));
+    }
+    if (!result.allowed && result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+    }
+}
+
+/**
+ * 把等待秒数格式化为提示文字
+ */
+export function formatRetryAfter(seconds) {
+    return seconds >= 120 ? `${Math.ceil(seconds / 60)} 分钟` : `${seconds} 秒`;
+}
+
+/**
+ * 返回 429 响应
+ */
+export function sendRateLimited(res, result, message = null) {
+    setRateLimitHeaders(res, result);
+    return res.status(429).json({
+        success: false,
+        message: message || `请求过于频繁，请 ${formatRetryAfter(result.retryAfter)}后再试`,
+        retryAfter: result.retryAfter,
+    });
+}
+
+/**
+ * 限流中间件
+ * @param {RateLimiter} limiter
+ * @param {string} policyName
+ * @param {(req: import('express').Request) => { ip?: string, handle?: string, email?: string }} getKeys
+ */
+export function rateLimit(limiter, policyName, getKeys) {
+    return async (req, res, next) => {
+        const result = await limiter.consume(policyName, getKeys(req));
+        if (!result.allowed) {
+            return sendRateLimited(res, result);
+        }
+        setRateLimitHeaders(res, result);
+        next();
+    };
+}
@@ -0,0 +1,185 @@
+import { DataStore } from './dataStore.js';
+
+// 审核模式下尚未通过审核的注册状态
+export const APPLICATION_STATUSES = {
+    pending_approval: '待审核',
+    rejected: '已拒绝',
+};
+
+export const APPLICATION_QUESTION_TYPES = {
+    text: '单行文本',
+    textarea: '多行文本',
+};
+
+const DEFAULT_MAX_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 5000;
+const MAX_REASON_LENGTH = 500;
+const QUESTION_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+/**
+ * 校验并规范化申请表问题（APPROVAL_QUESTIONS）
+ * @param {unknown} list - [{ id, label, type?, required?, maxLength?, placeholder? }]
+ * @returns {Array<{ id: string, label: string, type: string, required: boolean, maxLength: number, placeholder: string }>}
+ */
+export function normalizeApplicationQuestions(list) {
+    if (list == null) {
+        return [];
+    }
+    if (!Array.isArray(list)) {
+        throw new Error('APPROVAL_QUESTIONS 必须是数组');
+    }
+
+    const seen = new Set();
+    return list.map((item, index) => {
+        const label = typeof item?.label === 'string' ? item.label.trim() : '';
+        const id = typeof item?.id === 'string' && item.id.trim() ? item.id.trim() : `q${index + 1}`;
+        if (!label) {
+            throw new Error(`APPROVAL_QUESTIONS 第 ${index + 1} 项缺少 label`);
+        }
+        if (!QUESTION_ID_PATTERN.test(id)) {
+            throw new Error(`APPROVAL_QUESTIONS 第 ${index + 1} 项的 id 只能包含字母、数字、下划线与短横线（最多 32 个字符）`);
+        }
+        if (seen.has(id)) {
+            throw new Error(`APPROVAL_QUESTIONS 中的 id 重复：${id}`);
+        }
+        seen.add(id);
+
+        const type = item.type ?? 'text';
+        if (!Object.hasOwn(APPLICATION_QUESTION_TYPES, type)) {
+            throw new Error(`APPROVAL_QUESTIONS 第 ${index + 1} 项的 type 必须是 ${Object.keys(APPLICATION_QUESTION_TYPES).join(' / ')}`);
+        }
+        const maxLength = Number(item.maxLength ?? DEFAULT_MAX_LENGTH);
+        if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_ANSWER_LENGTH) {
+            throw new Error(`APPROVAL_QUESTIONS 第 ${index + 1} 项的 maxLength 必须是 1-${MAX_ANSWER_LENGTH} 之间的整数`);
+        }
+
+        return {
+            id,
+            label,
+            type,
+            required: item.required !== false,
+            maxLength,
+            placeholder: typeof item.placeholder === 'string' ? item.placeholder : '',
+        };
+    });
+}
+
+/**
+ * 注册审核
+ *
+ * 开启 REQUIRE_APPROVAL 后，新用户（包括第三方登录注册）创建为 pending_approval 状态并填写申请表，
+ * 管理员通过后变为 pending_selection 才能选择服务器；拒绝后变为 rejected，用户只能看到拒绝原因。
+ * 审核结果会发送到用户的邮箱（如果有）。
+ */
+export class RegistrationApproval {
+    constructor(config) {
+        this.enabled = config.requireApproval === true;
+        this.questions = normalizeApplicationQuestions(config.approvalQuestions);
+    }
+
+    /**
+     * 是否处于审核流程中（尚未通过审核的用户不能选择服务器）
+     */
+    static isAwaiting(user) {
+        return Boolean(user) && Object.hasOwn(APPLICATION_STATUSES, user.registrationStatus);
+    }
+
+    /**
+     * 新用户的初始注册状态
+     */
+    initialStatus() {
+        return this.enabled ? 'pending_approval' : 'pending_selection';
+    }
+
+    /**
+     * 注册页面与申请页面需要的配置
+     */
+    describe() {
+        return {
+            enabled: this.enabled,
+            questions: this.questions,
+        };
+    }
+
+    /**
+     * 按申请表问题校验并整理用户的回答
+     * @param {unknown} input - { [questionId]: string }
+     * @returns {{ answers?: Array<{ id: string, label: string, answer: string }>, error?: string }}
+     */
+    collectAnswers(input) {
+        const source = input && typeof input === 'object' ? input : {};
+        const answers = [];
+        for (const question of this.questions) {
+            const raw = source[question.id];
+            const answer = typeof raw === 'string' ? raw.trim() : '';
+            if (!answer && question.required) {
+                return { error: `请填写：${question.label}` };
+            }
+            if (answer.length > question.maxLength) {
+                return { error: `「${question.label}」最多 ${question.maxLength} 个字符` };
+            }
+            answers.push({ id: question.id, label: question.label, answer });
+        }
+        return { answers };
+    }
+
+    /**
+     * 保存用户的申请表（第三方登录注册的用户在申请页面补填）
+     */
+    submit(handle, answers) {
+        return DataStore.updateUser(handle, {
+            registrationStatus: 'pending_approval',
+            application: {
+                answers,
+                submittedAt: new Date().toISOString(),
+                reviewedAt: null,
+                reviewedBy: null,
+                reason: null,
+            },
+        });
+    }
+
+    /**
+     * 待审核与已拒绝的申请，按提交时间先后排列
+     * @param {string} [status] - pending_approval / rejected，留空时返回全部
+     */
+    list(status) {
+        return DataStore.getUsers()
+            .filter(user => (status ? user.registrationStatus === status : RegistrationApproval.isAwaiting(user)))
+            .sort((a, b) => String(a.application?.submittedAt || a.registeredAt)
+                .localeCompare(String(b.application?.submittedAt || b.registeredAt)));
+    }
+
+    /**
+     * 审核申请
+     * @param {'approve'|'reject'} decision
+     * @returns {{ user?: object, error?: string, status?: number }}
+     */
+    review(handle, decision, { reviewer, reason = '' }) {
+        const user = DataStore.getUserByHandle(handle);
+        if (!user) {
+            return { error: '用户不存在', status: 404 };
+        }
+        if (user.registrationStatus !== 'pending_approval') {
+            return { error: '该用户不在待审核状态', status: 409 };
+        }
+        const normalizedReason = typeof reason === 'string' ? reason.trim() : '';
+        if (decision === 'reject' && !normalizedReason) {
+            return { error: '请填写拒绝原因', status: 400 };
+        }
+        if (normalizedReason.length > MAX_REASON_LENGTH) {
+            return { error: `原因最多 ${MAX_REASON_LENGTH} 个字符`, status: 400 };
+        }
+
+        const updated = DataStore.updateUser(handle, {
+            registrationStatus: decision === 'approve' ? 'pending_selection' : 'rejected',
+            application: {
+                ...(user.application || { answers: [], submittedAt: null }),
+                reviewedAt: new Date().toISOString(),
+                reviewedBy: reviewer,
+                reason: normalizedReason || null,
+            },
+        });
+        return { user: updated };
+    }
+}
@@ -0,0 +1,60 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { DataStore } from './dataStore.js';
+import { ADMIN_USERNAME_PATTERN, validateAdminPassword } from './adminAuth.js';
+import { hashPassword } from './passwordService.js';
+
+/**
+ * 重置管理员密码（用于忘记密码或清除默认密码）
+ * 同时关闭该账号的两步验证，便于丢失验证器时恢复；账号不存在时创建为所有者账号，便于在没有可用所有者时恢复管理权限。
+ * @returns {Promise<{ username: string, created: boolean }>}
+ */
+export async function resetAdminPassword(username, newPassword) {
+    if (!ADMIN_USERNAME_PATTERN.test(username || '')) {
+        throw new Error('管理员用户名只能包含字母、数字、_ . -，长度 3-32 个字符');
+    }
+    const passwordError = validateAdminPassword(newPassword);
+    if (passwordError) {
+        throw new Error(passwordError);
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    if (DataStore.getAdmin(username)) {
+        DataStore.updateAdmin(username, {
+            passwordHash,
+            disabled: false,
+            totpSecret: null,
+            totpEnabledAt: null,
+            totpLastStep: null,
+            recoveryCodes: [],
+        });
+        return { username, created: false };
+    }
+
+    DataStore.addAdmin({ username, role: 'owner', passwordHash });
+    return { username, created: true };
+}
+
+// 命令行入口：NEW_ADMIN_PASSWORD=... npm run admin:reset-password -- <用户名>
+async function main() {
+    const username = (process.argv[2] || '').trim();
+    const newPassword = process.env.NEW_ADMIN_PASSWORD || '';
+    if (!username || !newPassword) {
+        console.error('用法：NEW_ADMIN_PASSWORD=<新密码> npm run admin:reset-password -- <用户名>');
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = await resetAdminPassword(username, newPassword);
+    console.info(result.created
+        ? `已创建所有者账号 ${result.username}`
+        : `已重置管理员 ${result.username} 的密码并关闭两步验证，该账号的现有会话已失效`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error('重置管理员密码失败:', error.message || error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,85 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { DataStore } from './dataStore.js';
+import {
+    CredentialVault,
+    generateMasterKey,
+    getCredentialVault,
+    loadMasterKey,
+    parseMasterKey,
+    pendingKeyFilePath,
+    useCredentialVault,
+    writeKeyFile,
+} from './serverCredentials.js';
+
+/**
+ * 轮换服务器凭据主密钥
+ *
+ * 密钥文件模式：新密钥先写入 <密钥文件>.next，凭据在一个事务中重新加密后再替换正式密钥文件；
+ * 中途失败时下次启动会自动回退到原密钥。
+ * 环境变量模式：必须提供新密钥，完成后需由管理员更新 CREDENTIALS_MASTER_KEY 并重启服务。
+ *
+ * @param {object} config
+ * @param {{ newKey?: string }} options - 新密钥文本，不提供时自动生成（仅密钥文件模式）
+ * @returns {{ source: 'env'|'file', keyId: string, servers: number, oauthProviders: number, admins: number, keyFile: string|null }}
+ */
+export function rotateMasterKey(config, { newKey } = {}) {
+    // 先完成存储初始化：初始化时会清理上次遗留的暂存密钥，不能与本次轮换交错
+    DataStore.getServers();
+    const current = loadMasterKey(config);
+    const currentVault = getCredentialVault();
+
+    if (current.source === 'env' && !newKey) {
+        throw new Error('主密钥来自环境变量 CREDENTIALS_MASTER_KEY，请通过 NEW_CREDENTIALS_MASTER_KEY 提供新密钥后运行 npm run rotate:master-key');
+    }
+
+    const nextKeyText = newKey || generateMasterKey();
+    const nextKey = parseMasterKey(nextKeyText);
+    // 新保险箱保留旧密钥用于解密，加密一律使用新密钥
+    const nextVault = new CredentialVault(nextKey, [...currentVault.keys.values()]);
+    if (nextVault.keyId === currentVault.keyId) {
+        throw new Error('新主密钥与当前主密钥相同');
+    }
+
+    if (current.source === 'env') {
+        const counts = DataStore.resealCredentials(nextVault);
+        useCredentialVault(nextVault);
+        return { source: 'env', keyId: nextVault.keyId, ...counts, keyFile: null };
+    }
+
+    const pendingFile = pendingKeyFilePath(current.keyFile);
+    writeKeyFile(pendingFile, nextKeyText);
+    let counts;
+    try {
+        counts = DataStore.resealCredentials(nextVault);
+    } catch (error) {
+        fs.rmSync(pendingFile, { force: true });
+        throw error;
+    }
+    fs.renameSync(pendingFile, current.keyFile);
+    useCredentialVault(new CredentialVault(nextKey));
+    return { source: 'file', keyId: nextVault.keyId, ...counts, keyFile: current.keyFile };
+}
+
+// 命令行入口：npm run rotate:master-key（请先停止服务）
+async function main() {
+    const { loadConfig } = await import('./config.js');
+    const config = loadConfig();
+    const result = rotateMasterKey(config, { newKey: (process.env.NEW_CREDENTIALS_MASTER_KEY || '').trim() || undefined });
+
+    console.info(`主密钥轮换完成：重新加密 ${result.servers} 个服务器的凭据、${result.oauthProviders} 个登录提供商的密钥、${result.admins} 个管理员的两步验证密钥，新密钥指纹 ${result.keyId}`);
+    if (result.source === 'env') {
+        console.info('请将 CREDENTIALS_MASTER_KEY 更新为 NEW_CREDENTIALS_MASTER_KEY 的值后再启动服务');
+    } else {
+        console.info(`新密钥已写入 ${result.keyFile}，请妥善备份`);
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error('主密钥轮换失败:', error.message || error);
+        process.exitCode = 1;
+    });
+}
@@ -2,7 +2,7 @@ import express from 'express';
 import helmet from 'helmet';
 import session from 'express-session';
 import multer from 'multer';
-import AdmZip from 'adm-zip';
+import crypto from 'node:crypto';
 import path from 'node:path';
 import os from 'node:os';
 import { promises as fsPromises } from 'node:fs';
@@ -10,27 +10,106 @@ import { fileURLToPath } from 'node:url';
 
 import { loadConfig } from './config.js';
 import { SillyTavernClient } from './sillyTavernClient.js';
-import { OAuthService } from './oauthService.js';
+import { OAuthService, normalizeProviderDefinition } from './oauthService.js';
 import { DataStore } from './dataStore.js';
 import { InviteCodeService } from './inviteCodeService.js';
-import { requireAdminAuth, verifyAdminPassword } from './adminAuth.js';
-import LoginLimiter from './loginLimiter.js';
+import {
+    ADMIN_ROLES,
+    ADMIN_USERNAME_PATTERN,
+    PERMISSIONS,
+    authenticateAdmin,
+    bootstrapAdminAccounts,
+    getPendingTwoFactorAdmin,
+    isTwoFactorEnabled,
+    isTwoFactorRequired,
+    requireAdminAuth,
+    startAdminSession,
+    startPendingTwoFactor,
+    validateAdminPassword,
+    verifyAdminSecondFactor,
+} from './adminAuth.js';
+import { RateLimiter, formatRetryAfter, rateLimit, resolveRateLimitPolicies, sendRateLimited } from './rateLimiter.js';
+import { createRateLimitStore } from './rateLimitStore.js';
 import { EmailService, cleanupVerificationCodes } from './emailService.js';
+import { EMAIL_LOCALES, EMAIL_TEMPLATES, localeFromAcceptLanguage } from './emailTemplates.js';
+import { MAIL_STATUSES } from './mailQueue.js';
+import { CaptchaService } from './captchaService.js';
+import { ClientIpResolver } from './clientIp.js';
+import { IP_POLICY_RULE_TYPES, IP_RULE_ACTIONS, IpRegistrationPolicy, parseCidr } from './ipPolicy.js';
+import { APPLICATION_STATUSES, RegistrationApproval } from './registrationApproval.js';
+import { SERVER_ASSIGNMENT_MODES, SERVER_ASSIGNMENT_STRATEGIES, ServerAssigner, serverWeight } from './serverAssignment.js';
+import { ServerCapacity, normalizeMaxUsers } from './serverCapacity.js';
+import { SERVER_HEALTH_STATUSES, ServerHealthMonitor, isServerHealthy } from './serverHealth.js';
+import { MIGRATION_SOURCE_ACTIONS, MIGRATION_TRANSFER_METHODS, UserMigration, extractBackupArchive } from './userMigration.js';
+import {
+    EMAIL_DOMAIN_MODES,
+    EMAIL_DOMAIN_RULE_ACTIONS,
+    EMAIL_POLICY_RULE_TYPES,
+    EmailDomainPolicy,
+    parseEmailDomainRule,
+} from './emailPolicy.js';
+import { canonicalizeEmail } from './emailAddress.js';
+import { hashPassword, passwordFingerprint, verifyUserPassword } from './passwordService.js';
+import { SessionVault, loadSessionSecret } from './sessionVault.js';
+import { createServerClient, redactServer, sealServerCredentials } from './serverCredentials.js';
+import { rotateMasterKey } from './rotateMasterKey.js';
+import { createSignedToken, verifySignedToken } from './signedToken.js';
+import { buildOtpAuthUri, generateRecoveryCodes, generateTotpSecret, renderQrCode, verifyTotp } from './totpService.js';
+import {
+    AUDIT_ACTIONS,
+    AUDIT_CSV_COLUMNS,
+    AUDIT_RESULTS,
+    describeAuditEvent,
+    diffRecords,
+    recordAuditEvent,
+    toAuditCsvLine,
+} from './auditLog.js';
 
 const config = loadConfig();
 // const client = new SillyTavernClient(config); //不再使用全局客户端
 const oauthService = new OAuthService(config);
 
-// 初始化邮箱服务
-const emailService = new EmailService(config);
+// 初始化人机验证服务
+const captchaService = new CaptchaService(config);
 
-// 初始化登录限制器
-const loginLimiter = new LoginLimiter(config.maxLoginAttempts, config.loginLockoutTime);
+// 初始化客户端 IP 解析器
+const clientIpResolver = new ClientIpResolver(config);
+
+// 初始化 IP 注册策略
+const ipPolicy = new IpRegistrationPolicy(config);
+
+// 初始化邮箱域名策略
+const emailPolicy = new EmailDomainPolicy(config);
+
+// 初始化注册审核
+const registrationApproval = new RegistrationApproval(config);
+
+// 初始化服务器健康检查
+const serverHealth = new ServerHealthMonitor(config);
+
+// 初始化服务器容量与候补名单、服务器自动分配
+const serverCapacity = new ServerCapacity(config);
+const serverAssigner = new ServerAssigner(config, serverCapacity);
+
+// 初始化用户迁移
+const userMigration = new UserMigration(config, serverCapacity);
+
+// 初始化限流器（计数保存在持久化存储中，重启后仍然有效）
+const rateLimiter = new RateLimiter(createRateLimitStore(config), resolveRateLimitPolicies(config));
+
+/**
+ * 按客户端 IP 限流的中间件，getKeys 可以补充用户名、邮箱等其他维度
+ */
+function limitRequests(policyName, getKeys = () => ({})) {
+    return rateLimit(rateLimiter, policyName, req => ({ ip: getClientIp(req), ...getKeys(req) }));
+}
 
 // 定期清理过期记录（每小时）
 setInterval(() => {
-    loginLimiter.cleanup();
+    rateLimiter.cleanup();
     cleanupVerificationCodes(); // 清理过期验证码
+    emailService.queue.cleanup(); // 清理超过保留天数的已发送邮件
+    serverHealth.cleanup(); // 清理超过保留天数的健康检查记录
 }, 60 * 60 * 1000);
 
 const STORAGE_LIMIT_CHECK_INTERVAL = 60 * 1000;
@@ -74,6 +153,28 @@ function resolveStorageLimitBytes(value, unit) {
     return Math.round(numeric * multiplier);
 }
 
+/**
+ * 规范化服务器的自动分配权重（留空为 1，最大 100，0 表示不参与自动分配）
+ */
+function normalizeAssignmentWeight(value) {
+    if (value === '' || value === null || value === undefined) {
+        return 1;
+    }
+    const weight = Number(value);
+    return Number.isFinite(weight) ? Math.min(Math.max(weight, 0), 100) : 1;
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = Number(bytes) || 0;
+    let index = 0;
+    while (value >= 1024 && index < units.length - 1) {
+        value /= 1024;
+        index += 1;
+    }
+    return `${value.toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+}
+
 async function enforceStorageLimits() {
     try {
         const servers = DataStore.getServers();
@@ -81,8 +182,6 @@ async function enforceStorageLimits() {
             return;
         }
 
-        const users = DataStore.getUsers();
-
         for (const server of servers) {
             if (!server.storageLimitBytes || !server.localDataRoot) {
                 continue;
@@ -98,16 +197,12 @@ async function enforceStorageLimits() {
             }
             storageCheckState.set(server.id, Date.now());
 
-            const serverUsers = users.filter(u => Number(u.serverId) === Number(server.id));
+            const serverUsers = DataStore.getUsersByServerId(server.id);
             if (!serverUsers.length) {
                 continue;
             }
 
-            const client = new SillyTavernClient({
-                baseUrl: server.url,
-                adminHandle: server.admin_username,
-                adminPassword: server.admin_password,
-            });
+            const client = createServerClient(server);
 
             for (const user of serverUsers) {
                 const normalizedHandle = client.normalizeHandle(user.handle);
@@ -129,15 +224,41 @@ async function enforceStorageLimits() {
                     lastQuotaCheckedAt: new Date().toISOString(),
                 });
 
+                const quotaVariables = {
+                    serverName: server.name,
+                    usage: formatBytes(usageBytes),
+                    limit: formatBytes(server.storageLimitBytes),
+                    percent: Math.floor((usageBytes / server.storageLimitBytes) * 100),
+                };
+
                 if (usageBytes >= server.storageLimitBytes) {
                     try {
                         await client.disableUser({ handle: normalizedHandle });
                         DataStore.updateUser(normalizedHandle, {
                             quotaDisabledAt: new Date().toISOString(),
                         });
+                        // 只在第一次停用时通知
+                        if (!user.quotaDisabledAt) {
+                            notifyUser(user, 'account-disabled', {
+                                serverName: server.name,
+                                reason: `存储空间已用满（${quotaVariables.usage} / ${quotaVariables.limit}）`,
+                            });
+                        }
                     } catch (error) {
                         console.error('禁用超限用户失败:', normalizedHandle, error?.message || error);
                     }
+                    continue;
+                }
+
+                // 达到提醒阈值时提醒一次，用量回落到阈值以下后重置
+                const warningPercent = config.quotaWarningPercent;
+                if (warningPercent > 0 && quotaVariables.percent >= warningPercent) {
+                    if (!user.quotaWarnedAt) {
+                        DataStore.updateUser(normalizedHandle, { quotaWarnedAt: new Date().toISOString() });
+                        notifyUser(user, 'quota-warning', quotaVariables);
+                    }
+                } else if (user.quotaWarnedAt) {
+                    DataStore.updateUser(normalizedHandle, { quotaWarnedAt: null });
                 }
             }
         }
@@ -171,15 +292,105 @@ app.use((req, res, next) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 
-// 会话配置（用于存储 OAuth state 和 pending 用户）
-const sessionSecret = process.env.SESSION_SECRET || 'tavern-register-secret-change-in-production';
+// 会话配置（用于存储 OAuth state 和 pending 用户）；未设置 SESSION_SECRET 时使用自动生成并保存的随机密钥
+const sessionSecret = loadSessionSecret();
+
+// 初始化邮箱服务（验证码以 SESSION_SECRET 为密钥计算摘要后保存）
+const emailService = new EmailService(config, { codeSecret: sessionSecret });
+
+/**
+ * 邮件语言：按浏览器的 Accept-Language 选择，不支持时使用 EMAIL_DEFAULT_LOCALE
+ */
+function requestLocale(req) {
+    return localeFromAcceptLanguage(req.get('accept-language')) || emailService.templates.defaultLocale;
+}
+
+/**
+ * 在后台发送通知邮件（注册成功、存储空间提醒、账号停用），未绑定邮箱或未配置邮箱服务时跳过，失败只记录日志
+ */
+function notifyUser(user, template, variables) {
+    if (!user?.email || !emailService.isConfigured()) {
+        return;
+    }
+    emailService.sendTemplate(template, user.email, { handle: user.handle, ...variables }, { locale: user.locale })
+        .catch(error => console.error(`发送 ${template} 邮件失败:`, user.handle, error?.message || error));
+}
+
+const WAITLIST_FULL_MESSAGE = '所有服务器都已满或暂时不可用，可以加入候补名单，有名额空出时会为您保留并发送邮件通知';
 
-// 安全检查：生产环境必须设置自定义 SESSION_SECRET
-if (process.env.NODE_ENV === 'production' && sessionSecret === 'tavern-register-secret-change-in-production') {
-    console.error('⚠️  安全警告：生产环境必须设置 SESSION_SECRET 环境变量！');
-    console.error('⚠️  当前使用默认密钥，存在安全风险！');
-    // 可以选择抛出错误强制退出，或仅警告
-    // throw new Error('生产环境必须设置 SESSION_SECRET');
+/**
+ * 把空出的服务器名额保留给候补名单中排在最前的用户并发送邮件通知
+ * 在删除远端用户、调整服务器容量后调用，并每分钟检查一次过期的保留名额与恢复可用的服务器
+ */
+function processWaitlist() {
+    try {
+        for (const { user, server } of serverCapacity.offerSlots()) {
+            console.info(`[候补名单] 已为 ${user.handle} 保留服务器 ${server.name} 的名额，有效期至 ${user.waitlist.offer.expiresAt}`);
+            notifyUser(user, 'waitlist-slot', {
+                serverName: server.name,
+                selectUrl: `${config.baseRegisterUrl.replace(/\/$/, '')}/login`,
+                expiresHours: serverCapacity.offerHours,
+            });
+        }
+    } catch (error) {
+        console.error('处理候补名单失败:', error?.message || error);
+    }
+}
+
+setInterval(() => {
+    processWaitlist();
+}, 60 * 1000);
+
+// 待远程注册的门户密码只以密文形式短暂保存在会话中
+const sessionVault = new SessionVault(sessionSecret);
+const PENDING_PASSWORD_TTL = 30 * 60 * 1000;
+
+function stashPendingPassword(req, password) {
+    req.session.pendingPassword = sessionVault.seal(password, PENDING_PASSWORD_TTL);
+}
+
+function takePendingPassword(req) {
+    return sessionVault.open(req.session.pendingPassword);
+}
+
+// 密码重置链接：签名令牌绑定当前密码指纹，密码一旦修改旧链接即失效
+const PASSWORD_RESET_PURPOSE = 'password-reset';
+const PASSWORD_RESET_TTL = 30 * 60 * 1000;
+const PASSWORD_RESET_COOLDOWN = 60 * 1000;
+
+// 邮箱登录链接：签名令牌携带签发时间，只有用户记录中最近一次签发的链接有效，使用后立即作废
+const MAGIC_LINK_PURPOSE = 'magic-link';
+const MAGIC_LINK_TTL = 15 * 60 * 1000;
+const MAGIC_LINK_COOLDOWN = 60 * 1000;
+
+function validateNewPassword(password) {
+    if (typeof password !== 'string' || !password.trim()) {
+        return '新密码不能为空';
+    }
+    if (password.trim().length > 128) {
+        return '密码过长（最多 128 个字符）';
+    }
+    return null;
+}
+
+/**
+ * 修改用户密码：已绑定服务器的用户先同步修改远端密码，成功后再更新本地哈希
+ */
+async function applyUserPassword(user, newPassword) {
+    if (user.registrationStatus === 'active' && user.serverId != null) {
+        const server = DataStore.getServerById(user.serverId);
+        if (!server) {
+            throw new Error('绑定的服务器不存在，请联系管理员');
+        }
+        const client = createServerClient(server);
+        await client.changePassword({ handle: user.handle, newPassword });
+    }
+
+    return DataStore.updateUser(user.handle, {
+        passwordHash: await hashPassword(newPassword),
+        password: undefined,
+        passwordChangedAt: new Date().toISOString(),
+    });
 }
 
 app.use(session({
@@ -198,18 +409,34 @@ const indexHtmlPath = path.join(publicDir, 'index.html');
 const registerHtmlPath = path.join(publicDir, 'register.html');
 const selectServerHtmlPath = path.join(publicDir, 'select-server.html');
 const loginHtmlPath = path.join(publicDir, 'login.html');
+const resetPasswordHtmlPath = path.join(publicDir, 'reset-password.html');
+const magicLinkHtmlPath = path.join(publicDir, 'magic-link.html');
+const applicationHtmlPath = path.join(publicDir, 'application.html');
+const statusHtmlPath = path.join(publicDir, 'status.html');
 const upload = multer({
     dest: path.join(os.tmpdir(), 'tavern-register-uploads'),
     limits: { fileSize: 1024 * 1024 * 1024 },
 });
-function appendLog(message) {
-    console.log(message.trim());
+/**
+ * 记录审计事件，自动附带请求 IP 与当前操作者（已登录的管理员或门户用户）
+ * event 中显式提供的 actorType / actor 优先（例如登录、注册时会话中还没有用户）。
+ */
+function audit(req, event) {
+    const handle = req.session?.userHandle || req.session?.pendingUserHandle || null;
+    const actor = req.admin
+        ? { actorType: 'admin', actor: req.admin.username }
+        : { actorType: handle ? 'user' : 'anonymous', actor: handle };
+    const { ip, source, chain } = resolveClientIp(req);
+    // 经过代理转发时记录完整的地址链，便于核对客户端 IP 的来源
+    const detail = chain.length > 1 || source !== 'socket'
+        ? { ...event.detail, ipResolution: { source, chain } }
+        : event.detail;
+    return recordAuditEvent({ ...actor, ip, ...event, detail });
 }
 
-function formatLogLine(level, context) {
-    const timestamp = new Date().toISOString();
-    return `[${timestamp}] [${level}] ${JSON.stringify(context)}\n`;
-}
+// 公开接口的总体频率限制（管理员接口需要登录，登录本身另有失败次数限制）
+const apiRateLimit = limitRequests('api');
+app.use('/api', (req, res, next) => (req.path.startsWith('/admin/') ? next() : apiRateLimit(req, res, next)));
 
 app.get('/health', (_req, res) => {
     res.json({
@@ -217,17 +444,116 @@ app.get('/health', (_req, res) => {
     });
 });
 
+// 公开状态页：不需要登录，只返回可以公开的信息（不包含服务器地址、管理员凭据与检查失败的原因）
+const PUBLIC_STATUS_CACHE_MS = 30 * 1000;
+let publicStatusCache = null;
+
+function buildPublicStatus() {
+    const userCounts = DataStore.countUsersByServer();
+    const users = DataStore.getUsers();
+    const servers = DataStore.getActiveServers().map(s => {
+        const serverNumericId = Number(s.id);
+        const healthStatus = s.health?.status || 'unknown';
+        const { maxUsers, isFull } = serverCapacity.usage(s, { userCounts, users });
+        return {
+            id: serverNumericId,
+            name: s.name,
+            description: s.description || '',
+            announcement: s.announcement || '',
+            // healthy → up，连续失败达到阈值 → down，偶发失败 → degraded，尚未检查 → unknown
+            status: { healthy: 'up', failing: 'degraded', down: 'down' }[healthStatus] || 'unknown',
+            lastCheckedAt: s.health?.lastCheckedAt || null,
+            ...serverHealth.uptime(serverNumericId),
+            registeredUserCount: userCounts.get(serverNumericId) || 0,
+            maxUsers,
+            isFull,
+            registrationOpen: s.registrationPaused !== true,
+        };
+    });
+    return {
+        generatedAt: new Date().toISOString(),
+        healthCheck: {
+            enabled: serverHealth.enabled,
+            intervalMinutes: serverHealth.intervalMinutes,
+        },
+        servers,
+    };
+}
+
+app.get('/status', (_req, res) => {
+    res.sendFile(statusHtmlPath);
+});
+
+app.get('/api/status', (_req, res) => {
+    try {
+        if (!publicStatusCache || Date.now() - publicStatusCache.builtAt > PUBLIC_STATUS_CACHE_MS) {
+            publicStatusCache = { builtAt: Date.now(), data: buildPublicStatus() };
+        }
+        res.setHeader('Cache-Control', `public, max-age=${PUBLIC_STATUS_CACHE_MS / 1000}`);
+        res.json({ success: true, ...publicStatusCache.data });
+    } catch (error) {
+        console.error('获取服务器状态失败:', error);
+        res.status(500).json({ success: false, message: '获取服务器状态失败' });
+    }
+});
+
 // 获取注册配置
 app.get('/api/config', (_req, res) => {
     res.json({
         requireInviteCode: config.requireInviteCode || false,
         requireEmailVerification: config.requireEmailVerification || false,
+        magicLinkLogin: emailService.isConfigured(),
+        approval: registrationApproval.describe(),
         enableIpLimit: config.enableIpLimit || false,
+        captcha: captchaService.describe(),
     });
 });
 
+// 获取人机验证题（题目与答案保存在会话中，令牌只能使用一次）
+app.get('/api/captcha', limitRequests('captcha'), (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (!captchaService.isEnabled()) {
+        return res.json({ success: true, enabled: false });
+    }
+    res.json({ success: true, enabled: true, ...captchaService.issue(req.session) });
+});
+
+/**
+ * 校验请求中的人机验证（captchaToken / captchaAnswer / captchaNonce），未通过时直接返回 400
+ * @returns {boolean} 是否通过
+ */
+function checkCaptcha(req, res) {
+    const result = captchaService.verify(req.session, req.body ?? {});
+    if (!result.valid) {
+        res.status(400).json({ success: false, message: result.message, captchaInvalid: true });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 检查邮箱域名策略（允许 / 禁止名单与临时邮箱），未通过时记录审计日志并直接返回 403
+ * @param {{ action: string, actor?: string|null, detail?: object }} event - 拦截时记录的审计事件
+ * @returns {boolean} 是否通过
+ */
+function checkEmailDomain(req, res, email, event) {
+    const decision = emailPolicy.evaluate(email);
+    if (decision.allowed) {
+        return true;
+    }
+    audit(req, {
+        actorType: 'anonymous',
+        ...event,
+        result: 'denied',
+        message: `邮箱域名策略拦截：${EMAIL_POLICY_RULE_TYPES[decision.rule?.type] || '邮箱格式不正确'}`,
+        detail: { ...event.detail, email: email.trim().toLowerCase(), emailRule: decision.rule },
+    });
+    res.status(403).json({ success: false, message: decision.message });
+    return false;
+}
+
 // 发送邮箱验证码
-app.post('/api/email/send-code', async (req, res) => {
+app.post('/api/email/send-code', limitRequests('email-code', req => ({ email: req.body?.email })), async (req, res) => {
     try {
         const { email } = req.body;
         
@@ -247,7 +573,17 @@ app.post('/api/email/send-code', async (req, res) => {
             });
         }
         
-        // 检查邮箱是否已被注册
+        // 人机验证（在查询邮箱是否已注册之前，防止脚本枚举邮箱）
+        if (!checkCaptcha(req, res)) {
+            return;
+        }
+        
+        // 邮箱域名策略（禁止名单、仅允许名单与临时邮箱）
+        if (!checkEmailDomain(req, res, email, { action: 'user.email-code.send', actor: null })) {
+            return;
+        }
+        
+        // 检查邮箱是否已被注册（按规范形式查重，a.b+x@gmail.com 与 ab@gmail.com 视为同一邮箱）
         if (DataStore.isEmailUsed(email)) {
             return res.status(409).json({
                 success: false,
@@ -256,7 +592,7 @@ app.post('/api/email/send-code', async (req, res) => {
         }
         
         // 发送验证码
-        const result = await emailService.sendVerificationCode(email.trim());
+        const result = await emailService.sendVerificationCode(email.trim(), { locale: requestLocale(req) });
         res.json(result);
         
     } catch (error) {
@@ -286,37 +622,265 @@ app.get('/login', (req, res) => {
     res.sendFile(loginHtmlPath);
 });
 
-app.post('/api/login', (req, res) => {
-    const { handle, password } = req.body;
-    if (!handle || !password) {
-        return res.status(400).json({ success: false, message: '用户名和密码不能为空' });
+app.post('/api/login', async (req, res) => {
+    try {
+        const { handle, password } = req.body;
+        if (!handle || !password) {
+            return res.status(400).json({ success: false, message: '用户名和密码不能为空' });
+        }
+
+        // 标准化 handle
+        const tempClient = new SillyTavernClient({});
+        const normalizedHandle = tempClient.normalizeHandle(handle);
+
+        // IP 频率限制与单个账号的密码错误次数限制
+        const limitKeys = { ip: getClientIp(req), handle: normalizedHandle };
+        const limitResult = await rateLimiter.consume('login', limitKeys);
+        if (!limitResult.allowed) {
+            return sendRateLimited(res, limitResult);
+        }
+
+        const user = DataStore.getUserByHandle(normalizedHandle);
+
+        // 禁止第三方登录用户使用账号密码方式登录
+        if (user?.registrationMethod && String(user.registrationMethod).startsWith('oauth:')) {
+            audit(req, {
+                action: 'user.login',
+                actorType: 'anonymous',
+                actor: user.handle,
+                result: 'denied',
+                message: '第三方登录账户不能使用密码登录',
+            });
+            return res.status(403).json({
+                success: false,
+                message: '该账户为第三方登录账户，请通过相应的第三方登录入口登录',
+            });
+        }
+
+        // 用户不存在时同样执行一次哈希校验，模糊错误信息以提高安全性
+        const { valid, needsUpgrade } = await verifyUserPassword(String(password), user);
+        if (!valid) {
+            audit(req, {
+                action: 'user.login',
+                actorType: 'anonymous',
+                actor: normalizedHandle,
+                result: 'failure',
+                message: user ? '密码错误' : '用户不存在',
+            });
+            await rateLimiter.recordFailure('login', limitKeys);
+            return res.status(401).json({ success: false, message: '用户不存在或密码错误' });
+        }
+        await rateLimiter.reset('login', limitKeys);
+
+        // 旧版明文密码在登录成功后透明升级为哈希
+        if (needsUpgrade) {
+            DataStore.updateUser(user.handle, {
+                passwordHash: await hashPassword(String(password)),
+                password: undefined,
+            });
+        }
+
+        // 尚未绑定服务器的用户需要在选服时使用该密码完成远程注册
+        if (user.registrationStatus !== 'active') {
+            stashPendingPassword(req, String(password));
+        }
+
+        req.session.userHandle = user.handle;
+        audit(req, { action: 'user.login', actorType: 'user', actor: user.handle });
+        res.json({ success: true, redirectUrl: '/select-server' });
+    } catch (error) {
+        console.error('登录失败:', error);
+        res.status(500).json({ success: false, message: '登录失败，请稍后重试' });
     }
-    
-    // 标准化 handle
-    const tempClient = new SillyTavernClient({});
-    const normalizedHandle = tempClient.normalizeHandle(handle);
+});
 
-    const user = DataStore.getUserByHandle(normalizedHandle);
-    if (!user) {
-        // 模糊错误信息以提高安全性
-        return res.status(401).json({ success: false, message: '用户不存在或密码错误' });
+// 忘记密码：向用户绑定的已验证邮箱发送重置链接
+app.post('/api/password/forgot', limitRequests('password-forgot'), async (req, res) => {
+    const genericMessage = '如果该账号绑定了邮箱，重置链接已发送，请查收邮件';
+    try {
+        const account = typeof req.body?.account === 'string' ? req.body.account.trim() : '';
+        if (!account) {
+            return res.status(400).json({ success: false, message: '请输入用户标识或邮箱' });
+        }
+
+        if (!emailService.isConfigured()) {
+            return res.status(503).json({ success: false, message: '邮箱服务未配置，无法找回密码，请联系管理员' });
+        }
+
+        const tempClient = new SillyTavernClient({});
+        const user = account.includes('@')
+            ? DataStore.getUserByEmail(account)
+            : DataStore.getUserByHandle(tempClient.normalizeHandle(account));
+
+        // 无论账号是否存在都返回相同结果，避免枚举用户
+        if (!user || !user.email) {
+            return res.json({ success: true, message: genericMessage });
+        }
+
+        const lastSentAt = user.passwordResetRequestedAt ? Date.parse(user.passwordResetRequestedAt) : 0;
+        if (Date.now() - lastSentAt < PASSWORD_RESET_COOLDOWN) {
+            return res.json({ success: true, message: genericMessage });
+        }
+        DataStore.updateUser(user.handle, { passwordResetRequestedAt: new Date().toISOString() });
+        audit(req, {
+            action: 'user.password.reset-request',
+            actorType: 'anonymous',
+            actor: null,
+            targetType: 'user',
+            target: user.handle,
+        });
+
+        const token = createSignedToken(sessionSecret, PASSWORD_RESET_PURPOSE, {
+            handle: user.handle,
+            fp: passwordFingerprint(user),
+        }, PASSWORD_RESET_TTL);
+        const resetUrl = `${config.baseRegisterUrl.replace(/\/$/, '')}/reset-password?token=${encodeURIComponent(token)}`;
+
+        try {
+            await emailService.sendPasswordResetLink(user.email, {
+                handle: user.handle,
+                resetUrl,
+                expiresMinutes: PASSWORD_RESET_TTL / 60000,
+                locale: requestLocale(req),
+            });
+        } catch (error) {
+            console.error('发送密码重置邮件失败:', user.handle, error?.message || error);
+        }
+
+        res.json({ success: true, message: genericMessage });
+    } catch (error) {
+        console.error('找回密码失败:', error);
+        res.status(500).json({ success: false, message: '请求失败，请稍后重试' });
     }
+});
 
-    // 禁止第三方登录用户使用账号密码方式登录
-    if (user.registrationMethod && String(user.registrationMethod).startsWith('oauth:')) {
-        return res.status(403).json({
-            success: false,
-            message: '该账户为第三方登录账户，请通过相应的第三方登录入口登录',
+app.get('/reset-password', (_req, res) => {
+    res.sendFile(resetPasswordHtmlPath);
+});
+
+// 通过重置链接设置新密码
+app.post('/api/password/reset', limitRequests('password-reset'), async (req, res) => {
+    try {
+        const { token, newPassword } = req.body ?? {};
+        const passwordError = validateNewPassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+
+        const data = verifySignedToken(sessionSecret, PASSWORD_RESET_PURPOSE, token);
+        const user = data ? DataStore.getUserByHandle(data.handle) : null;
+        if (!user || data.fp !== passwordFingerprint(user)) {
+            return res.status(400).json({ success: false, message: '重置链接无效或已过期，请重新申请' });
+        }
+
+        await applyUserPassword(user, newPassword.trim());
+        audit(req, {
+            action: 'user.password.reset',
+            actorType: 'user',
+            actor: user.handle,
+            targetType: 'user',
+            target: user.handle,
         });
+
+        res.json({ success: true, message: '密码已重置，请使用新密码登录', redirectUrl: '/login' });
+    } catch (error) {
+        console.error('重置密码失败:', error);
+        res.status(500).json({ success: false, message: error.message || '重置密码失败，请稍后重试' });
     }
+});
 
-    // 简单比对密码
-    if (user.password !== password) {
-            return res.status(401).json({ success: false, message: '用户不存在或密码错误' });
+// 邮箱登录：向绑定该邮箱的账号发送一次性登录链接（密码注册与第三方登录注册的账号均可使用）
+app.post('/api/login/magic-link', limitRequests('magic-link', req => ({ email: req.body?.email })), async (req, res) => {
+    const genericMessage = '如果该邮箱绑定了账号，登录链接已发送，请查收邮件';
+    try {
+        const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ success: false, message: '请输入正确的邮箱地址' });
+        }
+
+        if (!emailService.isConfigured()) {
+            return res.status(503).json({ success: false, message: '邮箱服务未配置，无法使用邮箱登录，请联系管理员' });
+        }
+
+        // 无论账号是否存在都返回相同结果，避免枚举邮箱
+        const user = DataStore.getUserByEmail(email);
+        if (!user) {
+            return res.json({ success: true, message: genericMessage });
+        }
+
+        const lastSentAt = user.magicLinkIssuedAt ? Date.parse(user.magicLinkIssuedAt) : 0;
+        if (Date.now() - lastSentAt < MAGIC_LINK_COOLDOWN) {
+            return res.json({ success: true, message: genericMessage });
+        }
+        // 新链接签发后，之前发送的链接随即失效
+        const issuedAt = new Date().toISOString();
+        DataStore.updateUser(user.handle, { magicLinkIssuedAt: issuedAt });
+        audit(req, {
+            action: 'user.login.magic-link-request',
+            actorType: 'anonymous',
+            actor: null,
+            targetType: 'user',
+            target: user.handle,
+        });
+
+        const token = createSignedToken(sessionSecret, MAGIC_LINK_PURPOSE, {
+            handle: user.handle,
+            email: user.email.toLowerCase().trim(),
+            iat: issuedAt,
+        }, MAGIC_LINK_TTL);
+        const loginUrl = `${config.baseRegisterUrl.replace(/\/$/, '')}/login/magic-link?token=${encodeURIComponent(token)}`;
+
+        try {
+            await emailService.sendMagicLink(user.email, {
+                handle: user.handle,
+                loginUrl,
+                expiresMinutes: MAGIC_LINK_TTL / 60000,
+                locale: requestLocale(req),
+            });
+        } catch (error) {
+            console.error('发送登录链接失败:', user.handle, error?.message || error);
+        }
+
+        res.json({ success: true, message: genericMessage });
+    } catch (error) {
+        console.error('申请登录链接失败:', error);
+        res.status(500).json({ success: false, message: '请求失败，请稍后重试' });
     }
+});
+
+app.get('/login/magic-link', (_req, res) => {
+    res.sendFile(magicLinkHtmlPath);
+});
+
+// 通过邮箱链接登录（页面打开后自动提交，避免邮件安全扫描预取链接时消耗令牌）
+app.post('/api/login/magic-link/verify', limitRequests('magic-link-verify'), (req, res) => {
+    try {
+        const data = verifySignedToken(sessionSecret, MAGIC_LINK_PURPOSE, req.body?.token);
+        const user = data ? DataStore.getUserByHandle(data.handle) : null;
+        // 链接已被使用、已签发新链接或账号更换了邮箱时均视为无效
+        if (!user || !user.magicLinkIssuedAt || user.magicLinkIssuedAt !== data.iat
+            || String(user.email || '').toLowerCase().trim() !== data.email) {
+            return res.status(400).json({ success: false, message: '登录链接无效、已使用或已过期，请重新申请' });
+        }
+
+        // 尚未绑定服务器的密码注册用户需要原密码完成远程注册，只能使用密码登录
+        const isOAuthUser = String(user.registrationMethod || '').startsWith('oauth:');
+        if (user.registrationStatus !== 'active' && !isOAuthUser) {
+            return res.status(409).json({
+                success: false,
+                message: '该账号尚未绑定服务器，请使用密码登录后完成注册',
+                redirectUrl: '/login',
+            });
+        }
 
-    req.session.userHandle = user.handle;
-    res.json({ success: true, redirectUrl: '/select-server' });
+        DataStore.updateUser(user.handle, { magicLinkIssuedAt: null });
+        req.session.userHandle = user.handle;
+        audit(req, { action: 'user.login', actorType: 'user', actor: user.handle, detail: { method: 'magic-link' } });
+        res.json({ success: true, redirectUrl: '/select-server' });
+    } catch (error) {
+        console.error('邮箱链接登录失败:', error);
+        res.status(500).json({ success: false, message: '登录失败，请稍后重试' });
+    }
 });
 
 app.get('/register', (_req, res) => {
@@ -325,34 +889,61 @@ app.get('/register', (_req, res) => {
 
 app.get('/select-server', (req, res) => {
     // 允许已登录用户或正在注册流程中的用户
-    if (!req.session.userHandle && !req.session.pendingUserHandle) {
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    if (!handle) {
         return res.redirect('/login');
     }
+    // 尚未通过注册审核的用户只能查看申请状态
+    if (RegistrationApproval.isAwaiting(DataStore.getUserByHandle(handle))) {
+        return res.redirect('/application');
+    }
     res.sendFile(selectServerHtmlPath);
 });
 
-app.post('/register', async (req, res) => {
+app.get('/application', (req, res) => {
+    if (!req.session.userHandle && !req.session.pendingUserHandle) {
+        return res.redirect('/login');
+    }
+    res.sendFile(applicationHtmlPath);
+});
+
+app.post('/register', limitRequests('register'), async (req, res) => {
     try {
         const { handle, name, password, inviteCode, email, emailCode } = sanitizeInput(req.body ?? {});
         
+        // 人机验证（在检查用户名与 IP 之前，防止脚本批量注册或枚举用户名）
+        if (!checkCaptcha(req, res)) {
+            return;
+        }
+        
         // 标准化用户名
         const tempClient = new SillyTavernClient({}); // 仅用于 normalizeHandle
         const normalizedHandle = tempClient.normalizeHandle(handle);
         
         // 获取客户端 IP
-        const forwardedFor = typeof req.headers['x-forwarded-for'] === 'string' ? req.headers['x-forwarded-for'] : '';
-        const clientIp = forwardedFor.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
+        const clientIp = getClientIp(req);
         
-        // IP 注册限制检查
-        if (config.enableIpLimit) {
-            if (DataStore.hasIpRegistered(clientIp)) {
-                return res.status(403).json({
-                    success: false,
-                    message: '您的 IP 地址已注册过账号，每个 IP 只能注册一次',
-                });
-            }
+        // IP 注册策略检查（允许 / 禁止名单与注册上限）
+        const ipDecision = ipPolicy.evaluate(clientIp);
+        if (!ipDecision.allowed) {
+            audit(req, {
+                action: 'user.register',
+                actorType: 'anonymous',
+                actor: normalizedHandle,
+                result: 'denied',
+                message: `IP 注册策略拦截：${IP_POLICY_RULE_TYPES[ipDecision.rule.type]}`,
+                detail: { ipRule: ipDecision.rule },
+            });
+            return res.status(403).json({
+                success: false,
+                message: ipDecision.message,
+            });
         }
         
+        // 如果没有提供密码，使用默认密码；先计算哈希，检查用户名与邀请码之后不再等待，直接创建用户
+        const finalPassword = password || oauthService.getDefaultPassword();
+        const passwordHash = await hashPassword(finalPassword);
+        
         // 本地重复检查 - 提供更友好的提示
         const existingUser = DataStore.getUserByHandle(normalizedHandle);
         if (existingUser) {
@@ -387,6 +978,10 @@ app.post('/register', async (req, res) => {
                 });
             }
             
+            if (!checkEmailDomain(req, res, email, { action: 'user.register', actor: normalizedHandle })) {
+                return;
+            }
+            
             // 检查邮箱是否已被使用
             if (DataStore.isEmailUsed(email)) {
                 return res.status(409).json({
@@ -414,7 +1009,7 @@ app.post('/register', async (req, res) => {
             verifiedEmail = email.trim().toLowerCase();
         }
         
-        // 如果启用了邀请码，验证邀请码
+        // 如果启用了邀请码，邀请码不能为空（创建用户时在同一事务中核验并使用）
         if (config.requireInviteCode) {
             if (!inviteCode || typeof inviteCode !== 'string' || !inviteCode.trim()) {
                 return res.status(400).json({
@@ -422,47 +1017,74 @@ app.post('/register', async (req, res) => {
                     message: '邀请码不能为空',
                 });
             }
-            
-            const validation = InviteCodeService.validate(inviteCode.trim().toUpperCase());
-            if (!validation.valid) {
-                return res.status(400).json({
-                    success: false,
-                    message: validation.message || '邀请码无效',
-                });
-            }
         }
         
-        // 如果没有提供密码，使用默认密码
-        const finalPassword = password || oauthService.getDefaultPassword();
+        // 注册审核：校验申请表
+        let application = null;
+        if (registrationApproval.enabled) {
+            const { answers, error } = registrationApproval.collectAnswers(req.body?.application);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            application = { answers, submittedAt: new Date().toISOString(), reviewedAt: null, reviewedBy: null, reason: null };
+        }
         
-        // 仅在本地创建用户记录，标记为 pending_selection
-        const newUser = DataStore.recordUser({
+        // 仅在本地创建用户记录，标记为 pending_selection（开启注册审核时为 pending_approval）
+        const createUser = () => DataStore.recordUser({
             handle: normalizedHandle,
             name: name.trim(),
-            password: finalPassword, // 暂时存储密码，用于后续绑定服务器时使用
+            passwordHash,
             ip: clientIp,
             email: verifiedEmail, // 存储验证后的邮箱
             inviteCode: inviteCode ? inviteCode.trim().toUpperCase() : null,
             registrationMethod: 'manual',
-            registrationStatus: 'pending_selection'
+            registrationStatus: registrationApproval.initialStatus(),
+            application,
+            locale: requestLocale(req),
         });
 
-        // 如果使用了邀请码，标记为已使用
-        if (config.requireInviteCode && inviteCode) {
-            InviteCodeService.use(inviteCode.trim().toUpperCase(), newUser.handle);
+        // 如果启用了邀请码，核验邀请码、创建用户并标记邀请码为已使用
+        const { user: newUser, message: inviteError } = config.requireInviteCode
+            ? InviteCodeService.redeem(inviteCode.trim().toUpperCase(), createUser)
+            : { user: createUser() };
+        if (!newUser) {
+            audit(req, {
+                action: 'user.register',
+                actorType: 'anonymous',
+                actor: normalizedHandle,
+                result: 'denied',
+                message: inviteError || '邀请码无效',
+                detail: { inviteCode: inviteCode.trim().toUpperCase() },
+            });
+            return res.status(400).json({
+                success: false,
+                message: inviteError || '邀请码无效',
+            });
         }
 
-        const timestamp = new Date().toISOString();
-        console.info(`[注册审计] 时间 ${timestamp}，IP ${clientIp}，用户名 ${newUser.handle}，邮箱 ${verifiedEmail || '无'}，本地创建成功，等待选服`);
+        audit(req, {
+            action: 'user.register',
+            actorType: 'user',
+            actor: newUser.handle,
+            targetType: 'user',
+            target: newUser.handle,
+            message: application ? '本地创建成功，等待审核' : '本地创建成功，等待选服',
+            detail: {
+                email: verifiedEmail,
+                inviteCode: newUser.inviteCode,
+                registrationMethod: 'manual',
+            },
+        });
 
-        // 设置 session，用于后续选服
+        // 设置 session，用于后续选服；明文密码仅加密暂存到远程注册完成为止
         req.session.pendingUserHandle = newUser.handle;
+        stashPendingPassword(req, finalPassword);
 
         res.status(201).json({
             success: true,
             handle: newUser.handle,
-            redirectUrl: '/select-server',
-            message: '账号创建成功，请选择服务器',
+            redirectUrl: application ? '/application' : '/select-server',
+            message: application ? '申请已提交，请等待管理员审核' : '账号创建成功，请选择服务器',
         });
     } catch (error) {
         const status = deriveStatus(error);
@@ -482,22 +1104,30 @@ app.get('/api/servers/available', (req, res) => {
         const userServerId = user && user.serverId ? Number(user.serverId) : null;
         const isRegistered = user && user.registrationStatus === 'active';
         
-        const allUsers = DataStore.getUsers();
+        const userCounts = DataStore.countUsersByServer();
+        const users = DataStore.getUsers();
         const allServers = DataStore.getActiveServers();
         
+        // 未注册用户：系统分配时只显示分配到的服务器，系统推荐时标记推荐的服务器
+        const assignment = !isRegistered && serverAssigner.mode !== 'manual' ? serverAssigner.pick(user) : null;
+        const assignedServerId = assignment ? assignment.server.id : null;
+
         // 对于已注册用户，显示所有服务器（包括暂停注册的），但标记暂停状态
-        // 对于未注册用户，只显示未暂停注册的服务器
-        const filteredServers = isRegistered 
+        // 对于未注册用户，只显示未暂停注册且未被健康检查标记为不可用的服务器
+        let filteredServers = isRegistered 
             ? allServers  // 已注册用户可以看到所有服务器
-            : allServers.filter(s => !s.registrationPaused);  // 未注册用户只能看到未暂停的服务器
+            : allServers.filter(s => !s.registrationPaused && isServerHealthy(s));
+        if (!isRegistered && serverAssigner.mode === 'auto') {
+            filteredServers = filteredServers.filter(s => Number(s.id) === assignedServerId);
+        }
         
+        const canSelfMigrate = Boolean(isRegistered && userMigration.selfService);
         const servers = filteredServers.map(s => {
             // 兼容旧数据：旧用户记录里的 serverId 或 server.id 可能是字符串
             const serverNumericId = Number(s.id);
-            const registeredUserCount = allUsers.filter(u => {
-                if (u.serverId == null) return false;
-                return Number(u.serverId) === serverNumericId;
-            }).length;
+            const registeredUserCount = userCounts.get(serverNumericId) || 0;
+            // 占用包括正在注册的用户与候补用户的保留名额（当前用户自己的保留名额除外）
+            const { used, maxUsers, isFull } = serverCapacity.usage(s, { handle: user?.handle, userCounts, users });
             return {
                 // 对外统一返回数字类型的 id，方便前端严格比较
                 id: serverNumericId,
@@ -509,10 +1139,39 @@ app.get('/api/servers/available', (req, res) => {
                 contact: s.contact || '',
                 announcement: s.announcement || '',
                 registeredUserCount,
+                maxUsers,
+                capacity: maxUsers === null ? null : `${used} / ${maxUsers}`,
+                isFull,
                 registrationPaused: s.registrationPaused === true,  // 是否暂停注册
+                suggested: serverNumericId === assignedServerId,
+                // 开启自助迁移时，已注册用户可以迁移到的服务器
+                canMigrate: canSelfMigrate && !userMigration.check(user, s).error,
+            };
+        });
+
+        // 所有服务器都已满时，未注册用户可以加入候补名单
+        let waitlist = null;
+        if (user && !isRegistered) {
+            const offer = ServerCapacity.activeOffer(user);
+            waitlist = {
+                allFull: serverCapacity.availableServers(user.handle).length === 0,
+                joined: ServerCapacity.isWaitlisted(user),
+                position: serverCapacity.position(user),
+                offer: offer ? { serverId: Number(offer.serverId), expiresAt: offer.expiresAt } : null,
+                hasEmail: Boolean(user.email),
             };
+        }
+
+        res.json({
+            success: true,
+            servers,
+            assignment: {
+                mode: isRegistered ? 'manual' : serverAssigner.mode,
+                serverId: assignedServerId,
+            },
+            waitlist,
+            migration: { selfService: canSelfMigrate },
         });
-        res.json({ success: true, servers });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -534,7 +1193,7 @@ app.get('/api/user/status', (req, res) => {
     const server = normalizedServerId != null ? DataStore.getServerById(normalizedServerId) : null;
     
     // 排除敏感信息：密码
-    const { password, ...safeUser } = user;
+    const { password, passwordHash, ...safeUser } = user;
     
     res.json({
         success: true,
@@ -543,81 +1202,486 @@ app.get('/api/user/status', (req, res) => {
         serverId: normalizedServerId,
         serverUrl: server ? server.url : null,
         serverName: server ? server.name : null,
-        registrationStatus: safeUser.registrationStatus
+        registrationStatus: safeUser.registrationStatus,
+        registrationMethod: safeUser.registrationMethod || 'manual',
+        hasEmail: Boolean(safeUser.email),
     });
 });
 
-// 绑定服务器并远程注册
-app.post('/api/users/bind-server', async (req, res) => {
-    const { serverId } = req.body;
+// 当前用户的注册申请（审核状态、申请表问题与回答）
+app.get('/api/user/application', (req, res) => {
     const handle = req.session.userHandle || req.session.pendingUserHandle;
-    if (!handle) {
-        return res.status(401).json({ success: false, message: '会话已过期，请重新注册或登录' });
-    }
-    if (!serverId) {
-        return res.status(400).json({ success: false, message: '请选择一个服务器' });
+    const user = handle ? DataStore.getUserByHandle(handle) : null;
+    if (!user) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
     }
 
-    try {
-        const user = DataStore.getUserByHandle(handle);
-        if (!user) {
-            return res.status(404).json({ success: false, message: '用户不存在' });
-        }
+    const application = user.application || null;
+    res.json({
+        success: true,
+        handle: user.handle,
+        status: user.registrationStatus,
+        statusText: APPLICATION_STATUSES[user.registrationStatus] || null,
+        questions: registrationApproval.questions,
+        application: application && {
+            answers: application.answers || [],
+            submittedAt: application.submittedAt || null,
+            reviewedAt: application.reviewedAt || null,
+            reason: application.reason || null,
+        },
+        // 第三方登录注册的用户需要在这里补填申请表
+        canSubmit: user.registrationStatus === 'pending_approval' && !application?.submittedAt,
+    });
+});
 
-        if (user.registrationStatus === 'active') {
-             return res.status(400).json({ success: false, message: '该用户已激活' });
-        }
+// 提交注册申请表（仅限尚未提交过的待审核用户）
+app.post('/api/user/application', limitRequests('register'), (req, res) => {
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    const user = handle ? DataStore.getUserByHandle(handle) : null;
+    if (!user) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+    if (user.registrationStatus !== 'pending_approval' || user.application?.submittedAt) {
+        return res.status(409).json({ success: false, message: '申请已提交，无需重复填写' });
+    }
 
-        const server = DataStore.getServerById(serverId);
-        if (!server || !server.isActive) {
-            return res.status(404).json({ success: false, message: '服务器不存在或不可用' });
-        }
+    const { answers, error } = registrationApproval.collectAnswers(req.body?.answers);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    registrationApproval.submit(user.handle, answers);
+    audit(req, { action: 'user.application.submit', actorType: 'user', actor: user.handle, targetType: 'user', target: user.handle });
+    res.json({ success: true, message: '申请已提交，请等待管理员审核' });
+});
+
+// 加入候补名单（所有服务器都已满时）
+app.post('/api/user/waitlist', (req, res) => {
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    const user = handle ? DataStore.getUserByHandle(handle) : null;
+    if (!user) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+    if (user.registrationStatus !== 'pending_selection') {
+        return res.status(409).json({ success: false, message: '只有尚未选择服务器的用户可以加入候补名单' });
+    }
+
+    const result = serverCapacity.join(user);
+    if (result.error) {
+        return res.status(result.status).json({ success: false, message: result.error });
+    }
+    if (!ServerCapacity.isWaitlisted(user)) {
+        audit(req, { action: 'user.waitlist.join', actorType: 'user', actor: user.handle, targetType: 'user', target: user.handle });
+    }
+    res.json({
+        success: true,
+        position: serverCapacity.position(result.user),
+        message: user.email ? '已加入候补名单，有名额时会发送邮件通知您' : '已加入候补名单，有名额时请回到本页面选择服务器',
+    });
+});
+
+// 退出候补名单（已保留的名额会留给下一位）
+app.delete('/api/user/waitlist', (req, res) => {
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    const user = handle ? DataStore.getUserByHandle(handle) : null;
+    if (!user) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+    if (!ServerCapacity.isWaitlisted(user)) {
+        return res.status(409).json({ success: false, message: '您不在候补名单中' });
+    }
+
+    serverCapacity.leave(user.handle);
+    audit(req, { action: 'user.waitlist.leave', actorType: 'user', actor: user.handle, targetType: 'user', target: user.handle });
+    processWaitlist();
+    res.json({ success: true, message: '已退出候补名单' });
+});
+
+/**
+ * 执行用户迁移并把每一步写入审计日志：进度为 <action>.progress，回滚为 <action>.rollback，
+ * 整体结果为 <action>（由调用方记录）
+ */
+function runUserMigration(req, action, user, target, options) {
+    return userMigration.migrate(user, target, {
+        ...options,
+        onProgress: (step, detail) => {
+            const failed = detail.failed || detail.ok === false;
+            audit(req, {
+                action: step === 'rollback' ? `${action}.rollback` : `${action}.progress`,
+                targetType: 'user',
+                target: user.handle,
+                result: failed ? 'failure' : 'success',
+                message: detail.message,
+                detail: { step, ...detail },
+            });
+        },
+    });
+}
+
+/**
+ * 迁移完成后的收尾：通知用户新的登录地址，原服务器空出的名额留给候补名单中的用户
+ */
+function finishUserMigration(result) {
+    notifyUser(result.user, 'server-migrated', {
+        fromServerName: result.source.name,
+        serverName: result.target.name,
+        loginUrl: `${result.target.url}/login`,
+    });
+    processWaitlist();
+}
+
+// 已注册用户自行迁移到其他服务器（需开启 USER_MIGRATION_SELF_SERVICE）
+app.post('/api/user/migrate', async (req, res) => {
+    const handle = req.session.userHandle;
+    if (!handle) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+    if (!userMigration.selfService) {
+        return res.status(403).json({ success: false, message: '未开启自助迁移，请联系管理员' });
+    }
+
+    const { serverId, password } = req.body ?? {};
+    try {
+        const user = DataStore.getUserByHandle(handle);
+        if (!user) {
+            return res.status(404).json({ success: false, message: '用户不存在' });
+        }
+
+        // 目标服务器上的新账户沿用当前密码，因此需要先验证。第三方登录用户已通过第三方身份验证，
+        // 仍在使用默认密码时无需输入；修改过密码时需要输入修改后的密码
+        const isOAuthUser = String(user.registrationMethod || '').startsWith('oauth:');
+        const usesDefaultPassword = isOAuthUser && !password;
+        const currentPassword = usesDefaultPassword ? oauthService.getDefaultPassword() : String(password ?? '');
+        const limitResult = await rateLimiter.consume('password-change', { handle: user.handle });
+        if (!limitResult.allowed) {
+            return sendRateLimited(res, limitResult, `密码错误次数过多，请 ${formatRetryAfter(limitResult.retryAfter)}后再试`);
+        }
+        const { valid } = await verifyUserPassword(currentPassword, user);
+        if (!valid) {
+            const message = usesDefaultPassword ? '您修改过密码，请输入当前密码' : '当前密码错误';
+            await rateLimiter.recordFailure('password-change', { handle: user.handle });
+            audit(req, {
+                action: 'user.migrate',
+                targetType: 'user',
+                target: user.handle,
+                result: 'failure',
+                message,
+                detail: { toServerId: serverId ?? null },
+            });
+            return res.status(401).json({ success: false, message });
+        }
+        await rateLimiter.reset('password-change', { handle: user.handle });
+
+        const target = serverId ? DataStore.getServerById(serverId) : null;
+        const checked = userMigration.check(user, target);
+        if (checked.error) {
+            audit(req, {
+                action: 'user.migrate',
+                targetType: 'user',
+                target: user.handle,
+                result: 'denied',
+                message: checked.error,
+                detail: { toServerId: serverId ?? null },
+            });
+            return res.status(checked.status).json({ success: false, message: checked.error });
+        }
+
+        const result = await runUserMigration(req, 'user.migrate', user, target, {
+            password: currentPassword,
+            sourceAction: 'disable',
+        });
+        audit(req, {
+            action: 'user.migrate',
+            targetType: 'user',
+            target: user.handle,
+            changes: diffRecords({ serverId: Number(user.serverId) }, { serverId: Number(target.id) }),
+            detail: { migrationId: result.migrationId, transfer: result.transfer, source: result.sourceResult },
+        });
+        finishUserMigration(result);
+
+        res.json({
+            success: true,
+            serverId: Number(target.id),
+            serverName: target.name,
+            loginUrl: `${target.url}/login`,
+            message: '迁移完成，请使用原密码登录新服务器',
+        });
+    } catch (error) {
+        console.error('迁移用户失败:', error);
+        audit(req, {
+            action: 'user.migrate',
+            targetType: 'user',
+            target: handle,
+            result: 'failure',
+            message: error.message,
+            detail: { toServerId: serverId ?? null },
+        });
+        res.status(500).json({ success: false, message: `迁移失败: ${error.message}` });
+    }
+});
+
+// 用户自助修改密码（同步修改已绑定服务器上的密码）
+app.post('/api/user/change-password', async (req, res) => {
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    if (!handle) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+
+    try {
+        const { currentPassword, newPassword } = req.body ?? {};
+        const passwordError = validateNewPassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+
+        const user = DataStore.getUserByHandle(handle);
+        if (!user) {
+            return res.status(404).json({ success: false, message: '用户不存在' });
+        }
+
+        // 第三方登录用户已通过第三方身份验证，无需输入当前密码
+        const isOAuthUser = String(user.registrationMethod || '').startsWith('oauth:');
+        if (!isOAuthUser) {
+            const limitResult = await rateLimiter.consume('password-change', { handle: user.handle });
+            if (!limitResult.allowed) {
+                return sendRateLimited(res, limitResult, `当前密码错误次数过多，请 ${formatRetryAfter(limitResult.retryAfter)}后再试`);
+            }
+            const { valid } = await verifyUserPassword(String(currentPassword ?? ''), user);
+            if (!valid) {
+                await rateLimiter.recordFailure('password-change', { handle: user.handle });
+                audit(req, {
+                    action: 'user.password.change',
+                    targetType: 'user',
+                    target: user.handle,
+                    result: 'failure',
+                    message: '当前密码错误',
+                });
+                return res.status(401).json({ success: false, message: '当前密码错误' });
+            }
+        }
+
+        const normalizedPassword = newPassword.trim();
+        await applyUserPassword(user, normalizedPassword);
+        await rateLimiter.reset('password-change', { handle: user.handle });
+
+        // 尚未绑定服务器时，选服注册需要使用新密码
+        if (user.registrationStatus !== 'active') {
+            stashPendingPassword(req, normalizedPassword);
+        }
+
+        audit(req, { action: 'user.password.change', targetType: 'user', target: user.handle });
+        res.json({ success: true, message: '密码修改成功' });
+    } catch (error) {
+        console.error('修改密码失败:', error);
+        res.status(500).json({ success: false, message: error.message || '修改密码失败，请稍后重试' });
+    }
+});
+
+// 当前用户已绑定的第三方账号
+app.get('/api/user/identities', (req, res) => {
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    if (!handle) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+
+    const identities = DataStore.getOAuthIdentitiesByUser(handle).map(identity => ({
+        provider: identity.provider,
+        providerName: oauthService.getProviderName(identity.provider),
+        providerUsername: identity.providerUsername || '',
+        linkedAt: identity.linkedAt || null,
+    }));
+    res.json({ success: true, identities, providers: oauthService.listEnabledProviders() });
+});
+
+// 解除绑定第三方账号
+app.delete('/api/user/identities/:provider', (req, res) => {
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    if (!handle) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+
+    try {
+        const { provider } = req.params;
+        const user = DataStore.getUserByHandle(handle);
+        if (!user) {
+            return res.status(404).json({ success: false, message: '用户不存在' });
+        }
+
+        const identities = DataStore.getOAuthIdentitiesByUser(handle);
+        if (!identities.some(identity => identity.provider === provider)) {
+            return res.status(404).json({ success: false, message: '未绑定该第三方账号' });
+        }
+
+        // 第三方注册的用户无法使用密码登录，至少保留一个第三方账号
+        const isOAuthUser = String(user.registrationMethod || '').startsWith('oauth:');
+        if (isOAuthUser && identities.every(identity => identity.provider === provider)) {
+            return res.status(400).json({ success: false, message: '这是您唯一的登录方式，无法解除绑定' });
+        }
+
+        DataStore.unlinkOAuthIdentity(handle, provider);
+        audit(req, {
+            action: 'user.oauth.unlink',
+            targetType: 'user',
+            target: handle,
+            detail: { provider },
+        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('解除绑定失败:', error);
+        res.status(500).json({ success: false, message: error.message || '解除绑定失败，请稍后重试' });
+    }
+});
+
+// 绑定服务器并远程注册
+app.post('/api/users/bind-server', async (req, res) => {
+    const { serverId } = req.body;
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    if (!handle) {
+        return res.status(401).json({ success: false, message: '会话已过期，请重新注册或登录' });
+    }
+    // 系统分配模式下由服务端选择服务器，忽略请求中的 serverId
+    if (!serverId && serverAssigner.mode !== 'auto') {
+        return res.status(400).json({ success: false, message: '请选择一个服务器' });
+    }
+
+    let reservation = null;
+    try {
+        const user = DataStore.getUserByHandle(handle);
+        if (!user) {
+            return res.status(404).json({ success: false, message: '用户不存在' });
+        }
+
+        if (user.registrationStatus === 'active') {
+             return res.status(400).json({ success: false, message: '该用户已激活' });
+        }
+
+        if (RegistrationApproval.isAwaiting(user)) {
+            return res.status(403).json({
+                success: false,
+                message: user.registrationStatus === 'rejected' ? '注册申请未通过审核' : '注册申请正在审核中，通过后才能选择服务器',
+                redirectUrl: '/application',
+            });
+        }
+
+        let assignment = null;
+        if (serverAssigner.mode === 'auto') {
+            assignment = serverAssigner.pick(user);
+            if (!assignment && serverCapacity.availableServers(user.handle).length === 0) {
+                return res.status(409).json({ success: false, message: WAITLIST_FULL_MESSAGE, waitlist: true });
+            }
+            if (!assignment) {
+                return res.status(503).json({ success: false, message: '暂无可分配的服务器，请稍后再试或联系管理员' });
+            }
+        }
+
+        const server = DataStore.getServerById(assignment ? assignment.server.id : serverId);
+        if (!server || !server.isActive) {
+            return res.status(404).json({ success: false, message: '服务器不存在或不可用' });
+        }
 
         // 检查服务器是否暂停注册
         if (server.registrationPaused === true) {
+            audit(req, {
+                action: 'user.bind-server',
+                targetType: 'server',
+                target: server.id,
+                result: 'denied',
+                message: '服务器已暂停注册',
+            });
             return res.status(403).json({ success: false, message: '该服务器已暂停注册，无法绑定新用户' });
         }
 
+        if (!isServerHealthy(server)) {
+            return res.status(503).json({ success: false, message: '该服务器暂时无法连接，请选择其他服务器或稍后再试' });
+        }
+
+        // 检查并占用名额：在远程注册之前同步完成，同时提交的请求不会超出用户上限；注册结束后释放
+        reservation = serverCapacity.reserve(server, user.handle);
+        if (!reservation) {
+            const allFull = serverCapacity.availableServers(user.handle).length === 0;
+            audit(req, {
+                action: 'user.bind-server',
+                targetType: 'server',
+                target: server.id,
+                result: 'denied',
+                message: '服务器已满',
+            });
+            return res.status(409).json({
+                success: false,
+                message: allFull ? WAITLIST_FULL_MESSAGE : '该服务器已满，请选择其他服务器',
+                waitlist: allFull,
+            });
+        }
+
+        // 取出注册时加密暂存的密码；第三方登录用户固定使用默认密码
+        const isOAuthUser = String(user.registrationMethod || '').startsWith('oauth:');
+        const remotePassword = takePendingPassword(req) || (isOAuthUser ? oauthService.getDefaultPassword() : null);
+        if (!remotePassword) {
+            return res.status(401).json({ success: false, message: '注册会话已过期，请重新登录后再选择服务器' });
+        }
+
         // 初始化客户端连接目标服务器
-        const client = new SillyTavernClient({
-            baseUrl: server.url,
-            adminHandle: server.admin_username,
-            adminPassword: server.admin_password
-        });
+        const client = createServerClient(server);
 
         // 远程注册（包含邮箱信息）
         await client.registerUser({
             handle: user.handle,
             name: user.name,
-            password: user.password, // 使用之前暂存的密码
+            password: remotePassword,
             email: user.email // 将邮箱上传到酒馆
         });
 
-        // 更新本地状态
+        // 更新本地状态（记录浏览器语言，之后的通知邮件使用同一语言）
+        const locale = requestLocale(req);
         DataStore.updateUser(handle, {
             serverId: server.id,
             registrationStatus: 'active',
-            // password: null // 保留密码以便后续登录
+            locale,
+            waitlist: null,
         });
+        serverAssigner.record(server);
+        if (ServerCapacity.isWaitlisted(user)) {
+            // 候补用户选择了其他服务器时，原来保留的名额留给下一位
+            processWaitlist();
+        }
+        notifyUser({ ...user, locale }, 'welcome', { serverName: server.name, loginUrl: `${server.url}/login` });
         
-        // 清除 pending 状态，确保登录状态
+        // 清除 pending 状态与暂存密码，确保登录状态
         delete req.session.pendingUserHandle;
+        delete req.session.pendingPassword;
         req.session.userHandle = handle;
 
-        const defaultPassword = oauthService.getDefaultPassword();
-        const isDefaultPassword = user.password === defaultPassword; // 注意：这里 user.password 已经是 null 了，逻辑有点问题。应该在 update 之前判断。
-        // 修正：
-        // const isDefaultPassword = user.password === oauthService.getDefaultPassword();
+        audit(req, {
+            action: 'user.bind-server',
+            targetType: 'server',
+            target: server.id,
+            changes: diffRecords(
+                { serverId: user.serverId ?? null, registrationStatus: user.registrationStatus },
+                { serverId: server.id, registrationStatus: 'active' },
+            ),
+            detail: assignment ? { assignment: { mode: serverAssigner.mode, strategy: assignment.strategy } } : undefined,
+        });
 
         res.json({
             success: true,
+            serverId: server.id,
+            serverName: server.name,
             loginUrl: `${server.url}/login`, // 返回该服务器的登录地址
             message: '注册成功！'
         });
 
     } catch (error) {
         console.error('绑定服务器失败:', error);
+        audit(req, {
+            action: 'user.bind-server',
+            targetType: 'server',
+            target: serverId,
+            result: 'failure',
+            message: error.message,
+        });
         res.status(500).json({ success: false, message: `注册失败: ${error.message}` });
+    } finally {
+        reservation?.release();
     }
 });
 
@@ -636,6 +1700,13 @@ app.post('/api/users/backup-download', async (req, res) => {
 
         const serverId = req.body?.serverId ?? user.serverId;
         if (!serverId || Number(serverId) !== Number(user.serverId)) {
+            audit(req, {
+                action: 'user.backup.download',
+                targetType: 'server',
+                target: serverId ?? null,
+                result: 'denied',
+                message: '用户未绑定该服务器',
+            });
             return res.status(403).json({ success: false, message: '无权访问该服务器的备份' });
         }
 
@@ -644,13 +1715,10 @@ app.post('/api/users/backup-download', async (req, res) => {
             return res.status(404).json({ success: false, message: '服务器不存在' });
         }
 
-        const client = new SillyTavernClient({
-            baseUrl: server.url,
-            adminHandle: server.admin_username,
-            adminPassword: server.admin_password,
-        });
+        const client = createServerClient(server);
 
         const upstream = await client.downloadBackup({ handle: user.handle });
+        audit(req, { action: 'user.backup.download', targetType: 'server', target: server.id });
         const contentType = upstream.headers.get('content-type') || 'application/zip';
         const disposition = upstream.headers.get('content-disposition');
 
@@ -664,122 +1732,101 @@ app.post('/api/users/backup-download', async (req, res) => {
 
         upstream.body.pipe(res);
     } catch (error) {
+        audit(req, {
+            action: 'user.backup.download',
+            targetType: 'server',
+            target: req.body?.serverId ?? null,
+            result: 'failure',
+            message: error.message,
+        });
         res.status(500).json({ success: false, message: error.message || '下载备份失败' });
     }
 });
 
 // 应用用户备份（同机模式）
 app.post('/api/users/backup-apply', upload.single('backup'), async (req, res) => {
+    const denyBackupApply = (status, message, reason, target = null) => {
+        audit(req, {
+            action: 'user.backup.apply',
+            targetType: 'server',
+            target,
+            result: 'denied',
+            message,
+            detail: { reason },
+        });
+        if (req.file) {
+            fsPromises.rm(req.file.path, { force: true }).catch(() => {});
+        }
+        return res.status(status).json({ success: false, message });
+    };
+
     try {
         const handle = req.session.userHandle || req.session.pendingUserHandle;
         if (!handle) {
-            await appendLog(formatLogLine('WARN', { action: 'backup-apply', reason: 'no-session', ip: req.ip }));
-            return res.status(401).json({ success: false, message: '会话已过期，请重新登录' });
+            return denyBackupApply(401, '会话已过期，请重新登录', 'no-session');
         }
 
         const user = DataStore.getUserByHandle(handle);
         if (!user) {
-            await appendLog(formatLogLine('WARN', { action: 'backup-apply', reason: 'user-not-found', handle, ip: req.ip }));
-            return res.status(404).json({ success: false, message: '用户不存在' });
+            return denyBackupApply(404, '用户不存在', 'user-not-found');
         }
 
         const serverId = req.body?.serverId ?? user.serverId;
         if (!serverId || Number(serverId) !== Number(user.serverId)) {
-            await appendLog(formatLogLine('WARN', { action: 'backup-apply', reason: 'server-mismatch', handle, serverId, userServerId: user.serverId, ip: req.ip }));
-            return res.status(403).json({ success: false, message: '无权操作该服务器的备份' });
+            return denyBackupApply(403, '无权操作该服务器的备份', 'server-mismatch', serverId ?? null);
         }
 
         const server = DataStore.getServerById(serverId);
         if (!server) {
-            await appendLog(formatLogLine('WARN', { action: 'backup-apply', reason: 'server-not-found', handle, serverId, ip: req.ip }));
-            return res.status(404).json({ success: false, message: '服务器不存在' });
+            return denyBackupApply(404, '服务器不存在', 'server-not-found', serverId);
         }
 
         if (!server.localDataRoot) {
-            await appendLog(formatLogLine('WARN', { action: 'backup-apply', reason: 'missing-local-data-root', handle, serverId, ip: req.ip }));
-            return res.status(400).json({ success: false, message: '仅同机部署可应用备份，请先在服务器管理中配置本体数据目录' });
+            return denyBackupApply(400, '仅同机部署可应用备份，请先在服务器管理中配置本体数据目录', 'missing-local-data-root', serverId);
         }
 
         if (!req.file) {
-            await appendLog(formatLogLine('WARN', { action: 'backup-apply', reason: 'missing-file', handle, serverId, ip: req.ip }));
-            return res.status(400).json({ success: false, message: '未检测到备份文件' });
+            return denyBackupApply(400, '未检测到备份文件', 'missing-file', serverId);
         }
 
-        const client = new SillyTavernClient({
-            baseUrl: server.url,
-            adminHandle: server.admin_username,
-            adminPassword: server.admin_password,
-        });
+        const client = createServerClient(server);
         const normalizedHandle = client.normalizeHandle(user.handle);
         if (!normalizedHandle) {
-            return res.status(400).json({ success: false, message: '用户标识无效' });
+            return denyBackupApply(400, '用户标识无效', 'invalid-handle', serverId);
         }
 
         const userRoot = path.join(server.localDataRoot, normalizedHandle);
-        const resolvedUserRoot = path.resolve(userRoot);
         const zipPath = req.file.path;
-
-        await appendLog(formatLogLine('INFO', {
-            action: 'backup-apply',
-            stage: 'start',
-            handle: normalizedHandle,
-            serverId,
-            zipPath,
-            userRoot,
-            ip: req.ip,
-        }));
+        let entryCount = 0;
+        let skippedEntries = [];
 
         try {
-            await fsPromises.rm(userRoot, { recursive: true, force: true });
-            await fsPromises.mkdir(userRoot, { recursive: true });
-
-            const zip = new AdmZip(zipPath);
-            const entries = zip.getEntries();
-
-            await appendLog(formatLogLine('INFO', {
-                action: 'backup-apply',
-                stage: 'entries',
-                handle: normalizedHandle,
-                count: entries.length,
-            }));
-
-            for (const entry of entries) {
-                const entryName = entry.entryName.replace(/\\/g, '/');
-                const targetPath = path.resolve(userRoot, entryName);
-                if (!targetPath.startsWith(resolvedUserRoot)) {
-                    await appendLog(formatLogLine('WARN', {
-                        action: 'backup-apply',
-                        stage: 'skip-entry',
-                        handle: normalizedHandle,
-                        entry: entryName,
-                    }));
-                    continue;
-                }
-
-                if (entry.isDirectory) {
-                    await fsPromises.mkdir(targetPath, { recursive: true });
-                    continue;
-                }
-
-                await fsPromises.mkdir(path.dirname(targetPath), { recursive: true });
-                await fsPromises.writeFile(targetPath, entry.getData());
-            }
-            await appendLog(formatLogLine('INFO', {
-                action: 'backup-apply',
-                stage: 'completed',
-                handle: normalizedHandle,
-            }));
+            // 路径穿越的条目不写入，记录在审计详情中
+            ({ entries: entryCount, skippedEntries } = await extractBackupArchive(zipPath, userRoot));
         } finally {
             await fsPromises.rm(zipPath, { force: true });
         }
 
+        audit(req, {
+            action: 'user.backup.apply',
+            targetType: 'server',
+            target: server.id,
+            detail: {
+                userRoot,
+                entries: entryCount,
+                skippedEntries: skippedEntries.slice(0, 20),
+                skippedCount: skippedEntries.length,
+            },
+        });
         res.json({ success: true, message: '备份已应用，重新登录后生效' });
     } catch (error) {
-        await appendLog(formatLogLine('ERROR', {
-            action: 'backup-apply',
-            stage: 'failed',
-            message: error?.message || error,
-        }));
+        audit(req, {
+            action: 'user.backup.apply',
+            targetType: 'server',
+            target: req.body?.serverId ?? null,
+            result: 'failure',
+            message: error?.message || String(error),
+        });
         res.status(500).json({ success: false, message: error.message || '应用备份失败' });
     }
 });
@@ -799,11 +1846,33 @@ function getRequestBaseUrl(req) {
 }
 
 // OAuth 路由
-app.get('/oauth/auth/:provider', (req, res) => {
-    const { provider } = req.params;
-    const validProviders = ['github', 'discord', 'linuxdo'];
-    
-    if (!validProviders.includes(provider)) {
+function clearOAuthState(req) {
+    delete req.session.oauthState;
+    delete req.session.oauthProvider;
+    delete req.session.oauthBaseUrl;
+    delete req.session.oauthLinkHandle;
+    delete req.session.oauthCodeVerifier;
+    delete req.session.oauthNonce;
+}
+
+function sendOAuthMessagePage(res, status, title, message, link = { href: '/login', text: '返回登录' }) {
+    res.status(status).send(`
+        <html>
+            <head><title>${title}</title></head>
+            <body style="font-family: sans-serif; text-align: center; padding: 50px;">
+                <h1>${title}</h1>
+                <p>${message}</p>
+                <a href="${link.href}" style="color: #667eea;">${link.text}</a>
+            </body>
+        </html>
+    `);
+}
+
+/**
+ * 发起 OAuth 授权；linkHandle 不为空时表示为已登录用户绑定新的第三方账号
+ */
+async function startOAuthFlow(req, res, provider, linkHandle = null) {
+    if (!oauthService.getProvider(provider)) {
         return res.status(400).json({
             success: false,
             message: `不支持的 OAuth 提供商: ${provider}`,
@@ -812,11 +1881,18 @@ app.get('/oauth/auth/:provider', (req, res) => {
 
     try {
         const requestBaseUrl = getRequestBaseUrl(req);
-        const { url, state } = oauthService.getAuthUrl(provider, requestBaseUrl);
-        // 将 state 和 baseUrl 存储到会话中（回调时需要）
+        const { url, state, codeVerifier, nonce } = await oauthService.getAuthUrl(provider, requestBaseUrl);
+        // 将 state、PKCE 校验码和 baseUrl 存储到会话中（回调时需要）
         req.session.oauthState = state;
         req.session.oauthProvider = provider;
         req.session.oauthBaseUrl = requestBaseUrl;
+        req.session.oauthCodeVerifier = codeVerifier;
+        req.session.oauthNonce = nonce;
+        if (linkHandle) {
+            req.session.oauthLinkHandle = linkHandle;
+        } else {
+            delete req.session.oauthLinkHandle;
+        }
         res.redirect(url);
     } catch (error) {
         console.error(`OAuth 授权失败 (${provider}):`, error);
@@ -825,15 +1901,91 @@ app.get('/oauth/auth/:provider', (req, res) => {
             message: error.message || 'OAuth 授权失败',
         });
     }
+}
+
+/**
+ * 是否为旧版本通过该提供商注册、尚未记录第三方身份的用户
+ */
+function isLegacyOAuthUser(user, provider) {
+    return user?.registrationMethod === `oauth:${provider}`
+        && !DataStore.getOAuthIdentitiesByUser(user.handle).some(identity => identity.provider === provider);
+}
+
+/**
+ * 创建第三方登录用户并绑定身份，随后进入选服流程
+ * 传入邀请码时在同一事务中核验并使用邀请码，邀请码不可用时不创建用户
+ * @returns {Promise<{ user?: object, message?: string }>}
+ */
+async function createOAuthUser(req, pendingUser, { email = null, inviteCode = null } = {}) {
+    // 先计算哈希，核验邀请码与创建用户之间不再等待
+    const passwordHash = await hashPassword(oauthService.getDefaultPassword());
+    const createUser = () => DataStore.recordOAuthUser({
+        handle: pendingUser.handle,
+        name: pendingUser.displayName,
+        passwordHash,
+        ip: pendingUser.ip,
+        email,
+        inviteCode,
+        registrationMethod: `oauth:${pendingUser.provider}`,
+        registrationStatus: registrationApproval.initialStatus(),
+        // 没有申请表问题时无需补填，直接进入审核
+        application: registrationApproval.enabled && !registrationApproval.questions.length
+            ? { answers: [], submittedAt: new Date().toISOString(), reviewedAt: null, reviewedBy: null, reason: null }
+            : null,
+        locale: requestLocale(req),
+    }, {
+        provider: pendingUser.provider,
+        providerUserId: pendingUser.providerUserId,
+        providerUsername: pendingUser.providerUsername,
+    });
+
+    const result = inviteCode ? InviteCodeService.redeem(inviteCode, createUser) : { user: createUser() };
+    if (result.user) {
+        delete req.session.oauthPendingUser;
+        req.session.pendingUserHandle = result.user.handle;
+    }
+    return result;
+}
+
+/**
+ * 记录第三方登录注册成功的审计事件
+ */
+function auditOAuthRegistration(req, newUser, provider, detail = {}) {
+    audit(req, {
+        action: 'user.oauth.register',
+        actorType: 'user',
+        actor: newUser.handle,
+        targetType: 'user',
+        target: newUser.handle,
+        detail: {
+            provider,
+            email: newUser.email || null,
+            inviteCode: newUser.inviteCode || null,
+            ...detail,
+        },
+    });
+}
+
+app.get('/oauth/auth/:provider', limitRequests('oauth'), (req, res) => {
+    startOAuthFlow(req, res, req.params.provider);
+});
+
+// 已登录用户绑定新的第三方账号
+app.get('/oauth/link/:provider', limitRequests('oauth'), (req, res) => {
+    const handle = req.session.userHandle || req.session.pendingUserHandle;
+    if (!handle) {
+        return res.redirect('/login');
+    }
+    startOAuthFlow(req, res, req.params.provider, handle);
 });
 
 // OAuth 回调路由
-app.get('/oauth/callback/:provider', async (req, res) => {
+app.get('/oauth/callback/:provider', limitRequests('oauth'), async (req, res) => {
     const { provider } = req.params;
     const { code, state } = req.query;
 
-    // 验证 state
-    if (!req.session.oauthState || req.session.oauthState !== state) {
+    // 验证 state（同时确认回调的提供商与发起授权时一致）
+    if (!req.session.oauthState || req.session.oauthState !== state || req.session.oauthProvider !== provider) {
         return res.status(400).send(`
             <html>
                 <head><title>OAuth 验证失败</title></head>
@@ -859,120 +2011,228 @@ app.get('/oauth/callback/:provider', async (req, res) => {
         `);
     }
 
+    const linkHandle = req.session.oauthLinkHandle || null;
     try {
         // 获取回调时使用的基础 URL（优先使用会话中保存的，否则从请求中获取）
         const requestBaseUrl = req.session.oauthBaseUrl || getRequestBaseUrl(req);
         
         // 交换授权码获取访问令牌
-        const accessToken = await oauthService.exchangeCode(provider, code, requestBaseUrl);
+        const tokens = await oauthService.exchangeCode(provider, code, requestBaseUrl, {
+            codeVerifier: req.session.oauthCodeVerifier || null,
+        });
         
         // 获取用户信息
-        const userInfo = await oauthService.getUserInfo(provider, accessToken);
-        
+        const userInfo = await oauthService.getUserInfo(provider, tokens, { nonce: req.session.oauthNonce || null });
+        const providerUserId = userInfo.id != null ? String(userInfo.id) : '';
+        if (!providerUserId) {
+            throw new Error('第三方账号缺少用户 ID');
+        }
+        const providerUsername = userInfo.username || '';
+        const providerName = oauthService.getProviderName(provider);
+
+        // 清除 OAuth 相关临时状态
+        clearOAuthState(req);
+
+        // 第三方身份只通过 (提供商, 提供商用户 ID) 查找，不再按用户名匹配
+        const identity = DataStore.getOAuthIdentity(provider, providerUserId);
+
+        // 绑定流程：把该第三方账号关联到当前登录的用户
+        if (linkHandle) {
+            if (identity && identity.userHandle !== linkHandle) {
+                audit(req, {
+                    action: 'user.oauth.link',
+                    actorType: 'user',
+                    actor: linkHandle,
+                    targetType: 'user',
+                    target: linkHandle,
+                    result: 'denied',
+                    message: '该第三方账号已绑定到其他用户',
+                    detail: { provider, providerUserId, linkedTo: identity.userHandle },
+                });
+                return sendOAuthMessagePage(res, 409, '绑定失败', `该 ${providerName} 账号已绑定到其他用户。`, { href: '/select-server', text: '返回' });
+            }
+            DataStore.linkOAuthIdentity({ provider, providerUserId, providerUsername, userHandle: linkHandle });
+            audit(req, {
+                action: 'user.oauth.link',
+                actorType: 'user',
+                actor: linkHandle,
+                targetType: 'user',
+                target: linkHandle,
+                detail: { provider, providerUserId, providerUsername },
+            });
+            return res.redirect(`/select-server?linked=${encodeURIComponent(provider)}`);
+        }
+
+        if (identity) {
+            const linkedUser = DataStore.getUserByHandle(identity.userHandle);
+            if (linkedUser) {
+                // 已注册用户：直接登录（走本地 session），不再重复注册或再次填写邀请码
+                req.session.userHandle = linkedUser.handle;
+                audit(req, {
+                    action: 'user.oauth.login',
+                    actorType: 'user',
+                    actor: linkedUser.handle,
+                    detail: { provider, providerUserId },
+                });
+                return res.redirect('/select-server');
+            }
+            // 用户已被删除，清理残留的身份记录后按新用户处理
+            DataStore.unlinkOAuthIdentity(identity.userHandle, provider);
+        }
+
         // 生成用户名和显示名称
         const tempClient = new SillyTavernClient({});
         const handle = tempClient.normalizeHandle(userInfo.username || userInfo.id);
-        const displayName = userInfo.displayName || userInfo.username || `用户_${userInfo.id.slice(0, 8)}`;
+        const displayName = userInfo.displayName || userInfo.username || `用户_${providerUserId.slice(0, 8)}`;
+        const existingUser = DataStore.getUserByHandle(handle);
 
         // 获取客户端 IP（用于 IP 限制检查）
-        const forwardedFor = typeof req.headers['x-forwarded-for'] === 'string' ? req.headers['x-forwarded-for'] : '';
-        const clientIp = forwardedFor.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
-
-        // 无论当前是否需要邀请码，都先检查本地是否已存在该用户
-        const existingUser = DataStore.getUserByHandle(handle);
-        if (existingUser) {
-            // 已注册用户：直接登录（走本地 session），不再重复注册或再次填写邀请码
-            req.session.userHandle = existingUser.handle;
+        const clientIp = getClientIp(req);
+        
+        // IP 注册策略检查（新用户才检查）
+        const ipDecision = ipPolicy.evaluate(clientIp);
+        if (!ipDecision.allowed) {
+            audit(req, {
+                action: 'user.oauth.register',
+                actorType: 'anonymous',
+                actor: handle,
+                result: 'denied',
+                message: `IP 注册策略拦截：${IP_POLICY_RULE_TYPES[ipDecision.rule.type]}`,
+                detail: { provider, providerUserId, ipRule: ipDecision.rule },
+            });
+            return sendOAuthMessagePage(res, 403, '⚠️ 注册受限', `${ipDecision.message}。`);
+        }
 
-            // 清除 OAuth 相关临时状态
-            delete req.session.oauthState;
-            delete req.session.oauthProvider;
-            delete req.session.oauthBaseUrl;
+        // 将待注册的第三方用户信息存入 session
+        req.session.oauthPendingUser = {
+            handle,
+            displayName,
+            provider,
+            providerUserId,
+            providerUsername,
+            ip: clientIp,
+        };
 
-            return res.redirect('/select-server');
-        }
-        
-        // IP 注册限制检查（新用户才检查）
-        if (config.enableIpLimit) {
-            if (DataStore.hasIpRegistered(clientIp)) {
-                // 清除 OAuth 状态
-                delete req.session.oauthState;
-                delete req.session.oauthProvider;
-                delete req.session.oauthBaseUrl;
-                
-                return res.status(403).send(`
-                    <html>
-                        <head><title>注册限制</title></head>
-                        <body style="font-family: sans-serif; text-align: center; padding: 50px;">
-                            <h1>⚠️ 注册受限</h1>
-                            <p>您的 IP 地址已注册过账号，每个 IP 只能注册一次。</p>
-                            <a href="/login" style="color: #667eea;">返回登录</a>
-                        </body>
-                    </html>
-                `);
+        // 用户名已被占用：先让用户选择其他用户名。旧版本创建的第三方用户没有记录提供商用户 ID，
+        // 同样不按用户名认领，需要用邮箱链接登录后在选服页面绑定，或由管理员核实后绑定
+        if (existingUser) {
+            if (isLegacyOAuthUser(existingUser, provider)) {
+                // 记录提供商用户 ID，管理员核实身份后可以在「用户管理」中据此绑定
+                audit(req, {
+                    action: 'user.oauth.login',
+                    actorType: 'anonymous',
+                    actor: handle,
+                    targetType: 'user',
+                    target: existingUser.handle,
+                    result: 'denied',
+                    message: '旧版第三方用户尚未绑定第三方账号',
+                    detail: { provider, providerUserId, providerUsername },
+                });
             }
+            return res.redirect('/oauth/choose-handle');
         }
         
         // 如果启用了邀请码或邮箱验证，跳转到验证页面（首次注册才会到这里）
         if (config.requireInviteCode || config.requireEmailVerification) {
-            // 将用户信息存入 session
-            req.session.oauthPendingUser = {
-                handle,
-                displayName,
-                provider,
-                ip: clientIp,
-            };
-            
-            // 清除 OAuth 状态
-            delete req.session.oauthState;
-            delete req.session.oauthProvider;
-            delete req.session.oauthBaseUrl;
-            
-            // 跳转到验证页面（邀请码 + 邮箱验证）
             return res.redirect('/oauth/invite');
         }
         
-        // 创建新用户 (本地)
-        const defaultPassword = oauthService.getDefaultPassword();
-        
-        const newUser = DataStore.recordUser({
-            handle: handle,
-            name: displayName,
-            password: defaultPassword,
-            ip: clientIp,
-            email: null, // OAuth 流程不强制要求邮箱
-            inviteCode: null,
-            registrationMethod: `oauth:${provider}`,
-            registrationStatus: 'pending_selection'
-        });
-
-        const timestamp = new Date().toISOString();
-        console.info(`[OAuth注册审计] 时间 ${timestamp}，IP ${clientIp}，提供商 ${provider}，用户名 ${newUser.handle}`);
-
-        // 清除会话中的 OAuth 数据
-        delete req.session.oauthState;
-        delete req.session.oauthProvider;
-        delete req.session.oauthBaseUrl;
-
-        // 设置 session 用于选服
-        req.session.pendingUserHandle = newUser.handle;
+        // 创建新用户 (本地) 并设置 session 用于选服
+        let newUser;
+        try {
+            ({ user: newUser } = await createOAuthUser(req, req.session.oauthPendingUser));
+        } catch (error) {
+            // 检查之后用户名被同时注册的账号占用（409）：改为选择其他用户名
+            if (deriveStatus(error) === 409) {
+                return res.redirect('/oauth/choose-handle');
+            }
+            throw error;
+        }
+        auditOAuthRegistration(req, newUser, provider);
 
         // 跳转到选服页面
         res.redirect('/select-server');
 
     } catch (error) {
         console.error(`OAuth 回调处理失败 (${provider}):`, error);
+        audit(req, {
+            action: linkHandle ? 'user.oauth.link' : 'user.oauth.login',
+            result: 'failure',
+            message: error.message,
+            detail: { provider },
+        });
         
         // 清除会话
-        delete req.session.oauthState;
-        delete req.session.oauthProvider;
-        delete req.session.oauthBaseUrl;
+        clearOAuthState(req);
 
         const errorMessage = error.message || '注册失败，请稍后再试';
         res.status(500).send(`注册失败: ${errorMessage}`);
     }
 });
 
+// OAuth 用户名冲突：选择其他用户名
+app.get('/oauth/choose-handle', (req, res) => {
+    if (!req.session.oauthPendingUser) {
+        return res.redirect('/');
+    }
+    res.sendFile(path.join(publicDir, 'oauth-choose-handle.html'));
+});
+
+app.get('/api/oauth/pending', (req, res) => {
+    const pendingUser = req.session.oauthPendingUser;
+    if (!pendingUser) {
+        return res.status(400).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+    res.json({
+        success: true,
+        handle: pendingUser.handle,
+        displayName: pendingUser.displayName,
+        provider: pendingUser.provider,
+        providerName: oauthService.getProviderName(pendingUser.provider),
+        handleTaken: Boolean(DataStore.getUserByHandle(pendingUser.handle)),
+    });
+});
+
+app.post('/oauth/choose-handle', limitRequests('oauth'), async (req, res) => {
+    const pendingUser = req.session.oauthPendingUser;
+    if (!pendingUser?.providerUserId) {
+        return res.status(400).json({ success: false, message: '会话已过期，请重新登录' });
+    }
+
+    try {
+        const rawHandle = typeof req.body?.handle === 'string' ? req.body.handle.trim() : '';
+        if (!rawHandle) {
+            return res.status(400).json({ success: false, message: '用户标识不能为空' });
+        }
+        if (rawHandle.length > 64) {
+            return res.status(400).json({ success: false, message: '用户标识过长（最多 64 个字符）' });
+        }
+
+        const tempClient = new SillyTavernClient({});
+        const handle = tempClient.normalizeHandle(rawHandle);
+        if (!handle) {
+            return res.status(400).json({ success: false, message: '无法将该用户标识转换为有效格式' });
+        }
+        if (DataStore.getUserByHandle(handle)) {
+            return res.status(409).json({ success: false, message: `用户标识 ${handle} 已被占用，请换一个` });
+        }
+
+        pendingUser.handle = handle;
+
+        if (config.requireInviteCode || config.requireEmailVerification) {
+            return res.json({ success: true, handle, redirectUrl: '/oauth/invite' });
+        }
+
+        const { user: newUser } = await createOAuthUser(req, pendingUser);
+        auditOAuthRegistration(req, newUser, pendingUser.provider, { chosenHandle: true });
+
+        res.json({ success: true, handle: newUser.handle, redirectUrl: '/select-server' });
+    } catch (error) {
+        console.error('OAuth 用户创建失败:', error);
+        res.status(deriveStatus(error)).json({ success: false, message: error.message || '创建用户失败，请稍后再试' });
+    }
+});
+
 // OAuth 邀请码验证页面
 app.get('/oauth/invite', (req, res) => {
     if (!req.session.oauthPendingUser) {
@@ -982,13 +2242,44 @@ app.get('/oauth/invite', (req, res) => {
 });
 
 // OAuth 邀请码/邮箱验证 API
-app.post('/oauth/invite', async (req, res) => {
-    if (!req.session.oauthPendingUser) {
+app.post('/oauth/invite', limitRequests('oauth'), async (req, res) => {
+    const pendingUser = req.session.oauthPendingUser;
+    if (!pendingUser?.providerUserId) {
         return res.status(400).json({
             success: false,
             message: '会话已过期，请重新登录',
         });
     }
+
+    // 该第三方身份可能已在其他会话中完成注册，此时视为「登录」
+    const identity = DataStore.getOAuthIdentity(pendingUser.provider, pendingUser.providerUserId);
+    const linkedUser = identity ? DataStore.getUserByHandle(identity.userHandle) : null;
+    if (linkedUser) {
+        delete req.session.oauthPendingUser;
+        req.session.userHandle = linkedUser.handle;
+
+        return res.json({
+            success: false,
+            isAlreadyRegistered: true,
+            handle: linkedUser.handle,
+            loginUrl: '/select-server',
+            message: '该账号已完成注册，正在为您直接登录',
+        });
+    }
+
+    // 用户名已被其他账号占用，需要先选择其他用户名（在校验验证码之前检查，避免验证码被消耗）
+    if (DataStore.getUserByHandle(pendingUser.handle)) {
+        return res.status(409).json({
+            success: false,
+            needsHandle: true,
+            redirectUrl: '/oauth/choose-handle',
+            message: '该用户名已被占用，请选择其他用户名',
+        });
+    }
+    
+    if (!checkCaptcha(req, res)) {
+        return;
+    }
     
     const { inviteCode, email, emailCode } = req.body;
     
@@ -1011,6 +2302,15 @@ app.post('/oauth/invite', async (req, res) => {
             });
         }
         
+        const emailEvent = {
+            action: 'user.oauth.register',
+            actor: pendingUser.handle,
+            detail: { provider: pendingUser.provider, providerUserId: pendingUser.providerUserId },
+        };
+        if (!checkEmailDomain(req, res, email, emailEvent)) {
+            return;
+        }
+        
         // 检查邮箱是否已被使用
         if (DataStore.isEmailUsed(email)) {
             return res.status(409).json({
@@ -1038,7 +2338,7 @@ app.post('/oauth/invite', async (req, res) => {
         verifiedEmail = email.trim().toLowerCase();
     }
     
-    // 邀请码验证
+    // 邀请码不能为空（创建用户时在同一事务中核验并使用）
     if (config.requireInviteCode) {
         if (!inviteCode || typeof inviteCode !== 'string' || !inviteCode.trim()) {
             return res.status(400).json({
@@ -1046,69 +2346,37 @@ app.post('/oauth/invite', async (req, res) => {
                 message: '邀请码不能为空',
             });
         }
-        
-        // 验证邀请码
-        const validation = InviteCodeService.validate(inviteCode.trim().toUpperCase());
-        if (!validation.valid) {
-            return res.status(400).json({
-                success: false,
-                message: validation.message || '邀请码无效',
-            });
-        }
     }
     
     try {
-        const { handle, displayName, provider, ip: storedIp } = req.session.oauthPendingUser;
-        
-        // 检查是否已注册
-        const existingUser = DataStore.getUserByHandle(handle);
-        if (existingUser) {
-            // 如果用户已经存在，说明之前已经完成过 OAuth 注册和邀请码验证。
-            // 此时视为「登录」，直接建立会话并告知前端可以跳转到登录/选服页面。
-            delete req.session.oauthPendingUser;
-            req.session.userHandle = existingUser.handle;
+        const { provider } = pendingUser;
 
-            return res.json({
-                success: false,
-                isAlreadyRegistered: true,
-                handle: existingUser.handle,
-                loginUrl: '/select-server',
-                message: '该账号已完成注册，正在为您直接登录',
-            });
-        }
-        
-        // 创建新用户 (本地)
-        const defaultPassword = oauthService.getDefaultPassword();
-        
         // 使用存储的 IP 或从当前请求获取
-        const forwardedFor = typeof req.headers['x-forwarded-for'] === 'string' ? req.headers['x-forwarded-for'] : '';
-        const clientIp = storedIp || forwardedFor.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
-        
-        const newUser = DataStore.recordUser({
-            handle: handle,
-            name: displayName,
-            password: defaultPassword,
-            ip: clientIp,
+        const clientIp = pendingUser.ip || getClientIp(req);
+
+        // 创建新用户 (本地) 并设置 session 用于选服；启用邀请码时同时核验并标记邀请码为已使用
+        const normalizedInviteCode = config.requireInviteCode ? inviteCode.trim().toUpperCase() : null;
+        const { user: newUser, message: inviteError } = await createOAuthUser(req, { ...pendingUser, ip: clientIp }, {
             email: verifiedEmail, // 存储验证后的邮箱
-            inviteCode: inviteCode ? inviteCode.trim().toUpperCase() : null,
-            registrationMethod: `oauth:${provider}`,
-            registrationStatus: 'pending_selection'
+            inviteCode: normalizedInviteCode,
         });
-
-        // 标记邀请码为已使用
-        if (config.requireInviteCode && inviteCode) {
-            InviteCodeService.use(inviteCode.trim().toUpperCase(), newUser.handle);
+        if (!newUser) {
+            audit(req, {
+                action: 'user.oauth.register',
+                actorType: 'anonymous',
+                actor: pendingUser.handle,
+                result: 'denied',
+                message: inviteError || '邀请码无效',
+                detail: { provider: pendingUser.provider, inviteCode: normalizedInviteCode },
+            });
+            return res.status(400).json({
+                success: false,
+                message: inviteError || '邀请码无效',
+            });
         }
 
-        const timestamp = new Date().toISOString();
-        console.info(`[OAuth注册审计] 时间 ${timestamp}，IP ${clientIp}，提供商 ${provider}，用户名 ${newUser.handle}，邮箱 ${verifiedEmail || '无'}，邀请码 ${inviteCode ? inviteCode.trim().toUpperCase() : '无'}`);
+        auditOAuthRegistration(req, newUser, provider);
 
-        // 清除会话中的待注册用户信息
-        delete req.session.oauthPendingUser;
-        
-        // 设置 session 用于选服
-        req.session.pendingUserHandle = newUser.handle;
-        
         // 返回用户名和后续跳转地址，便于前端在成功弹窗中正确展示
         res.json({
             success: true,
@@ -1121,7 +2389,17 @@ app.post('/oauth/invite', async (req, res) => {
         
     } catch (error) {
         console.error(`OAuth 用户创建失败:`, error);
-        res.status(500).json({
+        const status = deriveStatus(error);
+        // 用户名被同时注册的账号占用时，与上面的检查一样引导用户选择其他用户名
+        if (status === 409) {
+            return res.status(409).json({
+                success: false,
+                needsHandle: true,
+                redirectUrl: '/oauth/choose-handle',
+                message: '该用户名已被占用，请选择其他用户名',
+            });
+        }
+        res.status(status).json({
             success: false,
             message: error.message || '创建用户失败，请稍后再试',
         });
@@ -1130,32 +2408,25 @@ app.post('/oauth/invite', async (req, res) => {
 
 // 获取可用的 OAuth 提供商
 app.get('/oauth/providers', (_req, res) => {
-    const providers = [];
-    
-    // 检查 GitHub OAuth 是否启用且配置完整
-    if (config.oauthEnabled?.github && config.GITHUB_CLIENT_ID && config.GITHUB_CLIENT_SECRET) {
-        providers.push({ id: 'github', name: 'GitHub', icon: 'github' });
-    }
-    
-    // 检查 Discord OAuth 是否启用且配置完整
-    if (config.oauthEnabled?.discord && config.DISCORD_CLIENT_ID && config.DISCORD_CLIENT_SECRET) {
-        providers.push({ id: 'discord', name: 'Discord', icon: 'discord' });
-    }
-    
-    // 检查 Linux.do OAuth 是否启用且配置完整
-    if (config.oauthEnabled?.linuxdo && config.LINUXDO_CLIENT_ID && config.LINUXDO_CLIENT_SECRET) {
-        providers.push({ id: 'linuxdo', name: 'Linux.do', icon: 'linuxdo' });
-    }
-    
-    res.json({ providers });
+    res.json({ providers: oauthService.listEnabledProviders() });
 });
 
 // ==================== 管理员面板路由 ====================
 
+/**
+ * 解析客户端 IP（只信任 TRUSTED_PROXIES 中的代理转发的地址），结果缓存在请求上
+ * @returns {{ ip: string, source: string, chain: string[] }}
+ */
+function resolveClientIp(req) {
+    if (!req.clientIpResolution) {
+        req.clientIpResolution = clientIpResolver.resolve(req);
+    }
+    return req.clientIpResolution;
+}
+
 // 获取客户端 IP
 function getClientIp(req) {
-    const forwardedFor = typeof req.headers['x-forwarded-for'] === 'string' ? req.headers['x-forwarded-for'] : '';
-    return forwardedFor.split(',')[0]?.trim() || req.socket?.remoteAddress || req.ip || 'unknown';
+    return resolveClientIp(req).ip;
 }
 
 // 管理员登录页面（使用可配置路径）
@@ -1164,47 +2435,128 @@ app.get(config.adminLoginPath, (_req, res) => {
 });
 
 // 管理员登录 API（带防暴力破解）
-app.post('/api/admin/login', (req, res) => {
-    const { password } = req.body;
+app.post('/api/admin/login', async (req, res) => {
+    const { username, password } = req.body;
     const clientIp = getClientIp(req);
     
     // 检查登录限制
-    const checkResult = loginLimiter.check(clientIp);
+    const checkResult = await rateLimiter.consume('admin-login', { ip: clientIp });
     if (!checkResult.allowed) {
-        const lockMinutes = checkResult.lockMinutes || Math.ceil((checkResult.lockUntil.getTime() - Date.now()) / 60000);
-        return res.status(429).json({
-            success: false,
-            message: `登录尝试次数过多，请 ${lockMinutes} 分钟后再试`,
-            lockUntil: checkResult.lockUntil,
+        audit(req, {
+            action: 'admin.login',
+            actorType: 'anonymous',
+            actor: typeof username === 'string' ? username.trim() : null,
+            result: 'denied',
+            message: '登录尝试次数过多，IP 已被锁定',
         });
+        return sendRateLimited(res, checkResult, `登录尝试次数过多，请 ${formatRetryAfter(checkResult.retryAfter)}后再试`);
     }
     
-    if (verifyAdminPassword(password, config.adminPanelPassword)) {
+    const admin = await authenticateAdmin(username, password);
+    if (admin) {
+        if (isTwoFactorEnabled(admin)) {
+            // 已启用两步验证：密码正确后还需提交验证码，失败记录保留到第二步完成
+            req.session.regenerate((error) => {
+                if (error) {
+                    return res.status(500).json({ success: false, message: '登录失败，请稍后再试' });
+                }
+                startPendingTwoFactor(req, admin);
+                res.json({ success: true, twoFactorRequired: true });
+            });
+            return;
+        }
+
         // 登录成功，清除失败记录
-        loginLimiter.clear(clientIp);
-        req.session.isAdmin = true;
-        
-        const adminPanelPath = config.adminPanelPath || '/admin';
-        console.log(`[管理员登录] IP: ${clientIp}, 跳转路径: ${adminPanelPath}`);
-        
-        res.json({ 
-            success: true,
-            adminPanelPath: adminPanelPath,
-        });
+        await rateLimiter.reset('admin-login', { ip: clientIp });
+        completeAdminLogin(req, res, admin, clientIp, 'password');
     } else {
         // 登录失败，记录失败尝试
-        loginLimiter.recordFailure(clientIp);
-        const remaining = checkResult.remainingAttempts - 1;
+        const { remaining } = await rateLimiter.recordFailure('admin-login', { ip: clientIp });
+        audit(req, {
+            action: 'admin.login',
+            actorType: 'anonymous',
+            actor: typeof username === 'string' ? username.trim() : null,
+            result: 'failure',
+            message: '用户名或密码错误',
+            detail: { remainingAttempts: remaining },
+        });
         res.status(401).json({
             success: false,
-            message: remaining > 0 ? `密码错误，剩余尝试次数：${remaining}` : '密码错误，账户已被锁定',
+            message: remaining > 0 ? `用户名或密码错误，剩余尝试次数：${remaining}` : '用户名或密码错误，账户已被锁定',
+            remainingAttempts: remaining,
+        });
+    }
+});
+
+// 管理员登录第二步：TOTP 验证码或恢复码
+app.post('/api/admin/login/2fa', async (req, res) => {
+    const { code } = req.body || {};
+    const clientIp = getClientIp(req);
+
+    const checkResult = await rateLimiter.consume('admin-login', { ip: clientIp });
+    if (!checkResult.allowed) {
+        return sendRateLimited(res, checkResult, `登录尝试次数过多，请 ${formatRetryAfter(checkResult.retryAfter)}后再试`);
+    }
+
+    const admin = getPendingTwoFactorAdmin(req);
+    if (!admin) {
+        delete req.session.pendingAdminLogin;
+        return res.status(401).json({ success: false, message: '登录已过期，请重新输入用户名和密码', expired: true });
+    }
+
+    const result = verifyAdminSecondFactor(admin, code);
+    if (!result.valid) {
+        const { remaining } = await rateLimiter.recordFailure('admin-login', { ip: clientIp });
+        audit(req, {
+            action: 'admin.login',
+            actorType: 'anonymous',
+            actor: admin.username,
+            result: 'failure',
+            message: '两步验证码错误',
+            detail: { remainingAttempts: remaining },
+        });
+        return res.status(401).json({
+            success: false,
+            message: remaining > 0 ? `验证码错误，剩余尝试次数：${remaining}` : '验证码错误，账户已被锁定',
             remainingAttempts: remaining,
         });
     }
+
+    await rateLimiter.reset('admin-login', { ip: clientIp });
+    completeAdminLogin(req, res, admin, clientIp, result.method, { recoveryCodesRemaining: result.recoveryCodesRemaining });
 });
 
+/**
+ * 完成管理员登录：重新生成会话并记录登录信息
+ */
+function completeAdminLogin(req, res, admin, clientIp, method, detail = {}) {
+    req.session.regenerate((error) => {
+        if (error) {
+            return res.status(500).json({ success: false, message: '登录失败，请稍后再试' });
+        }
+        startAdminSession(req, admin);
+        DataStore.updateAdmin(admin.username, { lastLoginAt: new Date().toISOString(), lastLoginIp: clientIp });
+
+        const adminPanelPath = config.adminPanelPath || '/admin';
+        audit(req, {
+            action: 'admin.login',
+            actorType: 'admin',
+            actor: admin.username,
+            detail: { role: admin.role, method, ...detail },
+        });
+
+        res.json({
+            success: true,
+            adminPanelPath: adminPanelPath,
+        });
+    });
+}
+
 // 管理员登出
 app.post('/api/admin/logout', (req, res) => {
+    if (req.session.adminUsername) {
+        audit(req, { action: 'admin.logout', actorType: 'admin', actor: req.session.adminUsername });
+    }
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({ success: false, message: '登出失败' });
@@ -1218,8 +2570,298 @@ app.get(config.adminPanelPath, requireAdminAuth(config), (_req, res) => {
     res.sendFile(path.join(publicDir, 'admin.html'));
 });
 
+// ==================== 管理员账号 ====================
+
+/**
+ * 管理员账号的接口表示（不包含密码哈希）
+ */
+function describeAdmin(admin) {
+    const { passwordHash, totpSecret, totpLastStep, recoveryCodes, ...safeAdmin } = admin;
+    return {
+        ...safeAdmin,
+        roleName: ADMIN_ROLES[admin.role]?.name || admin.role,
+        twoFactorEnabled: isTwoFactorEnabled(admin),
+        twoFactorRequired: isTwoFactorRequired(config, admin),
+        recoveryCodesRemaining: isTwoFactorEnabled(admin) ? (recoveryCodes?.length || 0) : 0,
+    };
+}
+
+// 关闭两步验证时需要清除的字段
+const CLEARED_TWO_FACTOR = {
+    totpSecret: null,
+    totpEnabledAt: null,
+    totpLastStep: null,
+    recoveryCodes: [],
+};
+
+// 绑定两步验证时生成的密钥在确认前只以密文形式保存在会话中
+const PENDING_TOTP_TTL = 10 * 60 * 1000;
+
+/**
+ * 除指定账号外是否还有可用的所有者（防止移除最后一个所有者）
+ */
+function hasOtherActiveOwner(username) {
+    return DataStore.getAdmins().some(admin => admin.username !== username && admin.role === 'owner' && !admin.disabled);
+}
+
+// 当前登录的管理员及其权限（面板据此显示可用的标签页）
+app.get('/api/admin/me', requireAdminAuth(config), (req, res) => {
+    res.json({
+        success: true,
+        admin: describeAdmin(req.admin),
+        permissions: ADMIN_ROLES[req.admin.role].permissions,
+    });
+});
+
+// 修改自己的密码
+app.post('/api/admin/me/password', requireAdminAuth(config), async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+
+    try {
+        if (!(await authenticateAdmin(req.admin.username, currentPassword))) {
+            audit(req, { action: 'admin.me.password', targetType: 'admin', target: req.admin.username, result: 'failure', message: '当前密码错误' });
+            return res.status(400).json({ success: false, message: '当前密码错误' });
+        }
+        const passwordError = validateAdminPassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+
+        const updated = DataStore.updateAdmin(req.admin.username, { passwordHash: await hashPassword(newPassword) });
+        // 刷新本会话的密码指纹，其他会话随之失效
+        startAdminSession(req, updated);
+        audit(req, { action: 'admin.me.password', targetType: 'admin', target: req.admin.username });
+        res.json({ success: true, message: '密码已修改，其他设备上的登录已失效' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message || '修改密码失败' });
+    }
+});
+
+// 开始绑定两步验证：生成密钥与二维码，验证码确认后才会保存
+app.post('/api/admin/me/2fa/setup', requireAdminAuth(config), async (req, res) => {
+    if (isTwoFactorEnabled(req.admin)) {
+        return res.status(409).json({ success: false, message: '已启用两步验证，如需更换验证器请先关闭' });
+    }
+
+    try {
+        const secret = generateTotpSecret();
+        const otpauthUri = buildOtpAuthUri({ issuer: config.siteName, account: req.admin.username, secret });
+        req.session.pendingTotpSecret = sessionVault.seal(secret, PENDING_TOTP_TTL);
+        res.json({
+            success: true,
+            secret,
+            otpauthUri,
+            qrCode: await renderQrCode(otpauthUri),
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message || '生成两步验证密钥失败' });
+    }
+});
+
+// 确认绑定两步验证，返回一次性展示的恢复码
+app.post('/api/admin/me/2fa/enable', requireAdminAuth(config), (req, res) => {
+    if (isTwoFactorEnabled(req.admin)) {
+        return res.status(409).json({ success: false, message: '已启用两步验证' });
+    }
+
+    const secret = sessionVault.open(req.session.pendingTotpSecret);
+    if (!secret) {
+        return res.status(400).json({ success: false, message: '绑定已过期，请重新扫描二维码' });
+    }
+    const step = verifyTotp(secret, req.body?.code);
+    if (step === null) {
+        return res.status(400).json({ success: false, message: '验证码错误，请确认验证器中的时间与服务器一致' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    const admin = DataStore.updateAdmin(req.admin.username, {
+        totpSecret: secret,
+        totpEnabledAt: new Date().toISOString(),
+        totpLastStep: step,
+        recoveryCodes: hashes,
+    });
+    delete req.session.pendingTotpSecret;
+    audit(req, { action: 'admin.me.2fa.enable', targetType: 'admin', target: req.admin.username });
+    res.json({ success: true, admin: describeAdmin(admin), recoveryCodes: codes });
+});
+
+// 重新生成恢复码（旧恢复码全部作废）
+app.post('/api/admin/me/2fa/recovery-codes', requireAdminAuth(config), (req, res) => {
+    if (!isTwoFactorEnabled(req.admin)) {
+        return res.status(400).json({ success: false, message: '尚未启用两步验证' });
+    }
+    if (!verifyAdminSecondFactor(req.admin, req.body?.code).valid) {
+        audit(req, { action: 'admin.me.2fa.recovery-codes', targetType: 'admin', target: req.admin.username, result: 'failure', message: '验证码错误' });
+        return res.status(400).json({ success: false, message: '验证码错误' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    DataStore.updateAdmin(req.admin.username, { recoveryCodes: hashes });
+    audit(req, { action: 'admin.me.2fa.recovery-codes', targetType: 'admin', target: req.admin.username });
+    res.json({ success: true, recoveryCodes: codes });
+});
+
+// 关闭自己的两步验证（需要当前密码与验证码）
+app.post('/api/admin/me/2fa/disable', requireAdminAuth(config), async (req, res) => {
+    const { currentPassword, code } = req.body || {};
+
+    if (!isTwoFactorEnabled(req.admin)) {
+        return res.status(400).json({ success: false, message: '尚未启用两步验证' });
+    }
+    if (isTwoFactorRequired(config, req.admin)) {
+        return res.status(403).json({ success: false, message: '当前角色必须启用两步验证，无法关闭' });
+    }
+
+    try {
+        if (!(await authenticateAdmin(req.admin.username, currentPassword))) {
+            audit(req, { action: 'admin.me.2fa.disable', targetType: 'admin', target: req.admin.username, result: 'failure', message: '当前密码错误' });
+            return res.status(400).json({ success: false, message: '当前密码错误' });
+        }
+        if (!verifyAdminSecondFactor(req.admin, code).valid) {
+            audit(req, { action: 'admin.me.2fa.disable', targetType: 'admin', target: req.admin.username, result: 'failure', message: '验证码错误' });
+            return res.status(400).json({ success: false, message: '验证码错误' });
+        }
+
+        const admin = DataStore.updateAdmin(req.admin.username, CLEARED_TWO_FACTOR);
+        audit(req, { action: 'admin.me.2fa.disable', targetType: 'admin', target: req.admin.username });
+        res.json({ success: true, admin: describeAdmin(admin) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message || '关闭两步验证失败' });
+    }
+});
+
+// 获取管理员账号列表
+app.get('/api/admin/accounts', requireAdminAuth(config, PERMISSIONS.ADMINS_MANAGE), (_req, res) => {
+    res.json({
+        success: true,
+        accounts: DataStore.getAdmins().map(describeAdmin),
+        roles: Object.entries(ADMIN_ROLES).map(([id, role]) => ({ id, name: role.name, permissions: role.permissions })),
+    });
+});
+
+// 添加管理员账号
+app.post('/api/admin/accounts', requireAdminAuth(config, PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+    const { password, role } = req.body || {};
+
+    if (!ADMIN_USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ success: false, message: '用户名只能包含字母、数字、_ . -，长度 3-32 个字符' });
+    }
+    if (!ADMIN_ROLES[role]) {
+        return res.status(400).json({ success: false, message: '无效的角色' });
+    }
+    const passwordError = validateAdminPassword(password);
+    if (passwordError) {
+        return res.status(400).json({ success: false, message: passwordError });
+    }
+    if (DataStore.getAdmin(username)) {
+        return res.status(409).json({ success: false, message: '该用户名已存在' });
+    }
+
+    try {
+        const admin = DataStore.addAdmin({
+            username,
+            role,
+            passwordHash: await hashPassword(password),
+            createdBy: req.admin.username,
+        });
+        audit(req, {
+            action: 'admin.account.create',
+            targetType: 'admin',
+            target: username,
+            changes: diffRecords({}, describeAdmin(admin)),
+        });
+        res.json({ success: true, account: describeAdmin(admin) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message || '添加管理员失败' });
+    }
+});
+
+// 更新管理员账号（角色、停用状态或重置密码）
+app.put('/api/admin/accounts/:username', requireAdminAuth(config, PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    const existing = DataStore.getAdmin(req.params.username);
+    if (!existing) {
+        return res.status(404).json({ success: false, message: '管理员不存在' });
+    }
+
+    const { role, disabled, password, resetTwoFactor } = req.body || {};
+    const updates = {};
+
+    if (role !== undefined) {
+        if (!ADMIN_ROLES[role]) {
+            return res.status(400).json({ success: false, message: '无效的角色' });
+        }
+        updates.role = role;
+    }
+    if (disabled !== undefined) {
+        updates.disabled = disabled === true;
+    }
+    if (password) {
+        const passwordError = validateAdminPassword(password);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+        updates.passwordHash = await hashPassword(password);
+    }
+    if (resetTwoFactor === true) {
+        // 用于管理员丢失验证器的情况，对方下次登录时只需密码（必须启用的角色会被要求重新绑定）
+        if (existing.username === req.admin.username) {
+            return res.status(400).json({ success: false, message: '请在自己的账号设置中关闭两步验证' });
+        }
+        Object.assign(updates, CLEARED_TWO_FACTOR);
+    }
+
+    const losesOwner = existing.role === 'owner' && !existing.disabled
+        && ((updates.role && updates.role !== 'owner') || updates.disabled === true);
+    if (losesOwner && !hasOtherActiveOwner(existing.username)) {
+        return res.status(400).json({ success: false, message: '至少需要保留一个可用的所有者账号' });
+    }
+    if (existing.username === req.admin.username && (updates.disabled === true || (updates.role && updates.role !== existing.role))) {
+        return res.status(400).json({ success: false, message: '不能停用自己或修改自己的角色' });
+    }
+
+    try {
+        const admin = DataStore.updateAdmin(existing.username, updates);
+        if (existing.username === req.admin.username && updates.passwordHash) {
+            startAdminSession(req, admin);
+        }
+        audit(req, {
+            action: 'admin.account.update',
+            targetType: 'admin',
+            target: existing.username,
+            changes: diffRecords(existing, admin),
+        });
+        res.json({ success: true, account: describeAdmin(admin) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message || '更新管理员失败' });
+    }
+});
+
+// 删除管理员账号
+app.delete('/api/admin/accounts/:username', requireAdminAuth(config, PERMISSIONS.ADMINS_MANAGE), (req, res) => {
+    const existing = DataStore.getAdmin(req.params.username);
+    if (!existing) {
+        return res.status(404).json({ success: false, message: '管理员不存在' });
+    }
+    if (existing.username === req.admin.username) {
+        return res.status(400).json({ success: false, message: '不能删除自己的账号' });
+    }
+    if (existing.role === 'owner' && !existing.disabled && !hasOtherActiveOwner(existing.username)) {
+        return res.status(400).json({ success: false, message: '至少需要保留一个可用的所有者账号' });
+    }
+
+    DataStore.deleteAdmin(existing.username);
+    audit(req, {
+        action: 'admin.account.delete',
+        targetType: 'admin',
+        target: existing.username,
+        changes: diffRecords(describeAdmin(existing), {}),
+    });
+    res.json({ success: true });
+});
+
 // 获取用户列表（支持分页）
-app.get('/api/admin/users', requireAdminAuth(config), (req, res) => {
+app.get('/api/admin/users', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
     try {
         const page = parseInt(req.query.page || '1', 10);
         const limit = parseInt(req.query.limit || '20', 10);
@@ -1249,10 +2891,13 @@ app.get('/api/admin/users', requireAdminAuth(config), (req, res) => {
         const users = allUsers.slice(startIndex, endIndex).map(u => {
             const server = servers.find(s => s.id === u.serverId);
             // 排除敏感信息：密码
-            const { password, ...safeUser } = u;
+            const { password, passwordHash, ...safeUser } = u;
+            const oauthProvider = String(u.registrationMethod || '').startsWith('oauth:') ? u.registrationMethod.slice('oauth:'.length) : null;
             return {
                 ...safeUser,
-                serverName: server ? server.name : (u.serverId ? '未知服务器' : '未选择')
+                serverName: server ? server.name : (u.serverId ? '未知服务器' : '未选择'),
+                // 旧版第三方用户没有记录第三方身份，需要管理员绑定后才能用第三方账号登录
+                needsIdentityLink: Boolean(oauthProvider && isLegacyOAuthUser(u, oauthProvider)),
             };
         });
         
@@ -1274,8 +2919,71 @@ app.get('/api/admin/users', requireAdminAuth(config), (req, res) => {
     }
 });
 
+// 注册申请列表（待审核 / 已拒绝）
+app.get('/api/admin/applications', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const status = typeof req.query.status === 'string' && req.query.status ? req.query.status : 'pending_approval';
+    if (status !== 'all' && !Object.hasOwn(APPLICATION_STATUSES, status)) {
+        return res.status(400).json({ success: false, message: '不支持的申请状态' });
+    }
+
+    const applications = registrationApproval.list(status === 'all' ? undefined : status).map(user => ({
+        handle: user.handle,
+        name: user.name,
+        email: user.email || null,
+        ip: user.ip || null,
+        registrationMethod: user.registrationMethod || 'manual',
+        registeredAt: user.registeredAt,
+        status: user.registrationStatus,
+        application: user.application || null,
+    }));
+    const counts = Object.fromEntries(Object.keys(APPLICATION_STATUSES)
+        .map(key => [key, registrationApproval.list(key).length]));
+
+    res.json({
+        success: true,
+        enabled: registrationApproval.enabled,
+        statuses: APPLICATION_STATUSES,
+        counts,
+        applications,
+    });
+});
+
+// 审核注册申请：通过后用户可以选择服务器，拒绝需要填写原因；结果通过邮件通知用户
+app.post('/api/admin/applications/:handle/:decision', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const { handle, decision } = req.params;
+    if (decision !== 'approve' && decision !== 'reject') {
+        return res.status(404).json({ success: false, message: '未知的审核操作' });
+    }
+
+    const action = `admin.application.${decision}`;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason : '';
+    const result = registrationApproval.review(handle, decision, { reviewer: req.admin.username, reason });
+    if (result.error) {
+        audit(req, { action, targetType: 'user', target: handle, result: 'failure', message: result.error });
+        return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const { user } = result;
+    if (decision === 'approve') {
+        notifyUser(user, 'application-approved', { loginUrl: `${config.baseRegisterUrl.replace(/\/$/, '')}/login` });
+    } else {
+        notifyUser(user, 'application-rejected', { reason: user.application.reason });
+    }
+
+    audit(req, {
+        action,
+        targetType: 'user',
+        target: user.handle,
+        detail: { reason: user.application.reason, emailNotified: Boolean(user.email && emailService.isConfigured()) },
+    });
+    res.json({
+        success: true,
+        message: decision === 'approve' ? `已通过 ${user.handle} 的注册申请` : `已拒绝 ${user.handle} 的注册申请`,
+    });
+});
+
 // 同步 SillyTavern 用户到本地记录
-app.post('/api/admin/users/sync', requireAdminAuth(config), async (req, res) => {
+app.post('/api/admin/users/sync', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), async (req, res) => {
     try {
         const { serverId } = req.body ?? {};
         const servers = serverId ? [DataStore.getServerById(serverId)].filter(Boolean) : DataStore.getServers();
@@ -1295,11 +3003,7 @@ app.post('/api/admin/users/sync', requireAdminAuth(config), async (req, res) =>
 
         for (const server of servers) {
             try {
-                const client = new SillyTavernClient({
-                    baseUrl: server.url,
-                    adminHandle: server.admin_username,
-                    adminPassword: server.admin_password,
-                });
+                const client = createServerClient(server);
 
                 const remoteUsers = await client.listUsers();
                 summary.totalRemoteUsers += remoteUsers.length;
@@ -1344,14 +3048,22 @@ app.post('/api/admin/users/sync', requireAdminAuth(config), async (req, res) =>
             }
         }
 
+        audit(req, {
+            action: 'admin.user.sync',
+            targetType: serverId ? 'server' : null,
+            target: serverId || null,
+            result: summary.errors.length === 0 ? 'success' : 'failure',
+            detail: summary,
+        });
         res.json({ success: summary.errors.length === 0, summary });
     } catch (error) {
+        audit(req, { action: 'admin.user.sync', result: 'failure', message: error.message });
         res.status(500).json({ success: false, message: error.message || '同步用户失败' });
     }
 });
 
 // 删除 SillyTavern 用户
-app.post('/api/admin/users/delete-remote', requireAdminAuth(config), async (req, res) => {
+app.post('/api/admin/users/delete-remote', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), async (req, res) => {
     try {
         const { handle, serverId, purge } = req.body ?? {};
         if (!handle || !serverId) {
@@ -1363,22 +3075,119 @@ app.post('/api/admin/users/delete-remote', requireAdminAuth(config), async (req,
             return res.status(404).json({ success: false, message: '服务器不存在' });
         }
 
-        const client = new SillyTavernClient({
-            baseUrl: server.url,
-            adminHandle: server.admin_username,
-            adminPassword: server.admin_password,
-        });
+        const client = createServerClient(server);
+        const normalizedHandle = client.normalizeHandle(handle);
+        const before = DataStore.getUserByHandle(normalizedHandle);
 
         await client.deleteUser({ handle, purge: !!purge });
-        DataStore.deleteUser(client.normalizeHandle(handle));
+        DataStore.deleteUser(normalizedHandle);
+        audit(req, {
+            action: 'admin.user.delete-remote',
+            targetType: 'user',
+            target: normalizedHandle,
+            changes: before ? diffRecords(before, {}) : null,
+            detail: { serverId: server.id, purge: !!purge },
+        });
+        // 空出的名额留给候补名单中的用户
+        processWaitlist();
         res.json({ success: true });
     } catch (error) {
+        audit(req, {
+            action: 'admin.user.delete-remote',
+            targetType: 'user',
+            target: req.body?.handle ?? null,
+            result: 'failure',
+            message: error.message,
+            detail: { serverId: req.body?.serverId ?? null },
+        });
         res.status(500).json({ success: false, message: error.message || '删除用户失败' });
     }
 });
 
+// 把用户迁移到其他服务器（服务器下线前使用）
+app.post('/api/admin/users/migrate', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), async (req, res) => {
+    const { handle, serverId, newPassword, transferData = true, sourceAction = 'disable' } = req.body ?? {};
+    try {
+        if (!handle || !serverId) {
+            return res.status(400).json({ success: false, message: '缺少必要参数' });
+        }
+        if (!MIGRATION_SOURCE_ACTIONS[sourceAction]) {
+            return res.status(400).json({ success: false, message: '原账户处理方式必须是 disable 或 delete' });
+        }
+
+        const user = DataStore.getUserByHandle(handle);
+        if (!user) {
+            return res.status(404).json({ success: false, message: '用户不存在' });
+        }
+
+        // 门户只保存密码哈希，目标服务器上的账户需要新密码：管理员填写，或留空时随机生成（只在本次响应中返回）
+        const generated = !newPassword;
+        const password = generated ? crypto.randomBytes(12).toString('base64url') : String(newPassword).trim();
+        const passwordError = validateNewPassword(password);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+
+        // 管理员可以把用户迁入暂停注册的服务器
+        const target = DataStore.getServerById(serverId);
+        const options = { transferData: transferData !== false, allowPaused: true };
+        const checked = userMigration.check(user, target, options);
+        if (checked.error) {
+            audit(req, {
+                action: 'admin.user.migrate',
+                targetType: 'user',
+                target: user.handle,
+                result: 'denied',
+                message: checked.error,
+                detail: { toServerId: serverId },
+            });
+            return res.status(checked.status).json({ success: false, message: checked.error });
+        }
+
+        const result = await runUserMigration(req, 'admin.user.migrate', user, target, { ...options, password, sourceAction });
+        // 门户密码与新服务器保持一致
+        DataStore.updateUser(user.handle, {
+            passwordHash: await hashPassword(password),
+            password: undefined,
+            passwordChangedAt: new Date().toISOString(),
+        });
+        audit(req, {
+            action: 'admin.user.migrate',
+            targetType: 'user',
+            target: user.handle,
+            changes: diffRecords({ serverId: Number(user.serverId) }, { serverId: Number(target.id) }),
+            detail: {
+                migrationId: result.migrationId,
+                transfer: result.transfer,
+                source: result.sourceResult,
+                passwordGenerated: generated,
+            },
+        });
+        finishUserMigration(result);
+
+        res.json({
+            success: true,
+            serverName: target.name,
+            transfer: result.transfer,
+            transferName: MIGRATION_TRANSFER_METHODS[result.transfer],
+            source: result.sourceResult,
+            password: generated ? password : undefined,
+        });
+    } catch (error) {
+        audit(req, {
+            action: 'admin.user.migrate',
+            targetType: 'user',
+            target: handle ?? null,
+            result: 'failure',
+            message: error.message,
+            detail: { toServerId: serverId ?? null },
+        });
+        res.status(500).json({ success: false, message: `迁移失败: ${error.message}` });
+    }
+});
+
 // 修改 SillyTavern 用户密码
-app.post('/api/admin/users/change-password-remote', requireAdminAuth(config), async (req, res) => {
+app.post('/api/admin/users/change-password-remote', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), async (req, res) => {
     try {
         const { handle, serverId, newPassword } = req.body ?? {};
         if (!handle || !serverId || !newPassword) {
@@ -1390,52 +3199,120 @@ app.post('/api/admin/users/change-password-remote', requireAdminAuth(config), as
             return res.status(404).json({ success: false, message: '服务器不存在' });
         }
 
-        const client = new SillyTavernClient({
-            baseUrl: server.url,
-            adminHandle: server.admin_username,
-            adminPassword: server.admin_password,
-        });
+        const client = createServerClient(server);
 
         await client.changePassword({ handle, newPassword });
+        audit(req, {
+            action: 'admin.user.change-password-remote',
+            targetType: 'user',
+            target: client.normalizeHandle(handle),
+            detail: { serverId: server.id },
+        });
         res.json({ success: true });
     } catch (error) {
+        audit(req, {
+            action: 'admin.user.change-password-remote',
+            targetType: 'user',
+            target: req.body?.handle ?? null,
+            result: 'failure',
+            message: error.message,
+            detail: { serverId: req.body?.serverId ?? null },
+        });
         res.status(500).json({ success: false, message: error.message || '修改密码失败' });
     }
 });
 
+// 为旧版第三方用户绑定第三方身份：只能绑定注册时使用的提供商，提供商用户 ID 由管理员核实
+//（用户尝试第三方登录时会在审计日志中留下 user.oauth.login 的拒绝记录，其中包含提供商用户 ID）
+app.post('/api/admin/users/link-identity', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const { handle, providerUserId, providerUsername } = req.body ?? {};
+    try {
+        if (!handle || typeof providerUserId !== 'string' || !providerUserId.trim()) {
+            return res.status(400).json({ success: false, message: '缺少必要参数' });
+        }
+
+        const user = DataStore.getUserByHandle(handle);
+        if (!user) {
+            return res.status(404).json({ success: false, message: '用户不存在' });
+        }
+        if (!String(user.registrationMethod || '').startsWith('oauth:')) {
+            return res.status(400).json({ success: false, message: '该用户不是第三方登录注册的用户' });
+        }
+
+        const provider = user.registrationMethod.slice('oauth:'.length);
+        if (!isLegacyOAuthUser(user, provider)) {
+            return res.status(409).json({ success: false, message: '该用户已绑定该提供商的第三方账号' });
+        }
+        if (DataStore.getOAuthIdentity(provider, providerUserId.trim())) {
+            return res.status(409).json({ success: false, message: '该第三方账号已绑定到其他用户' });
+        }
+
+        const identity = DataStore.linkOAuthIdentity({
+            provider,
+            providerUserId: providerUserId.trim(),
+            providerUsername: typeof providerUsername === 'string' ? providerUsername.trim() : '',
+            userHandle: user.handle,
+        });
+        audit(req, {
+            action: 'admin.user.link-identity',
+            targetType: 'user',
+            target: user.handle,
+            detail: { provider, providerUserId: identity.providerUserId, providerUsername: identity.providerUsername },
+        });
+        res.json({ success: true, provider, providerName: oauthService.getProviderName(provider) });
+    } catch (error) {
+        audit(req, {
+            action: 'admin.user.link-identity',
+            targetType: 'user',
+            target: handle ?? null,
+            result: 'failure',
+            message: error.message,
+        });
+        res.status(500).json({ success: false, message: error.message || '绑定第三方账号失败' });
+    }
+});
+
 // 获取服务器列表（管理员用）
-app.get('/api/admin/servers', requireAdminAuth(config), (req, res) => {
+app.get('/api/admin/servers', requireAdminAuth(config, PERMISSIONS.SERVERS_MANAGE), (req, res) => {
     try {
         const servers = DataStore.getServers();
+        const userCounts = DataStore.countUsersByServer();
         const users = DataStore.getUsers();
 
         const enriched = servers.map(s => {
             const serverNumericId = Number(s.id);
-            const registeredUserCount = users.filter(u => {
-                if (u.serverId == null) return false;
-                return Number(u.serverId) === serverNumericId;
-            }).length;
+            const registeredUserCount = userCounts.get(serverNumericId) || 0;
+            const { used, isFull } = serverCapacity.usage(s, { userCounts, users });
             // 排除敏感信息：管理员用户名和密码
-            const { admin_username, admin_password, ...safeServer } = s;
             return {
-                ...safeServer,
+                ...redactServer(s),
                 id: serverNumericId,
                 registeredUserCount,
                 registrationPaused: s.registrationPaused === true,  // 确保返回布尔值，兼容旧数据
                 storageLimitValue: s.storageLimitValue ?? null,
                 storageLimitUnit: s.storageLimitUnit || 'mb',
                 storageCheckIntervalMinutes: s.storageCheckIntervalMinutes ?? 5,
+                assignmentWeight: serverWeight(s),
+                maxUsers: s.maxUsers ?? null,
+                usedSlots: used,
+                isFull,
             };
         });
 
-        res.json({ success: true, servers: enriched });
+        res.json({
+            success: true,
+            servers: enriched,
+            assignment: serverAssigner.describe(),
+            waitlist: serverCapacity.describe(),
+            healthMonitor: { ...serverHealth.describe(), statuses: SERVER_HEALTH_STATUSES },
+        });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 // 添加服务器
-app.post('/api/admin/servers', requireAdminAuth(config), async (req, res) => {
+app.post('/api/admin/servers', requireAdminAuth(config, PERMISSIONS.SERVERS_MANAGE), async (req, res) => {
     try {
         const { 
             name, 
@@ -1449,6 +3326,11 @@ app.post('/api/admin/servers', requireAdminAuth(config), async (req, res) => {
             contact,
             announcement,
         } = req.body;
+
+        const maxUsers = normalizeMaxUsers(req.body.maxUsers);
+        if (maxUsers.error) {
+            return res.status(400).json({ success: false, message: maxUsers.error });
+        }
         
         // 验证连接
         const tempClient = new SillyTavernClient({
@@ -1475,26 +3357,35 @@ app.post('/api/admin/servers', requireAdminAuth(config), async (req, res) => {
             name,
             url,
             admin_username,
-            admin_password, // 注意：生产环境应加密存储
+            admin_password,
             localDataRoot: typeof req.body.localDataRoot === 'string' ? req.body.localDataRoot.trim() : '',
             storageLimitValue: normalizedLimitValue,
             storageLimitUnit: req.body.storageLimitUnit || 'mb',
             storageLimitBytes,
             storageCheckIntervalMinutes: Number.isFinite(normalizedInterval) && normalizedInterval > 0 ? normalizedInterval : 5,
+            assignmentWeight: normalizeAssignmentWeight(req.body.assignmentWeight),
+            maxUsers: maxUsers.value,
             description,
             provider,
             maintainer,
             contact,
             announcement,
         });
-        res.json({ success: true, server: newServer });
+        audit(req, {
+            action: 'admin.server.create',
+            targetType: 'server',
+            target: newServer.id,
+            changes: diffRecords({}, redactServer(newServer)),
+        });
+        res.json({ success: true, server: redactServer(newServer) });
     } catch (error) {
+        audit(req, { action: 'admin.server.create', targetType: 'server', result: 'failure', message: error.message });
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// 获取单个服务器详细信息（用于编辑，包含敏感信息）
-app.get('/api/admin/servers/:id', requireAdminAuth(config), (req, res) => {
+// 获取单个服务器详细信息（用于编辑，不返回管理员凭据）
+app.get('/api/admin/servers/:id', requireAdminAuth(config, PERMISSIONS.SERVERS_MANAGE), (req, res) => {
     try {
         const { id } = req.params;
         const server = DataStore.getServerById(id);
@@ -1503,15 +3394,14 @@ app.get('/api/admin/servers/:id', requireAdminAuth(config), (req, res) => {
             return res.status(404).json({ success: false, message: '服务器不存在' });
         }
         
-        // 返回完整信息（包括管理员账号密码，仅管理员可见）
-        res.json({ success: true, server });
+        res.json({ success: true, server: redactServer(server) });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 // 更新服务器
-app.put('/api/admin/servers/:id', requireAdminAuth(config), async (req, res) => {
+app.put('/api/admin/servers/:id', requireAdminAuth(config, PERMISSIONS.SERVERS_MANAGE), async (req, res) => {
     try {
         const { id } = req.params;
         const { name, url, admin_username, admin_password, isActive, registrationPaused } = req.body;
@@ -1554,6 +3444,16 @@ app.put('/api/admin/servers/:id', requireAdminAuth(config), async (req, res) =>
             updates.storageLimitUnit = req.body.storageLimitUnit || 'mb';
             updates.storageLimitBytes = storageLimitBytes;
         }
+        if (req.body.assignmentWeight !== undefined) {
+            updates.assignmentWeight = normalizeAssignmentWeight(req.body.assignmentWeight);
+        }
+        if (req.body.maxUsers !== undefined) {
+            const maxUsers = normalizeMaxUsers(req.body.maxUsers);
+            if (maxUsers.error) {
+                return res.status(400).json({ success: false, message: maxUsers.error });
+            }
+            updates.maxUsers = maxUsers.value;
+        }
         if (req.body.storageCheckIntervalMinutes !== undefined) {
             const rawIntervalValue = req.body.storageCheckIntervalMinutes;
             const normalizedInterval = rawIntervalValue === '' || rawIntervalValue === null || rawIntervalValue === undefined
@@ -1564,11 +3464,7 @@ app.put('/api/admin/servers/:id', requireAdminAuth(config), async (req, res) =>
         
         // 如果更改了连接信息，验证连接
         if (updates.url || updates.admin_username || updates.admin_password) {
-            const tempClient = new SillyTavernClient({
-                baseUrl: updates.url || server.url,
-                adminHandle: updates.admin_username || server.admin_username,
-                adminPassword: updates.admin_password || server.admin_password
-            });
+            const tempClient = createServerClient({ ...server, ...sealServerCredentials(updates) });
             const testResult = await tempClient.testConnection();
             if (!testResult.success) {
                 return res.status(400).json({ success: false, message: `连接失败: ${testResult.message}` });
@@ -1603,25 +3499,77 @@ app.put('/api/admin/servers/:id', requireAdminAuth(config), async (req, res) =>
             });
         }
 
-        res.json({ success: true, server: reloaded });
+        audit(req, {
+            action: 'admin.server.update',
+            targetType: 'server',
+            target: reloaded.id,
+            changes: diffRecords(redactServer(server), redactServer(reloaded)),
+            // 凭据已加密且不对外展示，只记录是否被修改
+            detail: updates.admin_username || updates.admin_password ? { credentialsChanged: true } : null,
+        });
+        // 提高上限、恢复注册或启用服务器后可能空出名额
+        processWaitlist();
+        res.json({ success: true, server: redactServer(reloaded) });
     } catch (error) {
+        audit(req, { action: 'admin.server.update', targetType: 'server', target: req.params.id, result: 'failure', message: error.message });
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 // 删除服务器
-app.delete('/api/admin/servers/:id', requireAdminAuth(config), (req, res) => {
+app.delete('/api/admin/servers/:id', requireAdminAuth(config, PERMISSIONS.SERVERS_MANAGE), (req, res) => {
     try {
         const { id } = req.params;
+        const server = DataStore.getServerById(id);
         DataStore.deleteServer(id);
+        audit(req, {
+            action: 'admin.server.delete',
+            targetType: 'server',
+            target: id,
+            changes: server ? diffRecords(redactServer(server), {}) : null,
+        });
         res.json({ success: true });
+    } catch (error) {
+        audit(req, { action: 'admin.server.delete', targetType: 'server', target: req.params.id, result: 'failure', message: error.message });
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// 服务器健康检查记录（状态时间线）
+app.get('/api/admin/servers/:id/health', requireAdminAuth(config, PERMISSIONS.SERVERS_MANAGE), (req, res) => {
+    try {
+        const server = DataStore.getServerById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ success: false, message: '服务器不存在' });
+        }
+        const maxHours = serverHealth.retentionDays * 24;
+        const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), maxHours);
+        res.json({
+            success: true,
+            health: server.health || { status: 'unknown' },
+            history: serverHealth.history(server.id, hours),
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// 立即检查服务器（结果计入健康检查记录）
+app.post('/api/admin/servers/:id/health-check', requireAdminAuth(config, PERMISSIONS.SERVERS_MANAGE), async (req, res) => {
+    try {
+        const server = DataStore.getServerById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ success: false, message: '服务器不存在' });
+        }
+        const check = await serverHealth.check(server);
+        res.json({ success: true, check, health: DataStore.getServerById(server.id)?.health || null });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 // 测试服务器连接
-app.post('/api/admin/servers/test', requireAdminAuth(config), async (req, res) => {
+app.post('/api/admin/servers/test', requireAdminAuth(config, PERMISSIONS.SERVERS_MANAGE), async (req, res) => {
     try {
         const { url, admin_username, admin_password } = req.body;
         const tempClient = new SillyTavernClient({
@@ -1640,8 +3588,152 @@ app.post('/api/admin/servers/test', requireAdminAuth(config), async (req, res) =
     }
 });
 
+// 轮换服务器凭据主密钥（仅密钥文件模式；环境变量模式请使用 npm run rotate:master-key）
+app.post('/api/admin/security/rotate-master-key', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (req, res) => {
+    try {
+        const result = rotateMasterKey(config);
+        audit(req, {
+            action: 'admin.security.rotate-master-key',
+            detail: { keyId: result.keyId, servers: result.servers, oauthProviders: result.oauthProviders, admins: result.admins },
+        });
+        res.json({ success: true, keyId: result.keyId, servers: result.servers, oauthProviders: result.oauthProviders, admins: result.admins });
+    } catch (error) {
+        audit(req, { action: 'admin.security.rotate-master-key', result: 'failure', message: error.message });
+        res.status(400).json({ success: false, message: error.message || '主密钥轮换失败' });
+    }
+});
+
+// ==================== 登录提供商管理 ====================
+
+/**
+ * 登录提供商的接口表示（不包含客户端密钥）
+ */
+function describeOAuthProvider(provider, requestBaseUrl) {
+    const { clientSecret, ...safeProvider } = provider;
+    return {
+        ...safeProvider,
+        hasClientSecret: Boolean(clientSecret),
+        editable: provider.source === 'admin',
+        callbackUrl: `${requestBaseUrl}/oauth/callback/${provider.id}`,
+    };
+}
+
+// 获取所有登录提供商（内置、环境变量声明与后台添加）
+app.get('/api/admin/oauth-providers', requireAdminAuth(config, PERMISSIONS.OAUTH_MANAGE), (req, res) => {
+    try {
+        const requestBaseUrl = getRequestBaseUrl(req);
+        res.json({
+            success: true,
+            providers: oauthService.listProviders().map(provider => describeOAuthProvider(provider, requestBaseUrl)),
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// 添加登录提供商
+app.post('/api/admin/oauth-providers', requireAdminAuth(config, PERMISSIONS.OAUTH_MANAGE), (req, res) => {
+    try {
+        const definition = normalizeProviderDefinition(req.body || {});
+        if (oauthService.isReservedProviderId(definition.id) || DataStore.getOAuthProvider(definition.id)) {
+            return res.status(409).json({ success: false, message: `提供商 ID ${definition.id} 已存在` });
+        }
+
+        const provider = DataStore.addOAuthProvider(definition);
+        oauthService.clearDiscoveryCache(provider.id);
+        audit(req, {
+            action: 'admin.oauth-provider.create',
+            targetType: 'oauth-provider',
+            target: provider.id,
+            changes: diffRecords({}, provider),
+        });
+        res.json({ success: true, provider: describeOAuthProvider({ ...provider, source: 'admin' }, getRequestBaseUrl(req)) });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message || '添加登录提供商失败' });
+    }
+});
+
+// 更新登录提供商（客户端密钥留空表示不修改）
+app.put('/api/admin/oauth-providers/:id', requireAdminAuth(config, PERMISSIONS.OAUTH_MANAGE), (req, res) => {
+    try {
+        const existing = DataStore.getOAuthProvider(req.params.id);
+        if (!existing || oauthService.isReservedProviderId(existing.id)) {
+            return res.status(404).json({ success: false, message: '登录提供商不存在或不能在后台修改' });
+        }
+
+        const input = req.body || {};
+        const clientSecret = typeof input.clientSecret === 'string' && input.clientSecret.trim()
+            ? input.clientSecret
+            : (input.clearClientSecret === true ? '' : existing.clientSecret);
+        const definition = normalizeProviderDefinition({
+            ...existing,
+            ...input,
+            claims: { ...existing.claims, ...input.claims },
+            clientSecret,
+            id: existing.id,
+        });
+
+        const provider = DataStore.updateOAuthProvider(existing.id, { ...definition, clientSecret: definition.clientSecret });
+        oauthService.clearDiscoveryCache(existing.id);
+        audit(req, {
+            action: 'admin.oauth-provider.update',
+            targetType: 'oauth-provider',
+            target: existing.id,
+            changes: diffRecords(existing, provider),
+        });
+        res.json({ success: true, provider: describeOAuthProvider({ ...provider, source: 'admin' }, getRequestBaseUrl(req)) });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message || '更新登录提供商失败' });
+    }
+});
+
+// 删除登录提供商（已绑定的第三方身份保留）
+app.delete('/api/admin/oauth-providers/:id', requireAdminAuth(config, PERMISSIONS.OAUTH_MANAGE), (req, res) => {
+    try {
+        const existing = DataStore.getOAuthProvider(req.params.id);
+        if (!DataStore.deleteOAuthProvider(req.params.id)) {
+            return res.status(404).json({ success: false, message: '登录提供商不存在或不能在后台删除' });
+        }
+        oauthService.clearDiscoveryCache(req.params.id);
+        audit(req, {
+            action: 'admin.oauth-provider.delete',
+            targetType: 'oauth-provider',
+            target: req.params.id,
+            changes: existing ? diffRecords(existing, {}) : null,
+        });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// 测试 OIDC 自动发现
+app.post('/api/admin/oauth-providers/discover', requireAdminAuth(config, PERMISSIONS.OAUTH_MANAGE), async (req, res) => {
+    const issuer = typeof req.body?.issuer === 'string' ? req.body.issuer.trim() : '';
+    if (!issuer) {
+        return res.status(400).json({ success: false, message: '请填写签发者地址' });
+    }
+
+    try {
+        const document = await oauthService.discover(issuer);
+        res.json({
+            success: true,
+            issuer: document.issuer,
+            authUrl: document.authorization_endpoint,
+            tokenUrl: document.token_endpoint,
+            userInfoUrl: document.userinfo_endpoint || null,
+            scopesSupported: document.scopes_supported || [],
+            pkceSupported: Array.isArray(document.code_challenge_methods_supported)
+                ? document.code_challenge_methods_supported.includes('S256')
+                : null,
+        });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message || 'OIDC 自动发现失败' });
+    }
+});
+
 // 获取邀请码列表（支持分页）
-app.get('/api/admin/invite-codes', requireAdminAuth(config), (req, res) => {
+app.get('/api/admin/invite-codes', requireAdminAuth(config, PERMISSIONS.INVITES_MANAGE), (req, res) => {
     try {
         const page = parseInt(req.query.page || '1', 10);
         const limit = parseInt(req.query.limit || '20', 10);
@@ -1665,11 +3757,20 @@ app.get('/api/admin/invite-codes', requireAdminAuth(config), (req, res) => {
         const totalPages = Math.ceil(total / limit);
         const startIndex = (page - 1) * limit;
         const endIndex = startIndex + limit;
-        const codes = allCodes.slice(startIndex, endIndex);
+        const servers = DataStore.getServers();
+        const codes = allCodes.slice(startIndex, endIndex).map(code => ({
+            ...code,
+            serverName: code.serverId != null
+                ? (servers.find(s => Number(s.id) === Number(code.serverId))?.name || '未知服务器')
+                : null,
+        }));
         
         res.json({
             success: true,
             codes,
+            // 创建邀请码时可以指定服务器（invite-pinned 分配策略使用）
+            servers: servers.map(s => ({ id: Number(s.id), name: s.name })),
+            assignment: serverAssigner.describe(),
             pagination: {
                 page,
                 limit,
@@ -1686,9 +3787,9 @@ app.get('/api/admin/invite-codes', requireAdminAuth(config), (req, res) => {
 });
 
 // 创建邀请码
-app.post('/api/admin/invite-codes', requireAdminAuth(config), (req, res) => {
+app.post('/api/admin/invite-codes', requireAdminAuth(config, PERMISSIONS.INVITES_MANAGE), (req, res) => {
     try {
-        const { count = 1, maxUses = 1, expiresAt = null } = req.body;
+        const { count = 1, maxUses = 1, expiresAt = null, serverId = null } = req.body;
         
         if (count < 1 || count > 100) {
             return res.status(400).json({
@@ -1704,13 +3805,33 @@ app.post('/api/admin/invite-codes', requireAdminAuth(config), (req, res) => {
             });
         }
         
+        const pinnedServer = serverId ? DataStore.getServerById(serverId) : null;
+        if (serverId && !pinnedServer) {
+            return res.status(400).json({
+                success: false,
+                message: '指定的服务器不存在',
+            });
+        }
+        
         const codes = InviteCodeService.createInviteCodes({
             count: parseInt(count),
             maxUses: parseInt(maxUses),
             expiresAt: expiresAt ? new Date(expiresAt) : null,
-            createdBy: 'admin',
+            createdBy: req.admin.username,
+            serverId: pinnedServer ? Number(pinnedServer.id) : null,
         });
         
+        audit(req, {
+            action: 'admin.invite.create',
+            targetType: 'invite',
+            target: codes.length === 1 ? codes[0].code : null,
+            detail: {
+                codes: codes.map(item => item.code),
+                maxUses: parseInt(maxUses),
+                expiresAt: expiresAt || null,
+                serverId: pinnedServer ? Number(pinnedServer.id) : null,
+            },
+        });
         res.json({ success: true, codes });
     } catch (error) {
         res.status(500).json({
@@ -1721,12 +3842,19 @@ app.post('/api/admin/invite-codes', requireAdminAuth(config), (req, res) => {
 });
 
 // 删除邀请码
-app.delete('/api/admin/invite-codes/:code', requireAdminAuth(config), (req, res) => {
+app.delete('/api/admin/invite-codes/:code', requireAdminAuth(config, PERMISSIONS.INVITES_MANAGE), (req, res) => {
     try {
         const { code } = req.params;
+        const existing = DataStore.getInviteCode(code);
         const deleted = DataStore.deleteInviteCode(code);
         
         if (deleted) {
+            audit(req, {
+                action: 'admin.invite.delete',
+                targetType: 'invite',
+                target: code,
+                changes: existing ? diffRecords(existing, {}) : null,
+            });
             res.json({ success: true });
         } else {
             res.status(404).json({
@@ -1743,7 +3871,7 @@ app.delete('/api/admin/invite-codes/:code', requireAdminAuth(config), (req, res)
 });
 
 // 禁用/启用邀请码
-app.patch('/api/admin/invite-codes/:code', requireAdminAuth(config), (req, res) => {
+app.patch('/api/admin/invite-codes/:code', requireAdminAuth(config, PERMISSIONS.INVITES_MANAGE), (req, res) => {
     try {
         const { code } = req.params;
         const { isActive } = req.body;
@@ -1755,9 +3883,16 @@ app.patch('/api/admin/invite-codes/:code', requireAdminAuth(config), (req, res)
             });
         }
         
+        const existing = DataStore.getInviteCode(code);
         const updated = DataStore.toggleInviteCode(code, isActive);
         
         if (updated) {
+            audit(req, {
+                action: 'admin.invite.update',
+                targetType: 'invite',
+                target: code,
+                changes: diffRecords({ isActive: existing?.isActive ?? null }, { isActive }),
+            });
             res.json({ success: true });
         } else {
             res.status(404).json({
@@ -1773,8 +3908,509 @@ app.patch('/api/admin/invite-codes/:code', requireAdminAuth(config), (req, res)
     }
 });
 
+// 通过邮件发送邀请码
+app.post('/api/admin/invite-codes/:code/send', requireAdminAuth(config, PERMISSIONS.INVITES_MANAGE), async (req, res) => {
+    const { code } = req.params;
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+    const locale = typeof req.body?.locale === 'string' ? req.body.locale : null;
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({ success: false, message: '请输入合法的邮箱地址' });
+    }
+    if (!emailService.isConfigured()) {
+        return res.status(503).json({ success: false, message: '邮箱服务未配置，无法发送邀请' });
+    }
+
+    const inviteCode = DataStore.getInviteCode(code);
+    if (!inviteCode) {
+        return res.status(404).json({ success: false, message: '邀请码不存在' });
+    }
+    const validation = DataStore.validateInviteCode(code);
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: validation.message || '邀请码不可用' });
+    }
+
+    const resolvedLocale = emailService.templates.resolveLocale(locale);
+    const expiresDate = inviteCode.expiresAt ? new Date(inviteCode.expiresAt).toISOString().slice(0, 10) : null;
+    const expiresText = resolvedLocale === 'en'
+        ? (expiresDate ? `This invite code expires on ${expiresDate}.` : 'This invite code does not expire.')
+        : (expiresDate ? `邀请码有效期至 ${expiresDate}` : '邀请码长期有效');
+
+    try {
+        await emailService.sendTemplate('invite', email, {
+            code: inviteCode.code,
+            registerUrl: `${config.baseRegisterUrl.replace(/\/$/, '')}/register?invite=${encodeURIComponent(inviteCode.code)}`,
+            expiresText,
+        }, { locale: resolvedLocale });
+    } catch (error) {
+        console.error('生成邀请邮件失败:', email, error?.message || error);
+        audit(req, {
+            action: 'admin.invite.send',
+            targetType: 'invite',
+            target: inviteCode.code,
+            result: 'failure',
+            message: error.message,
+            detail: { email },
+        });
+        return res.status(500).json({ success: false, message: `邀请邮件生成失败：${error.message}` });
+    }
+
+    audit(req, {
+        action: 'admin.invite.send',
+        targetType: 'invite',
+        target: inviteCode.code,
+        detail: { email, locale: resolvedLocale },
+    });
+    res.json({ success: true, message: `邀请邮件已加入发送队列，收件人 ${email}` });
+});
+
+// ==================== 邮件模板 ====================
+
+function findEmailTemplate(req, res) {
+    const { name, locale } = req.params;
+    if (!Object.hasOwn(EMAIL_TEMPLATES, name)) {
+        res.status(404).json({ success: false, message: '邮件模板不存在' });
+        return null;
+    }
+    if (!Object.hasOwn(EMAIL_LOCALES, locale)) {
+        res.status(400).json({ success: false, message: `不支持的语言，可选：${Object.keys(EMAIL_LOCALES).join(', ')}` });
+        return null;
+    }
+    return { name, locale };
+}
+
+/**
+ * 校验管理员提交的模板内容
+ * @returns {{ draft?: { html?: string, text?: string }, error?: string }}
+ */
+function parseTemplateDraft(body) {
+    const draft = {};
+    for (const key of ['html', 'text']) {
+        const value = body?.[key];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'string') {
+            return { error: `${key} 必须是字符串` };
+        }
+        if (value.length > 100 * 1024) {
+            return { error: '模板内容过长（最多 100 KB）' };
+        }
+        draft[key] = value;
+    }
+    return { draft };
+}
+
+// 获取邮件模板列表
+app.get('/api/admin/email-templates', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (_req, res) => {
+    res.json({
+        success: true,
+        templates: emailService.templates.list(),
+        locales: EMAIL_LOCALES,
+        defaultLocale: emailService.templates.defaultLocale,
+    });
+});
+
+// 获取模板源文件
+app.get('/api/admin/email-templates/:name/:locale', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (req, res) => {
+    const target = findEmailTemplate(req, res);
+    if (!target) return;
+    try {
+        res.json({ success: true, ...emailService.templates.getSource(target.name, target.locale) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message || '读取邮件模板失败' });
+    }
+});
+
+// 保存覆盖模板
+app.put('/api/admin/email-templates/:name/:locale', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (req, res) => {
+    const target = findEmailTemplate(req, res);
+    if (!target) return;
+    const { draft, error } = parseTemplateDraft(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    if (!Object.keys(draft).length) {
+        return res.status(400).json({ success: false, message: '请提供 html 或 text 内容' });
+    }
+
+    try {
+        // 先试渲染一次，避免保存后发送时才发现模板有误
+        emailService.templates.preview(target.name, target.locale, draft);
+        const before = emailService.templates.getSource(target.name, target.locale);
+        emailService.templates.saveOverride(target.name, target.locale, draft);
+        audit(req, {
+            action: 'admin.email-template.update',
+            targetType: 'email-template',
+            target: `${target.name}/${target.locale}`,
+            detail: {
+                html: draft.html !== undefined && draft.html !== before.html,
+                text: draft.text !== undefined && draft.text !== before.text,
+            },
+        });
+        res.json({ success: true, ...emailService.templates.getSource(target.name, target.locale) });
+    } catch (saveError) {
+        res.status(500).json({ success: false, message: saveError.message || '保存邮件模板失败' });
+    }
+});
+
+// 删除覆盖模板，恢复为内置版本
+app.delete('/api/admin/email-templates/:name/:locale', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (req, res) => {
+    const target = findEmailTemplate(req, res);
+    if (!target) return;
+    try {
+        if (!emailService.templates.deleteOverride(target.name, target.locale)) {
+            return res.status(404).json({ success: false, message: '该模板没有被修改过' });
+        }
+        audit(req, {
+            action: 'admin.email-template.reset',
+            targetType: 'email-template',
+            target: `${target.name}/${target.locale}`,
+        });
+        res.json({ success: true, ...emailService.templates.getSource(target.name, target.locale) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message || '恢复邮件模板失败' });
+    }
+});
+
+// 使用示例数据预览模板（可以传入未保存的 html / text）
+app.post('/api/admin/email-templates/:name/:locale/preview', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (req, res) => {
+    const target = findEmailTemplate(req, res);
+    if (!target) return;
+    const { draft, error } = parseTemplateDraft(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    try {
+        const preview = emailService.templates.preview(target.name, target.locale, draft);
+        res.json({ success: true, preview });
+    } catch (previewError) {
+        res.status(400).json({ success: false, message: previewError.message || '预览失败' });
+    }
+});
+
+// ==================== 邮件发送队列 ====================
+
+// 查看发送队列（可按状态筛选，failed 即发送失败的邮件）
+app.get('/api/admin/mail-queue', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (req, res) => {
+    const status = typeof req.query.status === 'string' ? req.query.status : '';
+    if (status && !Object.hasOwn(MAIL_STATUSES, status)) {
+        return res.status(400).json({ success: false, message: '无效的状态筛选' });
+    }
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10) || 20, 1), 100);
+
+    const { mails, total } = DataStore.queryMails(status ? { status } : {}, { page, limit });
+    res.json({
+        success: true,
+        // 队列中保存的正文可能包含邀请码等内容，列表只返回元数据
+        mails: mails.map(({ html: _html, text: _text, ...mail }) => mail),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        statuses: MAIL_STATUSES,
+        queue: emailService.queue.describe(),
+    });
+});
+
+// 重新发送发送失败的邮件
+app.post('/api/admin/mail-queue/:id/retry', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (req, res) => {
+    if (!DataStore.getMail(req.params.id)) {
+        return res.status(404).json({ success: false, message: '邮件不存在' });
+    }
+    const { mail, error } = emailService.queue.retry(req.params.id);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    audit(req, {
+        action: 'admin.mail.retry',
+        targetType: 'mail',
+        target: String(mail.id),
+        detail: { to: mail.to, template: mail.template },
+    });
+    res.json({ success: true });
+});
+
+// 删除队列中的邮件（发送中的邮件不能删除）
+app.delete('/api/admin/mail-queue/:id', requireAdminAuth(config, PERMISSIONS.SECURITY_MANAGE), (req, res) => {
+    const mail = DataStore.getMail(req.params.id);
+    if (!mail) {
+        return res.status(404).json({ success: false, message: '邮件不存在' });
+    }
+    if (mail.status === 'sending') {
+        return res.status(409).json({ success: false, message: '邮件正在发送，请稍后再试' });
+    }
+    DataStore.deleteMail(mail.id);
+    audit(req, {
+        action: 'admin.mail.delete',
+        targetType: 'mail',
+        target: String(mail.id),
+        detail: { to: mail.to, template: mail.template, status: mail.status },
+    });
+    res.json({ success: true });
+});
+
+// ==================== IP 注册策略 ====================
+
+// 最近被 IP 注册策略拦截的注册尝试
+function listIpPolicyBlocks(limit = 20) {
+    const { events } = DataStore.queryAuditEvents({ action: 'user', result: 'denied', q: '"ipRule"' }, { page: 1, limit });
+    return events.map(event => ({
+        createdAt: event.createdAt,
+        action: event.action,
+        actor: event.actor,
+        ip: event.ip,
+        rule: event.detail?.ipRule || null,
+    }));
+}
+
+// 获取 IP 名单、注册上限配置与最近的拦截记录
+app.get('/api/admin/ip-rules', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (_req, res) => {
+    res.json({
+        success: true,
+        rules: DataStore.getIpRules(),
+        policy: ipPolicy.describe(),
+        ruleTypes: IP_POLICY_RULE_TYPES,
+        blocks: listIpPolicyBlocks(),
+    });
+});
+
+// 添加允许 / 禁止名单规则
+app.post('/api/admin/ip-rules', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const { cidr, action, note } = req.body ?? {};
+    const range = parseCidr(cidr);
+    if (!range) {
+        return res.status(400).json({ success: false, message: '请输入合法的 IP 或 CIDR 地址段，例如 203.0.113.0/24 或 2001:db8::/48' });
+    }
+    if (!Object.hasOwn(IP_RULE_ACTIONS, action)) {
+        return res.status(400).json({ success: false, message: '规则类型必须是 allow 或 deny' });
+    }
+    if (typeof note === 'string' && note.length > 200) {
+        return res.status(400).json({ success: false, message: '备注过长（最多 200 个字符）' });
+    }
+    if (DataStore.getIpRule(range.cidr)) {
+        return res.status(409).json({ success: false, message: `地址段 ${range.cidr} 已在名单中` });
+    }
+
+    const rule = DataStore.addIpRule({
+        cidr: range.cidr,
+        action,
+        note: typeof note === 'string' ? note.trim() : '',
+        createdBy: req.admin.username,
+    });
+    audit(req, {
+        action: 'admin.ip-rule.create',
+        targetType: 'ip-rule',
+        target: rule.cidr,
+        changes: diffRecords({}, rule),
+    });
+    res.json({ success: true, rule });
+});
+
+// 删除名单规则（地址段中的 / 需要编码）
+app.delete('/api/admin/ip-rules/:cidr', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const { cidr } = req.params;
+    const existing = DataStore.getIpRule(cidr);
+    if (!existing || !DataStore.deleteIpRule(cidr)) {
+        return res.status(404).json({ success: false, message: '名单规则不存在' });
+    }
+    audit(req, {
+        action: 'admin.ip-rule.delete',
+        targetType: 'ip-rule',
+        target: cidr,
+        changes: diffRecords(existing, {}),
+    });
+    res.json({ success: true });
+});
+
+// 检查某个 IP 当前能否注册，以及由哪条规则决定
+app.post('/api/admin/ip-rules/test', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const ip = typeof req.body?.ip === 'string' ? req.body.ip.trim() : '';
+    if (!parseCidr(ip) || ip.includes('/')) {
+        return res.status(400).json({ success: false, message: '请输入合法的 IP 地址' });
+    }
+    res.json({ success: true, ip, decision: ipPolicy.evaluate(ip) });
+});
+
+// ==================== 邮箱域名策略 ====================
+
+// 最近被邮箱域名策略拦截的请求
+function listEmailPolicyBlocks(limit = 20) {
+    const { events } = DataStore.queryAuditEvents({ action: 'user', result: 'denied', q: '"emailRule"' }, { page: 1, limit });
+    return events.map(event => ({
+        createdAt: event.createdAt,
+        action: event.action,
+        actor: event.actor,
+        email: event.detail?.email || null,
+        rule: event.detail?.emailRule || null,
+    }));
+}
+
+// 获取邮箱域名名单、策略配置与最近的拦截记录
+app.get('/api/admin/email-domain-rules', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (_req, res) => {
+    res.json({
+        success: true,
+        rules: DataStore.getEmailDomainRules(),
+        policy: emailPolicy.describe(),
+        modes: EMAIL_DOMAIN_MODES,
+        ruleTypes: EMAIL_POLICY_RULE_TYPES,
+        blocks: listEmailPolicyBlocks(),
+    });
+});
+
+// 添加邮箱域名允许 / 禁止规则
+app.post('/api/admin/email-domain-rules', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const { domain: rawDomain, action, note } = req.body ?? {};
+    const domain = parseEmailDomainRule(rawDomain);
+    if (!domain) {
+        return res.status(400).json({ success: false, message: '请输入合法的域名或后缀，例如 example.com 或 edu.cn' });
+    }
+    if (!Object.hasOwn(EMAIL_DOMAIN_RULE_ACTIONS, action)) {
+        return res.status(400).json({ success: false, message: '规则类型必须是 allow 或 deny' });
+    }
+    if (typeof note === 'string' && note.length > 200) {
+        return res.status(400).json({ success: false, message: '备注过长（最多 200 个字符）' });
+    }
+    if (DataStore.getEmailDomainRule(domain)) {
+        return res.status(409).json({ success: false, message: `域名 ${domain} 已在名单中` });
+    }
+
+    const rule = DataStore.addEmailDomainRule({
+        domain,
+        action,
+        note: typeof note === 'string' ? note.trim() : '',
+        createdBy: req.admin.username,
+    });
+    audit(req, {
+        action: 'admin.email-domain.create',
+        targetType: 'email-domain',
+        target: rule.domain,
+        changes: diffRecords({}, rule),
+    });
+    res.json({ success: true, rule });
+});
+
+// 删除邮箱域名规则
+app.delete('/api/admin/email-domain-rules/:domain', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const { domain } = req.params;
+    const existing = DataStore.getEmailDomainRule(domain);
+    if (!existing || !DataStore.deleteEmailDomainRule(domain)) {
+        return res.status(404).json({ success: false, message: '名单规则不存在' });
+    }
+    audit(req, {
+        action: 'admin.email-domain.delete',
+        targetType: 'email-domain',
+        target: domain,
+        changes: diffRecords(existing, {}),
+    });
+    res.json({ success: true });
+});
+
+// 检查某个邮箱当前能否用于注册，以及是否与已注册邮箱重复
+app.post('/api/admin/email-domain-rules/test', requireAdminAuth(config, PERMISSIONS.USERS_MANAGE), (req, res) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({ success: false, message: '请输入合法的邮箱地址' });
+    }
+    res.json({
+        success: true,
+        email,
+        canonical: canonicalizeEmail(email),
+        used: DataStore.isEmailUsed(email),
+        decision: emailPolicy.evaluate(email),
+    });
+});
+
+// ==================== 审计日志 ====================
+
+/**
+ * 从查询参数中解析审计日志筛选条件
+ * @returns {{ filters?: object, error?: string }}
+ */
+function parseAuditFilters(query) {
+    const filters = {};
+    for (const key of ['action', 'actor', 'target', 'result', 'q']) {
+        const value = typeof query[key] === 'string' ? query[key].trim() : '';
+        if (value) filters[key] = value;
+    }
+    if (filters.result && !AUDIT_RESULTS[filters.result]) {
+        return { error: '无效的结果筛选' };
+    }
+    for (const key of ['from', 'to']) {
+        if (!query[key]) continue;
+        const time = new Date(query[key]);
+        if (Number.isNaN(time.getTime())) {
+            return { error: '无效的时间范围' };
+        }
+        filters[key] = time.toISOString();
+    }
+    return { filters };
+}
+
+// 查询审计日志（支持筛选与分页，最新的在前）
+app.get('/api/admin/audit-log', requireAdminAuth(config, PERMISSIONS.AUDIT_READ), (req, res) => {
+    const page = parseInt(req.query.page || '1', 10);
+    const limit = parseInt(req.query.limit || '50', 10);
+    if (!Number.isInteger(page) || page < 1) {
+        return res.status(400).json({ success: false, message: '页码必须大于 0' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ success: false, message: '每页数量必须在 1-100 之间' });
+    }
+
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+        const { events, total } = DataStore.queryAuditEvents(filters, { page, limit });
+        res.json({
+            success: true,
+            events: events.map(describeAuditEvent),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            },
+            actions: AUDIT_ACTIONS,
+            results: AUDIT_RESULTS,
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message || '获取审计日志失败' });
+    }
+});
+
+// 导出审计日志（CSV 或 JSON Lines，按时间顺序，使用与查询相同的筛选条件）
+app.get('/api/admin/audit-log/export', requireAdminAuth(config, PERMISSIONS.AUDIT_READ), (req, res) => {
+    const format = req.query.format === 'jsonl' ? 'jsonl' : 'csv';
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    // 先记录导出操作，再导出（导出文件中包含本次导出记录）
+    audit(req, { action: 'admin.audit.export', detail: { format, filters } });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        if (format === 'csv') {
+            // 带 BOM，便于 Excel 正确识别中文
+            res.write(`\uFEFF${AUDIT_CSV_COLUMNS.join(',')}\r\n`);
+        }
+        for (const event of DataStore.iterateAuditEvents(filters)) {
+            res.write(format === 'csv' ? `${toAuditCsvLine(event)}\r\n` : `${JSON.stringify(describeAuditEvent(event))}\n`);
+        }
+        res.end();
+    } catch (err) {
+        console.error('[审计] 导出审计日志失败:', err);
+        // 响应头已发送，只能中断连接，避免客户端得到不完整的文件却以为成功
+        res.destroy(err);
+    }
+});
+
 // 获取统计信息
-app.get('/api/admin/stats', requireAdminAuth(config), (_req, res) => {
+app.get('/api/admin/stats', requireAdminAuth(config, PERMISSIONS.STATS_READ), (_req, res) => {
     try {
         const users = DataStore.getUsers();
         const codes = DataStore.getInviteCodes();
@@ -1782,7 +4418,7 @@ app.get('/api/admin/stats', requireAdminAuth(config), (_req, res) => {
         
         // 排除敏感信息：用户密码
         const safeRecentUsers = users.slice(-10).reverse().map(u => {
-            const { password, ...safeUser } = u;
+            const { password, passwordHash, ...safeUser } = u;
             return safeUser;
         });
         
@@ -1807,7 +4443,7 @@ app.get('/api/admin/stats', requireAdminAuth(config), (_req, res) => {
 
 // 防止直接访问受保护的静态文件（必须通过路由访问）
 app.use((req, res, next) => {
-    const protectedFiles = ['/admin.html', '/admin-login.html', '/oauth-invite.html', '/select-server.html'];
+    const protectedFiles = ['/admin.html', '/admin-login.html', '/oauth-invite.html', '/oauth-choose-handle.html', '/select-server.html'];
     if (protectedFiles.includes(req.path)) {
         return res.status(404).json({
             success: false,
@@ -1846,9 +4482,23 @@ const port = config.port;
 const host = config.host ?? '0.0.0.0';
 const displayHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host.includes(':') ? `[${host}]` : host;
 
-app.listen(port, host, () => {
-    console.log(`TavernRegister listening on http://${displayHost}:${port} (bound to ${host})`);
-});
+// 管理员账号初始化完成后才开始监听；仍在使用默认密码时拒绝启动
+bootstrapAdminAccounts(config)
+    .then(() => {
+        app.listen(port, host, () => {
+            console.log(`TavernRegister listening on http://${displayHost}:${port} (bound to ${host})`);
+        });
+        serverHealth.start();
+        if (emailService.isConfigured()) {
+            emailService.queue.start().catch((error) => {
+                console.error(`[邮件队列] 启动失败：${error.message}`);
+            });
+        }
+    })
+    .catch((error) => {
+        console.error(`[管理员账号] 启动失败：${error.message}`);
+        process.exit(1);
+    });
 
 function sanitizeInput(payload) {
     const handle = typeof payload.handle === 'string' ? payload.handle.trim() : '';
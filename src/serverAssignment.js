@@ -0,0 +1,151 @@
+import { DataStore } from './dataStore.js';
+import { ServerCapacity } from './serverCapacity.js';
+import { isServerHealthy } from './serverHealth.js';
+
+// 选服方式：用户自选、系统分配或系统推荐（用户仍可改选）
+export const SERVER_ASSIGNMENT_MODES = {
+    manual: '用户自选',
+    auto: '系统分配',
+    suggest: '系统推荐',
+};
+
+export const SERVER_ASSIGNMENT_STRATEGIES = {
+    'least-users': '用户数最少',
+    weighted: '按权重分配',
+    'round-robin': '轮询',
+    'least-storage': '存储占用最少',
+    'invite-pinned': '邀请码指定服务器',
+};
+
+/**
+ * 服务器的分配权重（未设置时为 1，0 表示不参与自动分配）
+ */
+export function serverWeight(server) {
+    const weight = Number(server.assignmentWeight ?? 1);
+    return Number.isFinite(weight) && weight > 0 ? weight : 0;
+}
+
+/**
+ * 按依次比较的排序键选出最小的一项（键全部相同时取 id 较小的服务器）
+ */
+function pickMin(candidates, ...keys) {
+    return [...candidates].sort((a, b) => {
+        for (const key of keys) {
+            const diff = key(a) - key(b);
+            if (diff !== 0) return diff;
+        }
+        return a.id - b.id;
+    })[0] || null;
+}
+
+/**
+ * 服务器自动分配
+ *
+ * - least-users：已注册用户最少的服务器
+ * - weighted：按权重比例分配，选出「用户数 / 权重」最小的服务器
+ * - round-robin：最久未分配过用户的服务器（按服务器的 lastAssignedAt，重启后仍然有效）
+ * - least-storage：用户最近一次存储检查（lastQuotaUsageBytes）合计占用最少的服务器
+ * - invite-pinned：用户注册时使用的邀请码指定了服务器时分配到该服务器，否则按 least-users
+ *
+ * 只在启用且未暂停注册、未被健康检查标记为不可用、未满、权重大于 0 的服务器中分配（邀请码指定的服务器不受权重限制）；手动选服不受权重限制。
+ * 候补用户收到保留名额时直接分配到保留名额的服务器。
+ */
+export class ServerAssigner {
+    /**
+     * @param {object} config
+     * @param {import('./serverCapacity.js').ServerCapacity} capacity
+     */
+    constructor(config, capacity) {
+        this.mode = config.serverAssignmentMode || 'manual';
+        this.strategy = config.serverAssignmentStrategy || 'least-users';
+        this.capacity = capacity;
+    }
+
+    /**
+     * 管理员面板与选服页面展示的分配配置
+     */
+    describe() {
+        return {
+            mode: this.mode,
+            modeName: SERVER_ASSIGNMENT_MODES[this.mode],
+            strategy: this.strategy,
+            strategyName: SERVER_ASSIGNMENT_STRATEGIES[this.strategy],
+        };
+    }
+
+    /**
+     * 可以自动分配给用户的服务器（附带已注册用户数）
+     */
+    candidates(user) {
+        const userCounts = DataStore.countUsersByServer();
+        return this.capacity.availableServers(user?.handle)
+            .filter(server => serverWeight(server) > 0)
+            .map(server => ({ ...server, id: Number(server.id), registeredUserCount: userCounts.get(Number(server.id)) || 0 }));
+    }
+
+    /**
+     * 为用户选出服务器
+     * @returns {{ server: object, strategy: string }|null} strategy 为实际生效的策略（邀请码未指定服务器时回退为 least-users，候补保留名额为 waitlist）
+     */
+    pick(user) {
+        const offer = ServerCapacity.activeOffer(user);
+        const offered = offer ? DataStore.getServerById(offer.serverId) : null;
+        if (offered && offered.isActive && !offered.registrationPaused && isServerHealthy(offered)) {
+            return { server: { ...offered, id: Number(offered.id) }, strategy: 'waitlist' };
+        }
+
+        let strategy = this.strategy;
+        if (strategy === 'invite-pinned') {
+            // 邀请码指定的服务器不受权重限制，但暂停注册、停用、不可用或已满时同样回退
+            const pinnedId = this.pinnedServerId(user);
+            const pinned = pinnedId != null ? DataStore.getServerById(pinnedId) : null;
+            if (pinned && pinned.isActive && !pinned.registrationPaused && isServerHealthy(pinned)
+                && !this.capacity.usage(pinned, { handle: user?.handle }).isFull) {
+                return { server: { ...pinned, id: Number(pinned.id) }, strategy };
+            }
+            strategy = 'least-users';
+        }
+
+        const candidates = this.candidates(user);
+        if (!candidates.length) {
+            return null;
+        }
+
+        let server;
+        switch (strategy) {
+            case 'weighted':
+                server = pickMin(candidates, s => s.registeredUserCount / serverWeight(s), s => -serverWeight(s));
+                break;
+            case 'round-robin':
+                server = pickMin(candidates, s => (s.lastAssignedAt ? Date.parse(s.lastAssignedAt) : 0));
+                break;
+            case 'least-storage': {
+                const usage = new Map(candidates.map(s => [s.id, DataStore.getUsersByServerId(s.id)
+                    .reduce((sum, u) => sum + (Number(u.lastQuotaUsageBytes) || 0), 0)]));
+                server = pickMin(candidates, s => usage.get(s.id), s => s.registeredUserCount);
+                break;
+            }
+            default:
+                server = pickMin(candidates, s => s.registeredUserCount);
+        }
+        return { server, strategy };
+    }
+
+    /**
+     * 用户注册时使用的邀请码指定的服务器
+     */
+    pinnedServerId(user) {
+        if (!user?.inviteCode) {
+            return null;
+        }
+        const invite = DataStore.getInviteCode(user.inviteCode);
+        return invite?.serverId != null ? Number(invite.serverId) : null;
+    }
+
+    /**
+     * 记录服务器最近一次分配到用户的时间（轮询策略使用）
+     */
+    record(server) {
+        DataStore.updateServer(server.id, { lastAssignedAt: new Date().toISOString() });
+    }
+}
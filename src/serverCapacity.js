@@ -0,0 +1,214 @@
+import { DataStore } from './dataStore.js';
+import { isServerHealthy } from './serverHealth.js';
+
+/**
+ * 服务器的用户容量上限（未设置或不是正整数时为 null，表示不限）
+ */
+export function serverMaxUsers(server) {
+    const maxUsers = Number(server?.maxUsers);
+    return Number.isInteger(maxUsers) && maxUsers > 0 ? maxUsers : null;
+}
+
+/**
+ * 校验管理员填写的容量上限：留空表示不限
+ * @returns {{ value?: number|null, error?: string }}
+ */
+export function normalizeMaxUsers(value) {
+    if (value === '' || value === null || value === undefined) {
+        return { value: null };
+    }
+    const maxUsers = Number(value);
+    if (!Number.isInteger(maxUsers) || maxUsers < 1) {
+        return { error: '用户上限必须是正整数，留空表示不限' };
+    }
+    return { value: maxUsers };
+}
+
+/**
+ * 服务器容量与候补名单
+ *
+ * 服务器的占用 = 已注册用户数 + 正在远程注册的用户 + 候补用户尚未过期的保留名额。
+ * 绑定服务器时在发起远程注册之前同步检查并占用名额（reserve），注册结束后释放，
+ * 因此同时提交的请求不会让服务器超出 maxUsers。
+ *
+ * 所有服务器都已满时，用户可以加入候补名单（按加入时间先后排队，记录在用户的 waitlist 字段中）。
+ * 有名额空出（删除远端用户、提高上限、服务器恢复可用等）时按顺序为排在最前的用户保留一个名额并发送邮件通知，
+ * 保留 WAITLIST_OFFER_HOURS 小时；过期未选择服务器的用户移出候补名单，名额留给下一位。
+ */
+export class ServerCapacity {
+    // serverId -> 正在远程注册的用户 handle
+    #reservations = new Map();
+
+    constructor(config) {
+        this.offerHours = Math.max(Number(config.waitlistOfferHours) || 48, 1);
+    }
+
+    /**
+     * 是否在候补名单中（包括已收到名额、尚未选择服务器的用户）
+     */
+    static isWaitlisted(user) {
+        return Boolean(user?.waitlist);
+    }
+
+    /**
+     * 用户尚未过期的保留名额
+     * @returns {{ serverId: number, expiresAt: string, notifiedAt: string }|null}
+     */
+    static activeOffer(user, now = Date.now()) {
+        const offer = user?.waitlist?.offer;
+        return offer && Date.parse(offer.expiresAt) > now ? offer : null;
+    }
+
+    /**
+     * 服务器的占用情况
+     * @param {object} server
+     * @param {{ handle?: string, userCounts?: Map<number, number>, users?: object[], now?: number }} [options]
+     *        handle 为正在选服的用户，其本人的保留名额与远程注册不计入占用
+     * @returns {{ used: number, maxUsers: number|null, isFull: boolean }}
+     */
+    usage(server, { handle = null, userCounts = DataStore.countUsersByServer(), users = DataStore.getUsers(), now = Date.now() } = {}) {
+        const serverId = Number(server.id);
+        const reserving = [...(this.#reservations.get(serverId) || [])].filter(item => item !== handle).length;
+        const offered = users.filter(user => user.handle !== handle
+            && Number(ServerCapacity.activeOffer(user, now)?.serverId) === serverId).length;
+        const used = (userCounts.get(serverId) || 0) + reserving + offered;
+        const maxUsers = serverMaxUsers(server);
+        return { used, maxUsers, isFull: maxUsers !== null && used >= maxUsers };
+    }
+
+    /**
+     * 用户当前可以绑定的服务器（启用、未暂停注册、健康检查未标记为不可用且未满）
+     */
+    availableServers(handle = null) {
+        const userCounts = DataStore.countUsersByServer();
+        const users = DataStore.getUsers();
+        return DataStore.getActiveServers()
+            .filter(server => !server.registrationPaused && isServerHealthy(server)
+                && !this.usage(server, { handle, userCounts, users }).isFull);
+    }
+
+    /**
+     * 检查并占用一个名额，远程注册结束后（无论成功与否）必须调用 release
+     * @returns {{ release: () => void }|null} 服务器已满时返回 null
+     */
+    reserve(server, handle) {
+        if (this.usage(server, { handle }).isFull) {
+            return null;
+        }
+        const serverId = Number(server.id);
+        const holders = this.#reservations.get(serverId) || new Set();
+        holders.add(handle);
+        this.#reservations.set(serverId, holders);
+        return {
+            release: () => {
+                holders.delete(handle);
+                if (!holders.size) {
+                    this.#reservations.delete(serverId);
+                }
+            },
+        };
+    }
+
+    /**
+     * 排队中（尚未收到名额）的候补用户，按加入时间先后排列
+     */
+    queue(now = Date.now()) {
+        return DataStore.getUsers()
+            .filter(user => ServerCapacity.isWaitlisted(user) && !ServerCapacity.activeOffer(user, now))
+            .sort((a, b) => String(a.waitlist.joinedAt).localeCompare(String(b.waitlist.joinedAt)));
+    }
+
+    /**
+     * 用户在候补名单中的位置（从 1 开始），不在排队中时返回 null
+     */
+    position(user) {
+        const index = this.queue().findIndex(item => item.handle === user?.handle);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * 加入候补名单：只有所有服务器都已满时才可以加入
+     * @returns {{ user?: object, error?: string, status?: number }}
+     */
+    join(user) {
+        if (ServerCapacity.isWaitlisted(user)) {
+            return { user };
+        }
+        if (this.availableServers(user.handle).length) {
+            return { error: '目前有可选择的服务器，无需候补', status: 409 };
+        }
+        return {
+            user: DataStore.updateUser(user.handle, {
+                waitlist: { joinedAt: new Date().toISOString(), offer: null },
+            }),
+        };
+    }
+
+    /**
+     * 移出候补名单（用户主动退出、选择了服务器或保留名额过期）
+     */
+    leave(handle) {
+        return DataStore.updateUser(handle, { waitlist: null });
+    }
+
+    /**
+     * 清理过期的保留名额，并把空出的名额按顺序保留给排队中的用户
+     * @returns {Array<{ user: object, server: object }>} 本次收到名额的用户，由调用方发送通知
+     */
+    offerSlots(now = Date.now()) {
+        for (const user of DataStore.getUsers()) {
+            if (user.waitlist?.offer && !ServerCapacity.activeOffer(user, now)) {
+                this.leave(user.handle);
+            }
+        }
+
+        const waiting = this.queue(now);
+        if (!waiting.length) {
+            return [];
+        }
+
+        const offers = [];
+        const userCounts = DataStore.countUsersByServer();
+        for (const server of DataStore.getActiveServers()) {
+            if (server.registrationPaused || !isServerHealthy(server)) {
+                continue;
+            }
+            const { used, maxUsers } = this.usage(server, { userCounts, now });
+            // 不限容量的服务器始终可以直接选择，候补用户也一样
+            let free = maxUsers === null ? waiting.length : maxUsers - used;
+            while (free > 0 && waiting.length) {
+                const user = waiting.shift();
+                const offer = {
+                    serverId: Number(server.id),
+                    notifiedAt: new Date(now).toISOString(),
+                    expiresAt: new Date(now + this.offerHours * 60 * 60 * 1000).toISOString(),
+                };
+                offers.push({ user: DataStore.updateUser(user.handle, { waitlist: { ...user.waitlist, offer } }), server });
+                free -= 1;
+            }
+        }
+        return offers;
+    }
+
+    /**
+     * 管理员面板展示的候补名单（收到名额的用户在前）
+     */
+    describe(now = Date.now()) {
+        const servers = new Map(DataStore.getServers().map(server => [Number(server.id), server]));
+        const offered = DataStore.getUsers()
+            .filter(user => ServerCapacity.activeOffer(user, now))
+            .sort((a, b) => String(a.waitlist.offer.notifiedAt).localeCompare(String(b.waitlist.offer.notifiedAt)));
+        return {
+            offerHours: this.offerHours,
+            entries: [...offered, ...this.queue(now)].map((user, index) => {
+                const offer = ServerCapacity.activeOffer(user, now);
+                return {
+                    handle: user.handle,
+                    joinedAt: user.waitlist.joinedAt,
+                    position: offer ? null : index - offered.length + 1,
+                    offer: offer ? { ...offer, serverName: servers.get(Number(offer.serverId))?.name || null } : null,
+                };
+            }),
+        };
+    }
+}
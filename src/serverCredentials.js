@@ -0,0 +1,258 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { loadConfig } from './config.js';
+import { DATA_DIR } from './storage/index.js';
+import { SillyTavernClient } from './sillyTavernClient.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const SEALED_PREFIX = 'enc:v1:';
+
+// 需要加密保存的服务器字段
+export const CREDENTIAL_FIELDS = ['admin_username', 'admin_password'];
+
+let currentVault = null;
+
+/**
+ * 解析主密钥文本
+ * 支持 64 位 hex 或 base64 编码的 32 字节密钥；其他文本视为口令并通过 scrypt 派生密钥。
+ * @param {string} text
+ * @returns {Buffer}
+ */
+export function parseMasterKey(text) {
+    const value = String(text ?? '').trim();
+    if (/^[0-9a-f]{64}$/i.test(value)) {
+        return Buffer.from(value, 'hex');
+    }
+    if (/^[A-Za-z0-9+/_-]{43}=?$/.test(value)) {
+        const decoded = Buffer.from(value, 'base64');
+        if (decoded.length === KEY_LENGTH) {
+            return decoded;
+        }
+    }
+    if (value.length < 16) {
+        throw new Error('主密钥过短：请使用 32 字节随机密钥（hex 或 base64）或至少 16 个字符的口令');
+    }
+    return crypto.scryptSync(value, 'tavern-register:master-key', KEY_LENGTH);
+}
+
+/**
+ * 生成新的随机主密钥（base64）
+ */
+export function generateMasterKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+/**
+ * 主密钥文件路径
+ */
+export function resolveKeyFilePath(config) {
+    return config.credentialsKeyFile ? path.resolve(config.credentialsKeyFile) : path.join(DATA_DIR, 'master.key');
+}
+
+/**
+ * 轮换过程中新密钥的暂存路径，轮换完成后替换正式密钥文件
+ */
+export function pendingKeyFilePath(keyFile) {
+    return `${keyFile}.next`;
+}
+
+/**
+ * 写入密钥文件（仅所有者可读写）
+ */
+export function writeKeyFile(filePath, keyText) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, `${keyText}\n`, { encoding: 'utf-8', mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * 凭据保险箱：使用主密钥以 AES-256-GCM 加解密服务器凭据
+ * 密文格式：enc:v1:<密钥指纹>:<iv>:<tag>:<密文>，指纹用于在轮换期间选择正确的解密密钥。
+ */
+export class CredentialVault {
+    /**
+     * @param {Buffer} primaryKey - 用于加密的主密钥
+     * @param {Buffer[]} fallbackKeys - 仅用于解密的旧密钥
+     */
+    constructor(primaryKey, fallbackKeys = []) {
+        this.keyId = CredentialVault.keyIdOf(primaryKey);
+        this.keys = new Map();
+        for (const key of [primaryKey, ...fallbackKeys]) {
+            const id = CredentialVault.keyIdOf(key);
+            if (!this.keys.has(id)) {
+                this.keys.set(id, key);
+            }
+        }
+    }
+
+    static keyIdOf(key) {
+        return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    }
+
+    static isSealed(value) {
+        return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+    }
+
+    static sealedKeyIdOf(value) {
+        return CredentialVault.isSealed(value) ? value.slice(SEALED_PREFIX.length).split(':')[0] : null;
+    }
+
+    /**
+     * 是否需要用当前主密钥重新加密（明文或由旧密钥加密）
+     */
+    needsReseal(value) {
+        if (value === undefined || value === null || value === '') {
+            return false;
+        }
+        return CredentialVault.sealedKeyIdOf(value) !== this.keyId;
+    }
+
+    encrypt(plainText) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.keyId), iv);
+        const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf-8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+        return SEALED_PREFIX + [this.keyId, ...[iv, tag, encrypted].map(part => part.toString('base64url'))].join(':');
+    }
+
+    /**
+     * 解密凭据；旧版明文原样返回
+     */
+    decrypt(value) {
+        if (!CredentialVault.isSealed(value)) {
+            return value;
+        }
+
+        const [keyId, iv, tag, encrypted] = value.slice(SEALED_PREFIX.length).split(':');
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error('无法解密服务器凭据：主密钥不匹配，请检查 CREDENTIALS_MASTER_KEY 或密钥文件');
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+            return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf-8');
+        } catch (error) {
+            throw new Error('无法解密服务器凭据：密文已损坏');
+        }
+    }
+
+    /**
+     * 用当前主密钥重新加密记录中的凭据字段，返回需要写回的字段（无需变更时返回 null）
+     * @param {object} record
+     * @param {string[]} fields - 需要加密的字段，默认为服务器凭据字段
+     */
+    resealFields(record, fields = CREDENTIAL_FIELDS) {
+        const updates = {};
+        for (const field of fields) {
+            if (this.needsReseal(record[field])) {
+                updates[field] = this.encrypt(this.decrypt(record[field]));
+            }
+        }
+        return Object.keys(updates).length > 0 ? updates : null;
+    }
+}
+
+/**
+ * 读取主密钥
+ * 环境变量优先；否则读取密钥文件，文件不存在时自动生成。
+ * 若存在未完成轮换留下的暂存密钥，一并加载为解密密钥，启动时会将凭据重新加密回正式密钥。
+ * @returns {{ key: Buffer, source: 'env'|'file', keyFile: string|null, pendingKey: Buffer|null }}
+ */
+export function loadMasterKey(config) {
+    if (config.credentialsMasterKey) {
+        return { key: parseMasterKey(config.credentialsMasterKey), source: 'env', keyFile: null, pendingKey: null };
+    }
+
+    const keyFile = resolveKeyFilePath(config);
+    if (!fs.existsSync(keyFile)) {
+        writeKeyFile(keyFile, generateMasterKey());
+        console.info(`[凭据加密] 未配置主密钥，已生成密钥文件 ${keyFile}，请妥善备份`);
+    }
+
+    const pendingFile = pendingKeyFilePath(keyFile);
+    const pendingKey = fs.existsSync(pendingFile) ? parseMasterKey(fs.readFileSync(pendingFile, 'utf-8')) : null;
+    return { key: parseMasterKey(fs.readFileSync(keyFile, 'utf-8')), source: 'file', keyFile, pendingKey };
+}
+
+/**
+ * 删除未完成轮换留下的暂存密钥（凭据已重新加密回正式密钥后调用）
+ */
+export function discardPendingMasterKey(config) {
+    if (config.credentialsMasterKey) {
+        return;
+    }
+    const pendingFile = pendingKeyFilePath(resolveKeyFilePath(config));
+    if (fs.existsSync(pendingFile)) {
+        fs.rmSync(pendingFile, { force: true });
+        console.warn(`[凭据加密] 检测到未完成的主密钥轮换，已回退到原密钥并删除 ${pendingFile}`);
+    }
+}
+
+/**
+ * 获取当前凭据保险箱（首次调用时按配置加载主密钥）
+ */
+export function getCredentialVault() {
+    if (!currentVault) {
+        const { key, pendingKey } = loadMasterKey(loadConfig());
+        currentVault = new CredentialVault(key, pendingKey ? [pendingKey] : []);
+    }
+    return currentVault;
+}
+
+/**
+ * 替换当前凭据保险箱（主密钥轮换后调用）
+ */
+export function useCredentialVault(vault) {
+    currentVault = vault;
+}
+
+/**
+ * 加密记录或更新对象中的敏感字段（已是当前密钥的密文时保持不变）
+ * @param {object} fields
+ * @param {string[]} secretFields 需要加密的字段
+ */
+export function sealSecretFields(fields, secretFields) {
+    const vault = getCredentialVault();
+    const sealed = { ...fields };
+    for (const field of secretFields) {
+        if (typeof sealed[field] === 'string' && sealed[field] && !CredentialVault.isSealed(sealed[field])) {
+            sealed[field] = vault.encrypt(sealed[field]);
+        }
+    }
+    return sealed;
+}
+
+/**
+ * 加密服务器记录或更新对象中的凭据字段
+ */
+export function sealServerCredentials(fields) {
+    return sealSecretFields(fields, CREDENTIAL_FIELDS);
+}
+
+/**
+ * 去除服务器记录中的凭据，用于任何接口响应
+ */
+export function redactServer(server) {
+    const { admin_username, admin_password, ...safeServer } = server;
+    return { ...safeServer, hasAdminCredentials: Boolean(admin_username && admin_password) };
+}
+
+/**
+ * 为已保存的服务器创建 SillyTavern 客户端
+ * 这是唯一解密服务器凭据的地方，明文只存在于客户端实例中。
+ */
+export function createServerClient(server) {
+    const vault = getCredentialVault();
+    return new SillyTavernClient({
+        baseUrl: server.url,
+        adminHandle: vault.decrypt(server.admin_username),
+        adminPassword: vault.decrypt(server.admin_password),
+    });
+}
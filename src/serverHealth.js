@@ -0,0 +1,203 @@
+import { DataStore } from './dataStore.js';
+import { createServerClient } from './serverCredentials.js';
+
+export const SERVER_HEALTH_STATUSES = {
+    unknown: '未检查',
+    healthy: '正常',
+    failing: '检查失败',
+    down: '不可用',
+};
+
+/**
+ * 服务器是否可以提供给用户选择（连续失败达到阈值、被标记为不可用的服务器不可选择）
+ */
+export function isServerHealthy(server) {
+    return server?.health?.status !== 'down';
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ success: false, message: `连接超时（${Math.round(timeoutMs / 1000)} 秒）` }), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 服务器健康检查
+ *
+ * 每隔 SERVER_HEALTH_CHECK_INTERVAL 分钟依次检查所有启用的服务器：先不登录请求首页（probe），
+ * 在线时再用管理员凭据登录（testConnection），两步都成功才算正常。每次检查的结果与耗时保存在
+ * 健康检查记录中（保留 SERVER_HEALTH_RETENTION_DAYS 天），服务器的当前状态保存在服务器记录的 health 字段中。
+ *
+ * 连续失败达到 SERVER_HEALTH_FAILURE_THRESHOLD 次的服务器标记为不可用，不再出现在选服列表与自动分配中；
+ * 下一次检查成功后自动恢复。
+ */
+export class ServerHealthMonitor {
+    #timer = null;
+    #running = null;
+
+    constructor(config) {
+        this.intervalMinutes = Math.max(Number(config.serverHealthCheckInterval) || 0, 0);
+        this.failureThreshold = Math.max(Number(config.serverHealthFailureThreshold) || 3, 1);
+        this.timeoutMs = Math.max(Number(config.serverHealthTimeout) || 10, 1) * 1000;
+        this.retentionDays = Math.max(Number(config.serverHealthRetentionDays) || 7, 1);
+    }
+
+    get enabled() {
+        return this.intervalMinutes > 0;
+    }
+
+    /**
+     * 检查一个服务器并记录结果
+     * @returns {Promise<object>} 本次检查记录
+     */
+    async check(server) {
+        const startedAt = Date.now();
+        let client = null;
+        let clientError = null;
+        try {
+            client = createServerClient(server);
+        } catch (error) {
+            clientError = error?.message || String(error);
+        }
+
+        // 首页无响应时不再尝试登录
+        const probe = client
+            ? await client.probe({ timeoutMs: this.timeoutMs })
+            : { success: false, message: clientError };
+        const probeLatencyMs = Date.now() - startedAt;
+
+        let auth = null;
+        if (probe.success) {
+            const authStartedAt = Date.now();
+            const result = await withTimeout(client.testConnection(), this.timeoutMs);
+            auth = { ok: result.success, latencyMs: Date.now() - authStartedAt, message: result.success ? null : result.message };
+        }
+
+        const ok = probe.success && auth?.ok === true;
+        const record = DataStore.addServerHealthCheck({
+            serverId: Number(server.id),
+            checkedAt: new Date().toISOString(),
+            ok,
+            latencyMs: probe.success ? probeLatencyMs : null,
+            probe: { ok: probe.success, status: probe.status ?? null, latencyMs: probeLatencyMs, message: probe.success ? null : probe.message },
+            auth,
+            message: ok ? null : (auth?.message || probe.message || '检查失败'),
+        });
+        this.#updateStatus(server, record);
+        return record;
+    }
+
+    #updateStatus(server, record) {
+        const previous = DataStore.getServerById(server.id)?.health || {};
+        const consecutiveFailures = record.ok ? 0 : (previous.consecutiveFailures || 0) + 1;
+        const status = record.ok ? 'healthy' : (consecutiveFailures >= this.failureThreshold ? 'down' : 'failing');
+
+        if (status === 'down' && previous.status !== 'down') {
+            console.warn(`[健康检查] 服务器 ${server.name} 连续 ${consecutiveFailures} 次检查失败，已从选服列表中隐藏: ${record.message}`);
+        } else if (status === 'healthy' && previous.status === 'down') {
+            console.info(`[健康检查] 服务器 ${server.name} 已恢复`);
+        }
+
+        DataStore.updateServer(server.id, {
+            health: {
+                status,
+                consecutiveFailures,
+                lastCheckedAt: record.checkedAt,
+                lastOkAt: record.ok ? record.checkedAt : (previous.lastOkAt ?? null),
+                latencyMs: record.latencyMs,
+                message: record.message,
+            },
+        });
+    }
+
+    /**
+     * 依次检查所有启用的服务器；同一时间只有一轮在执行
+     */
+    checkAll() {
+        if (!this.#running) {
+            this.#running = (async () => {
+                for (const server of DataStore.getActiveServers()) {
+                    try {
+                        await this.check(server);
+                    } catch (error) {
+                        console.error(`[健康检查] 检查服务器 ${server.name} 失败:`, error?.message || error);
+                    }
+                }
+            })().finally(() => {
+                this.#running = null;
+            });
+        }
+        return this.#running;
+    }
+
+    /**
+     * 最近一段时间的检查记录（按时间先后）与可用率、平均延迟
+     * @param {number} serverId
+     * @param {number} [hours]
+     */
+    history(serverId, hours = 24) {
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        const checks = DataStore.getServerHealthChecks(serverId, { since }).reverse();
+        const okChecks = checks.filter(check => check.ok);
+        const latencies = okChecks.map(check => check.latencyMs).filter(value => typeof value === 'number');
+        return {
+            hours,
+            checks,
+            uptimePercent: checks.length ? Math.round((okChecks.length / checks.length) * 1000) / 10 : null,
+            averageLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+        };
+    }
+
+    /**
+     * 最近 24 小时与 7 天的可用率（百分比，没有检查记录时为 null），供公开状态页使用
+     */
+    uptime(serverId, now = Date.now()) {
+        const dayAgo = new Date(now - 24 * 60 * 60 * 1000).toISOString();
+        const checks = DataStore.getServerHealthChecks(serverId, { since: new Date(now - 7 * 24 * 60 * 60 * 1000).toISOString() });
+        const percent = items => (items.length ? Math.round((items.filter(check => check.ok).length / items.length) * 1000) / 10 : null);
+        return {
+            uptime24h: percent(checks.filter(check => check.checkedAt >= dayAgo)),
+            uptime7d: percent(checks),
+        };
+    }
+
+    /**
+     * 清理超过保留天数的检查记录
+     */
+    cleanup(now = Date.now()) {
+        return DataStore.cleanupServerHealthChecks(new Date(now - this.retentionDays * 24 * 60 * 60 * 1000).toISOString());
+    }
+
+    /**
+     * 开始定时检查（SERVER_HEALTH_CHECK_INTERVAL 为 0 时不检查）
+     */
+    start() {
+        if (!this.enabled || this.#timer) {
+            return;
+        }
+        this.#timer = setInterval(() => this.checkAll(), this.intervalMinutes * 60 * 1000);
+        this.#timer.unref();
+        this.checkAll();
+    }
+
+    async stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+        await this.#running;
+    }
+
+    /**
+     * 管理员面板展示的检查配置
+     */
+    describe() {
+        return {
+            enabled: this.enabled,
+            intervalMinutes: this.intervalMinutes,
+            failureThreshold: this.failureThreshold,
+            timeoutSeconds: this.timeoutMs / 1000,
+            retentionDays: this.retentionDays,
+        };
+    }
+}
@@ -0,0 +1,92 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { DATA_DIR } from './storage/index.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * 会话保险箱：对需要短暂保存在会话中的敏感值进行加密
+ * 密文包含过期时间，过期、篡改或密钥变化时一律视为无效。
+ */
+export class SessionVault {
+    constructor(secret) {
+        if (!secret) {
+            throw new Error('SessionVault 需要提供密钥');
+        }
+        this.key = crypto.createHash('sha256').update(`tavern-register:session-vault:${secret}`).digest();
+    }
+
+    /**
+     * 加密一个值
+     * @param {string} value
+     * @param {number} ttlMs - 有效期（毫秒）
+     * @returns {string}
+     */
+    seal(value, ttlMs) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const payload = JSON.stringify({ value, expiresAt: Date.now() + ttlMs });
+        const encrypted = Buffer.concat([cipher.update(payload, 'utf-8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+        return [iv, tag, encrypted].map(part => part.toString('base64url')).join('.');
+    }
+
+    /**
+     * 解密一个值
+     * @param {string} sealed
+     * @returns {string|null} 无效或已过期时返回 null
+     */
+    open(sealed) {
+        if (typeof sealed !== 'string') {
+            return null;
+        }
+
+        try {
+            const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+            const decipher = crypto.createDecipheriv(ALGORITHM, this.key, iv);
+            decipher.setAuthTag(tag);
+            const payload = JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf-8'));
+            if (!payload || payload.expiresAt < Date.now()) {
+                return null;
+            }
+            return payload.value;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// 旧版本的默认值与示例配置中公开的值，任何人都能用它们伪造会话与签名链接，不允许使用
+const PUBLIC_SESSION_SECRETS = [
+    'tavern-register-secret-change-in-production',
+    '1c3561585f573c24596d81af7dbc1c2a6e085378b9eb4a3fb4bdbd096dacf7b6',
+];
+
+/**
+ * 读取会话密钥（用于会话 Cookie、会话保险箱、密码重置与登录链接签名、邮箱验证码摘要）
+ * 环境变量 SESSION_SECRET 优先；否则读取 data/session.secret，不存在时自动生成随机密钥并保存。
+ * @param {string} [envSecret]
+ * @param {string} [secretFile]
+ * @returns {string}
+ */
+export function loadSessionSecret(envSecret = process.env.SESSION_SECRET, secretFile = path.join(DATA_DIR, 'session.secret')) {
+    const secret = String(envSecret ?? '').trim();
+    if (secret) {
+        if (PUBLIC_SESSION_SECRETS.includes(secret)) {
+            throw new Error('SESSION_SECRET 使用了公开的默认值，请改为随机的长字符串，或留空自动生成');
+        }
+        return secret;
+    }
+
+    if (!fs.existsSync(secretFile)) {
+        fs.mkdirSync(path.dirname(secretFile), { recursive: true });
+        const tempPath = `${secretFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, `${crypto.randomBytes(32).toString('hex')}\n`, { encoding: 'utf-8', mode: 0o600 });
+        fs.renameSync(tempPath, secretFile);
+        console.info(`[会话密钥] 未配置 SESSION_SECRET，已生成密钥文件 ${secretFile}，请妥善备份`);
+    }
+    return fs.readFileSync(secretFile, 'utf-8').trim();
+}
@@ -0,0 +1,54 @@
+import crypto from 'node:crypto';
+
+/**
+ * 计算签名；purpose 参与签名，不同用途的令牌不能互相冒用
+ */
+function sign(secret, purpose, encodedPayload) {
+    return crypto.createHmac('sha256', `tavern-register:signed-token:${secret}`)
+        .update(`${purpose}.${encodedPayload}`)
+        .digest('base64url');
+}
+
+/**
+ * 创建带过期时间的签名令牌（适合放在邮件链接中）
+ * @param {string} secret - 签名密钥
+ * @param {string} purpose - 令牌用途，例如 password-reset
+ * @param {object} data - 需要携带的数据（明文可见，不要放入敏感信息）
+ * @param {number} ttlMs - 有效期（毫秒）
+ * @returns {string}
+ */
+export function createSignedToken(secret, purpose, data, ttlMs) {
+    const payload = Buffer.from(JSON.stringify({ ...data, exp: Date.now() + ttlMs }), 'utf-8').toString('base64url');
+    return `${payload}.${sign(secret, purpose, payload)}`;
+}
+
+/**
+ * 校验签名令牌
+ * @returns {object|null} 令牌携带的数据；签名错误、格式错误或已过期时返回 null
+ */
+export function verifySignedToken(secret, purpose, token) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(secret, purpose, payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        if (!data || typeof data.exp !== 'number' || data.exp < Date.now()) {
+            return null;
+        }
+        return data;
+    } catch (error) {
+        return null;
+    }
+}
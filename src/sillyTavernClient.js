@@ -75,6 +75,27 @@ export class SillyTavernClient {
         }
     }
 
+    /**
+     * 无需登录的轻量探测：请求首页，服务器有响应且不是 5xx 即视为在线（开启了访问认证返回 401 也算在线）
+     * @returns {Promise<{ success: boolean, status?: number, message?: string }>}
+     */
+    async probe({ timeoutMs = 10000 } = {}) {
+        try {
+            const response = await fetch(`${this.baseUrl}/`, {
+                method: 'HEAD',
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            if (response.status >= 500) {
+                return { success: false, status: response.status, message: `服务器返回 ${response.status}` };
+            }
+            return { success: true, status: response.status };
+        } catch (error) {
+            const timedOut = error?.name === 'AbortError' || error?.name === 'TimeoutError';
+            return { success: false, message: timedOut ? `连接超时（${Math.round(timeoutMs / 1000)} 秒）` : error.message };
+        }
+    }
+
     async registerUser({ handle, name, password, email, makeAdmin = false }) {
         if (!handle || !name) {
             throw new Error('用户标识和显示名称均为必填项');
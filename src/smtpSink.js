@@ -0,0 +1,172 @@
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+
+const MAX_MESSAGE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * 进程内 SMTP 收件箱（只用于离线测试邮件流程）
+ *
+ * 只监听本机地址，接受任意发件人与收件人，不需要认证也不支持 TLS；
+ * 收到的每封邮件原样保存为 .eml 文件，可以直接用邮件客户端打开。
+ */
+export class SmtpSink {
+    #server = null;
+    #sequence = 0;
+
+    /**
+     * @param {{ host?: string, port?: number, dir: string }} options - port 为 0 时由系统分配
+     */
+    constructor({ host = '127.0.0.1', port = 2525, dir }) {
+        this.host = host;
+        this.port = port;
+        this.dir = dir;
+    }
+
+    /**
+     * 开始监听，返回实际监听的端口
+     */
+    start() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        return new Promise((resolve, reject) => {
+            const server = net.createServer(socket => this.#handleConnection(socket));
+            server.once('error', reject);
+            server.listen(this.port, this.host, () => {
+                server.off('error', reject);
+                this.#server = server;
+                this.port = server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.#server) {
+                resolve();
+                return;
+            }
+            this.#server.close(() => resolve());
+            this.#server = null;
+        });
+    }
+
+    #save(envelope, lines) {
+        this.#sequence += 1;
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-sink-${this.#sequence}.eml`;
+        const filePath = path.join(this.dir, fileName);
+        const headers = [
+            `X-Sink-Mail-From: <${envelope.from}>`,
+            `X-Sink-Rcpt-To: ${envelope.to.map(address => `<${address}>`).join(', ')}`,
+        ];
+        fs.writeFileSync(filePath, `${[...headers, ...lines].join('\r\n')}\r\n`, 'utf-8');
+        return fileName;
+    }
+
+    #handleConnection(socket) {
+        let buffer = '';
+        let envelope = { from: '', to: [] };
+        let dataLines = null;
+        let dataSize = 0;
+
+        const reply = (text) => socket.write(`${text}\r\n`);
+
+        const handleCommand = (line) => {
+            const [verb] = line.split(' ', 1);
+            const argument = line.slice(verb.length).trim();
+            switch (verb.toUpperCase()) {
+                case 'EHLO':
+                    reply('250-localhost');
+                    reply('250-8BITMIME');
+                    reply('250-SMTPUTF8');
+                    reply(`250 SIZE ${MAX_MESSAGE_SIZE}`);
+                    break;
+                case 'HELO':
+                    reply('250 localhost');
+                    break;
+                case 'MAIL':
+                    envelope = { from: (argument.match(/<([^>]*)>/) || [])[1] ?? '', to: [] };
+                    reply('250 OK');
+                    break;
+                case 'RCPT': {
+                    const address = (argument.match(/<([^>]*)>/) || [])[1];
+                    if (!address) {
+                        reply('501 Invalid recipient address');
+                        break;
+                    }
+                    envelope.to.push(address);
+                    reply('250 OK');
+                    break;
+                }
+                case 'DATA':
+                    if (!envelope.to.length) {
+                        reply('503 Need RCPT command first');
+                        break;
+                    }
+                    dataLines = [];
+                    dataSize = 0;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                    break;
+                case 'RSET':
+                    envelope = { from: '', to: [] };
+                    reply('250 OK');
+                    break;
+                case 'NOOP':
+                    reply('250 OK');
+                    break;
+                case 'QUIT':
+                    reply('221 Bye');
+                    socket.end();
+                    break;
+                default:
+                    reply('502 Command not implemented');
+            }
+        };
+
+        const handleDataLine = (line) => {
+            if (line !== '.') {
+                dataSize += line.length + 2;
+                // 超出大小时继续读取直到结束符，但不再保存内容
+                if (dataSize <= MAX_MESSAGE_SIZE) {
+                    dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                return;
+            }
+            if (dataSize > MAX_MESSAGE_SIZE) {
+                reply('552 Message size exceeds limit');
+            } else {
+                try {
+                    const fileName = this.#save(envelope, dataLines);
+                    reply(`250 OK queued as ${fileName}`);
+                } catch (error) {
+                    console.error('[SMTP 收件箱] 保存邮件失败:', error.message);
+                    reply('451 Failed to store message');
+                }
+            }
+            dataLines = null;
+            envelope = { from: '', to: [] };
+        };
+
+        socket.setEncoding('utf-8');
+        socket.setTimeout(60 * 1000, () => socket.destroy());
+        socket.on('error', () => {});
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index = buffer.indexOf('\r\n');
+            while (index !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (dataLines) {
+                    handleDataLine(line);
+                } else {
+                    handleCommand(line);
+                }
+                index = buffer.indexOf('\r\n');
+            }
+            if (!dataLines && buffer.length > 4096) {
+                socket.destroy();
+            }
+        });
+        reply('220 localhost TavernRegister SMTP sink');
+    }
+}
@@ -0,0 +1,77 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { JsonStorageAdapter } from './jsonAdapter.js';
+import { SqliteStorageAdapter } from './sqliteAdapter.js';
+import { importJsonData, hasJsonData, archiveJsonData } from './migrateJson.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = path.join(__dirname, '../../data');
+
+export const STORAGE_BACKENDS = ['sqlite', 'json'];
+
+/**
+ * 解析 SQLite 数据库文件路径
+ */
+export function resolveSqlitePath(config = {}) {
+    return config.sqlitePath || path.join(config.dataDir || DATA_DIR, 'tavern-register.db');
+}
+
+/**
+ * 根据配置创建存储适配器
+ *
+ * 适配器需要实现以下同步方法（DataStore 只通过这些方法访问数据）：
+ * - 用户：listUsers / getUserByHandle / getUserByEmail / getUsersByEmailDomain / getUsersByIp / getUsersByServerId /
+ *   countUsersByServer / insertUser / updateUser / deleteUser
+ * - 服务器：listServers / getServerById / insertServer / updateServer / deleteServer
+ * - 邀请码：listInviteCodes / getInviteCode / insertInviteCode / updateInviteCode / deleteInviteCode
+ * - 第三方登录身份：listIdentities / listIdentitiesByUser / getIdentity / insertIdentity / deleteIdentity /
+ *   deleteIdentitiesByUser
+ * - 第三方登录提供商：listOAuthProviders / getOAuthProvider / insertOAuthProvider / updateOAuthProvider /
+ *   deleteOAuthProvider
+ * - 管理员账号：listAdmins / getAdmin / insertAdmin / updateAdmin / deleteAdmin
+ * - IP 允许 / 禁止名单：listIpRules / getIpRule / insertIpRule / deleteIpRule
+ * - 邮箱域名允许 / 禁止名单：listEmailDomainRules / getEmailDomainRule / insertEmailDomainRule / deleteEmailDomainRule
+ * - 邮箱验证码（按邮箱覆盖保存）：getVerificationCode / saveVerificationCode / deleteVerificationCode /
+ *   deleteExpiredVerificationCodes(now)
+ * - 邮件发送队列：insertMail / getMail / updateMail / deleteMail / claimDueMails(now, limit, leaseUntil) /
+ *   queryMails(filters, { offset, limit }) / countMailsByStatus / deleteSentMailsBefore(time)
+ * - 服务器健康检查记录：insertServerHealthCheck / listServerHealthChecks(serverId, { since, limit }) /
+ *   deleteServerHealthChecksBefore(time)
+ * - 审计日志（只追加）：insertAuditEvent / queryAuditEvents(filters, { offset, limit }) / iterateAuditEvents(filters)
+ * - 其他：transaction(fn) / close()
+ *
+ * @param {{storageBackend?: string, sqlitePath?: string, dataDir?: string}} config
+ */
+export function createStorageAdapter(config = {}) {
+    const dataDir = config.dataDir || DATA_DIR;
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    const backend = config.storageBackend || 'sqlite';
+    if (backend === 'json') {
+        return new JsonStorageAdapter({ dataDir });
+    }
+
+    if (backend !== 'sqlite') {
+        throw new Error(`不支持的存储后端: ${backend}（可选：${STORAGE_BACKENDS.join(' / ')}）`);
+    }
+
+    const adapter = new SqliteStorageAdapter({ filePath: resolveSqlitePath(config) });
+
+    // 首次启用 SQLite 时自动导入旧版 JSON 数据，只执行一次；导入后归档 JSON 文件（旧版本导入后留下的文件同样归档）
+    if (hasJsonData(dataDir)) {
+        if (!adapter.getMeta('json_imported_at')) {
+            const summary = importJsonData(adapter, dataDir);
+            console.info(`[存储迁移] 已从 JSON 文件导入：用户 ${summary.users}，服务器 ${summary.servers}，邀请码 ${summary.inviteCodes}，第三方身份 ${summary.identities}，登录提供商 ${summary.oauthProviders}，管理员 ${summary.admins}，审计日志 ${summary.auditEvents}，跳过 ${summary.skipped}`);
+        }
+        const archived = archiveJsonData(dataDir);
+        console.warn(`[存储迁移] 已将 ${archived.join('、')} 归档为 *.imported，并清除其中的明文密码与服务器凭据；确认数据无误后可删除这些文件`);
+    }
+
+    return adapter;
+}
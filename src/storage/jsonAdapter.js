@@ -0,0 +1,732 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * 数据文件的备份路径（保存最近一次成功写入的内容）
+ */
+function backupPathOf(filePath) {
+    return `${filePath}.bak`;
+}
+
+/**
+ * 原子写入文件：先写入同目录临时文件并落盘，再通过 rename 替换目标文件
+ */
+function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    let fd = null;
+    try {
+        fd = fs.openSync(tempPath, 'w');
+        fs.writeSync(fd, content, null, 'utf-8');
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * 从备份恢复损坏的数据文件，损坏的原文件另存以便排查
+ */
+function recoverFromBackup(filePath, parseError) {
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.copyFileSync(filePath, corruptPath);
+    console.error(`数据文件解析失败 ${filePath}，已另存为 ${corruptPath}:`, parseError.message);
+
+    const backupPath = backupPathOf(filePath);
+    if (!fs.existsSync(backupPath)) {
+        throw new Error(`数据文件 ${path.basename(filePath)} 已损坏且没有可用备份，请手动修复后重启`);
+    }
+
+    const backupContent = fs.readFileSync(backupPath, 'utf-8');
+    let data;
+    try {
+        data = JSON.parse(backupContent);
+    } catch (backupError) {
+        throw new Error(`数据文件 ${path.basename(filePath)} 及其备份均已损坏，请手动修复后重启`);
+    }
+
+    writeFileAtomic(filePath, backupContent);
+    console.warn(`已从备份 ${backupPath} 恢复 ${filePath}`);
+    return data;
+}
+
+/**
+ * 读取 JSON 文件
+ * 解析失败时从最近的备份恢复；无法恢复时抛出错误，避免后续写入覆盖现有数据。
+ */
+function readJsonFile(filePath, defaultValue = []) {
+    if (!fs.existsSync(filePath)) {
+        return defaultValue;
+    }
+    const content = fs.readFileSync(filePath, 'utf-8');
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        return recoverFromBackup(filePath, error);
+    }
+}
+
+/**
+ * 写入 JSON 文件
+ * 同一份内容会先原子写入 .bak，作为数据文件损坏时的恢复来源。
+ */
+function writeJsonFile(filePath, data) {
+    const content = JSON.stringify(data, null, 2);
+    try {
+        writeFileAtomic(backupPathOf(filePath), content);
+        writeFileAtomic(filePath, content);
+    } catch (error) {
+        console.error(`写入文件失败 ${filePath}:`, error);
+        throw new Error(`写入数据文件失败: ${path.basename(filePath)}`);
+    }
+}
+
+/**
+ * 审计事件是否满足筛选条件（与 SQLite 适配器的筛选语义一致）
+ */
+function matchesAuditFilters(event, filters = {}) {
+    if (filters.action && event.action !== filters.action && !String(event.action).startsWith(`${filters.action}.`)) return false;
+    if (filters.actor && event.actor !== filters.actor) return false;
+    if (filters.target && event.target !== filters.target) return false;
+    if (filters.result && event.result !== filters.result) return false;
+    if (filters.from && event.createdAt < filters.from) return false;
+    if (filters.to && event.createdAt > filters.to) return false;
+    if (filters.q && !JSON.stringify(event).includes(filters.q)) return false;
+    return true;
+}
+
+/**
+ * JSON 文件存储适配器（旧版默认存储，每次操作读写整个文件）
+ *
+ * 所有读-改-写操作都在 transaction 中执行：事务持有进程内互斥锁，
+ * 期间的修改只作用于内存中的工作副本，全部成功后才逐个原子写回文件，出错则整体放弃。
+ */
+export class JsonStorageAdapter {
+    #lockDepth = 0;
+    #working = null;
+    #dirty = null;
+
+    constructor({ dataDir }) {
+        this.usersFile = path.join(dataDir, 'users.json');
+        this.serversFile = path.join(dataDir, 'servers.json');
+        this.inviteCodesFile = path.join(dataDir, 'invite-codes.json');
+        this.identitiesFile = path.join(dataDir, 'oauth-identities.json');
+        this.oauthProvidersFile = path.join(dataDir, 'oauth-providers.json');
+        this.adminsFile = path.join(dataDir, 'admins.json');
+        this.ipRulesFile = path.join(dataDir, 'ip-rules.json');
+        this.emailDomainRulesFile = path.join(dataDir, 'email-domain-rules.json');
+        this.verificationCodesFile = path.join(dataDir, 'verification-codes.json');
+        this.mailQueueFile = path.join(dataDir, 'mail-queue.json');
+        this.serverHealthFile = path.join(dataDir, 'server-health-checks.json');
+        // 审计日志按行追加（JSON Lines），不参与事务与 .bak 备份
+        this.auditLogFile = path.join(dataDir, 'audit-log.jsonl');
+        // 自增 ID 序列，保证删除记录后 ID 也不会重复
+        this.sequencesFile = path.join(dataDir, 'sequences.json');
+    }
+
+    transaction(fn) {
+        // 同一调用链中的嵌套事务并入外层事务
+        if (this.#lockDepth > 0) {
+            this.#lockDepth += 1;
+            try {
+                return fn();
+            } finally {
+                this.#lockDepth -= 1;
+            }
+        }
+
+        this.#lockDepth = 1;
+        this.#working = new Map();
+        this.#dirty = new Set();
+        try {
+            const result = fn();
+            if (result instanceof Promise) {
+                throw new Error('JSON 存储事务只支持同步函数');
+            }
+            // 序列文件优先写入：即使中途崩溃，也只会跳过 ID 而不会重复
+            const dirtyFiles = [...this.#dirty].sort((a, b) => (b === this.sequencesFile) - (a === this.sequencesFile));
+            for (const filePath of dirtyFiles) {
+                writeJsonFile(filePath, this.#working.get(filePath));
+            }
+            return result;
+        } finally {
+            this.#lockDepth = 0;
+            this.#working = null;
+            this.#dirty = null;
+        }
+    }
+
+    close() {}
+
+    #read(filePath, defaultValue = []) {
+        if (!this.#working) {
+            return readJsonFile(filePath, defaultValue);
+        }
+        if (!this.#working.has(filePath)) {
+            this.#working.set(filePath, readJsonFile(filePath, defaultValue));
+        }
+        return this.#working.get(filePath);
+    }
+
+    #write(filePath, data) {
+        if (!this.#working) {
+            this.transaction(() => this.#write(filePath, data));
+            return;
+        }
+        this.#working.set(filePath, data);
+        this.#dirty.add(filePath);
+    }
+
+    #nextId(sequenceName, records) {
+        const sequences = this.#read(this.sequencesFile, {});
+        // 兼容旧数据：序列文件不存在时从现有最大 ID 继续
+        const maxExisting = records.reduce((max, record) => Math.max(max, Number(record.id) || 0), 0);
+        const nextId = Math.max(Number(sequences[sequenceName]) || 0, maxExisting) + 1;
+        this.#write(this.sequencesFile, { ...sequences, [sequenceName]: nextId });
+        return nextId;
+    }
+
+    // ==================== 用户 ====================
+
+    listUsers() {
+        return this.#read(this.usersFile);
+    }
+
+    getUserByHandle(handle) {
+        return this.listUsers().find(u => u.handle === handle) || null;
+    }
+
+    getUserByEmail(normalizedEmail) {
+        return this.listUsers().find(u => u.email && u.email.toLowerCase().trim() === normalizedEmail) || null;
+    }
+
+    getUsersByEmailDomain(domain) {
+        return this.listUsers().filter(u => u.email && u.email.toLowerCase().trim().endsWith(`@${domain}`));
+    }
+
+    getUsersByIp(ip) {
+        return this.listUsers().filter(u => u.ip === ip);
+    }
+
+    getUsersByServerId(serverId) {
+        const targetId = Number(serverId);
+        return this.listUsers().filter(u => u.serverId != null && Number(u.serverId) === targetId);
+    }
+
+    countUsersByServer() {
+        const counts = new Map();
+        for (const user of this.listUsers()) {
+            if (user.serverId == null) continue;
+            const serverId = Number(user.serverId);
+            counts.set(serverId, (counts.get(serverId) || 0) + 1);
+        }
+        return counts;
+    }
+
+    insertUser(record) {
+        return this.transaction(() => {
+            const users = this.listUsers();
+            if (users.some(u => u.handle === record.handle)) {
+                throw new Error(`用户已存在: ${record.handle}`);
+            }
+            const newUser = { ...record, id: this.#nextId('users', users) };
+            this.#write(this.usersFile, [...users, newUser]);
+            return newUser;
+        });
+    }
+
+    updateUser(handle, updates) {
+        return this.transaction(() => {
+            const users = this.listUsers();
+            const userIndex = users.findIndex(u => u.handle === handle);
+            if (userIndex === -1) return null;
+
+            const updated = { ...users[userIndex], ...updates };
+            this.#write(this.usersFile, users.map((u, i) => (i === userIndex ? updated : u)));
+            return updated;
+        });
+    }
+
+    deleteUser(handle) {
+        return this.transaction(() => {
+            const users = this.listUsers();
+            const filtered = users.filter(u => u.handle !== handle);
+            if (filtered.length === users.length) return false;
+
+            this.#write(this.usersFile, filtered);
+            return true;
+        });
+    }
+
+    // ==================== 服务器 ====================
+
+    listServers() {
+        return this.#read(this.serversFile);
+    }
+
+    getServerById(id) {
+        const targetId = Number(id);
+        return this.listServers().find(s => Number(s.id) === targetId) || null;
+    }
+
+    insertServer(record) {
+        return this.transaction(() => {
+            const servers = this.listServers();
+            const newServer = { ...record, id: this.#nextId('servers', servers) };
+            this.#write(this.serversFile, [...servers, newServer]);
+            return newServer;
+        });
+    }
+
+    updateServer(id, updates) {
+        return this.transaction(() => {
+            const servers = this.listServers();
+            const targetId = Number(id);
+            const index = servers.findIndex(s => Number(s.id) === targetId);
+            if (index === -1) return null;
+
+            const updated = { ...servers[index], ...updates };
+            this.#write(this.serversFile, servers.map((s, i) => (i === index ? updated : s)));
+            return updated;
+        });
+    }
+
+    deleteServer(id) {
+        return this.transaction(() => {
+            const servers = this.listServers();
+            const targetId = Number(id);
+            const filtered = servers.filter(s => Number(s.id) !== targetId);
+            if (filtered.length === servers.length) return false;
+
+            this.#write(this.serversFile, filtered);
+            return true;
+        });
+    }
+
+    // ==================== 邀请码 ====================
+
+    listInviteCodes() {
+        return this.#read(this.inviteCodesFile);
+    }
+
+    getInviteCode(code) {
+        return this.listInviteCodes().find(c => c.code === code) || null;
+    }
+
+    insertInviteCode(record) {
+        return this.transaction(() => {
+            this.#write(this.inviteCodesFile, [...this.listInviteCodes(), record]);
+            return record;
+        });
+    }
+
+    updateInviteCode(code, updates) {
+        return this.transaction(() => {
+            const codes = this.listInviteCodes();
+            const index = codes.findIndex(c => c.code === code);
+            if (index === -1) return null;
+
+            const updated = { ...codes[index], ...updates };
+            this.#write(this.inviteCodesFile, codes.map((c, i) => (i === index ? updated : c)));
+            return updated;
+        });
+    }
+
+    deleteInviteCode(code) {
+        return this.transaction(() => {
+            const codes = this.listInviteCodes();
+            const filtered = codes.filter(c => c.code !== code);
+            if (filtered.length === codes.length) return false;
+
+            this.#write(this.inviteCodesFile, filtered);
+            return true;
+        });
+    }
+
+    // ==================== 第三方登录身份 ====================
+
+    listIdentities() {
+        return this.#read(this.identitiesFile);
+    }
+
+    listIdentitiesByUser(handle) {
+        return this.listIdentities().filter(i => i.userHandle === handle);
+    }
+
+    getIdentity(provider, providerUserId) {
+        const targetId = String(providerUserId);
+        return this.listIdentities().find(i => i.provider === provider && String(i.providerUserId) === targetId) || null;
+    }
+
+    insertIdentity(record) {
+        return this.transaction(() => {
+            if (this.getIdentity(record.provider, record.providerUserId)) {
+                throw new Error(`第三方身份已被绑定: ${record.provider}`);
+            }
+            this.#write(this.identitiesFile, [...this.listIdentities(), record]);
+            return record;
+        });
+    }
+
+    deleteIdentity(provider, providerUserId) {
+        return this.transaction(() => {
+            const identities = this.listIdentities();
+            const targetId = String(providerUserId);
+            const filtered = identities.filter(i => !(i.provider === provider && String(i.providerUserId) === targetId));
+            if (filtered.length === identities.length) return false;
+
+            this.#write(this.identitiesFile, filtered);
+            return true;
+        });
+    }
+
+    deleteIdentitiesByUser(handle) {
+        return this.transaction(() => {
+            const identities = this.listIdentities();
+            const filtered = identities.filter(i => i.userHandle !== handle);
+            if (filtered.length !== identities.length) {
+                this.#write(this.identitiesFile, filtered);
+            }
+            return identities.length - filtered.length;
+        });
+    }
+
+    // ==================== 第三方登录提供商 ====================
+
+    listOAuthProviders() {
+        return this.#read(this.oauthProvidersFile);
+    }
+
+    getOAuthProvider(id) {
+        return this.listOAuthProviders().find(p => p.id === id) || null;
+    }
+
+    insertOAuthProvider(record) {
+        return this.transaction(() => {
+            if (this.getOAuthProvider(record.id)) {
+                throw new Error(`登录提供商已存在: ${record.id}`);
+            }
+            this.#write(this.oauthProvidersFile, [...this.listOAuthProviders(), record]);
+            return record;
+        });
+    }
+
+    updateOAuthProvider(id, updates) {
+        return this.transaction(() => {
+            const providers = this.listOAuthProviders();
+            const index = providers.findIndex(p => p.id === id);
+            if (index === -1) return null;
+
+            const updated = { ...providers[index], ...updates, id: providers[index].id };
+            this.#write(this.oauthProvidersFile, providers.map((p, i) => (i === index ? updated : p)));
+            return updated;
+        });
+    }
+
+    deleteOAuthProvider(id) {
+        return this.transaction(() => {
+            const providers = this.listOAuthProviders();
+            const filtered = providers.filter(p => p.id !== id);
+            if (filtered.length === providers.length) return false;
+
+            this.#write(this.oauthProvidersFile, filtered);
+            return true;
+        });
+    }
+
+    // ==================== 管理员账号 ====================
+
+    listAdmins() {
+        return this.#read(this.adminsFile);
+    }
+
+    getAdmin(username) {
+        return this.listAdmins().find(a => a.username === username) || null;
+    }
+
+    insertAdmin(record) {
+        return this.transaction(() => {
+            if (this.getAdmin(record.username)) {
+                throw new Error(`管理员已存在: ${record.username}`);
+            }
+            this.#write(this.adminsFile, [...this.listAdmins(), record]);
+            return record;
+        });
+    }
+
+    updateAdmin(username, updates) {
+        return this.transaction(() => {
+            const admins = this.listAdmins();
+            const index = admins.findIndex(a => a.username === username);
+            if (index === -1) return null;
+
+            const updated = { ...admins[index], ...updates, username: admins[index].username };
+            this.#write(this.adminsFile, admins.map((a, i) => (i === index ? updated : a)));
+            return updated;
+        });
+    }
+
+    deleteAdmin(username) {
+        return this.transaction(() => {
+            const admins = this.listAdmins();
+            const filtered = admins.filter(a => a.username !== username);
+            if (filtered.length === admins.length) return false;
+
+            this.#write(this.adminsFile, filtered);
+            return true;
+        });
+    }
+
+    // ==================== IP 允许 / 禁止名单 ====================
+
+    listIpRules() {
+        return this.#read(this.ipRulesFile);
+    }
+
+    getIpRule(cidr) {
+        return this.listIpRules().find(r => r.cidr === cidr) || null;
+    }
+
+    insertIpRule(record) {
+        return this.transaction(() => {
+            if (this.getIpRule(record.cidr)) {
+                throw new Error(`IP 规则已存在: ${record.cidr}`);
+            }
+            this.#write(this.ipRulesFile, [...this.listIpRules(), record]);
+            return record;
+        });
+    }
+
+    deleteIpRule(cidr) {
+        return this.transaction(() => {
+            const rules = this.listIpRules();
+            const filtered = rules.filter(r => r.cidr !== cidr);
+            if (filtered.length === rules.length) return false;
+
+            this.#write(this.ipRulesFile, filtered);
+            return true;
+        });
+    }
+
+    // ==================== 邮箱域名名单 ====================
+
+    listEmailDomainRules() {
+        return this.#read(this.emailDomainRulesFile);
+    }
+
+    getEmailDomainRule(domain) {
+        return this.listEmailDomainRules().find(r => r.domain === domain) || null;
+    }
+
+    insertEmailDomainRule(record) {
+        return this.transaction(() => {
+            if (this.getEmailDomainRule(record.domain)) {
+                throw new Error(`邮箱域名规则已存在: ${record.domain}`);
+            }
+            this.#write(this.emailDomainRulesFile, [...this.listEmailDomainRules(), record]);
+            return record;
+        });
+    }
+
+    deleteEmailDomainRule(domain) {
+        return this.transaction(() => {
+            const rules = this.listEmailDomainRules();
+            const filtered = rules.filter(r => r.domain !== domain);
+            if (filtered.length === rules.length) return false;
+
+            this.#write(this.emailDomainRulesFile, filtered);
+            return true;
+        });
+    }
+
+    // ==================== 邮箱验证码 ====================
+
+    getVerificationCode(email) {
+        return this.#read(this.verificationCodesFile).find(r => r.email === email) || null;
+    }
+
+    saveVerificationCode(record) {
+        return this.transaction(() => {
+            const records = this.#read(this.verificationCodesFile).filter(r => r.email !== record.email);
+            this.#write(this.verificationCodesFile, [...records, record]);
+            return record;
+        });
+    }
+
+    deleteVerificationCode(email) {
+        return this.transaction(() => {
+            const records = this.#read(this.verificationCodesFile);
+            const filtered = records.filter(r => r.email !== email);
+            if (filtered.length === records.length) return false;
+
+            this.#write(this.verificationCodesFile, filtered);
+            return true;
+        });
+    }
+
+    deleteExpiredVerificationCodes(now) {
+        return this.transaction(() => {
+            const records = this.#read(this.verificationCodesFile);
+            const filtered = records.filter(r => r.expiresAt >= now);
+            if (filtered.length !== records.length) {
+                this.#write(this.verificationCodesFile, filtered);
+            }
+            return records.length - filtered.length;
+        });
+    }
+
+    // ==================== 邮件发送队列 ====================
+
+    insertMail(record) {
+        return this.transaction(() => {
+            const mails = this.#read(this.mailQueueFile);
+            const mail = { ...record, id: this.#nextId('mailQueue', mails) };
+            this.#write(this.mailQueueFile, [...mails, mail]);
+            return mail;
+        });
+    }
+
+    getMail(id) {
+        const targetId = Number(id);
+        return this.#read(this.mailQueueFile).find(m => m.id === targetId) || null;
+    }
+
+    updateMail(id, updates) {
+        return this.transaction(() => {
+            const targetId = Number(id);
+            const mails = this.#read(this.mailQueueFile);
+            const index = mails.findIndex(m => m.id === targetId);
+            if (index === -1) return null;
+
+            const updated = { ...mails[index], ...updates, id: targetId };
+            this.#write(this.mailQueueFile, mails.map((m, i) => (i === index ? updated : m)));
+            return updated;
+        });
+    }
+
+    deleteMail(id) {
+        return this.transaction(() => {
+            const targetId = Number(id);
+            const mails = this.#read(this.mailQueueFile);
+            const filtered = mails.filter(m => m.id !== targetId);
+            if (filtered.length === mails.length) return false;
+
+            this.#write(this.mailQueueFile, filtered);
+            return true;
+        });
+    }
+
+    claimDueMails(now, limit, leaseUntil) {
+        return this.transaction(() => {
+            const mails = this.#read(this.mailQueueFile);
+            const due = mails
+                .filter(m => (m.status === 'pending' || m.status === 'sending') && m.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt || a.id - b.id)
+                .slice(0, limit);
+            if (!due.length) return [];
+
+            const claimedIds = new Set(due.map(m => m.id));
+            const updated = mails.map(m => (claimedIds.has(m.id) ? { ...m, status: 'sending', nextAttemptAt: leaseUntil } : m));
+            this.#write(this.mailQueueFile, updated);
+            return updated.filter(m => claimedIds.has(m.id));
+        });
+    }
+
+    queryMails(filters = {}, { offset = 0, limit = 50 } = {}) {
+        const matched = this.#read(this.mailQueueFile)
+            .filter(m => !filters.status || m.status === filters.status)
+            .reverse();
+        return { mails: matched.slice(offset, offset + limit), total: matched.length };
+    }
+
+    countMailsByStatus() {
+        const counts = {};
+        for (const mail of this.#read(this.mailQueueFile)) {
+            counts[mail.status] = (counts[mail.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    deleteSentMailsBefore(time) {
+        return this.transaction(() => {
+            const mails = this.#read(this.mailQueueFile);
+            const filtered = mails.filter(m => !(m.status === 'sent' && m.updatedAt < time));
+            if (filtered.length !== mails.length) {
+                this.#write(this.mailQueueFile, filtered);
+            }
+            return mails.length - filtered.length;
+        });
+    }
+
+    // ==================== 服务器健康检查记录 ====================
+
+    insertServerHealthCheck(record) {
+        return this.transaction(() => {
+            const checks = this.#read(this.serverHealthFile);
+            const check = { ...record, id: this.#nextId('serverHealthChecks', checks) };
+            this.#write(this.serverHealthFile, [...checks, check]);
+            return check;
+        });
+    }
+
+    listServerHealthChecks(serverId, { since = '', limit = -1 } = {}) {
+        const targetId = Number(serverId);
+        const matched = this.#read(this.serverHealthFile)
+            .filter(c => Number(c.serverId) === targetId && (!since || c.checkedAt >= since))
+            .sort((a, b) => b.checkedAt.localeCompare(a.checkedAt) || b.id - a.id);
+        return limit > 0 ? matched.slice(0, limit) : matched;
+    }
+
+    deleteServerHealthChecksBefore(time) {
+        return this.transaction(() => {
+            const checks = this.#read(this.serverHealthFile);
+            const filtered = checks.filter(c => c.checkedAt >= time);
+            if (filtered.length !== checks.length) {
+                this.#write(this.serverHealthFile, filtered);
+            }
+            return checks.length - filtered.length;
+        });
+    }
+
+    // ==================== 审计日志 ====================
+
+    *#readAuditLines() {
+        if (!fs.existsSync(this.auditLogFile)) {
+            return;
+        }
+        for (const line of fs.readFileSync(this.auditLogFile, 'utf-8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                // 进程在写入途中退出可能留下半行，跳过即可
+            }
+        }
+    }
+
+    insertAuditEvent(record) {
+        const id = this.transaction(() => this.#nextId('auditLog', []));
+        const event = { ...record, id };
+        fs.appendFileSync(this.auditLogFile, `${JSON.stringify(event)}\n`, 'utf-8');
+        return event;
+    }
+
+    queryAuditEvents(filters = {}, { offset = 0, limit = 50 } = {}) {
+        const matched = [...this.#readAuditLines()].filter(event => matchesAuditFilters(event, filters)).reverse();
+        return { events: matched.slice(offset, offset + limit), total: matched.length };
+    }
+
+    *iterateAuditEvents(filters = {}) {
+        for (const event of this.#readAuditLines()) {
+            if (matchesAuditFilters(event, filters)) {
+                yield event;
+            }
+        }
+    }
+}
@@ -0,0 +1,185 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { JsonStorageAdapter } from './jsonAdapter.js';
+
+const JSON_FILES = ['users.json', 'servers.json', 'invite-codes.json', 'oauth-identities.json', 'oauth-providers.json', 'admins.json', 'ip-rules.json', 'email-domain-rules.json', 'audit-log.jsonl'];
+
+// 归档时从 JSON 文件中清除的明文密码与凭据（数据库中已加密或哈希保存）
+const SECRET_FIELDS = {
+    'users.json': ['password'],
+    'servers.json': ['admin_username', 'admin_password'],
+    'oauth-providers.json': ['clientSecret'],
+    'admins.json': ['totpSecret'],
+};
+
+/**
+ * 检查数据目录中是否存在旧版 JSON 数据文件
+ */
+export function hasJsonData(dataDir) {
+    return JSON_FILES.some(file => fs.existsSync(path.join(dataDir, file)));
+}
+
+/**
+ * 导入完成后归档 JSON 文件：清除其中的明文密码与凭据后另存为 `*.imported`，删除原文件及其 .bak 备份，
+ * 避免旧数据中的明文留在磁盘上，下次启动也不会再次导入
+ * @returns {string[]} 已归档的文件名
+ */
+export function archiveJsonData(dataDir) {
+    const archived = [];
+    for (const file of JSON_FILES) {
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            continue;
+        }
+
+        const secretFields = SECRET_FIELDS[file];
+        if (secretFields) {
+            const records = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            const scrubbed = records.map((record) => {
+                const copy = { ...record };
+                for (const field of secretFields) {
+                    delete copy[field];
+                }
+                return copy;
+            });
+            fs.writeFileSync(`${filePath}.imported`, JSON.stringify(scrubbed, null, 2));
+            fs.rmSync(filePath);
+        } else {
+            fs.renameSync(filePath, `${filePath}.imported`);
+        }
+        fs.rmSync(`${filePath}.bak`, { force: true });
+        archived.push(file);
+    }
+    return archived;
+}
+
+/**
+ * 将 data 目录中的 JSON 文件导入到目标适配器
+ * 已存在的用户（按 handle）、服务器（按 id）、邀请码（按 code）、第三方身份（按提供商 + 用户 ID）、登录提供商（按 id）、管理员账号（按用户名）、IP 名单（按地址段）与邮箱域名名单（按域名）会被跳过，可重复执行；
+ * 审计日志只在目标中还没有任何审计记录时导入；未使用的邮箱验证码有效期很短，不导入。
+ * JSON 文件本身保持不变，导入成功后由调用方通过 archiveJsonData 归档。
+ */
+export function importJsonData(target, dataDir) {
+    const source = new JsonStorageAdapter({ dataDir });
+    const summary = { users: 0, servers: 0, inviteCodes: 0, identities: 0, oauthProviders: 0, admins: 0, ipRules: 0, emailDomainRules: 0, auditEvents: 0, skipped: 0 };
+
+    target.transaction(() => {
+        for (const server of source.listServers()) {
+            if (server.id != null && target.getServerById(server.id)) {
+                summary.skipped += 1;
+                continue;
+            }
+            target.insertServer(server);
+            summary.servers += 1;
+        }
+
+        for (const user of source.listUsers()) {
+            if (!user.handle || target.getUserByHandle(user.handle)) {
+                summary.skipped += 1;
+                continue;
+            }
+            target.insertUser(user);
+            summary.users += 1;
+        }
+
+        for (const inviteCode of source.listInviteCodes()) {
+            if (!inviteCode.code || target.getInviteCode(inviteCode.code)) {
+                summary.skipped += 1;
+                continue;
+            }
+            target.insertInviteCode(inviteCode);
+            summary.inviteCodes += 1;
+        }
+
+        for (const identity of source.listIdentities()) {
+            if (!identity.provider || target.getIdentity(identity.provider, identity.providerUserId)) {
+                summary.skipped += 1;
+                continue;
+            }
+            target.insertIdentity(identity);
+            summary.identities += 1;
+        }
+
+        for (const provider of source.listOAuthProviders()) {
+            if (!provider.id || target.getOAuthProvider(provider.id)) {
+                summary.skipped += 1;
+                continue;
+            }
+            target.insertOAuthProvider(provider);
+            summary.oauthProviders += 1;
+        }
+
+        for (const admin of source.listAdmins()) {
+            if (!admin.username || target.getAdmin(admin.username)) {
+                summary.skipped += 1;
+                continue;
+            }
+            target.insertAdmin(admin);
+            summary.admins += 1;
+        }
+
+        for (const rule of source.listIpRules()) {
+            if (!rule.cidr || target.getIpRule(rule.cidr)) {
+                summary.skipped += 1;
+                continue;
+            }
+            target.insertIpRule(rule);
+            summary.ipRules += 1;
+        }
+
+        for (const rule of source.listEmailDomainRules()) {
+            if (!rule.domain || target.getEmailDomainRule(rule.domain)) {
+                summary.skipped += 1;
+                continue;
+            }
+            target.insertEmailDomainRule(rule);
+            summary.emailDomainRules += 1;
+        }
+
+        if (target.queryAuditEvents({}, { limit: 1 }).total === 0) {
+            for (const { id, ...event } of source.iterateAuditEvents()) {
+                target.insertAuditEvent(event);
+                summary.auditEvents += 1;
+            }
+        }
+
+        if (typeof target.setMeta === 'function') {
+            target.setMeta('json_imported_at', new Date().toISOString());
+        }
+    });
+
+    return summary;
+}
+
+// 命令行入口：npm run migrate:sqlite
+async function main() {
+    const { loadConfig } = await import('../config.js');
+    const { SqliteStorageAdapter } = await import('./sqliteAdapter.js');
+    const { resolveSqlitePath, DATA_DIR } = await import('./index.js');
+    const config = loadConfig();
+
+    if (!hasJsonData(DATA_DIR)) {
+        console.error(`未在 ${DATA_DIR} 中找到 JSON 数据文件，无需迁移`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const adapter = new SqliteStorageAdapter({ filePath: resolveSqlitePath(config) });
+    try {
+        const summary = importJsonData(adapter, DATA_DIR);
+        console.info(`迁移完成：用户 ${summary.users}，服务器 ${summary.servers}，邀请码 ${summary.inviteCodes}，第三方身份 ${summary.identities}，登录提供商 ${summary.oauthProviders}，管理员 ${summary.admins}，IP 名单 ${summary.ipRules}，邮箱域名名单 ${summary.emailDomainRules}，审计日志 ${summary.auditEvents}，跳过 ${summary.skipped}`);
+        const archived = archiveJsonData(DATA_DIR);
+        console.info(`已将 ${archived.join('、')} 归档为 *.imported（已清除明文密码与凭据）`);
+    } finally {
+        adapter.close();
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error('迁移失败:', error);
+        process.exitCode = 1;
+    });
+}
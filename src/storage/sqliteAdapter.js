@@ -0,0 +1,704 @@
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    handle TEXT NOT NULL UNIQUE,
+    email TEXT,
+    ip TEXT,
+    server_id INTEGER,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_ip ON users(ip);
+CREATE INDEX IF NOT EXISTS idx_users_server_id ON users(server_id);
+
+CREATE TABLE IF NOT EXISTS servers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS invite_codes (
+    code TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS oauth_identities (
+    provider TEXT NOT NULL,
+    provider_user_id TEXT NOT NULL,
+    user_handle TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (provider, provider_user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_oauth_identities_user ON oauth_identities(user_handle);
+
+CREATE TABLE IF NOT EXISTS oauth_providers (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS admins (
+    username TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS ip_rules (
+    cidr TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS email_domain_rules (
+    domain TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS verification_codes (
+    email TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_verification_codes_expires_at ON verification_codes(expires_at);
+
+CREATE TABLE IF NOT EXISTS mail_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT NOT NULL,
+    next_attempt_at INTEGER,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_mail_queue_status ON mail_queue(status, next_attempt_at);
+
+CREATE TABLE IF NOT EXISTS server_health_checks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    server_id INTEGER NOT NULL,
+    checked_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_server_health_checks_server ON server_health_checks(server_id, checked_at);
+CREATE INDEX IF NOT EXISTS idx_server_health_checks_checked_at ON server_health_checks(checked_at);
+
+-- 审计日志只允许追加，触发器拒绝修改与删除
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    action TEXT NOT NULL,
+    actor TEXT,
+    target TEXT,
+    result TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target);
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+`;
+
+function normalizeEmailColumn(email) {
+    return email ? String(email).toLowerCase().trim() : null;
+}
+
+function normalizeServerIdColumn(serverId) {
+    if (serverId == null || serverId === '') return null;
+    const numeric = Number(serverId);
+    return Number.isFinite(numeric) ? numeric : null;
+}
+
+function parseRow(row) {
+    return row ? JSON.parse(row.data) : null;
+}
+
+function parseIdRow(row) {
+    return row ? { ...JSON.parse(row.data), id: row.id } : null;
+}
+
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * 将审计日志筛选条件转换为 WHERE 子句
+ */
+function buildAuditWhere(filters = {}) {
+    const clauses = [];
+    const params = {};
+    if (filters.action) {
+        // 按前缀匹配分组，例如 admin.server 匹配 admin.server.update
+        clauses.push("(action = @action OR action LIKE @actionPrefix ESCAPE '\\')");
+        params.action = filters.action;
+        params.actionPrefix = `${escapeLike(filters.action)}.%`;
+    }
+    if (filters.actor) {
+        clauses.push('actor = @actor');
+        params.actor = filters.actor;
+    }
+    if (filters.target) {
+        clauses.push('target = @target');
+        params.target = filters.target;
+    }
+    if (filters.result) {
+        clauses.push('result = @result');
+        params.result = filters.result;
+    }
+    if (filters.from) {
+        clauses.push('created_at >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to) {
+        clauses.push('created_at <= @to');
+        params.to = filters.to;
+    }
+    if (filters.q) {
+        clauses.push("data LIKE @q ESCAPE '\\'");
+        params.q = `%${escapeLike(filters.q)}%`;
+    }
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * SQLite 存储适配器（默认存储）
+ * 用户的 handle / email / ip / serverId 单独建列并加索引，完整记录以 JSON 保存在 data 列中，
+ * 这样新增字段无需迁移表结构。
+ */
+export class SqliteStorageAdapter {
+    constructor({ filePath }) {
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+        this.statements = this.#prepareStatements();
+    }
+
+    #prepareStatements() {
+        const db = this.db;
+        return {
+            listUsers: db.prepare('SELECT id, data FROM users ORDER BY id'),
+            getUserByHandle: db.prepare('SELECT id, data FROM users WHERE handle = ?'),
+            getUserByEmail: db.prepare('SELECT id, data FROM users WHERE email = ? ORDER BY id LIMIT 1'),
+            getUsersByEmailDomain: db.prepare("SELECT id, data FROM users WHERE email LIKE ? ESCAPE '\\' ORDER BY id"),
+            getUsersByIp: db.prepare('SELECT id, data FROM users WHERE ip = ? ORDER BY id'),
+            getUsersByServerId: db.prepare('SELECT id, data FROM users WHERE server_id = ? ORDER BY id'),
+            countUsersByServer: db.prepare('SELECT server_id, COUNT(*) AS count FROM users WHERE server_id IS NOT NULL GROUP BY server_id'),
+            userIdExists: db.prepare('SELECT 1 FROM users WHERE id = ?'),
+            insertUser: db.prepare('INSERT INTO users (id, handle, email, ip, server_id, data) VALUES (@id, @handle, @email, @ip, @serverId, @data)'),
+            updateUser: db.prepare('UPDATE users SET handle = @handle, email = @email, ip = @ip, server_id = @serverId, data = @data WHERE id = @id'),
+            deleteUser: db.prepare('DELETE FROM users WHERE handle = ?'),
+
+            listServers: db.prepare('SELECT id, data FROM servers ORDER BY id'),
+            getServerById: db.prepare('SELECT id, data FROM servers WHERE id = ?'),
+            serverIdExists: db.prepare('SELECT 1 FROM servers WHERE id = ?'),
+            insertServer: db.prepare('INSERT INTO servers (id, data) VALUES (?, ?)'),
+            updateServerData: db.prepare('UPDATE servers SET data = ? WHERE id = ?'),
+            deleteServer: db.prepare('DELETE FROM servers WHERE id = ?'),
+
+            listInviteCodes: db.prepare('SELECT data FROM invite_codes ORDER BY rowid'),
+            getInviteCode: db.prepare('SELECT data FROM invite_codes WHERE code = ?'),
+            insertInviteCode: db.prepare('INSERT INTO invite_codes (code, data) VALUES (?, ?)'),
+            updateInviteCode: db.prepare('UPDATE invite_codes SET data = ? WHERE code = ?'),
+            deleteInviteCode: db.prepare('DELETE FROM invite_codes WHERE code = ?'),
+
+            listIdentities: db.prepare('SELECT data FROM oauth_identities ORDER BY rowid'),
+            listIdentitiesByUser: db.prepare('SELECT data FROM oauth_identities WHERE user_handle = ? ORDER BY rowid'),
+            getIdentity: db.prepare('SELECT data FROM oauth_identities WHERE provider = ? AND provider_user_id = ?'),
+            insertIdentity: db.prepare('INSERT INTO oauth_identities (provider, provider_user_id, user_handle, data) VALUES (?, ?, ?, ?)'),
+            deleteIdentity: db.prepare('DELETE FROM oauth_identities WHERE provider = ? AND provider_user_id = ?'),
+            deleteIdentitiesByUser: db.prepare('DELETE FROM oauth_identities WHERE user_handle = ?'),
+
+            listOAuthProviders: db.prepare('SELECT data FROM oauth_providers ORDER BY rowid'),
+            getOAuthProvider: db.prepare('SELECT data FROM oauth_providers WHERE id = ?'),
+            insertOAuthProvider: db.prepare('INSERT INTO oauth_providers (id, data) VALUES (?, ?)'),
+            updateOAuthProvider: db.prepare('UPDATE oauth_providers SET data = ? WHERE id = ?'),
+            deleteOAuthProvider: db.prepare('DELETE FROM oauth_providers WHERE id = ?'),
+
+            listAdmins: db.prepare('SELECT data FROM admins ORDER BY rowid'),
+            getAdmin: db.prepare('SELECT data FROM admins WHERE username = ?'),
+            insertAdmin: db.prepare('INSERT INTO admins (username, data) VALUES (?, ?)'),
+            updateAdmin: db.prepare('UPDATE admins SET data = ? WHERE username = ?'),
+            deleteAdmin: db.prepare('DELETE FROM admins WHERE username = ?'),
+
+            listIpRules: db.prepare('SELECT data FROM ip_rules ORDER BY rowid'),
+            getIpRule: db.prepare('SELECT data FROM ip_rules WHERE cidr = ?'),
+            insertIpRule: db.prepare('INSERT INTO ip_rules (cidr, data) VALUES (?, ?)'),
+            deleteIpRule: db.prepare('DELETE FROM ip_rules WHERE cidr = ?'),
+            listEmailDomainRules: db.prepare('SELECT data FROM email_domain_rules ORDER BY rowid'),
+            getEmailDomainRule: db.prepare('SELECT data FROM email_domain_rules WHERE domain = ?'),
+            insertEmailDomainRule: db.prepare('INSERT INTO email_domain_rules (domain, data) VALUES (?, ?)'),
+            deleteEmailDomainRule: db.prepare('DELETE FROM email_domain_rules WHERE domain = ?'),
+            getVerificationCode: db.prepare('SELECT data FROM verification_codes WHERE email = ?'),
+            saveVerificationCode: db.prepare('INSERT INTO verification_codes (email, expires_at, data) VALUES (@email, @expiresAt, @data) ON CONFLICT(email) DO UPDATE SET expires_at = excluded.expires_at, data = excluded.data'),
+            deleteVerificationCode: db.prepare('DELETE FROM verification_codes WHERE email = ?'),
+            deleteExpiredVerificationCodes: db.prepare('DELETE FROM verification_codes WHERE expires_at < ?'),
+
+            insertMail: db.prepare('INSERT INTO mail_queue (status, next_attempt_at, updated_at, data) VALUES (@status, @nextAttemptAt, @updatedAt, @data)'),
+            getMail: db.prepare('SELECT id, data FROM mail_queue WHERE id = ?'),
+            updateMail: db.prepare('UPDATE mail_queue SET status = @status, next_attempt_at = @nextAttemptAt, updated_at = @updatedAt, data = @data WHERE id = @id'),
+            deleteMail: db.prepare('DELETE FROM mail_queue WHERE id = ?'),
+            listDueMails: db.prepare("SELECT id, data FROM mail_queue WHERE status IN ('pending', 'sending') AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?"),
+            countMailsByStatus: db.prepare('SELECT status, COUNT(*) AS count FROM mail_queue GROUP BY status'),
+            deleteSentMailsBefore: db.prepare("DELETE FROM mail_queue WHERE status = 'sent' AND updated_at < ?"),
+
+            insertServerHealthCheck: db.prepare('INSERT INTO server_health_checks (server_id, checked_at, data) VALUES (@serverId, @checkedAt, @data)'),
+            listServerHealthChecks: db.prepare('SELECT id, data FROM server_health_checks WHERE server_id = @serverId AND checked_at >= @since ORDER BY checked_at DESC, id DESC LIMIT @limit'),
+            deleteServerHealthChecksBefore: db.prepare('DELETE FROM server_health_checks WHERE checked_at < ?'),
+
+            insertAuditEvent: db.prepare('INSERT INTO audit_log (created_at, action, actor, target, result, data) VALUES (@createdAt, @action, @actor, @target, @result, @data)'),
+
+            getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+        };
+    }
+
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    getMeta(key) {
+        const row = this.statements.getMeta.get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.statements.setMeta.run(key, value);
+    }
+
+    // ==================== 用户 ====================
+
+    #userParams(user) {
+        return {
+            id: user.id ?? null,
+            handle: user.handle,
+            email: normalizeEmailColumn(user.email),
+            ip: user.ip || null,
+            serverId: normalizeServerIdColumn(user.serverId),
+            data: JSON.stringify(user),
+        };
+    }
+
+    listUsers() {
+        return this.statements.listUsers.all().map(parseIdRow);
+    }
+
+    getUserByHandle(handle) {
+        return parseIdRow(this.statements.getUserByHandle.get(handle));
+    }
+
+    getUserByEmail(normalizedEmail) {
+        return parseIdRow(this.statements.getUserByEmail.get(normalizedEmail));
+    }
+
+    getUsersByEmailDomain(domain) {
+        return this.statements.getUsersByEmailDomain.all(`%@${escapeLike(domain)}`).map(parseIdRow);
+    }
+
+    getUsersByIp(ip) {
+        return this.statements.getUsersByIp.all(ip).map(parseIdRow);
+    }
+
+    getUsersByServerId(serverId) {
+        return this.statements.getUsersByServerId.all(normalizeServerIdColumn(serverId)).map(parseIdRow);
+    }
+
+    countUsersByServer() {
+        const counts = new Map();
+        for (const row of this.statements.countUsersByServer.all()) {
+            counts.set(Number(row.server_id), row.count);
+        }
+        return counts;
+    }
+
+    insertUser(record) {
+        return this.transaction(() => {
+            // 与 JSON 存储一致，用户名重复时给出可识别的错误，而不是数据库的 UNIQUE 约束错误
+            if (this.getUserByHandle(record.handle)) {
+                throw new Error(`用户已存在: ${record.handle}`);
+            }
+            // 导入旧数据时尽量保留原 id，冲突时改为自动分配
+            const keepId = Number.isInteger(record.id) && record.id > 0 && !this.statements.userIdExists.get(record.id);
+            const params = this.#userParams({ ...record, id: keepId ? record.id : null });
+            const result = this.statements.insertUser.run(params);
+            const newUser = { ...record, id: Number(result.lastInsertRowid) };
+            this.statements.updateUser.run(this.#userParams(newUser));
+            return newUser;
+        });
+    }
+
+    updateUser(handle, updates) {
+        return this.transaction(() => {
+            const existing = this.getUserByHandle(handle);
+            if (!existing) return null;
+
+            const updated = { ...existing, ...updates, id: existing.id };
+            this.statements.updateUser.run(this.#userParams(updated));
+            return updated;
+        });
+    }
+
+    deleteUser(handle) {
+        return this.statements.deleteUser.run(handle).changes > 0;
+    }
+
+    // ==================== 服务器 ====================
+
+    listServers() {
+        return this.statements.listServers.all().map(parseIdRow);
+    }
+
+    getServerById(id) {
+        const targetId = Number(id);
+        if (!Number.isFinite(targetId)) return null;
+        return parseIdRow(this.statements.getServerById.get(targetId));
+    }
+
+    insertServer(record) {
+        return this.transaction(() => {
+            const explicitId = Number(record.id);
+            const keepId = Number.isInteger(explicitId) && explicitId > 0 && !this.statements.serverIdExists.get(explicitId);
+            const { id: _ignored, ...data } = record;
+            const result = this.statements.insertServer.run(keepId ? explicitId : null, JSON.stringify(data));
+            return { id: Number(result.lastInsertRowid), ...data };
+        });
+    }
+
+    updateServer(id, updates) {
+        return this.transaction(() => {
+            const existing = this.getServerById(id);
+            if (!existing) return null;
+
+            const { id: _ignored, ...data } = { ...existing, ...updates };
+            this.statements.updateServerData.run(JSON.stringify(data), existing.id);
+            return { id: existing.id, ...data };
+        });
+    }
+
+    deleteServer(id) {
+        const targetId = Number(id);
+        if (!Number.isFinite(targetId)) return false;
+        return this.statements.deleteServer.run(targetId).changes > 0;
+    }
+
+    // ==================== 邀请码 ====================
+
+    listInviteCodes() {
+        return this.statements.listInviteCodes.all().map(parseRow);
+    }
+
+    getInviteCode(code) {
+        return parseRow(this.statements.getInviteCode.get(code));
+    }
+
+    insertInviteCode(record) {
+        this.statements.insertInviteCode.run(record.code, JSON.stringify(record));
+        return record;
+    }
+
+    updateInviteCode(code, updates) {
+        return this.transaction(() => {
+            const existing = this.getInviteCode(code);
+            if (!existing) return null;
+
+            const updated = { ...existing, ...updates, code: existing.code };
+            this.statements.updateInviteCode.run(JSON.stringify(updated), code);
+            return updated;
+        });
+    }
+
+    deleteInviteCode(code) {
+        return this.statements.deleteInviteCode.run(code).changes > 0;
+    }
+
+    // ==================== 第三方登录身份 ====================
+
+    listIdentities() {
+        return this.statements.listIdentities.all().map(parseRow);
+    }
+
+    listIdentitiesByUser(handle) {
+        return this.statements.listIdentitiesByUser.all(handle).map(parseRow);
+    }
+
+    getIdentity(provider, providerUserId) {
+        return parseRow(this.statements.getIdentity.get(provider, String(providerUserId)));
+    }
+
+    insertIdentity(record) {
+        this.statements.insertIdentity.run(record.provider, String(record.providerUserId), record.userHandle, JSON.stringify(record));
+        return record;
+    }
+
+    deleteIdentity(provider, providerUserId) {
+        return this.statements.deleteIdentity.run(provider, String(providerUserId)).changes > 0;
+    }
+
+    deleteIdentitiesByUser(handle) {
+        return this.statements.deleteIdentitiesByUser.run(handle).changes;
+    }
+
+    // ==================== 第三方登录提供商 ====================
+
+    listOAuthProviders() {
+        return this.statements.listOAuthProviders.all().map(parseRow);
+    }
+
+    getOAuthProvider(id) {
+        return parseRow(this.statements.getOAuthProvider.get(id));
+    }
+
+    insertOAuthProvider(record) {
+        this.statements.insertOAuthProvider.run(record.id, JSON.stringify(record));
+        return record;
+    }
+
+    updateOAuthProvider(id, updates) {
+        return this.transaction(() => {
+            const existing = this.getOAuthProvider(id);
+            if (!existing) return null;
+
+            const updated = { ...existing, ...updates, id: existing.id };
+            this.statements.updateOAuthProvider.run(JSON.stringify(updated), id);
+            return updated;
+        });
+    }
+
+    deleteOAuthProvider(id) {
+        return this.statements.deleteOAuthProvider.run(id).changes > 0;
+    }
+
+    // ==================== 管理员账号 ====================
+
+    listAdmins() {
+        return this.statements.listAdmins.all().map(parseRow);
+    }
+
+    getAdmin(username) {
+        return parseRow(this.statements.getAdmin.get(username));
+    }
+
+    insertAdmin(record) {
+        this.statements.insertAdmin.run(record.username, JSON.stringify(record));
+        return record;
+    }
+
+    updateAdmin(username, updates) {
+        return this.transaction(() => {
+            const existing = this.getAdmin(username);
+            if (!existing) return null;
+
+            const updated = { ...existing, ...updates, username: existing.username };
+            this.statements.updateAdmin.run(JSON.stringify(updated), username);
+            return updated;
+        });
+    }
+
+    deleteAdmin(username) {
+        return this.statements.deleteAdmin.run(username).changes > 0;
+    }
+
+    // ==================== IP 允许 / 禁止名单 ====================
+
+    listIpRules() {
+        return this.statements.listIpRules.all().map(parseRow);
+    }
+
+    getIpRule(cidr) {
+        return parseRow(this.statements.getIpRule.get(cidr));
+    }
+
+    insertIpRule(record) {
+        this.statements.insertIpRule.run(record.cidr, JSON.stringify(record));
+        return record;
+    }
+
+    deleteIpRule(cidr) {
+        return this.statements.deleteIpRule.run(cidr).changes > 0;
+    }
+
+    // ==================== 邮箱域名名单 ====================
+
+    listEmailDomainRules() {
+        return this.statements.listEmailDomainRules.all().map(parseRow);
+    }
+
+    getEmailDomainRule(domain) {
+        return parseRow(this.statements.getEmailDomainRule.get(domain));
+    }
+
+    insertEmailDomainRule(record) {
+        this.statements.insertEmailDomainRule.run(record.domain, JSON.stringify(record));
+        return record;
+    }
+
+    deleteEmailDomainRule(domain) {
+        return this.statements.deleteEmailDomainRule.run(domain).changes > 0;
+    }
+
+    // ==================== 邮箱验证码 ====================
+
+    getVerificationCode(email) {
+        return parseRow(this.statements.getVerificationCode.get(email));
+    }
+
+    saveVerificationCode(record) {
+        this.statements.saveVerificationCode.run({
+            email: record.email,
+            expiresAt: record.expiresAt,
+            data: JSON.stringify(record),
+        });
+        return record;
+    }
+
+    deleteVerificationCode(email) {
+        return this.statements.deleteVerificationCode.run(email).changes > 0;
+    }
+
+    deleteExpiredVerificationCodes(now) {
+        return this.statements.deleteExpiredVerificationCodes.run(now).changes;
+    }
+
+    // ==================== 邮件发送队列 ====================
+
+    #mailParams(record) {
+        return {
+            status: record.status,
+            nextAttemptAt: record.nextAttemptAt ?? null,
+            updatedAt: record.updatedAt,
+            data: JSON.stringify(record),
+        };
+    }
+
+    insertMail(record) {
+        const { id: _ignored, ...data } = record;
+        const info = this.statements.insertMail.run(this.#mailParams(data));
+        return { id: Number(info.lastInsertRowid), ...data };
+    }
+
+    getMail(id) {
+        const targetId = Number(id);
+        if (!Number.isInteger(targetId)) return null;
+        return parseIdRow(this.statements.getMail.get(targetId));
+    }
+
+    updateMail(id, updates) {
+        return this.transaction(() => {
+            const existing = this.getMail(id);
+            if (!existing) return null;
+
+            const { id: _ignored, ...data } = { ...existing, ...updates };
+            this.statements.updateMail.run({ ...this.#mailParams(data), id: existing.id });
+            return { id: existing.id, ...data };
+        });
+    }
+
+    deleteMail(id) {
+        const targetId = Number(id);
+        if (!Number.isInteger(targetId)) return false;
+        return this.statements.deleteMail.run(targetId).changes > 0;
+    }
+
+    /**
+     * 领取到期的邮件：状态改为 sending，并把下次尝试时间推迟到 leaseUntil（进程中途退出时租约到期后重新发送）
+     */
+    claimDueMails(now, limit, leaseUntil) {
+        return this.transaction(() => this.statements.listDueMails.all(now, limit).map((row) => {
+            const record = parseIdRow(row);
+            return this.updateMail(record.id, { status: 'sending', nextAttemptAt: leaseUntil });
+        }));
+    }
+
+    /**
+     * 分页查询邮件（按 ID 倒序）
+     */
+    queryMails(filters = {}, { offset = 0, limit = 50 } = {}) {
+        const where = filters.status ? 'WHERE status = @status' : '';
+        const params = filters.status ? { status: filters.status } : {};
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM mail_queue ${where}`).get(params).count;
+        const mails = this.db.prepare(`SELECT id, data FROM mail_queue ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit, offset })
+            .map(parseIdRow);
+        return { mails, total };
+    }
+
+    countMailsByStatus() {
+        return Object.fromEntries(this.statements.countMailsByStatus.all().map(row => [row.status, row.count]));
+    }
+
+    deleteSentMailsBefore(time) {
+        return this.statements.deleteSentMailsBefore.run(time).changes;
+    }
+
+    // ==================== 服务器健康检查记录 ====================
+
+    insertServerHealthCheck(record) {
+        const { id: _ignored, ...data } = record;
+        const info = this.statements.insertServerHealthCheck.run({
+            serverId: Number(data.serverId),
+            checkedAt: data.checkedAt,
+            data: JSON.stringify(data),
+        });
+        return { id: Number(info.lastInsertRowid), ...data };
+    }
+
+    /**
+     * 服务器的检查记录（按时间倒序），since 为最早的检查时间，limit 为最多返回的条数
+     */
+    listServerHealthChecks(serverId, { since = '', limit = -1 } = {}) {
+        return this.statements.listServerHealthChecks
+            .all({ serverId: Number(serverId), since: since || '', limit: limit ?? -1 })
+            .map(parseIdRow);
+    }
+
+    deleteServerHealthChecksBefore(time) {
+        return this.statements.deleteServerHealthChecksBefore.run(time).changes;
+    }
+
+    // ==================== 审计日志 ====================
+
+    insertAuditEvent(record) {
+        const info = this.statements.insertAuditEvent.run({
+            createdAt: record.createdAt,
+            action: record.action,
+            actor: record.actor ?? null,
+            target: record.target ?? null,
+            result: record.result,
+            data: JSON.stringify(record),
+        });
+        return { ...record, id: Number(info.lastInsertRowid) };
+    }
+
+    /**
+     * 分页查询审计日志（按时间倒序）
+     */
+    queryAuditEvents(filters = {}, { offset = 0, limit = 50 } = {}) {
+        const { where, params } = buildAuditWhere(filters);
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${where}`).get(params).count;
+        const events = this.db.prepare(`SELECT id, data FROM audit_log ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit, offset })
+            .map(parseIdRow);
+        return { events, total };
+    }
+
+    /**
+     * 按时间顺序逐条读取审计日志（用于导出）
+     */
+    *iterateAuditEvents(filters = {}) {
+        const { where, params } = buildAuditWhere(filters);
+        for (const row of this.db.prepare(`SELECT id, data FROM audit_log ${where} ORDER BY id`).iterate(params)) {
+            yield parseIdRow(row);
+        }
+    }
+}
@@ -0,0 +1,183 @@
+import crypto from 'node:crypto';
+
+import QRCode from 'qrcode';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 默认参数，主流验证器应用均支持
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const SECRET_BYTES = 20;
+
+// 允许前后各一个时间步的时钟偏差
+const DEFAULT_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Base32 编码（RFC 4648，无填充）
+ */
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Base32 解码（忽略空格、短横线与填充，大小写不敏感）
+ */
+export function base32Decode(text) {
+    const clean = String(text ?? '').toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('无效的 Base32 密钥');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * 生成新的 TOTP 密钥（Base32）
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * 计算指定时间步的一次性密码（RFC 4226 HOTP）
+ */
+function hotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * 当前时间对应的时间步
+ */
+export function currentTimeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * 生成当前的一次性密码（主要用于调试）
+ */
+export function generateTotp(secret, now = Date.now()) {
+    return hotp(secret, currentTimeStep(now));
+}
+
+/**
+ * 校验一次性密码
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {object} [options]
+ * @param {number|null} [options.lastStep] - 上次成功使用的时间步，同一时间步及更早的验证码不能重复使用
+ * @returns {number|null} 校验通过时返回匹配的时间步
+ */
+export function verifyTotp(secret, code, { lastStep = null, now = Date.now(), window = DEFAULT_WINDOW } = {}) {
+    const normalized = String(code ?? '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const step = currentTimeStep(now);
+    for (let offset = -window; offset <= window; offset += 1) {
+        const candidate = step + offset;
+        if (lastStep != null && candidate <= lastStep) {
+            continue;
+        }
+        const expected = hotp(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * 生成验证器应用使用的 otpauth:// 配置链接
+ */
+export function buildOtpAuthUri({ issuer, account, secret }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    // 部分验证器应用不识别 "+" 形式的空格，这里统一使用百分号编码
+    const params = Object.entries({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: TOTP_DIGITS,
+        period: TOTP_PERIOD,
+    }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * 将配置链接渲染为二维码图片（data URL）
+ */
+export function renderQrCode(uri) {
+    return QRCode.toDataURL(uri, { errorCorrectionLevel: 'M', margin: 1, width: 220 });
+}
+
+/**
+ * 规范化恢复码（去除空格与短横线、统一小写）
+ */
+function normalizeRecoveryCode(code) {
+    return String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * 恢复码哈希（恢复码本身为高熵随机值，使用 SHA-256 即可）
+ */
+export function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * 生成一组恢复码
+ * @returns {{ codes: string[], hashes: string[] }} codes 仅展示给管理员一次，hashes 用于保存
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * 在已保存的恢复码哈希中查找输入的恢复码
+ * @returns {number} 匹配的下标，未匹配时返回 -1
+ */
+export function findRecoveryCode(hashes, code) {
+    if (!Array.isArray(hashes) || !normalizeRecoveryCode(code)) {
+        return -1;
+    }
+    const hash = Buffer.from(hashRecoveryCode(code));
+    return hashes.findIndex(candidate => typeof candidate === 'string'
+        && candidate.length === hash.length
+        && crypto.timingSafeEqual(Buffer.from(candidate), hash));
+}
@@ -0,0 +1,255 @@
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { createWriteStream, promises as fsPromises } from 'node:fs';
+import { pipeline } from 'node:stream/promises';
+import AdmZip from 'adm-zip';
+import { DataStore } from './dataStore.js';
+import { createServerClient } from './serverCredentials.js';
+import { isServerHealthy } from './serverHealth.js';
+
+// 迁移完成后对原服务器上账户的处理方式
+export const MIGRATION_SOURCE_ACTIONS = {
+    disable: '停用原账户',
+    delete: '删除原账户',
+};
+
+// 数据迁移方式：两台服务器都配置了本体数据目录时直接复制，只有目标服务器配置时通过原服务器的备份接口下载后解压
+export const MIGRATION_TRANSFER_METHODS = {
+    copy: '直接复制数据目录',
+    backup: '下载备份后恢复',
+    none: '不迁移数据',
+};
+
+/**
+ * 把备份压缩包解压到用户数据目录（先清空目录），路径穿越的条目不写入
+ * @returns {Promise<{ entries: number, skippedEntries: string[] }>}
+ */
+export async function extractBackupArchive(zipPath, userRoot) {
+    const resolvedUserRoot = path.resolve(userRoot);
+    const skippedEntries = [];
+
+    await fsPromises.rm(userRoot, { recursive: true, force: true });
+    await fsPromises.mkdir(userRoot, { recursive: true });
+
+    const zip = new AdmZip(zipPath);
+    const entries = zip.getEntries();
+
+    for (const entry of entries) {
+        const entryName = entry.entryName.replace(/\\/g, '/');
+        const targetPath = path.resolve(userRoot, entryName);
+        // 只比较前缀会放过同级目录（如 /data/user-a-evil 之于 /data/user-a），按相对路径判断是否落在用户目录内
+        const relativePath = path.relative(resolvedUserRoot, targetPath);
+        if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+            skippedEntries.push(entryName);
+            continue;
+        }
+
+        if (entry.isDirectory) {
+            await fsPromises.mkdir(targetPath, { recursive: true });
+            continue;
+        }
+
+        await fsPromises.mkdir(path.dirname(targetPath), { recursive: true });
+        await fsPromises.writeFile(targetPath, entry.getData());
+    }
+
+    return { entries: entries.length, skippedEntries };
+}
+
+/**
+ * 用户迁移：把已注册的用户从一个 SillyTavern 服务器搬到另一个服务器
+ *
+ * 依次执行：在目标服务器上创建账户（register）→ 迁移数据（transfer）→ 把用户记录的 serverId 改为目标服务器（switch）
+ * → 停用或删除原服务器上的账户（source）。每一步通过 onProgress 回调通知调用方（写入审计日志）。
+ *
+ * 前三步任何一步失败都会回滚：删除目标服务器上新建的账户（连同已复制的数据），用户记录保持不变。
+ * 最后一步失败不回滚，用户已经可以在目标服务器上使用，原账户需要管理员手动处理。
+ *
+ * 迁移期间在目标服务器上占用一个名额，同一用户同时只能有一个迁移在执行。
+ */
+export class UserMigration {
+    // 正在迁移的用户 handle
+    #inProgress = new Set();
+
+    /**
+     * @param {object} config
+     * @param {import('./serverCapacity.js').ServerCapacity} capacity
+     */
+    constructor(config, capacity) {
+        this.selfService = Boolean(config.userMigrationSelfService);
+        this.capacity = capacity;
+    }
+
+    /**
+     * 迁移数据的方式
+     * @returns {'copy'|'backup'|'none'}
+     */
+    static transferMethod(source, target, transferData = true) {
+        if (!transferData) {
+            return 'none';
+        }
+        if (source?.localDataRoot && target?.localDataRoot) {
+            return 'copy';
+        }
+        return target?.localDataRoot ? 'backup' : null;
+    }
+
+    /**
+     * 检查能否把用户迁移到目标服务器
+     * @param {object} user
+     * @param {object|null} target
+     * @param {{ transferData?: boolean, allowPaused?: boolean }} [options] allowPaused：管理员迁移可以迁入暂停注册的服务器
+     * @returns {{ error?: string, status?: number, source?: object, transfer?: string }}
+     */
+    check(user, target, { transferData = true, allowPaused = false } = {}) {
+        if (user?.registrationStatus !== 'active' || user.serverId == null) {
+            return { error: '该用户尚未绑定服务器', status: 400 };
+        }
+        if (!target || !target.isActive) {
+            return { error: '目标服务器不存在或已停用', status: 404 };
+        }
+        if (Number(target.id) === Number(user.serverId)) {
+            return { error: '用户已经在该服务器上', status: 400 };
+        }
+        const source = DataStore.getServerById(user.serverId);
+        if (!source) {
+            return { error: '用户当前绑定的服务器不存在', status: 404 };
+        }
+        if (this.#inProgress.has(user.handle)) {
+            return { error: '该用户正在迁移中，请稍后再试', status: 409 };
+        }
+        if (target.registrationPaused && !allowPaused) {
+            return { error: '目标服务器已暂停注册', status: 403 };
+        }
+        if (!isServerHealthy(target)) {
+            return { error: '目标服务器暂时无法连接', status: 503 };
+        }
+        if (this.capacity.usage(target, { handle: user.handle }).isFull) {
+            return { error: '目标服务器已满', status: 409 };
+        }
+        const transfer = UserMigration.transferMethod(source, target, transferData);
+        if (!transfer) {
+            return { error: '目标服务器未配置本体数据目录，无法迁移数据', status: 400 };
+        }
+        return { source, transfer };
+    }
+
+    /**
+     * 执行迁移（调用前先用 check 检查）
+     * @param {object} user
+     * @param {object} target
+     * @param {{ password: string, transferData?: boolean, sourceAction?: 'disable'|'delete', allowPaused?: boolean,
+     *           onProgress?: (step: string, detail: object) => void }} options
+     *        password 为目标服务器上新账户的密码；onProgress 在每一步完成、失败或回滚后调用
+     * @returns {Promise<{ migrationId: string, source: object, target: object, transfer: string, sourceResult: object, user: object }>}
+     */
+    async migrate(user, target, { password, transferData = true, sourceAction = 'disable', allowPaused = false, onProgress = () => {} }) {
+        const checked = this.check(user, target, { transferData, allowPaused });
+        if (checked.error) {
+            throw new Error(checked.error);
+        }
+        const reservation = this.capacity.reserve(target, user.handle);
+        if (!reservation) {
+            throw new Error('目标服务器已满');
+        }
+
+        const { source, transfer } = checked;
+        const migrationId = crypto.randomUUID();
+        const progress = (step, detail = {}) => {
+            try {
+                onProgress(step, { migrationId, fromServerId: Number(source.id), toServerId: Number(target.id), ...detail });
+            } catch (error) {
+                console.error('记录迁移进度失败:', error?.message || error);
+            }
+        };
+
+        this.#inProgress.add(user.handle);
+        const sourceClient = createServerClient(source);
+        const targetClient = createServerClient(target);
+        const handle = targetClient.normalizeHandle(user.handle);
+        let created = false;
+        let step = 'register';
+
+        try {
+            await targetClient.registerUser({ handle, name: user.name, password, email: user.email });
+            created = true;
+            progress('register');
+
+            step = 'transfer';
+            const transferred = await this.#transfer(transfer, { source, target, sourceClient, handle });
+            progress('transfer', { method: transfer, ...transferred });
+
+            step = 'switch';
+            const updated = DataStore.updateUser(user.handle, {
+                serverId: Number(target.id),
+                migratedFromServerId: Number(source.id),
+                migratedAt: new Date().toISOString(),
+                // 存储检查的结果属于原服务器
+                lastQuotaUsageBytes: null,
+                lastQuotaCheckedAt: null,
+                quotaWarnedAt: null,
+                quotaDisabledAt: null,
+            });
+            progress('switch');
+
+            // 用户已经可以在目标服务器上使用，处理原账户失败时不回滚
+            step = 'source';
+            let sourceResult;
+            try {
+                if (sourceAction === 'delete') {
+                    await sourceClient.deleteUser({ handle, purge: true });
+                } else {
+                    await sourceClient.disableUser({ handle });
+                }
+                sourceResult = { action: sourceAction, ok: true };
+            } catch (error) {
+                sourceResult = { action: sourceAction, ok: false, message: error?.message || String(error) };
+            }
+            progress('source', sourceResult);
+
+            return { migrationId, source, target, transfer, sourceResult, user: updated };
+        } catch (error) {
+            progress(step, { failed: true, message: error?.message || String(error) });
+            if (created) {
+                let rollback;
+                try {
+                    await targetClient.deleteUser({ handle, purge: true });
+                    rollback = { ok: true };
+                } catch (rollbackError) {
+                    rollback = { ok: false, message: rollbackError?.message || String(rollbackError) };
+                }
+                progress('rollback', { failedStep: step, ...rollback });
+            }
+            throw error;
+        } finally {
+            this.#inProgress.delete(user.handle);
+            reservation.release();
+        }
+    }
+
+    async #transfer(method, { source, target, sourceClient, handle }) {
+        if (method === 'none') {
+            return {};
+        }
+
+        const targetRoot = path.join(target.localDataRoot, handle);
+        if (method === 'copy') {
+            const sourceRoot = path.join(source.localDataRoot, handle);
+            await fsPromises.access(sourceRoot);
+            await fsPromises.rm(targetRoot, { recursive: true, force: true });
+            await fsPromises.cp(sourceRoot, targetRoot, { recursive: true });
+            return {};
+        }
+
+        const zipPath = path.join(os.tmpdir(), `tavern-register-migration-${crypto.randomUUID()}.zip`);
+        try {
+            const upstream = await sourceClient.downloadBackup({ handle });
+            await pipeline(upstream.body, createWriteStream(zipPath));
+            const { entries, skippedEntries } = await extractBackupArchive(zipPath, targetRoot);
+            return { entries, skippedCount: skippedEntries.length };
+        } finally {
+            await fsPromises.rm(zipPath, { force: true });
+        }
+    }
+}